@@ -3,6 +3,7 @@ import { CONFIG, debugLog } from './config.production.js';
 import { forceRefreshSubscription, validateSubscription } from './lib/subscription-validator.js';
 import * as GoogleTasksAPI from './lib/google-tasks-api.js';
 import * as GoogleCalendarAPI from './lib/google-calendar-api.js';
+import './lib/validation.js'; // Defines globalThis.cc3Validation (shared with popup and content scripts)
 
 // Service Worker Installation
 chrome.runtime.onInstalled.addListener(async (details) => {
@@ -160,6 +161,12 @@ chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) =>
 
   // Verify message is from our web app
   if (sender.url && sender.url.startsWith(CONFIG.WEB_APP_URL)) {
+    const { ok, errors } = globalThis.cc3Validation.validateWebAppMessage(message);
+    if (!ok) {
+      debugLog('Rejected malformed web app message:', errors);
+      sendResponse({ received: false, status: 'invalid', errors });
+      return true;
+    }
     handleWebAppMessage(message);
     sendResponse({ received: true, status: 'success' });
   } else {
@@ -307,6 +314,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       handleResetListColors(message.listId, message.clearPending, message.clearCompleted).then(sendResponse);
       return true;
 
+    case 'STORAGE_CAS':
+      // Coordinated write from cc3Storage (popup, options, calendar tabs)
+      handleStorageCompareAndSet(message).then(sendResponse);
+      return true;
+
     default:
       sendResponse({ error: 'Unknown message type' });
   }
@@ -314,6 +326,57 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true;
 });
 
+// ========================================
+// STORAGE WRITE COORDINATOR
+// ========================================
+// Every context computes its sync storage changes from a snapshot and sends them
+// here. Commits run one at a time, and each is rejected if its guarded items no
+// longer match the snapshot (the sender then recomputes from fresh data).
+// Background writers go through the same queue.
+
+let storageWriteQueue = Promise.resolve();
+
+function enqueueStorageWrite(task) {
+  const run = storageWriteQueue.then(task);
+  storageWriteQueue = run.catch(() => {});
+  return run;
+}
+
+async function handleStorageCompareAndSet({ area = 'sync', expected = {}, writes = {}, removals = [] }) {
+  try {
+    return await enqueueStorageWrite(async () => {
+      const storage = chrome.storage[area];
+      const keys = Object.keys(expected);
+      const current = keys.length ? await storage.get(keys) : {};
+      for (const key of keys) {
+        const actual = current[key] === undefined ? null : JSON.stringify(current[key]);
+        if (actual !== expected[key]) {
+          debugLog('Storage write conflict on', key);
+          return { ok: false, conflict: key };
+        }
+      }
+      if (removals.length) await storage.remove(removals);
+      if (Object.keys(writes).length) await storage.set(writes);
+      return { ok: true };
+    });
+  } catch (error) {
+    console.error('Coordinated storage write failed:', error);
+    return { ok: false, error: error.message };
+  }
+}
+
+// Read-modify-write the base settings item from the background.
+// Bumps the revision so in-flight writes from other contexts are retried.
+function updateStoredSettings(mutate) {
+  return enqueueStorageWrite(async () => {
+    const { settings } = await chrome.storage.sync.get('settings');
+    const next = mutate(settings || {});
+    next.revision = (Number(settings?.revision) || 0) + 1;
+    await chrome.storage.sync.set({ settings: next });
+    return next;
+  });
+}
+
 // Handle messages from web app
 async function handleWebAppMessage(message) {
   debugLog('Handling web app message:', message.type);
@@ -847,17 +910,14 @@ async function handleOAuthRequest() {
       debugLog('OAuth granted successfully');
 
       // Update settings to reflect OAuth granted and auto-enable feature
-      const { settings } = await chrome.storage.sync.get('settings');
-      await chrome.storage.sync.set({
-        settings: {
-          ...(settings || {}),
-          taskListColoring: {
-            ...(settings?.taskListColoring || {}),
-            enabled: true, // Auto-enable when OAuth granted for better UX
-            oauthGranted: true,
-          },
+      await updateStoredSettings((settings) => ({
+        ...settings,
+        taskListColoring: {
+          ...(settings.taskListColoring || {}),
+          enabled: true, // Auto-enable when OAuth granted for better UX
+          oauthGranted: true,
         },
-      });
+      }));
 
       // Perform initial full sync
       debugLog('Performing initial sync after OAuth grant...');
@@ -933,16 +993,14 @@ async function syncTaskLists(fullSync = false) {
     const duration = Date.now() - startTime;
     debugLog(`Sync complete in ${duration}ms`);
 
-    // Update last sync time in settings
-    await chrome.storage.sync.set({
-      settings: {
-        ...(settings || {}),
-        taskListColoring: {
-          ...(settings?.taskListColoring || {}),
-          lastSync: Date.now(),
-        },
+    // Update last sync time in settings (re-read: the sync may have taken a while)
+    await updateStoredSettings((current) => ({
+      ...current,
+      taskListColoring: {
+        ...(current.taskListColoring || {}),
+        lastSync: Date.now(),
       },
-    });
+    }));
 
     // Check storage quota
     await GoogleTasksAPI.checkStorageQuota();
@@ -999,15 +1057,13 @@ async function checkOAuthStatus() {
     if (!hasToken) {
       debugLog('Storage says granted but Chrome token missing, clearing storage flag');
       // Token was revoked - update storage
-      await chrome.storage.sync.set({
-        settings: {
-          ...(settings || {}),
-          taskListColoring: {
-            ...(settings?.taskListColoring || {}),
-            oauthGranted: false,
-          },
+      await updateStoredSettings((current) => ({
+        ...current,
+        taskListColoring: {
+          ...(current.taskListColoring || {}),
+          oauthGranted: false,
         },
-      });
+      }));
       return { granted: false };
     }
 
@@ -1047,26 +1103,34 @@ async function handleResolveCalendarEvent(calendarEventId) {
     const cached = await chrome.storage.local.get('cf.calendarEventMapping');
     const mapping = cached['cf.calendarEventMapping'] || {};
 
-    if (mapping[calendarEventId]) {
+    // Entries cached before recurring series IDs existed have no seriesId key (null
+    // means "checked, not recurring"); refetch those once to fill it in
+    const cachedEntry = mapping[calendarEventId];
+    if (cachedEntry && cachedEntry.seriesId !== undefined) {
       debugLog(`Calendar event ${calendarEventId} found in cache`);
       return {
         success: true,
-        taskApiId: mapping[calendarEventId].taskApiId,
-        taskFragment: mapping[calendarEventId].taskFragment,
+        taskApiId: cachedEntry.taskApiId,
+        taskFragment: cachedEntry.taskFragment,
+        seriesId: cachedEntry.seriesId,
       };
     }
 
     // Not in cache - fetch from Calendar API
     debugLog(`Calendar event ${calendarEventId} not in cache, fetching from API`);
-    const taskApiId = await GoogleCalendarAPI.calendarEventIdToTaskId(calendarEventId);
+    const resolved = await GoogleCalendarAPI.resolveTaskEvent(calendarEventId);
 
-    if (!taskApiId) {
+    if (!resolved) {
       debugLog(`Failed to resolve calendar event ${calendarEventId}`);
+      if (cachedEntry) {
+        return { success: true, taskApiId: cachedEntry.taskApiId, taskFragment: cachedEntry.taskFragment };
+      }
       return {
         success: false,
         error: 'Could not resolve calendar event to task ID',
       };
     }
+    const { taskApiId, seriesId } = resolved;
 
     // Extract task fragment for metadata
     const taskFragment = GoogleCalendarAPI.taskApiIdToFragment(taskApiId);
@@ -1075,16 +1139,18 @@ async function handleResolveCalendarEvent(calendarEventId) {
     mapping[calendarEventId] = {
       taskApiId,
       taskFragment,
+      seriesId,
       lastVerified: new Date().toISOString(),
     };
 
     await chrome.storage.local.set({ 'cf.calendarEventMapping': mapping });
-    debugLog(`Cached mapping: ${calendarEventId} → ${taskApiId}`);
+    debugLog(`Cached mapping: ${calendarEventId} → ${taskApiId}${seriesId ? ` (${seriesId})` : ''}`);
 
     return {
       success: true,
       taskApiId,
       taskFragment,
+      seriesId,
     };
   } catch (error) {
     console.error('Error resolving calendar event:', error);
@@ -5,6 +5,8 @@
     features: new Map(),
     settings: {},
     initialized: false,
+    // featureId -> unsubscribe function for its settings paths
+    watchers: new Map(),
 
     // Register a feature
     register: async function (feature) {
@@ -18,6 +20,57 @@
       if (this.initialized && this.settings[feature.id]) {
         await this.initFeature(feature, this.settings[feature.id]);
       }
+      if (this.initialized) this.watchFeature(feature);
+    },
+
+    // Settings paths a feature reacts to; defaults to its own settings object.
+    // dayColoring lives at the root of settings so it lists its keys explicitly.
+    getSettingsPaths: function (feature) {
+      return feature.settingsPaths || [feature.id];
+    },
+
+    // Settings object handed to a feature (dayColoring gets the whole settings)
+    getFeatureSettings: function (featureId) {
+      return featureId === 'dayColoring' ? this.settings : this.settings[featureId] || {};
+    },
+
+    // Repaint a feature only when one of its settings paths changes, from any context
+    watchFeature: function (feature) {
+      if (this.watchers.has(feature.id) || !window.cc3Storage?.subscribe) return;
+
+      const paths = this.getSettingsPaths(feature);
+      const overlaps = (a, b) => !a || !b || a === b || a.startsWith(`${b}.`) || b.startsWith(`${a}.`);
+      let lastChangedPaths = null;
+
+      const handler = (value, { changedPaths, settings }) => {
+        // Several of the feature's paths can match one storage event; handle it once
+        if (changedPaths === lastChangedPaths) return;
+        lastChangedPaths = changedPaths;
+
+        this.settings = settings;
+        const relevant = changedPaths.filter((changed) => paths.some((path) => overlaps(changed, path)));
+        const settingsToPass = this.getFeatureSettings(feature.id);
+        try {
+          if (typeof feature.onSettingsPathsChanged === 'function') {
+            feature.onSettingsPathsChanged(settingsToPass, relevant);
+          } else if (typeof feature.onSettingsChanged === 'function') {
+            feature.onSettingsChanged(settingsToPass);
+          } else if (typeof feature.init === 'function') {
+            feature.init(settingsToPass);
+          }
+        } catch (error) {
+          console.error('Error updating feature:', feature.id, error);
+        }
+      };
+
+      const unsubscribes = paths.map((path) => window.cc3Storage.subscribe(path, handler));
+      this.watchers.set(feature.id, () => unsubscribes.forEach((unsubscribe) => unsubscribe()));
+    },
+
+    // Stop reacting to settings changes (e.g. when the subscription lapses)
+    unwatchAll: function () {
+      for (const unsubscribe of this.watchers.values()) unsubscribe();
+      this.watchers.clear();
     },
 
     // Initialize a single feature
@@ -77,6 +130,10 @@
       }
 
       this.initialized = true;
+
+      for (const feature of this.features.values()) {
+        this.watchFeature(feature);
+      }
     },
 
     // Update settings for a feature
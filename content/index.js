@@ -33,6 +33,9 @@
 
     // Remove all applied colors and styles
     if (window.cc3Features) {
+      // Stop repainting on settings changes before tearing features down
+      window.cc3Features.unwatchAll();
+
       // Disable each feature
       const features = window.cc3Features.features;
       for (const [id, feature] of features) {
@@ -103,6 +106,14 @@
       console.warn('Toolbar init failed:', e);
     }
 
+    // Move dated entries past the retention window into the local archive (at most daily)
+    window.cc3Storage.archiveStaleDates().catch((error) => {
+      console.warn('[ColorKit] Date archiving failed:', error);
+    });
+
+    // Ctrl+Z / Ctrl+Shift+Z for ColorKit changes (features repaint from their settings subscriptions)
+    initUndoShortcuts();
+
     // Task coloring is initialized via the feature registry (cc3Features.boot())
     // No need to call initTasksColoring() directly - it's handled by taskColoringFeature.init()
 
@@ -110,6 +121,65 @@
     initActivityTracking();
   }
 
+  // ========================================
+  // UNDO / REDO
+  // ========================================
+
+  function isEditableTarget(target) {
+    if (!target) return false;
+    if (target.isContentEditable) return true;
+    const tag = target.tagName;
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT';
+  }
+
+  function showUndoToast(text) {
+    document.querySelector('.cc3-undo-toast')?.remove();
+    const toast = document.createElement('div');
+    toast.className = 'cc3-undo-toast';
+    toast.textContent = text;
+    document.documentElement.appendChild(toast);
+    setTimeout(() => {
+      toast.classList.add('cc3-undo-toast-hide');
+      setTimeout(() => toast.remove(), 300);
+    }, 2000);
+  }
+
+  function initUndoShortcuts() {
+    // Cached so the key handler can decide synchronously whether to claim the shortcut
+    let history = { canUndo: false, canRedo: false };
+    window.cc3Storage.getHistoryState().then((state) => {
+      history = state;
+    });
+
+    document.addEventListener(
+      'keydown',
+      (e) => {
+        if (!featuresEnabled || !(e.ctrlKey || e.metaKey) || e.altKey) return;
+        if (e.key.toLowerCase() !== 'z' || isEditableTarget(e.target)) return;
+
+        // Only take over the shortcut when ColorKit has something to undo/redo,
+        // otherwise leave it to Google Calendar's own undo
+        const wantsRedo = e.shiftKey;
+        if (wantsRedo ? !history.canRedo : !history.canUndo) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        (wantsRedo ? window.cc3Storage.redo() : window.cc3Storage.undo()).catch((error) => {
+          console.error('[ColorKit] Undo/redo failed:', error);
+        });
+      },
+      true,
+    );
+
+    window.cc3Storage.onHistoryChanged((state, replay) => {
+      history = state;
+      if (!replay || !featuresEnabled) return;
+      if (!document.hidden) {
+        showUndoToast(`${replay.direction === 'undo' ? 'Undid' : 'Redid'}: ${replay.label}`);
+      }
+    });
+  }
+
   // ========================================
   // ACTIVITY TRACKING (for smart polling)
   // ========================================
@@ -237,12 +307,7 @@
 
   // Listen for messages from popup and background script
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message.type === 'settingsChanged' && message.feature && window.cc3Features) {
-      // Only allow settings changes if subscription is active
-      if (featuresEnabled) {
-        window.cc3Features.updateFeature(message.feature, message.settings);
-      }
-    } else if (message.type === 'SUBSCRIPTION_CANCELLED') {
+    if (message.type === 'SUBSCRIPTION_CANCELLED') {
       // Subscription was cancelled - disable all features immediately
       console.log('[ColorKit] Received SUBSCRIPTION_CANCELLED - disabling features');
       disableAllFeatures();
@@ -1,6 +1,7 @@
 (function () {
   const state = {
     settings: null,
+    profiles: null,
     collapsed: true,
   };
 
@@ -56,12 +57,6 @@
       state.settings.enabled = next;
 
       await window.cc3Storage.setEnabled(next);
-
-      // Trigger immediate update for day coloring feature
-      const newSettings = await window.cc3Storage.getSettings();
-      if (window.cc3Features && window.cc3Features.updateFeature) {
-        window.cc3Features.updateFeature('dayColoring', newSettings);
-      }
     });
     const dayToggleWrap = createEl('div', { className: 'cc3-toggle' }, [dayToggleLabel, dayToggle]);
 
@@ -78,12 +73,6 @@
       state.settings.taskColoring.enabled = next;
 
       await window.cc3Storage.setTaskColoringEnabled(next);
-
-      // Trigger immediate update for task coloring feature
-      const newSettings = await window.cc3Storage.getSettings();
-      if (window.cc3Features && window.cc3Features.updateFeature) {
-        window.cc3Features.updateFeature('taskColoring', newSettings.taskColoring || {});
-      }
     });
     const taskToggleWrap = createEl('div', { className: 'cc3-toggle' }, [taskToggleLabel, taskToggle]);
 
@@ -100,12 +89,6 @@
       state.settings.timeBlocking.enabled = next;
 
       await window.cc3Storage.setTimeBlockingEnabled(next);
-
-      // Trigger immediate update for time blocking feature
-      const newSettings = await window.cc3Storage.getSettings();
-      if (window.cc3Features && window.cc3Features.updateFeature) {
-        window.cc3Features.updateFeature('timeBlocking', newSettings.timeBlocking || {});
-      }
     });
     const timeBlockToggleWrap = createEl('div', { className: 'cc3-toggle' }, [timeBlockToggleLabel, timeBlockToggle]);
 
@@ -115,6 +98,37 @@
     row.appendChild(createEl('span', {}, ['|']));
     row.appendChild(timeBlockToggleWrap);
 
+    // Profile switcher (only when at least one profile has been saved from the popup)
+    const profiles = Object.values(state.profiles?.profiles || {}).sort((a, b) => a.name.localeCompare(b.name));
+    if (profiles.length > 0) {
+      const profileSelect = createEl('select', { className: 'cc3-profile-select', title: 'Switch profile' });
+      if (!state.profiles.activeProfileId) {
+        profileSelect.appendChild(createEl('option', { value: '', disabled: true, selected: true }, ['Profile…']));
+      }
+      for (const profile of profiles) {
+        profileSelect.appendChild(
+          createEl('option', { value: profile.id, selected: profile.id === state.profiles.activeProfileId }, [
+            profile.name,
+          ]),
+        );
+      }
+      profileSelect.addEventListener('change', async () => {
+        profileSelect.disabled = true;
+        try {
+          // No repaint here: the profile is committed in one sync write, and each feature
+          // repaints from its own subscription (weekday and schedule settings paths, or
+          // cf.taskListColors / cf.taskListTextColors in tasks-coloring)
+          await window.cc3Storage.applyProfile(profileSelect.value);
+        } catch (error) {
+          console.error('[ColorKit] Failed to apply profile:', error);
+          profileSelect.disabled = false;
+        }
+      });
+
+      row.appendChild(createEl('span', {}, ['|']));
+      row.appendChild(createEl('div', { className: 'cc3-toggle' }, [createEl('label', {}, ['Profile']), profileSelect]));
+    }
+
     row.appendChild(collapseBtn);
 
     root.appendChild(row);
@@ -123,11 +137,16 @@
 
   async function mount() {
     state.settings = await window.cc3Storage.getSettings();
+    state.profiles = await window.cc3Storage.getProfiles();
     renderToolbar();
     window.cc3Storage.onSettingsChanged((s) => {
       state.settings = s;
       renderToolbar();
     });
+    window.cc3Storage.onProfilesChanged((profiles) => {
+      state.profiles = profiles;
+      renderToolbar();
+    });
   }
 
   // Global API
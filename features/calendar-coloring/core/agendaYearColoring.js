@@ -0,0 +1,166 @@
+// Schedule (agenda) and year view painter
+// Neither view has weekday columns, so each date row (schedule) or mini-month day
+// cell (year) is painted on its own. Colors come from dayColoring.js through
+// dayColorFor, which applies the same precedence as the other views (date colors,
+// ranges, rules and holidays over the weekday color). Repaints are driven by the
+// day coloring DOM observer; nothing here observes the page.
+
+(function () {
+  const PAINTED_ATTR = 'data-cc3-view-painted';
+  const OVERLAY_ATTR = 'data-cc3-view-overlay';
+  const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+  const YEAR = /\b(\d{4})\b/;
+
+  function viewRoot() {
+    return document.querySelector('[role="main"]') || document.body;
+  }
+
+  function precedes(a, b) {
+    return !!(a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING);
+  }
+
+  // Row labels rarely show a year. Borrow it from the nearest row with a data-datekey
+  // (the schedule runs in date order, so a row after December 31 is in the next year),
+  // else from the month/year heading above the row. Null when neither exists.
+  function dateForUnkeyedRow(row, label, keyedRows, headings) {
+    const before = keyedRows.filter(([el]) => precedes(el, row)).pop();
+    const after = keyedRows.find(([el]) => precedes(row, el));
+    const anchor = before || after;
+    if (anchor) {
+      const [, anchorKey] = anchor;
+      const year = Number(anchorKey.slice(0, 4));
+      const dateKey = window.cc3LocaleDates.parseDateText(label, { year });
+      if (!dateKey) return null;
+      if (before && dateKey < anchorKey) return window.cc3LocaleDates.parseDateText(label, { year: year + 1 });
+      if (!before && dateKey > anchorKey) return window.cc3LocaleDates.parseDateText(label, { year: year - 1 });
+      return dateKey;
+    }
+
+    const heading = headings.filter((el) => row.contains(el) || precedes(el, row)).pop();
+    const year = heading?.textContent.match(YEAR);
+    return year ? window.cc3LocaleDates.parseDateText(label, { year: Number(year[1]) }) : null;
+  }
+
+  // Schedule view groups events under one row per date. Prefer data-datekey; rows
+  // without one are dated from their header's aria-label in the page language.
+  function scheduleRows() {
+    const rows = new Map(); // row element -> 'YYYY-MM-DD'
+    const root = viewRoot();
+
+    root.querySelectorAll('[data-datekey]').forEach((keyed) => {
+      const row = keyed.closest('[role="row"]') || keyed;
+      if (rows.has(row)) return;
+      const dateKey = window.cc3LocaleDates.decodeDateKey(keyed.getAttribute('data-datekey'));
+      if (dateKey) rows.set(row, dateKey);
+    });
+
+    const keyedRows = [...rows];
+    const headings = [...root.querySelectorAll('[role="heading"]')].filter(
+      (el) => YEAR.test(el.textContent) && window.cc3LocaleDates.monthFromText(el.textContent) !== null,
+    );
+    root.querySelectorAll('[role="row"]').forEach((row) => {
+      if (rows.has(row)) return;
+      const header = row.querySelector('[role="rowheader"]') || row;
+      const label = header.getAttribute('aria-label') || header.textContent || '';
+      const dateKey = dateForUnkeyedRow(row, label, keyedRows, headings);
+      if (dateKey) rows.set(row, dateKey);
+    });
+
+    return rows;
+  }
+
+  // Year view is twelve mini-months; their day cells carry data-date like the side
+  // panel's mini calendar, or a data-datekey
+  function yearCells() {
+    const cells = new Map(); // cell element -> 'YYYY-MM-DD'
+    const root = viewRoot();
+
+    root.querySelectorAll('[data-date]').forEach((cell) => {
+      const value = cell.getAttribute('data-date');
+      if (ISO_DATE.test(value)) cells.set(cell, value);
+    });
+    root.querySelectorAll('[role="gridcell"][data-datekey], [role="gridcell"] [data-datekey]').forEach((keyed) => {
+      const cell = keyed.closest('[role="gridcell"]');
+      if (cells.has(cell)) return;
+      const dateKey = window.cc3LocaleDates.decodeDateKey(keyed.getAttribute('data-datekey'));
+      if (dateKey) cells.set(cell, dateKey);
+    });
+
+    return cells;
+  }
+
+  function paint(targets, dayColorFor, overlayFor) {
+    const seen = new Set();
+    targets.forEach((dateKey, el) => {
+      seen.add(el);
+
+      const dayColor = dayColorFor(dateKey);
+      if (dayColor) {
+        window.cc3FillPatterns.applyFillStyle(el, dayColor.color, dayColor.opacity / 100, dayColor.fill);
+        el.setAttribute(PAINTED_ATTR, dateKey);
+      } else if (el.hasAttribute(PAINTED_ATTR)) {
+        window.cc3FillPatterns.clearFillStyle(el);
+        el.removeAttribute(PAINTED_ATTR);
+      }
+
+      const shadow = overlayFor ? overlayFor(dateKey) : null;
+      if (shadow) {
+        if (el.getAttribute(OVERLAY_ATTR) === shadow) return;
+        el.style.setProperty('box-shadow', shadow, 'important');
+        el.setAttribute(OVERLAY_ATTR, shadow);
+      } else if (el.hasAttribute(OVERLAY_ATTR)) {
+        el.style.removeProperty('box-shadow');
+        el.removeAttribute(OVERLAY_ATTR);
+      }
+    });
+
+    // Rows recycled by Calendar for another date, or no longer on screen
+    document.querySelectorAll(`[${PAINTED_ATTR}], [${OVERLAY_ATTR}]`).forEach((el) => {
+      if (!seen.has(el)) clearElement(el);
+    });
+    return seen.size;
+  }
+
+  function clearElement(el) {
+    if (el.hasAttribute(PAINTED_ATTR)) {
+      window.cc3FillPatterns.clearFillStyle(el);
+      el.removeAttribute(PAINTED_ATTR);
+    }
+    if (el.hasAttribute(OVERLAY_ATTR)) {
+      el.style.removeProperty('box-shadow');
+      el.removeAttribute(OVERLAY_ATTR);
+    }
+  }
+
+  /**
+   * @param {(dateKey: string) => ({color: string, opacity: number, fill?: Object}|null)} dayColorFor
+   * @param {{overlayFor?: (dateKey: string) => string|null}} [opts] - box-shadow for past/today and week bands
+   * @returns {number} Rows found
+   */
+  function applyScheduleViewColors(dayColorFor, opts = {}) {
+    const count = paint(scheduleRows(), dayColorFor, opts.overlayFor);
+    console.log(`CC3 Schedule View: painted ${count} date rows`);
+    return count;
+  }
+
+  /**
+   * @param {(dateKey: string) => ({color: string, opacity: number, fill?: Object}|null)} dayColorFor
+   * @param {{overlayFor?: (dateKey: string) => string|null}} [opts]
+   * @returns {number} Day cells found
+   */
+  function applyYearViewColors(dayColorFor, opts = {}) {
+    const count = paint(yearCells(), dayColorFor, opts.overlayFor);
+    console.log(`CC3 Year View: painted ${count} day cells`);
+    return count;
+  }
+
+  function clearAgendaYearColors() {
+    document.querySelectorAll(`[${PAINTED_ATTR}], [${OVERLAY_ATTR}]`).forEach(clearElement);
+  }
+
+  window.cc3AgendaYearColoring = {
+    applyScheduleViewColors,
+    applyYearViewColors,
+    clearAgendaYearColors,
+  };
+})();
@@ -0,0 +1,205 @@
+// Per-date labels ("🚀 Release") for the calendar views
+// Renders labels from dateColors entries into week/day column headers and offers a
+// right-click editor on those headers and on month day cells. Month cell labels are
+// drawn by the month painter (monthColoring.js) through its labelFor option.
+
+(function () {
+  const HEADER_LABEL_CLASS = 'cc3-date-label';
+  const EDITOR_ID = 'cc3-date-label-editor';
+
+  // Google encodes day containers as data-datekey = (year - 1970) << 9 | month << 5 | day
+  function decodeDateKey(value) {
+    const key = parseInt(value, 10);
+    if (!key) return null;
+    const year = (key >> 9) + 1970;
+    const month = (key & 511) >> 5;
+    const day = key & 31;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  function headerDateKey(header) {
+    const keyed = header.matches('[data-datekey]') ? header : header.querySelector('[data-datekey]');
+    return keyed ? decodeDateKey(keyed.getAttribute('data-datekey')) : null;
+  }
+
+  function monthCellDateKey(cell) {
+    const keyed = cell.closest('[data-datekey]') || cell.querySelector('[data-datekey]');
+    return keyed ? decodeDateKey(keyed.getAttribute('data-datekey')) : null;
+  }
+
+  /**
+   * @param {{label?: string, emoji?: string}|null} entry
+   * @returns {string} e.g. '🚀 Release' ('' when the date has no label)
+   */
+  function formatDateLabel(entry) {
+    return entry ? `${entry.emoji || ''} ${entry.label || ''}`.trim() : '';
+  }
+
+  // ========================================
+  // HEADER LABELS
+  // ========================================
+
+  /**
+   * Add, update or remove the label under each week/day column header.
+   * Nodes are only touched when their text changes, so observers aren't retriggered.
+   * @param {Function} labelFor - (dateKey) => label text or ''
+   */
+  function renderHeaderLabels(labelFor) {
+    document.querySelectorAll('[role="columnheader"]').forEach((header) => {
+      const dateKey = headerDateKey(header);
+      const text = dateKey ? labelFor(dateKey) : '';
+      let label = header.querySelector(`:scope > .${HEADER_LABEL_CLASS}`);
+
+      if (!text) {
+        label?.remove();
+        return;
+      }
+      if (label?.textContent === text) return;
+      if (!label) {
+        label = document.createElement('div');
+        label.className = HEADER_LABEL_CLASS;
+        header.appendChild(label);
+      }
+      label.textContent = text;
+      label.title = text;
+    });
+  }
+
+  function removeHeaderLabels() {
+    document.querySelectorAll(`.${HEADER_LABEL_CLASS}`).forEach((el) => el.remove());
+  }
+
+  // ========================================
+  // RIGHT-CLICK EDITOR
+  // ========================================
+
+  let contextMenuHandler = null;
+  let getEditorSettings = () => null;
+
+  function closeEditor() {
+    document.getElementById(EDITOR_ID)?.remove();
+    document.removeEventListener('mousedown', handleOutsideClick, true);
+  }
+
+  function handleOutsideClick(e) {
+    if (!e.target.closest(`#${EDITOR_ID}`)) closeEditor();
+  }
+
+  function openEditor(dateKey, x, y) {
+    closeEditor();
+    const current = window.cc3Storage.normalizeDateEntry(getEditorSettings()?.dateColors?.[dateKey]);
+
+    const editor = document.createElement('div');
+    editor.id = EDITOR_ID;
+    editor.className = 'cc3-date-label-editor';
+
+    const title = document.createElement('div');
+    title.className = 'cc3-date-label-editor-title';
+    title.textContent = new Date(dateKey + 'T12:00:00').toLocaleDateString(undefined, {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+    });
+
+    const row = document.createElement('div');
+    row.className = 'cc3-row';
+    const emojiInput = document.createElement('input');
+    emojiInput.type = 'text';
+    emojiInput.className = 'cc3-date-label-emoji';
+    emojiInput.placeholder = '🙂';
+    emojiInput.value = current?.emoji || '';
+    const labelInput = document.createElement('input');
+    labelInput.type = 'text';
+    labelInput.className = 'cc3-date-label-text';
+    labelInput.placeholder = 'Label, e.g. Offsite';
+    labelInput.maxLength = 40;
+    labelInput.value = current?.label || '';
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.value = current?.color || '#4285f4';
+    row.appendChild(emojiInput);
+    row.appendChild(labelInput);
+    row.appendChild(colorInput);
+
+    const error = document.createElement('div');
+    error.className = 'cc3-date-label-error';
+
+    const actions = document.createElement('div');
+    actions.className = 'cc3-row cc3-date-label-actions';
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'cc3-secondary';
+    clearBtn.textContent = 'Clear day';
+    clearBtn.disabled = !current;
+    const saveBtn = document.createElement('button');
+    saveBtn.textContent = 'Save';
+    actions.appendChild(clearBtn);
+    actions.appendChild(saveBtn);
+
+    const save = async (entry) => {
+      try {
+        await window.cc3Storage.setDateEntry(dateKey, entry);
+        closeEditor();
+      } catch (err) {
+        error.textContent = window.cc3Validation?.isValidationError(err) ? err.errors[0].message : `Couldn't save: ${err?.message || err}`;
+      }
+    };
+    saveBtn.onclick = () => save({ color: colorInput.value, label: labelInput.value, emoji: emojiInput.value });
+    clearBtn.onclick = () => save(null);
+    editor.onkeydown = (e) => {
+      if (e.key === 'Escape') closeEditor();
+      if (e.key === 'Enter') saveBtn.click();
+    };
+
+    editor.appendChild(title);
+    editor.appendChild(row);
+    editor.appendChild(error);
+    editor.appendChild(actions);
+    document.body.appendChild(editor);
+
+    // Keep the editor on screen
+    const rect = editor.getBoundingClientRect();
+    editor.style.left = `${Math.max(8, Math.min(x, window.innerWidth - rect.width - 8))}px`;
+    editor.style.top = `${Math.max(8, Math.min(y, window.innerHeight - rect.height - 8))}px`;
+
+    document.addEventListener('mousedown', handleOutsideClick, true);
+    labelInput.focus();
+  }
+
+  /**
+   * Right-click a week/day column header or an empty part of a month day cell to
+   * edit that date's label; Shift+right-click keeps the browser menu.
+   * @param {Function} getSettings - () => current day coloring settings
+   */
+  function enableEditor(getSettings) {
+    disableEditor();
+    getEditorSettings = getSettings;
+    contextMenuHandler = (e) => {
+      if (e.shiftKey || !window.cc3Storage?.setDateEntry) return;
+      const header = e.target.closest('[role="columnheader"]');
+      const monthCell = !header && !e.target.closest('[data-eventid]') ? e.target.closest('div.MGaLHf.ChfiMc') : null;
+      const dateKey = header ? headerDateKey(header) : monthCell ? monthCellDateKey(monthCell) : null;
+      if (!dateKey) return;
+
+      e.preventDefault();
+      openEditor(dateKey, e.clientX, e.clientY);
+    };
+    document.addEventListener('contextmenu', contextMenuHandler, true);
+  }
+
+  function disableEditor() {
+    if (contextMenuHandler) {
+      document.removeEventListener('contextmenu', contextMenuHandler, true);
+      contextMenuHandler = null;
+    }
+    closeEditor();
+  }
+
+  window.cc3DateLabels = {
+    formatDateLabel,
+    renderHeaderLabels,
+    removeHeaderLabels,
+    enableEditor,
+    disableEditor,
+  };
+})();
@@ -14,8 +14,26 @@
     return `${y}-${m}-${d}`;
   }
 
-  // Detect start week by examining actual calendar header order and dates
+  // Detect start week by examining actual calendar header order and dates.
+  // Any of the seven days can start the week; returns null when the grid can't be read
+  // so callers fall back to the popup setting.
   function detectStartWeek() {
+    // Method 0: a 7-day week grid is keyed by its first day
+    if (detectCurrentView() === 'week') {
+      for (const grid of document.querySelectorAll('[role="grid"] > [data-start-date-key]')) {
+        const days = new Set(
+          Array.from(grid.querySelectorAll('div[data-datekey]:not([jsaction])'), (el) => el.getAttribute('data-datekey')),
+        );
+        if (days.size !== 7) continue;
+        const firstDay = decodeDateKey(grid.getAttribute('data-start-date-key'));
+        if (firstDay) {
+          const startWeek = new Date(`${firstDay}T12:00:00`).getDay();
+          console.log(`Detected start week: ${startWeek} (grid starts ${firstDay})`);
+          return startWeek;
+        }
+      }
+    }
+
     // Method 1: Try to find a calendar grid with actual dates to calculate start week
     const grids = document.querySelectorAll('[role="grid"] > [data-start-date-key]');
     for (const grid of grids) {
@@ -62,35 +80,36 @@
     if (grid) {
       const headers = grid.querySelectorAll('[role="columnheader"]');
       if (headers.length >= 7) {
-        // Find the first day column header (skip time columns)
-        for (let i = headers.length - 7; i < headers.length; i++) {
-          const header = headers[i];
-          const headerText = header?.textContent?.toLowerCase() || '';
-
-          // Check for Saturday indicators (when it's first day)
-          if (headerText.includes('sat') || headerText.includes('sab') || headerText.includes('土')) {
-            console.log('Detected Saturday start from header:', headerText);
-            return 6; // Saturday start
-          }
-          // Check for Sunday indicators
-          if (headerText.includes('sun') || headerText.includes('dom') || headerText.includes('日')) {
-            console.log('Detected Sunday start from header:', headerText);
-            return 0; // Sunday start
-          }
-          // Check for Monday indicators
-          if (headerText.includes('mon') || headerText.includes('lun') || headerText.includes('月')) {
-            console.log('Detected Monday start from header:', headerText);
-            return 1; // Monday start
-          }
-          // Only check first day column
-          break;
+        // Only the first day column header counts (skip time columns)
+        const headerText = headers[headers.length - 7]?.textContent?.trim() || '';
+        // Day names in the page language (lib/localeDates.js)
+        const startWeek = window.cc3LocaleDates.weekdayFromText(headerText);
+        if (startWeek !== null) {
+          console.log(`Detected start week ${startWeek} from header:`, headerText);
+          return startWeek;
         }
       }
     }
 
-    // Fallback: assume Sunday start
-    console.log('Using fallback start week: 0 (Sunday)');
-    return 0;
+    console.log('Could not detect start week from the grid');
+    return null;
+  }
+
+  // The week start Calendar actually renders wins over the popup setting, which only
+  // covers views the grid can't be read from (day view, custom day ranges)
+  let detectedWeekStart = null;
+
+  function getWeekStart(settings) {
+    return detectedWeekStart ?? settings?.weekStart ?? 0;
+  }
+
+  // Shared with the popup so it can skip the setup prompt and flag a mismatched setting
+  function reportWeekStart(weekStart) {
+    if (weekStart === null || weekStart === detectedWeekStart) return;
+    detectedWeekStart = weekStart;
+    window.cc3Storage?.setDetectedWeekStart(weekStart).catch((error) => {
+      console.warn('Day coloring: could not store detected week start', error);
+    });
   }
 
   // === LOCKED UTILITY FUNCTIONS ===
@@ -187,14 +206,223 @@
     return today;
   }
 
-  function hexToRgba(hex, alpha = 0.3) {
-    if (!hex || hex === '#ffffff') return `rgba(255, 255, 255, ${alpha})`;
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    if (!result) return `rgba(255, 255, 255, ${alpha})`;
-    const r = parseInt(result[1], 16);
-    const g = parseInt(result[2], 16);
-    const b = parseInt(result[3], 16);
-    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+  // === DATE-SPECIFIC COLORS ===
+  // Google encodes day containers as data-datekey = (year - 1970) << 9 | month << 5 | day
+  function decodeDateKey(value) {
+    const key = parseInt(value, 10);
+    if (!key) return null;
+    const year = (key >> 9) + 1970;
+    const month = (key & 511) >> 5;
+    const day = key & 31;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  function hasDateOverrides(settings) {
+    return (
+      Object.keys(settings?.dateColors || {}).length > 0 ||
+      (settings?.dateRanges || []).length > 0 ||
+      (settings?.dateRules || []).length > 0 ||
+      (settings?.holidays?.countries || []).length > 0
+    );
+  }
+
+  // Recurrence matchers cache candidate days per period, so keep one per rules array
+  let ruleMatcher = { rules: null, match: () => null };
+  function matchDateRule(settings, dateKey) {
+    const rules = settings.dateRules || [];
+    if (!rules.length || !window.cc3Recurrence) return null;
+    if (ruleMatcher.rules !== rules) {
+      ruleMatcher = { rules, match: window.cc3Recurrence.createMatcher(rules) };
+    }
+    return ruleMatcher.match(dateKey);
+  }
+
+  // === PUBLIC HOLIDAYS ===
+  // Names of the holidays on a 'YYYY-MM-DD' from the chosen packs (lib/holidays.js)
+  function getHolidayName(settings, dateKey) {
+    const countries = settings.holidays?.countries || [];
+    if (!countries.length || !dateKey || !window.cc3Holidays) return null;
+    const holidays = window.cc3Holidays.getHolidays(countries, dateKey);
+    return holidays.length ? holidays.map((h) => h.name).join(' · ') : null;
+  }
+
+  const HOLIDAY_TITLE_ATTR = 'data-cc3-holiday-title';
+
+  function removeHolidayTooltips() {
+    document.querySelectorAll(`[${HOLIDAY_TITLE_ATTR}]`).forEach((el) => {
+      el.removeAttribute('title');
+      el.removeAttribute(HOLIDAY_TITLE_ATTR);
+    });
+  }
+
+  // Week/day view: holiday name as a tooltip on the day's column header
+  function applyHolidayTooltips(settings) {
+    removeHolidayTooltips();
+    if (!settings.holidays?.countries?.length) return;
+    document.querySelectorAll('[role="columnheader"]').forEach((header) => {
+      if (header.hasAttribute('title')) return;
+      const keyed = header.matches('[data-datekey]') ? header : header.querySelector('[data-datekey]');
+      const name = keyed && getHolidayName(settings, decodeDateKey(keyed.getAttribute('data-datekey')));
+      if (!name) return;
+      header.setAttribute('title', name);
+      header.setAttribute(HOLIDAY_TITLE_ATTR, '1');
+    });
+  }
+
+  // === DATE LABELS ===
+  // Optional '🚀 Release' style label stored with a single-date color
+  function getDateLabel(settings, dateKey) {
+    if (!dateKey || !window.cc3DateLabels) return '';
+    return window.cc3DateLabels.formatDateLabel(window.cc3Storage?.normalizeDateEntry(settings.dateColors?.[dateKey]));
+  }
+
+  function hasDateLabels(settings) {
+    return Object.keys(settings?.dateColors || {}).some((dateKey) => getDateLabel(settings, dateKey));
+  }
+
+  // Color for one 'YYYY-MM-DD': a single-date color beats any range, a range beats
+  // any recurring rule, and a rule beats a public holiday. Among overlapping ranges
+  // or rules the most recently added wins
+  function getDateOverride(settings, dateKey) {
+    if (!dateKey) return null;
+    const single = window.cc3Storage?.normalizeDateEntry(settings.dateColors?.[dateKey]);
+    if (single) {
+      const weekday = new Date(dateKey + 'T12:00:00').getDay();
+      return { color: single.color, opacity: settings.weekdayOpacity?.[String(weekday)] || 30, label: single.label, fill: single.fill };
+    }
+    const ranges = settings.dateRanges || [];
+    for (let i = ranges.length - 1; i >= 0; i--) {
+      const range = ranges[i];
+      if (range.start <= dateKey && dateKey <= range.end) {
+        return { color: range.color, opacity: range.opacity ?? 30, label: range.label };
+      }
+    }
+    const rule = matchDateRule(settings, dateKey);
+    if (rule) return { color: rule.color, opacity: rule.opacity ?? 30, label: rule.label };
+    const holiday = getHolidayName(settings, dateKey);
+    if (holiday) return { color: settings.holidays.color, opacity: settings.holidays.opacity ?? 25, label: holiday };
+    return null;
+  }
+
+  // Color, opacity and fill for a whole day: date override first, then the weekday color
+  function getDayColor(settings, date) {
+    const override = getDateOverride(settings, normalizeYmdFromDate(date));
+    if (override) return override;
+    const dayOfWeek = date.getDay();
+    const color = settings.weekdayColors?.[String(dayOfWeek)];
+    return color
+      ? { color, opacity: settings.weekdayOpacity?.[String(dayOfWeek)] || 30, fill: settings.weekdayFills?.[String(dayOfWeek)] }
+      : null;
+  }
+
+  // === SCHEDULE AND YEAR VIEWS ===
+  const DATE_PAINTED_VIEWS = ['schedule', 'agenda', 'year'];
+
+  function isDatePaintedView(view) {
+    return DATE_PAINTED_VIEWS.includes(view);
+  }
+
+  // Same precedence as getDayColor; white weekdays count as unset, as in the month painter
+  function getViewDayColor(settings, dateKey) {
+    const dayColor = getDayColor(settings, new Date(`${dateKey}T12:00:00`));
+    return dayColor && dayColor.color.toLowerCase() !== '#ffffff' ? dayColor : null;
+  }
+
+  function hasWeekdayPatterns(settings) {
+    return Object.values(settings?.weekdayFills || {}).some((fill) => window.cc3FillPatterns.isPatterned(fill));
+  }
+
+  // Week view day columns are div[data-datekey]; color the ones with a date override
+  function generateDateOverrideCSS(settings, base) {
+    if (!hasDateOverrides(settings)) return '';
+
+    let css = '/* Date-specific colors, date ranges, recurring rules and holidays */\n';
+    // A flat date color has to clear a patterned weekday column underneath it
+    const resetImage = hasWeekdayPatterns(settings);
+    const seen = new Set();
+    document.querySelectorAll(`${base} div[data-datekey]:not([jsaction])`).forEach((el) => {
+      const key = el.getAttribute('data-datekey');
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      const override = getDateOverride(settings, decodeDateKey(key));
+      if (!override) return;
+      const fill = window.cc3FillPatterns.fillDeclarations(override.color, override.opacity / 100, override.fill, { resetImage });
+      css += `${base} div[data-datekey="${key}"]:not([jsaction]) { ${fill} }\n`;
+    });
+    return css;
+  }
+
+  // === PAST DAYS & TODAY ===
+  // Drawn as inset box-shadows, which paint over an element's background (flat or
+  // patterned) but under its content, so they stack on top of whatever color applies
+  function getTodayKey() {
+    return normalizeYmdFromDate(new Date());
+  }
+
+  // box-shadow value for a 'YYYY-MM-DD', or null when the day isn't emphasized
+  function getDayEmphasis(settings, dateKey) {
+    const highlight = settings.todayHighlight;
+    if (!highlight?.enabled || !dateKey) return null;
+
+    const today = getTodayKey();
+    if (dateKey < today) {
+      // Wash past days toward the page color: white in the light theme, dark gray in the dark one
+      const wash = window.cc3ThemeColors?.pageBackground() || '#ffffff';
+      return highlight.pastDim > 0 ? `inset 0 0 0 100vmax ${window.cc3SharedUtils.hexToRgba(wash, highlight.pastDim / 100)}` : null;
+    }
+    if (dateKey > today) return null;
+
+    const shadows = [];
+    if (highlight.accent !== 'tint') shadows.push(`inset 0 0 0 2px ${highlight.color}`);
+    if (highlight.accent !== 'border') {
+      shadows.push(`inset 0 0 0 100vmax ${window.cc3SharedUtils.hexToRgba(highlight.color, 0.15)}`);
+    }
+    return shadows.join(', ');
+  }
+
+  // === WEEK BANDING ===
+  // Alternating or N-week cycle tints from lib/weekNumbers.js, also drawn as an inset
+  // shadow so the band shows through day colors without replacing them
+  function hasWeekBanding(settings) {
+    return ['alternate', 'cycle'].includes(settings?.weekBanding?.mode);
+  }
+
+  function getWeekBand(settings, dateKey) {
+    if (!hasWeekBanding(settings) || !dateKey) return null;
+    const color = window.cc3WeekNumbers.bandColor(dateKey, settings.weekBanding, getWeekStart(settings));
+    if (!color) return null;
+    return `inset 0 0 0 100vmax ${window.cc3SharedUtils.hexToRgba(color, (settings.weekBanding.opacity ?? 10) / 100)}`;
+  }
+
+  function getWeekLabel(settings, dateKey) {
+    return window.cc3WeekNumbers.weekLabel(dateKey, settings.weekBanding, getWeekStart(settings));
+  }
+
+  // Today/past emphasis is listed first so it draws above the week band
+  function hasDayOverlays(settings) {
+    return !!settings.todayHighlight?.enabled || hasWeekBanding(settings);
+  }
+
+  function getDayOverlay(settings, dateKey) {
+    const shadows = [getDayEmphasis(settings, dateKey), getWeekBand(settings, dateKey)].filter(Boolean);
+    return shadows.length ? shadows.join(', ') : null;
+  }
+
+  function generateDayOverlayCSS(settings, base) {
+    if (!hasDayOverlays(settings)) return '';
+
+    let css = '/* Past-day dimming, today accent and week bands */\n';
+    const seen = new Set();
+    document.querySelectorAll(`${base} div[data-datekey]:not([jsaction])`).forEach((el) => {
+      const key = el.getAttribute('data-datekey');
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      const shadow = getDayOverlay(settings, decodeDateKey(key));
+      if (shadow) css += `${base} div[data-datekey="${key}"]:not([jsaction]) { box-shadow: ${shadow} !important; }\n`;
+    });
+    return css;
   }
 
   // === LOCKED STYLING FUNCTIONS ===
@@ -215,11 +443,12 @@
 
   function removeDirectStyling() {
     console.log('Removing direct DOM styling...');
+    window.cc3AgendaYearColoring?.clearAgendaYearColors();
 
     // Remove direct styling from QIYAPb elements
     const qiyapbElements = document.querySelectorAll('div.QIYAPb');
     qiyapbElements.forEach((element) => {
-      element.style.removeProperty('background-color');
+      window.cc3FillPatterns.clearFillStyle(element);
       console.log('Removed direct styling from QIYAPb element:', element);
 
       // Remove from child elements
@@ -272,13 +501,15 @@
       const currentDate = getCurrentDateInDayView();
       if (currentDate) {
         const dayOfWeek = currentDate.getDay();
-        const color = settings.weekdayColors?.[String(dayOfWeek)];
+        const dayColor = getDayColor(settings, currentDate);
+        const color = dayColor?.color;
 
         if (color) {
           // Use opacity from settings instead of hardcoded theme-based alpha
-          const opacity = settings.weekdayOpacity?.[String(dayOfWeek)] || 30; // Default to 30% if not set
-          const alpha = opacity / 100; // Convert percentage to decimal
-          const rgba = hexToRgba(color, alpha);
+          const alpha = dayColor.opacity / 100; // Convert percentage to decimal
+          // Patterned fills tint the whole column and draw the pattern on the container only
+          const layers = window.cc3FillPatterns.fillLayers(color, alpha, dayColor.fill);
+          const rgba = layers.backgroundColor;
           console.log(`Day view: applying color ${rgba} for day ${dayOfWeek}`);
 
           // Day view - PRECISE targeting using ONLY QIYAPb elements (like old implementation)
@@ -287,6 +518,9 @@
 
           // Target ONLY QIYAPb elements (the correct day view container)
           css += `body[data-viewkey="day"] div.QIYAPb { background-color: var(--cc3-day-color) !important; }\n`;
+          if (layers.backgroundImage) {
+            css += `body[data-viewkey="day"] div.QIYAPb { background-image: ${layers.backgroundImage} !important; background-size: ${layers.backgroundSize} !important; }\n`;
+          }
 
           // Ensure QIYAPb child elements also get the color, but exclude event elements
           css += `body[data-viewkey="day"] div.QIYAPb > *:not(.feMFof.A3o4Oe) { background-color: var(--cc3-day-color) !important; }\n`;
@@ -308,6 +542,11 @@
         } else {
           console.log('No color for day view - dayOfWeek:', dayOfWeek, 'color:', color);
         }
+
+        const overlay = getDayOverlay(settings, normalizeYmdFromDate(currentDate));
+        if (overlay) {
+          css += `body[data-viewkey="day"] div.QIYAPb { box-shadow: ${overlay} !important; }\n`;
+        }
       } else {
         console.log('No current date found for day view');
       }
@@ -338,26 +577,30 @@
       // Use opacity from settings instead of hardcoded theme-based alpha
       const opacity = settings.weekdayOpacity?.[String(weekday)] || 30; // Default to 30% if not set
       const alpha = opacity / 100; // Convert percentage to decimal
-      const rgba = hexToRgba(color, alpha);
-      console.log(`Applying color ${color} (${rgba}) to column ${col} for weekday ${weekday}`);
+      const fill = window.cc3FillPatterns.fillDeclarations(color, alpha, settings.weekdayFills?.[String(weekday)]);
+      console.log(`Applying color ${color} (${fill}) to column ${col} for weekday ${weekday}`);
 
       // Column headers - more precise targeting to avoid bleeding
-      css += `${base} > [role='presentation'] > [role='columnheader']:nth-child(${col + 1}):nth-last-child(${7 - col}) { background-color: ${rgba} !important; }\n`;
-      css += `${base} > [role='presentation'] > [role='columnheader']:nth-child(${col + 2}):nth-last-child(${7 - col}) { background-color: ${rgba} !important; }\n`;
+      css += `${base} > [role='presentation'] > [role='columnheader']:nth-child(${col + 1}):nth-last-child(${7 - col}) { ${fill} }\n`;
+      css += `${base} > [role='presentation'] > [role='columnheader']:nth-child(${col + 2}):nth-last-child(${7 - col}) { ${fill} }\n`;
 
       // Column content - multiple targeting patterns for reliability
-      css += `${base} [data-column-index="${col}"] { background-color: ${rgba} !important; }\n`;
-      css += `${base} [data-column-index="${col + 1}"] { background-color: ${rgba} !important; }\n`;
+      css += `${base} [data-column-index="${col}"] { ${fill} }\n`;
+      css += `${base} [data-column-index="${col + 1}"] { ${fill} }\n`;
 
       // nth-child patterns for rows - more specific
-      css += `${base} > [role='presentation'] > [role='row'] > [role='gridcell']:nth-child(${col + 1}):nth-last-child(${7 - col}) { background-color: ${rgba} !important; }\n`;
-      css += `${base} > [role='presentation'] > [role='row'] > [role='gridcell']:nth-child(${col + 2}):nth-last-child(${7 - col}) { background-color: ${rgba} !important; }\n`;
+      css += `${base} > [role='presentation'] > [role='row'] > [role='gridcell']:nth-child(${col + 1}):nth-last-child(${7 - col}) { ${fill} }\n`;
+      css += `${base} > [role='presentation'] > [role='row'] > [role='gridcell']:nth-child(${col + 2}):nth-last-child(${7 - col}) { ${fill} }\n`;
 
       // Additional patterns for different calendar layouts - more specific
-      css += `${base} > [role='presentation'] > [role='rowgroup'] > [role='row'] > [role='gridcell']:nth-child(${col + 1}):nth-last-child(${7 - col}) { background-color: ${rgba} !important; }\n`;
-      css += `${base} > [role='presentation'] > [role='rowgroup'] > [role='row'] > [role='gridcell']:nth-child(${col + 2}):nth-last-child(${7 - col}) { background-color: ${rgba} !important; }\n`;
+      css += `${base} > [role='presentation'] > [role='rowgroup'] > [role='row'] > [role='gridcell']:nth-child(${col + 1}):nth-last-child(${7 - col}) { ${fill} }\n`;
+      css += `${base} > [role='presentation'] > [role='rowgroup'] > [role='row'] > [role='gridcell']:nth-child(${col + 2}):nth-last-child(${7 - col}) { ${fill} }\n`;
     }
 
+    // Dated colors come last so they win over the weekday column rules
+    css += generateDateOverrideCSS(settings, base);
+    css += generateDayOverlayCSS(settings, base);
+
     return css;
   }
 
@@ -407,7 +650,7 @@
 
     // Method 2: Fallback to calculated mapping based on start week
     if (Object.keys(mapping).length === 0) {
-      const startWeek = detectStartWeek();
+      const startWeek = detectStartWeek() ?? getWeekStart(currentSettings);
       console.log('Using fallback mapping with start week:', startWeek);
 
       // Ensure startWeek is a valid number
@@ -543,18 +786,18 @@
   function applyDayViewDirectStyling(settings) {
     const currentView = detectCurrentView();
     if (currentView !== 'day' || !settings || !settings.enabled) return;
+    settings = window.cc3ThemeColors?.themeDaySettings(settings) || settings;
 
     const currentDate = getCurrentDateInDayView();
     if (!currentDate) return;
 
-    const dayOfWeek = currentDate.getDay();
-    const color = settings.weekdayColors?.[String(dayOfWeek)];
+    const dayColor = getDayColor(settings, currentDate);
+    const color = dayColor?.color;
     if (!color || color === '#ffffff') return;
 
     // Use opacity from settings instead of hardcoded value
-    const opacity = settings.weekdayOpacity?.[String(dayOfWeek)] || 30; // Default to 30% if not set
-    const alpha = opacity / 100; // Convert percentage to decimal
-    const rgba = hexToRgba(color, alpha);
+    const alpha = dayColor.opacity / 100; // Convert percentage to decimal
+    const rgba = window.cc3FillPatterns.fillLayers(color, alpha, dayColor.fill).backgroundColor;
 
     console.log('Applying ultra-precise direct DOM styling for event column only:', rgba);
 
@@ -564,7 +807,7 @@
     // Target ONLY QIYAPb elements
     const qiyapbElements = document.querySelectorAll('div.QIYAPb');
     qiyapbElements.forEach((element) => {
-      element.style.setProperty('background-color', rgba, 'important');
+      window.cc3FillPatterns.applyFillStyle(element, color, alpha, dayColor.fill);
       console.log('Applied color to QIYAPb element:', element);
 
       // Only apply to direct children that are not event elements
@@ -602,7 +845,10 @@
       return;
     }
 
+    // Dark theme: separate weekday palette, adapted date colors and scaled opacities
+    settings = window.cc3ThemeColors?.themeDaySettings(settings) || settings;
     console.log('Applying day coloring with settings:', settings);
+    paintedDay = getTodayKey();
     const currentView = detectCurrentView();
     console.log('Current view:', currentView);
 
@@ -613,6 +859,7 @@
         // Convert settings to the format expected by the month painter
         const userColors = {};
         const userOpacity = {};
+        const userFills = {};
         if (settings.weekdayColors) {
           // Map weekday colors (0-6, Sun-Sat) to the format expected
           for (let i = 0; i < 7; i++) {
@@ -621,16 +868,24 @@
             if (color && color !== '#ffffff') {
               userColors[i] = color;
               userOpacity[i] = opacity;
+              userFills[i] = settings.weekdayFills?.[String(i)] || null;
             }
           }
         }
 
-        // Apply month view colors using user's week start setting
-        const userWeekStart = settings.weekStart !== undefined ? settings.weekStart : 0; // Default to Sunday if not set
-        console.log('CC3 Month View: Using user week start setting:', userWeekStart);
+        // The painter reads column weekdays off the grid; the week start is only its fallback
+        const userWeekStart = getWeekStart(settings);
+        console.log('CC3 Month View: Fallback week start:', userWeekStart);
         window.cc3MonthColoring.applyMonthViewColors(userColors, {
           assumeWeekStartsOn: userWeekStart,
+          onWeekStartDetected: reportWeekStart,
           opacity: userOpacity,
+          fills: userFills,
+          dateColorFor: hasDateOverrides(settings) ? (dateKey) => getDateOverride(settings, dateKey) : null,
+          titleFor: settings.holidays?.countries?.length ? (dateKey) => getHolidayName(settings, dateKey) : null,
+          labelFor: hasDateLabels(settings) ? (dateKey) => getDateLabel(settings, dateKey) : null,
+          overlayFor: hasDayOverlays(settings) ? (dateKey) => getDayOverlay(settings, dateKey) : null,
+          weekLabelFor: settings.weekBanding?.showLabels ? (dateKey) => getWeekLabel(settings, dateKey) : null,
         });
         console.log('CC3 Month View Coloring Applied via New Month Painter - ONLY div.MGaLHf.ChfiMc (NOT gridcells)');
       }
@@ -641,12 +896,29 @@
       return;
     }
 
+    // Schedule and year views have no weekday columns; each date row or mini-month cell is painted directly
+    if (isDatePaintedView(currentView)) {
+      const painter = window.cc3AgendaYearColoring;
+      const paint = currentView === 'year' ? painter?.applyYearViewColors : painter?.applyScheduleViewColors;
+      paint?.((dateKey) => getViewDayColor(settings, dateKey), {
+        overlayFor: hasDayOverlays(settings) ? (dateKey) => getDayOverlay(settings, dateKey) : null,
+      });
+
+      const style = ensureStyleElement();
+      style.textContent = `/* ${currentView} view uses direct date row/cell painting */`;
+      return;
+    }
+    window.cc3AgendaYearColoring?.clearAgendaYearColors();
+
     // For day/week views, use existing CSS approach
+    reportWeekStart(detectStartWeek());
     const style = ensureStyleElement();
     const css = generateCalendarCSS(settings);
     console.log('Generated CSS length:', css.length);
 
     style.textContent = css;
+    applyHolidayTooltips(settings);
+    window.cc3DateLabels?.renderHeaderLabels((dateKey) => getDateLabel(settings, dateKey));
 
     // For day view, force immediate style recalculation AND apply direct styling
     if (currentView === 'day') {
@@ -690,7 +962,7 @@
       }, 300);
     }
 
-    console.log('CC3 Day Coloring Applied - Start Week:', detectStartWeek());
+    console.log('CC3 Day Coloring Applied - Start Week:', getWeekStart(settings));
   }
 
   // === LOCKED DOM MONITORING ===
@@ -698,6 +970,63 @@
   let currentSettings = null;
   let pendingTimeouts = new Set(); // Track all pending timeouts
 
+  // === MIDNIGHT ROLLOVER ===
+  // "Past" and "today" move at local midnight. The timer covers an open tab; the
+  // visibility check covers a tab that slept or was throttled through midnight
+  let midnightTimer = null;
+  let paintedDay = null; // Local date the current paint was computed for
+
+  function repaintIfDayChanged() {
+    if (!currentSettings?.enabled || !currentSettings.todayHighlight?.enabled) return;
+    if (paintedDay === getTodayKey()) return;
+    console.log('Day coloring: new day, repainting past/today highlight');
+    applyDayColoring(currentSettings);
+  }
+
+  function scheduleMidnightRepaint() {
+    clearTimeout(midnightTimer);
+    const now = new Date();
+    const nextMidnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, 0, 0, 1);
+    midnightTimer = setTimeout(() => {
+      repaintIfDayChanged();
+      scheduleMidnightRepaint();
+    }, nextMidnight - now);
+  }
+
+  function handleVisibilityChange() {
+    if (document.visibilityState === 'visible') repaintIfDayChanged();
+  }
+
+  function startMidnightWatch() {
+    scheduleMidnightRepaint();
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+  }
+
+  function stopMidnightWatch() {
+    clearTimeout(midnightTimer);
+    midnightTimer = null;
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }
+
+  // === CALENDAR THEME ===
+  // Repaint with the light or dark profile when Calendar's theme or the dark profile changes
+  let stopThemeListener = null;
+
+  function startThemeWatch() {
+    if (stopThemeListener || !window.cc3ThemeColors) return;
+    stopThemeListener = window.cc3ThemeColors.onThemeChange((theme) => {
+      if (!currentSettings?.enabled) return;
+      console.log('Day coloring: repainting for', theme, 'theme');
+      applyDayColoring(currentSettings);
+    });
+  }
+
+  function stopThemeWatch() {
+    stopThemeListener?.();
+    stopThemeListener = null;
+  }
+
   // Helper function to create tracked timeouts
   function createTrackedTimeout(callback, delay) {
     const timeoutId = setTimeout(() => {
@@ -755,7 +1084,9 @@
             (target.matches('[role="grid"]') ||
               target.matches('[role="main"]') ||
               target.querySelector('[role="grid"]') ||
-              target.querySelector('[data-start-date-key]'))
+              target.querySelector('[data-start-date-key]') ||
+              // Schedule view loads more date rows as it scrolls
+              (isDatePaintedView(detectCurrentView()) && target.closest('[role="main"]')))
           ) {
             shouldReapply = true;
             break;
@@ -829,6 +1160,20 @@
   // === LOCKED FEATURE REGISTRATION ===
   const feature = {
     id: FEATURE_ID,
+    // Day coloring settings live at the root of settings, alongside other features
+    settingsPaths: [
+      'enabled',
+      'weekdayColors',
+      'weekdayOpacity',
+      'weekdayFills',
+      'dateColors',
+      'dateRanges',
+      'dateRules',
+      'holidays',
+      'todayHighlight',
+      'weekBanding',
+      'weekStart',
+    ],
     init: async (settings) => {
       console.log('=== INITIALIZING LOCKED DAY COLORING FEATURE ===');
       console.log('Settings received:', settings);
@@ -870,6 +1215,9 @@
 
         // Apply colors immediately
         applyDayColoring(settings);
+        window.cc3DateLabels?.enableEditor(() => currentSettings);
+        startMidnightWatch();
+        startThemeWatch();
 
         // Set up DOM observer for dynamic updates
         setupDOMObserver(settings);
@@ -902,7 +1250,15 @@
         currentSettings &&
         currentSettings.enabled === settings?.enabled &&
         JSON.stringify(currentSettings.weekdayColors) === JSON.stringify(settings?.weekdayColors) &&
-        JSON.stringify(currentSettings.weekdayOpacity) === JSON.stringify(settings?.weekdayOpacity)
+        JSON.stringify(currentSettings.weekdayOpacity) === JSON.stringify(settings?.weekdayOpacity) &&
+        JSON.stringify(currentSettings.weekdayFills) === JSON.stringify(settings?.weekdayFills) &&
+        JSON.stringify(currentSettings.dateColors) === JSON.stringify(settings?.dateColors) &&
+        JSON.stringify(currentSettings.dateRanges) === JSON.stringify(settings?.dateRanges) &&
+        JSON.stringify(currentSettings.dateRules) === JSON.stringify(settings?.dateRules) &&
+        JSON.stringify(currentSettings.holidays) === JSON.stringify(settings?.holidays) &&
+        JSON.stringify(currentSettings.todayHighlight) === JSON.stringify(settings?.todayHighlight) &&
+        JSON.stringify(currentSettings.weekBanding) === JSON.stringify(settings?.weekBanding) &&
+        currentSettings.weekStart === settings?.weekStart
       ) {
         console.log('Settings unchanged, skipping update');
         return;
@@ -918,6 +1274,9 @@
 
         // Apply colors immediately
         applyDayColoring(settings);
+        window.cc3DateLabels?.enableEditor(() => currentSettings);
+        startMidnightWatch();
+        startThemeWatch();
 
         console.log('✅ Day coloring enabled and applied');
       } else {
@@ -932,17 +1291,22 @@
 
         // Clear all pending timeouts
         clearAllTimeouts();
+        stopMidnightWatch();
+        stopThemeWatch();
 
         // Remove colors immediately and force refresh
         removeStyles();
         removeDirectStyling();
+        removeHolidayTooltips();
+        window.cc3DateLabels?.removeHeaderLabels();
+        window.cc3DateLabels?.disableEditor();
 
         // Force browser to recalculate styles immediately
         document.body.offsetHeight; // Trigger reflow
 
         // Clean up month view if it was colored
-        if (window.cc3MonthColoring && window.cc3MonthColoring.clearMonthViewColors) {
-          window.cc3MonthColoring.clearMonthViewColors();
+        if (window.cc3MonthColoring && window.cc3MonthColoring.teardownMonthPainter) {
+          window.cc3MonthColoring.teardownMonthPainter();
         }
 
         console.log('✅ All styles and direct styling removed');
@@ -959,6 +1323,8 @@
         domObserver.disconnect();
         domObserver = null;
       }
+      stopMidnightWatch();
+      stopThemeWatch();
 
       // Clean up month painter if it was used
       if (window.cc3MonthColoring && window.cc3MonthColoring.teardownMonthPainter) {
@@ -968,6 +1334,9 @@
       // Remove styles
       removeStyles();
       removeDirectStyling();
+      removeHolidayTooltips();
+      window.cc3DateLabels?.removeHeaderLabels();
+      window.cc3DateLabels?.disableEditor();
     },
   };
 
@@ -12,12 +12,67 @@ let resizeBound = false;
 // idempotent clear - only clear div.MGaLHf.ChfiMc elements (NOT gridcells)
 function clearMonthColors() {
   document.querySelectorAll('div.MGaLHf.ChfiMc[data-gce-month-painted="1"]').forEach((el) => {
-    el.style.backgroundColor = '';
+    window.cc3FillPatterns.clearFillStyle(el);
     el.removeAttribute('data-gce-month-painted');
   });
   console.log('CC3 Month Coloring: Cleared div.MGaLHf.ChfiMc elements only');
 }
 
+// Tooltips are kept across repaints and only touched when they change, so the
+// painter's own attribute observer isn't retriggered by them
+function clearMonthTitles() {
+  document.querySelectorAll('[data-gce-month-title]').forEach((el) => {
+    el.removeAttribute('title');
+    el.removeAttribute('data-gce-month-title');
+  });
+}
+
+// Date labels and week numbers live in children of the day square; the square is made
+// a positioning context only while it carries one. Only changed badges are written so
+// the painter's own observer isn't retriggered.
+const MONTH_BADGES = ':scope > .cc3-month-date-label, :scope > .cc3-month-week-label';
+
+function clearMonthLabels() {
+  document.querySelectorAll('.cc3-month-date-label, .cc3-month-week-label').forEach((el) => el.remove());
+  document.querySelectorAll('[data-gce-month-label]').forEach((el) => {
+    el.style.position = '';
+    el.removeAttribute('data-gce-month-label');
+  });
+}
+
+function paintMonthBadge(cell, className, text, title = text) {
+  let badge = cell.querySelector(`:scope > .${className}`);
+  if (text) {
+    if (!badge) {
+      badge = document.createElement('div');
+      badge.className = className;
+      cell.appendChild(badge);
+    }
+    if (badge.textContent !== text) badge.textContent = text;
+    if (badge.title !== title) badge.title = title;
+  } else if (badge) {
+    badge.remove();
+  }
+
+  const hasBadges = !!cell.querySelector(MONTH_BADGES);
+  if (hasBadges && !cell.hasAttribute('data-gce-month-label')) {
+    if (getComputedStyle(cell).position === 'static') cell.style.position = 'relative';
+    cell.setAttribute('data-gce-month-label', '1');
+  } else if (!hasBadges && cell.hasAttribute('data-gce-month-label')) {
+    cell.style.position = '';
+    cell.removeAttribute('data-gce-month-label');
+  }
+}
+
+// Past/today emphasis and week bands are an inline box-shadow; the attribute keeps the
+// value we set so repaints skip unchanged cells
+function clearMonthOverlays() {
+  document.querySelectorAll('[data-gce-month-overlay]').forEach((el) => {
+    el.style.removeProperty('box-shadow');
+    el.removeAttribute('data-gce-month-overlay');
+  });
+}
+
 function isLikelyMonthViewRoot() {
   // The month grid is a [role="grid"] with many [role="gridcell"] entries.
   const grid = document.querySelector('div[role="grid"]');
@@ -45,31 +100,8 @@ function getDaySquare(cell) {
 
 // -------- NEW: Column headers → weekday map (most reliable) -----------------
 function textToWeekdayIndex(txt) {
-  if (!txt) return null;
-  const t = txt.trim().toLowerCase();
-  // Try English/short forms first; aria-labels are usually full day names in locale.
-  const map = {
-    sunday: 0,
-    sun: 0,
-    monday: 1,
-    mon: 1,
-    tuesday: 2,
-    tue: 2,
-    tues: 2,
-    wednesday: 3,
-    wed: 3,
-    thursday: 4,
-    thu: 4,
-    thurs: 4,
-    friday: 5,
-    fri: 5,
-    saturday: 6,
-    sat: 6,
-  };
-  if (t in map) return map[t];
-  // For other locales, rely on Date parsing trick: find next occurrence of that label in aria-label if possible.
-  // If we can't confidently map, return null and let fallback handle it.
-  return null;
+  // Day names in the page language, browser languages and English (lib/localeDates.js)
+  return txt ? window.cc3LocaleDates.weekdayFromText(txt) : null;
 }
 
 function headerColumnWeekdayMap() {
@@ -97,27 +129,35 @@ function headerColumnWeekdayMap() {
 }
 
 // --- NEW: Robust weekday extraction per gridcell -----------------------------
+// Month the view shows, from the URL (/month/2025/12/1); null when it isn't there
+function displayedMonthYear() {
+  const match = window.location.pathname.match(/\/month\/(\d{4})\/(\d{1,2})/);
+  return match ? { year: Number(match[1]), month: Number(match[2]) - 1 } : null;
+}
+
 function parseDateFromAriaLabel(aria) {
-  // Works for many locales (e.g., "Tuesday, September 2, 2025" or without year).
-  // Let Date try first:
-  const d1 = new Date(aria);
-  if (!Number.isNaN(d1.getTime())) return d1;
-  // Fallback: pick numeric pieces "dd", "mm" (month name not guaranteed parseable)
-  // Common GCal aria-label often includes an ISO-like "2025" — try regex:
-  const m = aria.match(/(\d{1,2})\D+(\d{1,2})\D+(\d{4})/); // dd .. mm .. yyyy
-  if (m) {
-    // Ambiguous order; try two orders safely:
-    const [_, a, b, y] = m;
-    const try1 = new Date(Number(y), Number(b) - 1, Number(a));
-    if (!Number.isNaN(try1.getTime())) return try1;
-    const try2 = new Date(Number(y), Number(a) - 1, Number(b));
-    if (!Number.isNaN(try2.getTime())) return try2;
+  // Works for any page language (e.g. "Tuesday, September 2, 2025", "Dienstag, 2. September 2025")
+  const { parseDateText } = window.cc3LocaleDates;
+  let dateKey = parseDateText(aria);
+  if (!dateKey) {
+    // No year in the label: take the displayed month's, or give up rather than guess
+    const shown = displayedMonthYear();
+    dateKey = shown ? parseDateText(aria, { year: shown.year }) : null;
+    if (dateKey) {
+      // Leading and trailing days of the neighbouring months can cross a year boundary
+      const offset = Number(dateKey.slice(5, 7)) - 1 - shown.month;
+      if (offset > 6) dateKey = parseDateText(aria, { year: shown.year - 1 });
+      else if (offset < -6) dateKey = parseDateText(aria, { year: shown.year + 1 });
+    }
   }
-  return null;
+  return dateKey ? new Date(`${dateKey}T12:00:00`) : null;
 }
 
 function getCellWeekday(cell) {
   // 0..6 Sun..Sat or null if unknown
+  // 0) data-datekey, independent of the page language
+  const dateKey = window.cc3LocaleDates.dateKeyFromElement(cell);
+  if (dateKey) return new Date(`${dateKey}T12:00:00`).getDay();
   // 1) aria-label on gridcell
   const aria = cell.getAttribute('aria-label');
   if (aria) {
@@ -142,6 +182,16 @@ function getCellWeekday(cell) {
   return null;
 }
 
+// --- Date of a day square as 'YYYY-MM-DD' (for date-specific colors) --------
+function getSquareDateKey(square) {
+  const dateKey = window.cc3LocaleDates.dateKeyFromElement(square);
+  if (dateKey) return dateKey;
+  const aria = square.closest('[role="gridcell"]')?.getAttribute('aria-label');
+  const date = aria ? parseDateFromAriaLabel(aria) : null;
+  if (!date || Number.isNaN(date.getTime())) return null;
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
 // --- NEW: Get the day number from a cell -----------------------------
 function getCellDayNumber(cell) {
   // Extract the day number (1-31) from the cell content
@@ -216,6 +266,21 @@ function clusterColumns(cells) {
   return cols;
 }
 
+// --- Column weekdays read from the dates the grid actually shows ------------
+// Locale- and setting-independent; null when any column has no readable date
+function detectColumnWeekdays(cols) {
+  const map = cols.map((col) => {
+    for (const cell of col.members) {
+      const dateKey = getSquareDateKey(cell);
+      if (dateKey) return new Date(`${dateKey}T12:00:00`).getDay();
+    }
+    return null;
+  });
+  if (map.some((weekday) => weekday === null) || new Set(map).size !== map.length) return null;
+  console.log('CC3 Month Coloring: Column weekdays detected from grid dates:', map);
+  return map;
+}
+
 // --- NEW: Assign column position based on user's week start setting --------
 function computeColumnPositionMap(cols, startWeekDay) {
   // Create a mapping from column index to weekday (0-6, Sun-Sat) based on user's week start setting
@@ -230,10 +295,11 @@ function computeColumnPositionMap(cols, startWeekDay) {
   );
 
   if (cols.length === 5) {
-    // When weekends are hidden, Google Calendar always shows Monday-Friday (weekdays 1-5)
-    // Map columns 0-4 to weekdays 1-5 (Monday-Friday)
+    // When weekends are hidden, Google Calendar shows Monday-Friday in week order
+    // (Mon-Fri for Sunday, Monday or Saturday starts; e.g. Wed-Fri, Mon, Tue for Wednesday)
+    const weekdays = Array.from({ length: 7 }, (_, i) => (i + startWeekDay) % 7).filter((d) => d !== 0 && d !== 6);
     for (let colIndex = 0; colIndex < 5; colIndex++) {
-      const weekday = colIndex + 1; // Monday=1, Tuesday=2, Wednesday=3, Thursday=4, Friday=5
+      const weekday = weekdays[colIndex];
       map[colIndex] = weekday;
       console.log(
         `CC3 Month Coloring: Column ${colIndex} -> Weekday ${weekday} (${['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][weekday]}) - weekends hidden`,
@@ -241,7 +307,7 @@ function computeColumnPositionMap(cols, startWeekDay) {
     }
   } else if (cols.length === 7) {
     // When weekends are shown, use the user's week start setting
-    // startWeekDay: 0=Sunday, 1=Monday, 6=Saturday
+    // startWeekDay: 0=Sunday ... 6=Saturday
     for (let colIndex = 0; colIndex < 7; colIndex++) {
       const weekday = (colIndex + startWeekDay) % 7;
       map[colIndex] = weekday;
@@ -255,20 +321,24 @@ function computeColumnPositionMap(cols, startWeekDay) {
   return map;
 }
 
-// Helper function to convert hex color to rgba with opacity
-function hexToRgba(hex, alpha) {
-  if (!hex || hex === '#ffffff') return `rgba(255, 255, 255, ${alpha})`;
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  if (!result) return `rgba(255, 255, 255, ${alpha})`;
-  const r = parseInt(result[1], 16);
-  const g = parseInt(result[2], 16);
-  const b = parseInt(result[3], 16);
-  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
-}
-
 function applyMonthViewColors(userColors, opts) {
-  const startWeekDay = opts?.assumeWeekStartsOn ?? 0; // 0=Sunday, 1=Monday, 6=Saturday
+  // Fallback only: column weekdays are read from the grid's dates whenever possible
+  const startWeekDay = opts?.assumeWeekStartsOn ?? 0; // 0=Sunday ... 6=Saturday
+  // Optional (weekday) => void, told which day the rendered weeks start on
+  const onWeekStartDetected = typeof opts?.onWeekStartDetected === 'function' ? opts.onWeekStartDetected : null;
   const userOpacity = opts?.opacity || {};
+  // Optional weekday -> { style, density, angle } pattern fills (lib/fillPatterns.js)
+  const userFills = opts?.fills || {};
+  // Optional (dateKey) => { color, opacity, fill? } | null for single dates and date ranges
+  const dateColorFor = typeof opts?.dateColorFor === 'function' ? opts.dateColorFor : null;
+  // Optional (dateKey) => string | null, e.g. holiday names shown on hover
+  const titleFor = typeof opts?.titleFor === 'function' ? opts.titleFor : null;
+  // Optional (dateKey) => string, a short per-date label drawn in the cell's corner
+  const labelFor = typeof opts?.labelFor === 'function' ? opts.labelFor : null;
+  // Optional (dateKey) => box-shadow | null: past-day dimming, today accent and week bands over the color
+  const overlayFor = typeof opts?.overlayFor === 'function' ? opts.overlayFor : null;
+  // Optional (dateKey) => { label, title } for the week a row shows, drawn on the row's first cell
+  const weekLabelFor = typeof opts?.weekLabelFor === 'function' ? opts.weekLabelFor : null;
 
   const paint = () => {
     clearMonthColors();
@@ -286,8 +356,13 @@ function applyMonthViewColors(userColors, opts) {
       `CC3 Month Coloring: Found ${cols.length} columns (weekends ${cols.length === 5 ? 'hidden' : 'shown'})`,
     );
 
-    // Compute column position map based on day numbers
-    const colToPosition = computeColumnPositionMap(cols, startWeekDay);
+    // Map columns from the dates they show, falling back to the week start setting
+    const detected = detectColumnWeekdays(cols);
+    const colToPosition = detected || computeColumnPositionMap(cols, startWeekDay);
+    if (detected && cols.length === 7 && onWeekStartDetected) {
+      // Right-to-left layouts put the first day of the week in the rightmost column
+      onWeekStartDetected(document.dir === 'rtl' ? detected[6] : detected[0]);
+    }
 
     cols.forEach((col, cIdx) => {
       const weekday = colToPosition[cIdx];
@@ -301,15 +376,55 @@ function applyMonthViewColors(userColors, opts) {
       );
       if (!color) return;
 
-      // Convert hex color to rgba with opacity
-      const rgba = hexToRgba(color, opacity / 100);
-
       for (const cell of col.members) {
-        // Apply color with opacity to the div.MGaLHf.ChfiMc background
-        cell.style.setProperty('background-color', rgba, 'important');
+        // Apply color with opacity (and the weekday's pattern, if any) to the div.MGaLHf.ChfiMc background
+        window.cc3FillPatterns.applyFillStyle(cell, color, opacity / 100, userFills[weekday]);
         cell.setAttribute('data-gce-month-painted', '1');
       }
     });
+
+    // Dated colors override the weekday column color
+    if (dateColorFor) {
+      for (const cell of cells) {
+        const override = dateColorFor(getSquareDateKey(cell));
+        if (!override) continue;
+        window.cc3FillPatterns.applyFillStyle(cell, override.color, override.opacity / 100, override.fill);
+        cell.setAttribute('data-gce-month-painted', '1');
+      }
+    }
+
+    for (const cell of cells) {
+      const title = titleFor ? titleFor(getSquareDateKey(cell)) : null;
+      if (title) {
+        if (cell.getAttribute('title') === title) continue;
+        cell.setAttribute('title', title);
+        cell.setAttribute('data-gce-month-title', '1');
+      } else if (cell.hasAttribute('data-gce-month-title')) {
+        cell.removeAttribute('title');
+        cell.removeAttribute('data-gce-month-title');
+      }
+    }
+
+    // The leftmost column holds one cell per row, so it carries the row's week number
+    const rowStarts = new Set(weekLabelFor ? cols[0].members : []);
+    for (const cell of cells) {
+      paintMonthBadge(cell, 'cc3-month-date-label', labelFor ? labelFor(getSquareDateKey(cell)) : '');
+      const dateKey = rowStarts.has(cell) ? getSquareDateKey(cell) : null;
+      const week = dateKey ? weekLabelFor(dateKey) : null;
+      paintMonthBadge(cell, 'cc3-month-week-label', week?.label || '', week?.title);
+    }
+
+    for (const cell of cells) {
+      const shadow = overlayFor ? overlayFor(getSquareDateKey(cell)) : null;
+      if (shadow) {
+        if (cell.getAttribute('data-gce-month-overlay') === shadow) continue;
+        cell.style.setProperty('box-shadow', shadow, 'important');
+        cell.setAttribute('data-gce-month-overlay', shadow);
+      } else if (cell.hasAttribute('data-gce-month-overlay')) {
+        cell.style.removeProperty('box-shadow');
+        cell.removeAttribute('data-gce-month-overlay');
+      }
+    }
   };
 
   // Paint now
@@ -348,6 +463,9 @@ function teardownMonthPainter() {
     monthMo = null;
   }
   clearMonthColors();
+  clearMonthTitles();
+  clearMonthLabels();
+  clearMonthOverlays();
 }
 
 // Export functions for use in the feature system
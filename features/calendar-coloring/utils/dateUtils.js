@@ -15,6 +15,10 @@ function _parseLocalYMD(ymd) {
 function getActualDateFromCalendarGrid(cellEl, dayNumber) {
   if (!cellEl || !dayNumber) return null;
 
+  // Google's data-datekey names the date outright; grid arithmetic is the fallback
+  const keyed = window.cc3LocaleDates.dateKeyFromElement(cellEl);
+  if (keyed && Number(keyed.slice(8)) === dayNumber) return keyed;
+
   console.log('getActualDateFromCalendarGrid: Analyzing cell with day', dayNumber);
 
   // Find the main calendar grid
@@ -181,78 +185,11 @@ function getCurrentMonthYear() {
           if (yearMatch) {
             const year = parseInt(yearMatch[1]);
 
-            // Enhanced month patterns (multilingual)
-            const monthNames = {
-              // English
-              january: 0,
-              jan: 0,
-              february: 1,
-              feb: 1,
-              march: 2,
-              mar: 2,
-              april: 3,
-              apr: 3,
-              may: 4,
-              june: 5,
-              jun: 5,
-              july: 6,
-              jul: 6,
-              august: 7,
-              aug: 7,
-              september: 8,
-              sep: 8,
-              october: 9,
-              oct: 9,
-              november: 10,
-              nov: 10,
-              december: 11,
-              dec: 11,
-              // Spanish
-              enero: 0,
-              febrero: 1,
-              marzo: 2,
-              abril: 3,
-              mayo: 4,
-              junio: 5,
-              julio: 6,
-              agosto: 7,
-              septiembre: 8,
-              octubre: 9,
-              noviembre: 10,
-              diciembre: 11,
-              // French
-              janvier: 0,
-              février: 1,
-              mars: 2,
-              avril: 3,
-              mai: 4,
-              juin: 5,
-              juillet: 6,
-              août: 7,
-              septembre: 8,
-              octobre: 9,
-              novembre: 10,
-              décembre: 11,
-              // German
-              januar: 0,
-              februar: 1,
-              märz: 2,
-              april: 3,
-              mai: 4,
-              juni: 5,
-              juli: 6,
-              august: 7,
-              september: 8,
-              oktober: 9,
-              november: 10,
-              dezember: 11,
-            };
-
-            for (const [monthName, monthIndex] of Object.entries(monthNames)) {
-              if (textSource.toLowerCase().includes(monthName)) {
-                console.log(`getCurrentMonthYear: Found via DOM - Year: ${year}, Month: ${monthIndex} (${monthName})`);
-                return { year, month: monthIndex };
-              }
+            // Month names in the page language, browser languages and English
+            const monthIndex = window.cc3LocaleDates.monthFromText(textSource);
+            if (monthIndex !== null) {
+              console.log(`getCurrentMonthYear: Found via DOM - Year: ${year}, Month: ${monthIndex}`);
+              return { year, month: monthIndex };
             }
 
             // Try numeric month format (like "6 2025" or "2025-06")
@@ -298,114 +235,14 @@ function tryParseDate(text) {
     return cleanText;
   }
 
-  // Enhanced day extraction - look for day numbers in context
-  // First try to extract from full date context (e.g., "Friday, October 3", "October 10")
-  let dayMatch = null;
-
-  // Pattern 1: "Day, Month DD" or "Month DD"
-  const contextDayMatch = cleanText.match(
-    /(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday|january|february|march|april|may|june|july|august|september|october|november|december)[,\s]+(?:january|february|march|april|may|june|july|august|september|october|november|december[,\s]+)?(\d{1,2})(?!\d)/i,
-  );
-  if (contextDayMatch) {
-    dayMatch = contextDayMatch;
-  } else {
-    // Pattern 2: Last number in the string (fallback)
-    const allNumbers = cleanText.match(/\b(\d{1,2})\b/g);
-    if (allNumbers && allNumbers.length > 0) {
-      // Take the last number as it's likely the day
-      const lastNumber = allNumbers[allNumbers.length - 1];
-      dayMatch = [lastNumber, lastNumber];
-    }
-  }
-
-  if (dayMatch) {
-    const day = parseInt(dayMatch[1]);
-    console.log(`tryParseDate: Found day number: ${day}`);
-    if (day >= 1 && day <= 31) {
-      const currentDate = getCurrentMonthYear();
-      console.log('tryParseDate: currentDate from getCurrentMonthYear:', currentDate);
-      if (currentDate) {
-        try {
-          // Parse the month from the text if available, otherwise use current month
-          let targetMonth = currentDate.month;
-          let targetYear = currentDate.year;
-
-          // Check if the text contains a different month name
-          const monthNames = {
-            january: 0,
-            february: 1,
-            march: 2,
-            april: 3,
-            may: 4,
-            june: 5,
-            july: 6,
-            august: 7,
-            september: 8,
-            october: 9,
-            november: 10,
-            december: 11,
-          };
-
-          for (const [monthName, monthIndex] of Object.entries(monthNames)) {
-            if (cleanText.toLowerCase().includes(monthName)) {
-              targetMonth = monthIndex;
-              break;
-            }
-          }
-
-          const constructedDate = new Date(targetYear, targetMonth, day);
-          if (!isNaN(constructedDate.getTime())) {
-            const y = constructedDate.getFullYear();
-            const m = String(constructedDate.getMonth() + 1).padStart(2, '0');
-            const d = String(constructedDate.getDate()).padStart(2, '0');
-            const result = `${y}-${m}-${d}`;
-            console.log(`tryParseDate: Constructed date: ${result}`);
-            return result;
-          }
-        } catch (e) {
-          console.log('tryParseDate: Error constructing date:', e);
-          // Ignore construction errors
-        }
-      }
-    }
-  }
-
-  // Try more specific date formats
-  const dateFormats = [
-    // YYYY-MM-DD variants
-    /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/,
-    // MM/DD/YYYY or M/D/YYYY
-    /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/,
-    // DD/MM/YYYY or D/M/YYYY (European)
-    /\b(\d{1,2})\.(\d{1,2})\.(\d{4})\b/,
-    // Month Day, Year (e.g., "June 1, 2025")
-    /(january|february|march|april|may|june|july|august|september|october|november|december)\s+(\d{1,2}),?\s+(\d{4})/i,
-    // Day Month Year (e.g., "1 June 2025")
-    /(\d{1,2})\s+(january|february|march|april|may|june|july|august|september|october|november|december)\s+(\d{4})/i,
-    // Short month formats
-    /(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)\s+(\d{1,2}),?\s+(\d{4})/i,
-    /(\d{1,2})\s+(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)\s+(\d{4})/i,
-  ];
-
-  for (const format of dateFormats) {
-    const match = cleanText.match(format);
-    if (match) {
-      try {
-        // Parse the matched date string
-        const dateStr = match[0];
-        const d = new Date(dateStr);
-        if (!isNaN(d.getTime()) && d.getFullYear() > 1900 && d.getFullYear() < 2100) {
-          const y = d.getFullYear();
-          const m = String(d.getMonth() + 1).padStart(2, '0');
-          const day = String(d.getDate()).padStart(2, '0');
-          const result = `${y}-${m}-${day}`;
-          console.log(`tryParseDate: Parsed formatted date "${dateStr}" to: ${result}`);
-          return result;
-        }
-      } catch (e) {
-        console.log(`tryParseDate: Error parsing format match "${match[0]}":`, e);
-      }
-    }
+  // Month and weekday names in the page language, with the displayed month/year filling
+  // in whatever the text leaves out (e.g. "Friday, October 3" or a bare "3")
+  const currentDate = getCurrentMonthYear();
+  console.log('tryParseDate: currentDate from getCurrentMonthYear:', currentDate);
+  const localized = window.cc3LocaleDates.parseDateText(cleanText, currentDate || {});
+  if (localized) {
+    console.log(`tryParseDate: Parsed localized date "${cleanText}" to: ${localized}`);
+    return localized;
   }
 
   // Try parsing as a general date string (fallback)
@@ -558,9 +558,10 @@
           const customColors = result.customDayColors || [];
 
           if (!customColors.includes(color)) {
-            // Add to storage
-            const updatedColors = [...customColors, color];
-            await chrome.storage.sync.set({ customDayColors: updatedColors });
+            // Add to storage (coordinated so a concurrent popup edit isn't lost)
+            await window.cc3Storage.updateSyncItem('customDayColors', (stored) =>
+              (stored || []).includes(color) ? stored : [...(stored || []), color],
+            );
 
             // Create and add the swatch
             const customSwatch = createCustomColorSwatch(color, customColorsGrid);
@@ -125,7 +125,7 @@ function getGridRoot() {
 
 async function findTaskElementOnCalendarGrid(taskId) {
   // OLD UI: Search by exact task ID
-  // NOTE: Recurring task instances have unique IDs and are matched by fingerprint, not by ID
+  // NOTE: Recurring task instances have unique IDs and are matched by series ID (or fingerprint), not by ID
   const oldUiElements = document.querySelectorAll(
     `[data-eventid="tasks.${taskId}"], ` +
     `[data-eventid="tasks_${taskId}"]`
@@ -218,8 +218,22 @@ let urlObserver = null;
 let popstateHandler = null;
 let repaintIntervalId = null;
 let storageChangeHandler = null;
+let settingsUnsubscribes = [];
 let modalSettingsUnsubscribe = null;
 
+// Settings that change how task chips are painted (lastSync/oauthGranted churn is ignored)
+const TASK_PAINT_SETTINGS_PATHS = [
+  'taskListColoring.enabled',
+  'taskListColoring.pendingTextColors',
+  'taskListColoring.textColors',
+  'taskListColoring.completedStyling',
+  'taskColoring.rules',
+  'taskColoring.rulesPriority',
+  'taskListColoring.urgency',
+  'taskColoring.tags',
+  'taskColoring.tagsPriority',
+];
+
 // PERFORMANCE: In-memory cache to avoid constant storage reads
 let taskToListMapCache = null;
 let listColorsCache = null;
@@ -227,6 +241,14 @@ let listTextColorsCache = null;
 let completedStylingCache = null;
 let manualColorsCache = null;
 let recurringTaskColorsCache = null; // Manual colors for ALL instances of recurring tasks
+let taskTitlesCache = null; // Tasks API titles by decoded task id (cf.taskTitles)
+let taskRulesCache = null; // Compiled keyword/regex rules (lib/taskRules.js)
+let taskRulesPriorityCache = 'aboveLists';
+let taskDueCache = null; // Due dates of pending tasks by decoded task id (cf.taskDue)
+let urgencyCache = null; // settings.taskListColoring.urgency
+let taskTagsCache = null; // Hashtags from task notes by decoded task id (cf.taskTags)
+let tagStylesCache = null; // settings.taskColoring.tags
+let tagsPriorityCache = 'aboveLists';
 let cacheLastUpdated = 0;
 const CACHE_LIFETIME = 30000; // 30 seconds
 let cachedColorMap = null;
@@ -234,9 +256,16 @@ let colorMapLastLoaded = 0;
 const COLOR_MAP_CACHE_TIME = 1000; // Cache for 1 second
 
 // CALENDAR EVENT MAPPING CACHE (NEW UI - ttb_ prefix)
-let calendarEventMappingCache = null; // In-memory cache: calendarEventId → taskApiId
+let calendarEventMappingCache = null; // In-memory cache: calendarEventId → { taskApiId, taskFragment, seriesId }
 let calendarMappingLastUpdated = 0;
 const CALENDAR_MAPPING_CACHE_LIFETIME = 30000; // 30 seconds
+const seriesBackfillRequested = new Set(); // calendarEventIds already asked for their seriesId
+
+// RECURRING SERIES INDEX (built from the calendar event mapping)
+// Lets tasks without a ttb_ chip (old UI, modal) find their series by task ID
+let seriesIndexSource = null; // Mapping object the index was built from
+let seriesIndex = null; // { byTask: taskId → seriesId, members: seriesId → [taskFragment] }
+const migratedFingerprints = new Set(); // "fingerprint→seriesId" pairs already copied this session
 
 // RECURRING TASK FINGERPRINT CACHE (title + time → listId)
 // Used to match recurring instances that aren't in the API mapping
@@ -372,6 +401,9 @@ async function resolveCalendarEventToTaskId(calendarEventId) {
     const cache = await refreshCalendarMappingCache();
     if (cache[calendarEventId]) {
       console.log('[TaskColoring] ✅ Found in cache:', cache[calendarEventId].taskFragment);
+      if (cache[calendarEventId].seriesId === undefined) {
+        backfillCalendarEventSeries(calendarEventId);
+      }
       return cache[calendarEventId].taskFragment; // Return decoded fragment (matches OLD UI format)
     }
 
@@ -405,8 +437,10 @@ async function resolveCalendarEventToTaskId(calendarEventId) {
               calendarEventMappingCache[calendarEventId] = {
                 taskApiId: response.taskFragment, // Store decoded fragment for consistency
                 taskFragment: response.taskFragment,
+                seriesId: response.seriesId,
                 lastVerified: new Date().toISOString(),
               };
+              seriesIndex = null;
             }
             resolve(response.taskFragment); // Return decoded fragment (matches OLD UI format)
           } else {
@@ -422,6 +456,123 @@ async function resolveCalendarEventToTaskId(calendarEventId) {
   }
 }
 
+/**
+ * Ask the background to fill in the recurring series of a mapping cached before series
+ * IDs existed. Runs at most once per event per page load; the chip keeps its current
+ * color until the answer arrives, then everything repaints.
+ * @param {string} calendarEventId - Calendar event ID
+ */
+function backfillCalendarEventSeries(calendarEventId) {
+  if (seriesBackfillRequested.has(calendarEventId)) return;
+  seriesBackfillRequested.add(calendarEventId);
+
+  chrome.runtime.sendMessage({ type: 'RESOLVE_CALENDAR_EVENT', calendarEventId }, (response) => {
+    if (chrome.runtime.lastError || !response?.success || response.seriesId === undefined) return;
+    const entry = calendarEventMappingCache?.[calendarEventId];
+    if (entry) {
+      entry.seriesId = response.seriesId;
+      seriesIndex = null;
+    }
+    if (response.seriesId) repaintSoon();
+  });
+}
+
+/**
+ * Index the calendar event mapping by task and by series
+ * @param {Object} mapping - From refreshCalendarMappingCache
+ * @returns {{byTask: Map<string, string>, members: Map<string, string[]>}}
+ */
+function getSeriesIndex(mapping) {
+  if (seriesIndex && seriesIndexSource === mapping) return seriesIndex;
+
+  const byTask = new Map();
+  const members = new Map();
+  for (const entry of Object.values(mapping || {})) {
+    if (!entry?.seriesId) continue;
+    [entry.taskFragment, entry.taskApiId].filter(Boolean).forEach((id) => byTask.set(id, entry.seriesId));
+    if (!members.has(entry.seriesId)) members.set(entry.seriesId, []);
+    if (entry.taskFragment) members.get(entry.seriesId).push(entry.taskFragment);
+  }
+
+  seriesIndexSource = mapping;
+  seriesIndex = { byTask, members };
+  return seriesIndex;
+}
+
+/**
+ * Recurring series of a task ("series:<recurringEventId>"), from its ttb_ chip when it
+ * has one, otherwise from any mapping entry for the same task
+ * @param {string} taskId - Task ID (decoded fragment or base64)
+ * @param {HTMLElement|null} element - Task chip or paint target
+ * @param {Object} mapping - From refreshCalendarMappingCache
+ * @returns {string|null} Series ID, or null for one-off or unresolved tasks
+ */
+function getSeriesIdForTask(taskId, element, mapping) {
+  if (!mapping) return null;
+
+  const ttbElement = element?.closest?.('[data-eventid^="ttb_"]') || element?.querySelector?.('[data-eventid^="ttb_"]');
+  const calendarEventId = ttbElement ? decodeCalendarEventIdFromTtb(ttbElement.getAttribute('data-eventid')) : null;
+  if (calendarEventId && mapping[calendarEventId]?.seriesId) {
+    return mapping[calendarEventId].seriesId;
+  }
+
+  const { byTask } = getSeriesIndex(mapping);
+  if (!taskId) return null;
+  if (byTask.has(taskId)) return byTask.get(taskId);
+  try {
+    const decoded = atob(taskId);
+    if (byTask.has(decoded)) return byTask.get(decoded);
+  } catch (e) {}
+  return null;
+}
+
+/**
+ * List of a recurring instance the Tasks API mapping doesn't know yet, taken from
+ * another instance of the same series
+ * @param {string|null} seriesId
+ * @param {Object} taskToListMap - cf.taskToListMap
+ * @param {Object} mapping - From refreshCalendarMappingCache
+ * @returns {string|null} List ID
+ */
+function getListIdFromSeries(seriesId, taskToListMap, mapping) {
+  if (!seriesId || !taskToListMap) return null;
+  const fragments = getSeriesIndex(mapping).members.get(seriesId) || [];
+  for (const fragment of fragments) {
+    const listId = lookupWithBase64Fallback(taskToListMap, fragment);
+    if (listId) return listId;
+  }
+  return null;
+}
+
+/**
+ * Copy a "title|time" recurring color onto a series ID, once per series. The fingerprint
+ * key stays, since another series with the same title and time may use it too.
+ * @param {string} fingerprint
+ * @param {string} seriesId
+ */
+function migrateRecurringFingerprint(fingerprint, seriesId) {
+  const pair = `${fingerprint}→${seriesId}`;
+  if (migratedFingerprints.has(pair) || !window.cc3Storage?.migrateRecurringTaskColor) return;
+  migratedFingerprints.add(pair);
+  window.cc3Storage.migrateRecurringTaskColor(fingerprint, seriesId).catch((error) => {
+    console.warn('[TaskColoring] Could not migrate recurring color', fingerprint, '→', seriesId, error);
+  });
+}
+
+/**
+ * Keys a recurring color can be stored under for this task
+ * @param {string} taskId - Task ID
+ * @param {HTMLElement|null} element - Task chip
+ * @returns {Promise<{seriesId: string|null, fingerprint: string|null}>}
+ */
+async function getRecurringKeysForTask(taskId, element) {
+  const mapping = await refreshCalendarMappingCache();
+  return {
+    seriesId: getSeriesIdForTask(taskId, element, mapping),
+    fingerprint: element ? extractTaskFingerprint(element).fingerprint : null,
+  };
+}
+
 /**
  * Invalidate calendar mapping cache (called on storage changes)
  */
@@ -445,15 +596,19 @@ function extractTaskFingerprint(element) {
 
   const textContent = textElement.textContent || '';
 
-  // Extract title (after "task: " and before first comma)
+  // Extract title (after the "task:" prefix and before first comma)
   // Format: "task: recur tasksss, Not completed, December 7, 2025, 2pm"
-  const titleMatch = textContent.match(/task:\s*([^,]+)/);
+  // Other UI languages translate the prefix ("Aufgabe: ...", "タスク: ..."), so fall back
+  // to whatever label precedes the first colon of the first segment
+  const titleMatch = textContent.match(/task:\s*([^,]+)/) || textContent.match(/^[^,:：]{1,24}[:：]\s*([^,，、]+)/);
   const title = titleMatch ? titleMatch[1].trim() : null;
 
   // Extract time (last segment, e.g., "2pm", "3pm", "10:30am")
-  // Matches: "2pm", "10am", "3:30pm", etc.
+  // English am/pm tokens are kept as-is so stored fingerprints keep matching; any other
+  // language ("14:00", "午後2時") is normalized to 24-hour HH:MM by lib/localeDates.js
   const timeMatch = textContent.match(/(\d+(?::\d+)?(?:am|pm))\s*$/i);
-  const time = timeMatch ? timeMatch[1].toLowerCase() : null;
+  const lastSegment = textContent.split(/[,，、]/).pop();
+  const time = timeMatch ? timeMatch[1].toLowerCase() : window.cc3LocaleDates.parseTimeText(lastSegment);
 
   // Create fingerprint (null if either title or time is missing)
   const fingerprint = (title && time) ? `${title}|${time}` : null;
@@ -609,6 +764,11 @@ function cleanupListeners() {
     storageChangeHandler = null;
   }
 
+  settingsUnsubscribes.forEach((unsubscribe) => unsubscribe());
+  settingsUnsubscribes = [];
+
+  disableTaskSelection();
+
   // Note: We no longer remove the message handler here because it's now global
   // and should remain active even when the feature is disabled (for dynamic initialization)
 
@@ -625,6 +785,20 @@ function cleanupListeners() {
 // All writes are serialized through this promise chain to ensure atomic read-modify-write
 let storageWriteLock = Promise.resolve();
 
+function withWriteLock(write) {
+  const operation = storageWriteLock.then(write);
+  // Update lock to point to this operation for next caller to wait on
+  storageWriteLock = operation.catch(() => {}); // Catch here so next operation isn't blocked by errors
+  return operation;
+}
+
+// Record a write as its own undo step, unless the caller (undo: false) is already inside one.
+// The lock is taken inside the step, so a write waiting for its step never blocks the step ahead.
+function journalTaskWrite(undo, label, write) {
+  const locked = () => withWriteLock(write);
+  return undo ? window.cc3Storage.withUndo(label, [KEY], locked) : locked();
+}
+
 async function loadMap() {
   const now = Date.now();
   if (cachedColorMap && now - colorMapLastLoaded < COLOR_MAP_CACHE_TIME) {
@@ -647,56 +821,64 @@ async function loadMap() {
   );
 }
 
-async function saveMap(map) {
-  return new Promise((res) => chrome.storage.sync.set({ [KEY]: map }, () => {
-    if (chrome.runtime.lastError) {
-      // Storage write failed - resolve anyway to not break flow
-    }
-    res();
-  }));
+// Apply a change to the stored map (not the cache) so edits made in other
+// tabs or the popup since the cache was filled are kept
+async function updateMap(mutate) {
+  const map = await window.cc3Storage.updateSyncItem(KEY, (stored) => {
+    const next = { ...(stored || {}) };
+    mutate(next);
+    return next;
+  });
+  cachedColorMap = map; // Update cache immediately
+  colorMapLastLoaded = Date.now(); // Refresh cache timestamp
+  return map;
 }
 
-async function setTaskColor(taskId, color) {
-  // Queue this operation behind any pending operations to prevent race conditions
-  // This ensures atomic read-modify-write even with concurrent calls
-  const operation = storageWriteLock.then(async () => {
-    const map = await loadMap();
-    map[taskId] = color;
-    cachedColorMap = map; // Update cache immediately
-    colorMapLastLoaded = Date.now(); // Refresh cache timestamp
-    await saveMap(map);
-    return map;
+async function setTaskColor(taskId, color, { undo = true } = {}) {
+  // Queued behind any pending writes, so the read-modify-write stays atomic with concurrent calls
+  return journalTaskWrite(undo, 'Task color', () => {
+    window.cc3Validation.assertValid(window.cc3Validation.checkColor(color));
+    return updateMap((map) => {
+      map[taskId] = color;
+    });
   }).catch(err => {
     console.error('Error in setTaskColor:', err);
     // Return cached map on error to maintain functionality
     return cachedColorMap || {};
   });
-
-  // Update lock to point to this operation for next caller to wait on
-  storageWriteLock = operation.catch(() => {}); // Catch here so next operation isn't blocked by errors
-
-  return operation;
 }
 
-async function clearTaskColor(taskId) {
-  // Queue this operation behind any pending operations to prevent race conditions
-  const operation = storageWriteLock.then(async () => {
-    const map = await loadMap();
-    delete map[taskId];
-    cachedColorMap = map; // Update cache immediately
-    colorMapLastLoaded = Date.now(); // Refresh cache timestamp
-    await saveMap(map);
-    return map;
-  }).catch(err => {
+async function clearTaskColor(taskId, { undo = true } = {}) {
+  return journalTaskWrite(undo, 'Clear task color', () =>
+    updateMap((map) => {
+      delete map[taskId];
+    }),
+  ).catch(err => {
     console.error('Error in clearTaskColor:', err);
     // Return cached map on error to maintain functionality
     return cachedColorMap || {};
   });
+}
 
-  // Update lock to point to this operation for next caller to wait on
-  storageWriteLock = operation.catch(() => {}); // Catch here so next operation isn't blocked by errors
+// Bulk versions for the multi-select action bar: one storage write for the whole selection.
+// Failures reject so the bar can report them.
+async function setTaskColors(taskIds, color, { undo = true } = {}) {
+  return journalTaskWrite(undo, 'Task colors', () => {
+    window.cc3Validation.assertValid(window.cc3Validation.checkColor(color));
+    return updateMap((map) => {
+      taskIds.forEach((taskId) => {
+        map[taskId] = color;
+      });
+    });
+  });
+}
 
-  return operation;
+async function clearTaskColors(taskIds, { undo = true } = {}) {
+  return journalTaskWrite(undo, 'Clear task colors', () =>
+    updateMap((map) => {
+      taskIds.forEach((taskId) => delete map[taskId]);
+    }),
+  );
 }
 
 async function buildInlineTaskColorRow(initial) {
@@ -872,7 +1054,7 @@ async function paintTaskImmediately(taskId, colorOverride = null, textColorOverr
   const manualOverrideMap = colorOverride ? { [taskId]: colorOverride } : null;
 
   // OLD UI: Search by exact task ID
-  // NOTE: Recurring task instances have unique IDs and are matched by fingerprint, not by ID
+  // NOTE: Recurring task instances have unique IDs and are matched by series ID (or fingerprint), not by ID
   const oldUiSelector =
     `[data-eventid="tasks.${taskId}"], ` +
     `[data-eventid="tasks_${taskId}"], ` +
@@ -917,7 +1099,16 @@ async function paintTaskImmediately(taskId, colorOverride = null, textColorOverr
     });
 
     if (colorInfo) {
-      applyPaint(target, colorInfo.backgroundColor, colorInfo.textColor, colorInfo.bgOpacity, colorInfo.textOpacity, isCompleted);
+      applyPaint(
+        target,
+        colorInfo.backgroundColor,
+        colorInfo.textColor,
+        colorInfo.bgOpacity,
+        colorInfo.textOpacity,
+        isCompleted,
+        colorInfo.outlineColor,
+        colorInfo.icon,
+      );
 
       if (!taskElementReferences.has(taskId)) {
         taskElementReferences.set(taskId, taskElement);
@@ -967,31 +1158,35 @@ async function injectTaskColorControls(dialogEl, taskId, onChanged) {
     e.preventDefault();
 
     const selectedColor = colorPicker ? colorPicker.getColor() : colorInput.value;
+    const colorErrors = window.cc3Validation.checkColor(selectedColor);
+    if (colorErrors.length > 0) {
+      console.warn('[TaskColoring] Not applying invalid color:', colorErrors[0].message);
+      return;
+    }
 
-    // Check if "Apply to all instances" is checked
-    if (checkbox.checked) {
-      // Find task element to extract fingerprint
-      const taskElement = document.querySelector(`[data-eventid="tasks.${taskId}"], [data-eventid="tasks_${taskId}"], [data-taskid="${taskId}"]`);
-      if (!taskElement) {
-        console.warn('[TaskColoring] Could not find task element to extract fingerprint, falling back to single instance coloring');
-        await setTaskColor(taskId, selectedColor);
-      } else {
-        const fingerprint = extractTaskFingerprint(taskElement);
+    // One undo step for the whole apply (single + recurring writes)
+    await window.cc3Storage.withUndo('Task color', [KEY, 'cf.recurringTaskColors'], async () => {
+      // Check if "Apply to all instances" is checked
+      if (checkbox.checked) {
+        // Find task element to resolve its series (or extract its fingerprint)
+        const taskElement = await findTaskElementOnCalendarGrid(taskId);
+        const { seriesId, fingerprint } = await getRecurringKeysForTask(taskId, taskElement);
 
-        if (fingerprint.fingerprint) {
+        if (seriesId || fingerprint) {
           // CRITICAL: Clear single-instance color FIRST to prevent storage listener from using stale color
           // Storage listener fires when setRecurringTaskColor writes, and checks Priority 1 before Priority 2
-          await clearTaskColor(taskId);
-          await window.cc3Storage.setRecurringTaskColor(fingerprint.fingerprint, selectedColor);
+          await clearTaskColor(taskId, { undo: false });
+          // A series color wins over a legacy fingerprint key, which other series may still share
+          await window.cc3Storage.setRecurringTaskColor.unjournaled(seriesId || fingerprint, selectedColor);
         } else {
-          console.warn('[TaskColoring] Could not extract fingerprint, falling back to single instance coloring');
-          await setTaskColor(taskId, selectedColor);
+          console.warn('[TaskColoring] Could not identify recurring series, falling back to single instance coloring');
+          await setTaskColor(taskId, selectedColor, { undo: false });
         }
+      } else {
+        // Normal single-instance coloring
+        await setTaskColor(taskId, selectedColor, { undo: false });
       }
-    } else {
-      // Normal single-instance coloring
-      await setTaskColor(taskId, selectedColor);
-    }
+    });
 
     onChanged?.(taskId, selectedColor);
 
@@ -1009,21 +1204,20 @@ async function injectTaskColorControls(dialogEl, taskId, onChanged) {
     e.stopPropagation();
     e.preventDefault();
 
-    // Check if "Apply to all instances" is checked
-    if (checkbox.checked) {
-      // Find task element to extract fingerprint
-      const taskElement = document.querySelector(`[data-eventid="tasks.${taskId}"], [data-eventid="tasks_${taskId}"], [data-taskid="${taskId}"]`);
-      if (taskElement) {
-        const fingerprint = extractTaskFingerprint(taskElement);
-        if (fingerprint.fingerprint) {
-          console.log('[TaskColoring] Clearing color for ALL instances with fingerprint:', fingerprint.fingerprint);
-          await window.cc3Storage.clearRecurringTaskColor(fingerprint.fingerprint);
+    await window.cc3Storage.withUndo('Clear task color', [KEY, 'cf.recurringTaskColors'], async () => {
+      // Check if "Apply to all instances" is checked
+      if (checkbox.checked) {
+        const taskElement = await findTaskElementOnCalendarGrid(taskId);
+        const { seriesId, fingerprint } = await getRecurringKeysForTask(taskId, taskElement);
+        if (seriesId || fingerprint) {
+          console.log('[TaskColoring] Clearing color for ALL instances of:', seriesId || fingerprint);
+          await window.cc3Storage.clearRecurringTaskColor.unjournaled(seriesId, fingerprint);
         }
       }
-    }
 
-    // Always clear single-instance color as well
-    await clearTaskColor(taskId);
+      // Always clear single-instance color as well
+      await clearTaskColor(taskId, { undo: false });
+    });
     onChanged?.(taskId, null);
 
     // Reset color picker or input to default
@@ -1161,6 +1355,361 @@ async function injectTaskColorControls(dialogEl, taskId, onChanged) {
   }
 }
 
+// ========================================
+// MULTI-SELECT (bulk coloring on the grid)
+// ========================================
+// ⌘/Ctrl-click toggles a task chip; ⌘/Ctrl-drag on the grid lassoes every chip it touches.
+// A floating bar then colors or clears the whole selection without opening task dialogs.
+// Selected chips are remembered as elements, so Calendar re-rendering the week drops them.
+const SELECTED_CLASS = 'cf-task-selected';
+const LASSO_MIN_SIZE = 4; // px of drag before a lasso appears
+let selectedTaskChips = new Set();
+let selectionBarPending = null; // Promise<{bar, count, colorPicker}> while the bar is shown
+let selectionMouseDownHandler = null;
+let selectionClickHandler = null;
+let selectionKeyHandler = null;
+let lassoCleanup = null;
+let lassoClickPending = false; // Swallow the click that ends a lasso drag
+
+// Outermost task chip around an element (chips nest a second data-eventid element)
+function findTaskChip(el) {
+  let chip = null;
+  let current = el;
+  while (current && current !== document.body) {
+    if (isTasksChip(current)) chip = current;
+    current = current.parentElement;
+  }
+  return chip && !chip.closest('[role="dialog"]') ? chip : null;
+}
+
+function isSelectionGesture(e) {
+  return (
+    e.button === 0 &&
+    (e.metaKey || e.ctrlKey) &&
+    !e.target.closest?.('[role="dialog"], .cf-task-selection-bar, .cf-color-picker-panel')
+  );
+}
+
+function findTaskChipsInRect(rect) {
+  return [...document.querySelectorAll('[data-eventid]')].filter((el) => {
+    if (findTaskChip(el) !== el) return false;
+    const box = el.getBoundingClientRect();
+    return box.right >= rect.left && box.left <= rect.right && box.bottom >= rect.top && box.top <= rect.bottom;
+  });
+}
+
+function pruneTaskSelection() {
+  for (const chip of selectedTaskChips) {
+    if (!chip.isConnected) selectedTaskChips.delete(chip);
+  }
+}
+
+function toggleTaskSelection(chip) {
+  if (selectedTaskChips.has(chip)) {
+    selectedTaskChips.delete(chip);
+    chip.classList.remove(SELECTED_CLASS);
+  } else {
+    selectedTaskChips.add(chip);
+    chip.classList.add(SELECTED_CLASS);
+  }
+  updateSelectionBar();
+}
+
+function selectTaskChips(chips) {
+  chips.forEach((chip) => {
+    selectedTaskChips.add(chip);
+    chip.classList.add(SELECTED_CLASS);
+  });
+  updateSelectionBar();
+}
+
+function clearTaskSelection() {
+  selectedTaskChips.forEach((chip) => chip.classList.remove(SELECTED_CLASS));
+  selectedTaskChips.clear();
+  updateSelectionBar();
+}
+
+/**
+ * Task IDs of the selected chips. ttb_ chips are resolved in parallel; chips that
+ * can't be resolved are skipped, and two chips of the same task count once.
+ * @returns {Promise<Array<{chip: HTMLElement, taskId: string}>>}
+ */
+async function resolveSelectedTasks() {
+  pruneTaskSelection();
+  const chips = [...selectedTaskChips];
+  const taskIds = await Promise.all(chips.map((chip) => getResolvedTaskId(chip).catch(() => null)));
+
+  const seen = new Set();
+  return chips
+    .map((chip, i) => ({ chip, taskId: taskIds[i] }))
+    .filter(({ taskId }) => taskId && !seen.has(taskId) && seen.add(taskId));
+}
+
+/**
+ * Color every selected task, or with allInstances every series they belong to
+ * (tasks that aren't recurring get an instance color instead)
+ * @param {string} color
+ * @param {boolean} allInstances
+ */
+async function applyColorToSelection(color, allInstances) {
+  const tasks = await resolveSelectedTasks();
+  if (tasks.length === 0) return;
+
+  await window.cc3Storage.withUndo('Task colors', [KEY, 'cf.recurringTaskColors'], async () => {
+    const singleIds = [];
+    const seriesKeys = new Set(); // series IDs, or legacy fingerprints for chips without one
+    const recurringIds = [];
+
+    const [keys, recurringColors] = allInstances
+      ? await Promise.all([
+          Promise.all(tasks.map(({ chip, taskId }) => getRecurringKeysForTask(taskId, chip))),
+          window.cc3Storage.getRecurringTaskColors(),
+        ])
+      : [[], {}];
+    tasks.forEach(({ taskId }, i) => {
+      const { seriesId, fingerprint } = keys[i] || {};
+      // A title|time fingerprint also matches one-off tasks, so it is only used for a
+      // series that already has a legacy fingerprint color
+      const seriesKey = seriesId || (fingerprint && recurringColors[fingerprint] !== undefined ? fingerprint : null);
+      if (seriesKey) {
+        recurringIds.push(taskId);
+        seriesKeys.add(seriesKey);
+      } else {
+        singleIds.push(taskId);
+      }
+    });
+
+    // Same order as the dialog: instance colors go first so they don't win over the series color
+    if (recurringIds.length > 0) await clearTaskColors(recurringIds, { undo: false });
+    // A series color wins over a legacy fingerprint key, which other series may still share
+    for (const seriesKey of seriesKeys) {
+      await window.cc3Storage.setRecurringTaskColor.unjournaled(seriesKey, color);
+    }
+    if (singleIds.length > 0) await setTaskColors(singleIds, color, { undo: false });
+  });
+
+  invalidateColorCache();
+  repaintSoon();
+}
+
+/**
+ * Clear the instance colors of every selected task, and with allInstances their series colors
+ * @param {boolean} allInstances
+ */
+async function clearSelectionColors(allInstances) {
+  const tasks = await resolveSelectedTasks();
+  if (tasks.length === 0) return;
+
+  await window.cc3Storage.withUndo('Clear task colors', [KEY, 'cf.recurringTaskColors'], async () => {
+    if (allInstances) {
+      const keys = await Promise.all(tasks.map(({ chip, taskId }) => getRecurringKeysForTask(taskId, chip)));
+      const seriesKeys = keys.flatMap(({ seriesId, fingerprint }) => [seriesId, fingerprint]);
+      await window.cc3Storage.clearRecurringTaskColor.unjournaled(...new Set(seriesKeys));
+    }
+    await clearTaskColors(tasks.map(({ taskId }) => taskId), { undo: false });
+  });
+
+  invalidateColorCache();
+  repaintSoon();
+}
+
+async function buildSelectionBar() {
+  const { colorPicker, colorInput, applyBtn, clearBtn, presetContainer } = await buildInlineTaskColorRow('#4285f4');
+
+  const bar = document.createElement('div');
+  bar.className = 'cf-task-selection-bar';
+
+  const count = document.createElement('span');
+  count.className = 'cf-task-selection-count';
+
+  const allInstancesLabel = document.createElement('label');
+  allInstancesLabel.className = 'cf-task-selection-option';
+  const allInstances = document.createElement('input');
+  allInstances.type = 'checkbox';
+  allInstancesLabel.append(allInstances, document.createTextNode('All recurring instances'));
+
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'cf-task-selection-close';
+  closeBtn.textContent = '×';
+  closeBtn.title = 'Clear selection (Esc)';
+
+  const errorLine = document.createElement('span');
+  errorLine.className = 'cf-task-selection-error';
+
+  bar.appendChild(count);
+  bar.appendChild(colorPicker ? colorPicker.container : colorInput);
+  if (presetContainer) bar.appendChild(presetContainer);
+  bar.append(applyBtn, clearBtn, allInstancesLabel, errorLine, closeBtn);
+
+  // Writes can fail (sync quota, repeated conflicts); say so in the bar and keep the
+  // selection so the user can retry
+  const runBulk = async (action) => {
+    errorLine.textContent = '';
+    try {
+      await action();
+    } catch (error) {
+      console.error('[TaskColoring] Bulk color change failed:', error);
+      const message = error?.message || String(error);
+      errorLine.textContent = /QUOTA_BYTES|MAX_ITEMS/.test(message)
+        ? 'Sync storage is full. Clear some task colors and try again.'
+        : `Couldn't save: ${message}`;
+    }
+  };
+
+  applyBtn.addEventListener('click', () => {
+    const selectedColor = colorPicker ? colorPicker.getColor() : colorInput.value;
+    const colorErrors = window.cc3Validation.checkColor(selectedColor);
+    if (colorErrors.length > 0) {
+      errorLine.textContent = colorErrors[0].message;
+      return;
+    }
+    runBulk(() => applyColorToSelection(selectedColor, allInstances.checked));
+  });
+  clearBtn.addEventListener('click', () => runBulk(() => clearSelectionColors(allInstances.checked)));
+  closeBtn.addEventListener('click', clearTaskSelection);
+
+  return { bar, count, colorPicker };
+}
+
+// Show, update or remove the action bar to match the selection
+async function updateSelectionBar() {
+  pruneTaskSelection();
+  if (selectedTaskChips.size === 0) {
+    removeSelectionBar();
+    return;
+  }
+
+  if (!selectionBarPending) {
+    selectionBarPending = buildSelectionBar().then((built) => {
+      document.body.appendChild(built.bar);
+      return built;
+    });
+  }
+  const pending = selectionBarPending;
+  const { count } = await pending;
+  if (pending !== selectionBarPending) return; // Removed while it was being built
+
+  const size = selectedTaskChips.size;
+  count.textContent = `${size} task${size === 1 ? '' : 's'} selected`;
+}
+
+function removeSelectionBar() {
+  if (!selectionBarPending) return;
+  const pending = selectionBarPending;
+  selectionBarPending = null;
+  pending.then(({ bar, colorPicker }) => {
+    colorPicker?.destroy();
+    bar.remove();
+  });
+}
+
+function startLasso(e) {
+  const start = { x: e.clientX, y: e.clientY };
+  let box = null;
+
+  const rectTo = (ev) => ({
+    left: Math.min(start.x, ev.clientX),
+    top: Math.min(start.y, ev.clientY),
+    right: Math.max(start.x, ev.clientX),
+    bottom: Math.max(start.y, ev.clientY),
+  });
+
+  // Until the drag passes LASSO_MIN_SIZE the events belong to Calendar; after that the
+  // lasso owns them, so Calendar doesn't also drag out a new event or select text
+  const onMove = (ev) => {
+    const rect = rectTo(ev);
+    if (!box) {
+      if (rect.right - rect.left < LASSO_MIN_SIZE && rect.bottom - rect.top < LASSO_MIN_SIZE) return;
+      box = document.createElement('div');
+      box.className = 'cf-task-lasso';
+      document.body.appendChild(box);
+      window.getSelection()?.removeAllRanges();
+    }
+    ev.preventDefault();
+    ev.stopPropagation();
+    box.style.left = `${rect.left}px`;
+    box.style.top = `${rect.top}px`;
+    box.style.width = `${rect.right - rect.left}px`;
+    box.style.height = `${rect.bottom - rect.top}px`;
+  };
+
+  const onUp = (ev) => {
+    const dragged = !!box;
+    lassoCleanup();
+    if (!dragged) return;
+    ev.preventDefault();
+    ev.stopPropagation();
+    lassoClickPending = true;
+    setTimeout(() => {
+      lassoClickPending = false;
+    });
+    selectTaskChips(findTaskChipsInRect(rectTo(ev)));
+  };
+
+  lassoCleanup = () => {
+    window.removeEventListener('mousemove', onMove, true);
+    window.removeEventListener('mouseup', onUp, true);
+    box?.remove();
+    lassoCleanup = null;
+  };
+  window.addEventListener('mousemove', onMove, true);
+  window.addEventListener('mouseup', onUp, true);
+}
+
+function enableTaskSelection() {
+  if (selectionMouseDownHandler) return;
+
+  // Window capture runs before Calendar's own handlers, so a ⌘/Ctrl-click on a chip never
+  // opens the task. Elsewhere the press goes through untouched unless it becomes a lasso.
+  selectionMouseDownHandler = (e) => {
+    if (!isSelectionGesture(e)) return;
+    const chip = findTaskChip(e.target);
+    if (chip) {
+      e.preventDefault();
+      e.stopPropagation();
+    } else if (e.target.closest?.('[role="main"]')) {
+      lassoCleanup?.();
+      startLasso(e);
+    }
+  };
+
+  selectionClickHandler = (e) => {
+    if (lassoClickPending) {
+      // The click that ends a lasso drag mustn't reach Calendar either
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      return;
+    }
+    if (!isSelectionGesture(e)) return;
+    const chip = findTaskChip(e.target);
+    if (!chip) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    toggleTaskSelection(chip);
+  };
+
+  selectionKeyHandler = (e) => {
+    if (e.key === 'Escape' && selectedTaskChips.size > 0) clearTaskSelection();
+  };
+
+  window.addEventListener('mousedown', selectionMouseDownHandler, true);
+  window.addEventListener('click', selectionClickHandler, true);
+  document.addEventListener('keydown', selectionKeyHandler);
+}
+
+function disableTaskSelection() {
+  if (selectionMouseDownHandler) {
+    window.removeEventListener('mousedown', selectionMouseDownHandler, true);
+    window.removeEventListener('click', selectionClickHandler, true);
+    document.removeEventListener('keydown', selectionKeyHandler);
+    selectionMouseDownHandler = null;
+    selectionClickHandler = null;
+    selectionKeyHandler = null;
+  }
+  lassoCleanup?.();
+  clearTaskSelection();
+}
+
 const MARK = 'cf-task-colored';
 let repaintQueued = false;
 let lastClickedTaskId = null;
@@ -1255,7 +1804,9 @@ function parseCssColorToRGB(hex) {
 }
 
 function pickContrastingText(hex) {
-  const { r, g, b } = parseCssColorToRGB(hex);
+  // Judge the color as it will be painted, which on a dark page is the adapted one
+  const painted = isTransparentColor(hex) ? hex : themeTaskBackground(hex, 1).color;
+  const { r, g, b } = parseCssColorToRGB(painted);
   const lum = (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
   return lum > 0.6 ? '#111' : '#fff';
 }
@@ -1277,28 +1828,51 @@ function colorToRgba(color, opacity = 1) {
 }
 
 /**
- * Blend a color with white based on opacity to create a solid opaque color.
- * This mimics how the color would look at reduced opacity over white, but
- * produces an opaque result that prevents colors underneath from bleeding through.
+ * Blend a color with the page background based on opacity to create a solid opaque color.
+ * This mimics how the color would look at reduced opacity over the page (white, or
+ * Calendar's dark gray in the dark theme), but produces an opaque result that prevents
+ * colors underneath from bleeding through.
  *
- * Formula: blended = color * opacity + white * (1 - opacity)
+ * Formula: blended = color * opacity + page * (1 - opacity)
  *
  * @param {string} color - The color to blend
- * @param {number} opacity - The opacity (0-1), where 1 = full color, 0 = white
+ * @param {number} opacity - The opacity (0-1), where 1 = full color, 0 = page background
  * @returns {string} The blended color as rgb() string
  */
-function blendColorWithWhite(color, opacity = 1) {
+function blendColorWithPage(color, opacity = 1) {
   const { r, g, b } = parseCssColorToRGB(color);
+  const page = parseCssColorToRGB(window.cc3ThemeColors?.pageBackground() || '#ffffff');
   const safeOpacity = normalizeOpacityValue(opacity, 1);
 
-  // Blend with white (255, 255, 255)
-  const blendedR = Math.round(r * safeOpacity + 255 * (1 - safeOpacity));
-  const blendedG = Math.round(g * safeOpacity + 255 * (1 - safeOpacity));
-  const blendedB = Math.round(b * safeOpacity + 255 * (1 - safeOpacity));
+  const blendedR = Math.round(r * safeOpacity + page.r * (1 - safeOpacity));
+  const blendedG = Math.round(g * safeOpacity + page.g * (1 - safeOpacity));
+  const blendedB = Math.round(b * safeOpacity + page.b * (1 - safeOpacity));
 
   return `rgb(${blendedR}, ${blendedG}, ${blendedB})`;
 }
 
+/**
+ * User task color as painted in the active Calendar theme: on a dark page the color's
+ * lightness is adapted and the dark profile's task opacity applies. Transparent
+ * colors stand for Google's own (already themed) colors and pass through.
+ *
+ * @param {string} color
+ * @param {number} bgOpacity - 0-1
+ * @returns {{color: string, bgOpacity: number}}
+ */
+function themeTaskBackground(color, bgOpacity) {
+  if (!window.cc3ThemeColors || isTransparentColor(color)) return { color, bgOpacity };
+  const themed = window.cc3ThemeColors.themeColor(color, 'tasks', bgOpacity);
+  return { color: themed.color, bgOpacity: themed.opacity };
+}
+
+// Google's own task text colors for the active theme, used when there's none to restore
+function defaultTaskTextColor(muted = false) {
+  const dark = window.cc3ThemeColors?.getActiveTheme() === 'dark';
+  if (muted) return dark ? '#9aa0a6' : '#5f6368';
+  return dark ? '#e8eaed' : '#202124';
+}
+
 /**
  * Reverse Google's pre-fading of completed task colors.
  * Google fades completed tasks by blending with white at ~70% (30% original color).
@@ -1373,9 +1947,13 @@ function clearPaint(node) {
   node.style.removeProperty('mix-blend-mode');
   node.style.removeProperty('filter');
   node.style.removeProperty('opacity');
+  node.style.removeProperty('outline');
+  node.style.removeProperty('outline-offset');
   delete node.dataset.cfTaskTextColor;
   delete node.dataset.cfTaskBgColor;
   delete node.dataset.cfTaskTextActual;
+  delete node.dataset.cfTaskOutline;
+  delete node.dataset.cfTaskIcon;
   // Keep cfGoogleBg and cfGoogleBorder for future use
 
   node.querySelectorAll?.('span, div, p, h1, h2, h3, h4, h5, h6').forEach((textEl) => {
@@ -1456,11 +2034,40 @@ async function unpaintTasksFromList(listId) {
   return unpaintedCount;
 }
 
-function applyPaint(node, color, textColorOverride = null, bgOpacity = 1, textOpacity = 1, isCompleted = false) {
+function applyPaint(
+  node,
+  color,
+  textColorOverride = null,
+  bgOpacity = 1,
+  textOpacity = 1,
+  isCompleted = false,
+  outlineColor = null,
+  icon = null,
+) {
   if (!node || !color) return;
 
   node.classList.add(MARK);
+
+  // Due-date urgency outline, drawn inside the chip so it doesn't overlap neighbours
+  if (outlineColor) {
+    node.dataset.cfTaskOutline = outlineColor;
+    node.style.setProperty('outline', `2px solid ${outlineColor}`, 'important');
+    node.style.setProperty('outline-offset', '-2px', 'important');
+  } else {
+    delete node.dataset.cfTaskOutline;
+    node.style.removeProperty('outline');
+    node.style.removeProperty('outline-offset');
+  }
+
+  // Hashtag icon, drawn by styles.css before the chip's text
+  if (icon) {
+    node.dataset.cfTaskIcon = icon;
+  } else {
+    delete node.dataset.cfTaskIcon;
+  }
+
   let text = textColorOverride || pickContrastingText(color);
+  ({ color, bgOpacity } = themeTaskBackground(color, bgOpacity));
 
   // CRITICAL FIX: If text is transparent (signals "use Google's text color")
   if (isTransparentColor(text)) {
@@ -1469,7 +2076,7 @@ function applyPaint(node, color, textColorOverride = null, bgOpacity = 1, textOp
       text = node.dataset.cfGoogleText;
     } else {
       // Fallback: Saved Google text not available yet, use gray as default
-      text = '#5f6368';
+      text = defaultTaskTextColor(true);
     }
   }
 
@@ -1500,14 +2107,14 @@ function applyPaint(node, color, textColorOverride = null, bgOpacity = 1, textOp
           bgColorToApply = unfadeGoogleColor(bgColorToApply);
         }
       } else {
-        // Fallback: Saved Google color not available yet, use white as default
-        bgColorToApply = '#ffffff';
+        // Fallback: Saved Google color not available yet, use the page color as default
+        bgColorToApply = window.cc3ThemeColors?.pageBackground() || '#ffffff';
       }
     }
 
-    // Use blendColorWithWhite to create opaque color that looks faded but blocks colors underneath
+    // Use blendColorWithPage to create opaque color that looks faded but blocks colors underneath
     // This mimics how Google handles completed task backgrounds
-    const bgColorValue = blendColorWithWhite(bgColorToApply, bgOpacity);
+    const bgColorValue = blendColorWithPage(bgColorToApply, bgOpacity);
     node.dataset.cfTaskBgColor = bgColorValue;
     node.style.setProperty('background-color', bgColorValue, 'important');
     node.style.setProperty('border-color', bgColorValue, 'important');
@@ -1578,18 +2185,31 @@ function applyPaintIfNeeded(node, colors, isCompleted = false) {
   const textOpacity = typeof colors.textOpacity === 'number' ? colors.textOpacity : 1;
   const fallbackText = pickContrastingText(colors.backgroundColor);
   const textColor = colors.textColor || fallbackText;
-  // Use blendColorWithWhite to match what applyPaint stores
-  const desiredBg = blendColorWithWhite(colors.backgroundColor, bgOpacity);
+  // Theme and blend the same way applyPaint does, to match what it stores
+  const themed = themeTaskBackground(colors.backgroundColor, bgOpacity);
+  const desiredBg = blendColorWithPage(themed.color, themed.bgOpacity);
   const desiredText = colorToRgba(textColor, textOpacity);
   const currentBg = node.dataset.cfTaskBgColor;
   const currentText = node.dataset.cfTaskTextActual;
 
-  if (node.classList.contains(MARK) && currentBg === desiredBg && currentText === desiredText) {
+  const sameOutline = (node.dataset.cfTaskOutline || '') === (colors.outlineColor || '');
+  const sameIcon = (node.dataset.cfTaskIcon || '') === (colors.icon || '');
+
+  if (node.classList.contains(MARK) && currentBg === desiredBg && currentText === desiredText && sameOutline && sameIcon) {
     return;
   }
 
   clearPaint(node);
-  applyPaint(node, colors.backgroundColor, colors.textColor, bgOpacity, textOpacity, isCompleted);
+  applyPaint(
+    node,
+    colors.backgroundColor,
+    colors.textColor,
+    bgOpacity,
+    textOpacity,
+    isCompleted,
+    colors.outlineColor,
+    colors.icon,
+  );
 }
 /**
  * PERFORMANCE: Load all color/mapping data into memory cache
@@ -1607,12 +2227,20 @@ async function refreshColorCache() {
       recurringTaskColors: recurringTaskColorsCache,
       listTextColors: listTextColorsCache,
       completedStyling: completedStylingCache,
+      taskTitles: taskTitlesCache,
+      taskRules: taskRulesCache,
+      taskRulesPriority: taskRulesPriorityCache,
+      taskDue: taskDueCache,
+      urgency: urgencyCache,
+      taskTags: taskTagsCache,
+      tagStyles: tagStylesCache,
+      tagsPriority: tagsPriorityCache,
     };
   }
 
   // Fetch all data in parallel
   const [localData, syncData] = await Promise.all([
-    chrome.storage.local.get('cf.taskToListMap'),
+    chrome.storage.local.get(['cf.taskToListMap', 'cf.taskTitles', 'cf.taskDue', 'cf.taskTags']),
     chrome.storage.sync.get(['cf.taskColors', 'cf.recurringTaskColors', 'cf.taskListColors', 'cf.taskListTextColors', 'settings']),
   ]);
 
@@ -1630,6 +2258,15 @@ async function refreshColorCache() {
     ...(syncData['cf.taskListTextColors'] || {}),
   };
   completedStylingCache = syncData.settings?.taskListColoring?.completedStyling || {};
+  taskTitlesCache = localData['cf.taskTitles'] || {};
+  const rules = syncData.settings?.taskColoring?.rules || [];
+  taskRulesCache = rules.length ? window.cc3TaskRules.createRuleMatcher(rules) : null;
+  taskRulesPriorityCache = syncData.settings?.taskColoring?.rulesPriority || 'aboveLists';
+  taskDueCache = localData['cf.taskDue'] || {};
+  urgencyCache = syncData.settings?.taskListColoring?.urgency || null;
+  taskTagsCache = localData['cf.taskTags'] || {};
+  tagStylesCache = syncData.settings?.taskColoring?.tags || {};
+  tagsPriorityCache = syncData.settings?.taskColoring?.tagsPriority || 'aboveLists';
   cacheLastUpdated = now;
 
   return {
@@ -1639,6 +2276,14 @@ async function refreshColorCache() {
     recurringTaskColors: recurringTaskColorsCache,
     listTextColors: listTextColorsCache,
     completedStyling: completedStylingCache,
+    taskTitles: taskTitlesCache,
+    taskRules: taskRulesCache,
+    taskRulesPriority: taskRulesPriorityCache,
+    taskDue: taskDueCache,
+    urgency: urgencyCache,
+    taskTags: taskTagsCache,
+    tagStyles: tagStylesCache,
+    tagsPriority: tagsPriorityCache,
   };
 }
 
@@ -1653,6 +2298,12 @@ function invalidateColorCache() {
   completedStylingCache = null;
   manualColorsCache = null;
   recurringTaskColorsCache = null;
+  taskTitlesCache = null;
+  taskRulesCache = null;
+  taskDueCache = null;
+  urgencyCache = null;
+  taskTagsCache = null;
+  tagStylesCache = null;
   // Also invalidate calendar mapping cache (NEW UI)
   invalidateCalendarMappingCache();
 }
@@ -1669,30 +2320,54 @@ async function isTaskInCache(taskId) {
 }
 
 /**
- * Get the appropriate color for a task
+ * Get the color for a task chip: its identity color (see getIdentityColorForTask)
+ * with the due-date urgency overlay and any hashtag icon on top
+ * @param {string} taskId - Task ID
+ * @param {Object} manualColorsMap - Map of manual task colors (DEPRECATED, uses cache now)
+ * @param {Object} options - Options including element, isCompleted, overrideTextColor
+ * @returns {Promise<Object|null>} Color info or null
+ */
+async function getColorForTask(taskId, manualColorsMap = null, options = {}) {
+  const colorInfo = await getIdentityColorForTask(taskId, manualColorsMap, options);
+  const cache = await refreshColorCache();
+  return withTagIcon(withUrgencyOverlay(colorInfo, taskId, cache, options), taskId, cache);
+}
+
+/**
+ * Get the identity color for a task (who/what it is, not when it's due)
  * OPTIMIZED: Uses in-memory cache instead of storage reads
  * Priority:
  *   1. Manual color for this specific instance (cf.taskColors[taskId])
- *   2. Manual color for ALL instances of recurring task (cf.recurringTaskColors[fingerprint])
- *   3. List default color (cf.taskListColors[listId]) - uses fingerprint fallback to find listId
- *   4. No color (null)
+ *   2. Manual color for ALL instances of recurring task (cf.recurringTaskColors[seriesId], or a
+ *      legacy "title|time" fingerprint key, which is migrated to the series ID when it matches)
+ *   3. Keyword/regex rules (settings.taskColoring.rules)
+ *   4. Hashtag colors from the task's notes (settings.taskColoring.tags, cf.taskTags)
+ *   5. List default color (cf.taskListColors[listId]) - uses series, then fingerprint fallback to find listId
+ *   6. No color (null)
+ * Rules and tags each move below the list color when their rulesPriority / tagsPriority
+ * is 'belowLists'; rules still come before tags.
  * @param {string} taskId - Task ID
  * @param {Object} manualColorsMap - Map of manual task colors (DEPRECATED, uses cache now)
  * @param {Object} options - Options including element, isCompleted, overrideTextColor
  * @returns {Promise<string|null>} Color hex string or null
  */
-async function getColorForTask(taskId, manualColorsMap = null, options = {}) {
+async function getIdentityColorForTask(taskId, manualColorsMap = null, options = {}) {
   const cache = await refreshColorCache();
   const manualColors = manualColorsMap || cache.manualColors;
-  const element = options.element; // DOM element for fingerprint matching
+  const element = options.element; // DOM element for series and fingerprint matching
+  const calendarMapping = await refreshCalendarMappingCache();
+  const seriesId = getSeriesIdForTask(taskId, element, calendarMapping);
 
   // Support both base64 and decoded task ID formats
   // cf.taskToListMap stores DECODED IDs (from buildTaskToListMapping)
   // but ttb_ resolution returns BASE64 IDs (from resolveCalendarEventToTaskId)
   let listId = lookupWithBase64Fallback(cache.taskToListMap, taskId);
 
-  // RECURRING TASK FALLBACK: Try fingerprint matching (title + time)
-  // This handles recurring task instances that aren't in the API mapping
+  // RECURRING TASK FALLBACK: Another instance of the same series, then fingerprint
+  // matching (title + time). This handles recurring task instances that aren't in the API mapping
+  if (!listId) {
+    listId = getListIdFromSeries(seriesId, cache.taskToListMap, calendarMapping);
+  }
   if (!listId && element) {
     listId = getListIdFromFingerprint(element);
     if (listId) {
@@ -1734,37 +2409,215 @@ async function getColorForTask(taskId, manualColorsMap = null, options = {}) {
     });
   }
 
-  // PRIORITY 2: Recurring color for ALL instances (fingerprint-based matching)
-  if (element && cache.recurringTaskColors) {
-    const fingerprint = extractTaskFingerprint(element);
-    if (fingerprint.fingerprint) {
-      const recurringColor = cache.recurringTaskColors[fingerprint.fingerprint];
-      if (recurringColor) {
-
-        if (isCompleted) {
-          // For completed recurring manual tasks: use manual color with opacity from list settings
-          const { bgOpacity, textOpacity } = getCompletedOpacities(completedStyling, cache);
-          return {
-            backgroundColor: recurringColor,
-            textColor: overrideTextColor || pickContrastingText(recurringColor),
-            bgOpacity,
-            textOpacity,
-          };
-        }
-
-        // Pending recurring manual task: full opacity
-        return buildColorInfo({
-          baseColor: recurringColor,
-          pendingTextColor: null, // Don't use list text color for manual backgrounds
-          overrideTextColor,
-          isCompleted: false,
-          completedStyling: null,
-        });
-      }
+  // PRIORITY 2: Recurring color for ALL instances (series ID, then legacy fingerprint)
+  let recurringColor = seriesId ? cache.recurringTaskColors?.[seriesId] : null;
+  if (!recurringColor && element && cache.recurringTaskColors) {
+    const { fingerprint } = extractTaskFingerprint(element);
+    recurringColor = fingerprint ? cache.recurringTaskColors[fingerprint] : null;
+    if (recurringColor && seriesId) {
+      migrateRecurringFingerprint(fingerprint, seriesId);
     }
   }
+  if (recurringColor) {
+    if (isCompleted) {
+      // For completed recurring manual tasks: use manual color with opacity from list settings
+      const { bgOpacity, textOpacity } = getCompletedOpacities(completedStyling, cache);
+      return {
+        backgroundColor: recurringColor,
+        textColor: overrideTextColor || pickContrastingText(recurringColor),
+        bgOpacity,
+        textOpacity,
+      };
+    }
+
+    // Pending recurring manual task: full opacity
+    return buildColorInfo({
+      baseColor: recurringColor,
+      pendingTextColor: null, // Don't use list text color for manual backgrounds
+      overrideTextColor,
+      isCompleted: false,
+      completedStyling: null,
+    });
+  }
+
+  // PRIORITY 3-5: Keyword rules, hashtags and list default color, in the user's chosen order
+  const tierOptions = {
+    listBgColor: listId ? cache.listColors[listId] : null,
+    isCompleted,
+    overrideTextColor,
+    completedStyling,
+  };
+  const tiers = [
+    { below: cache.taskRulesPriority === 'belowLists', color: () => getRuleColorForTask(taskId, element, cache, tierOptions) },
+    { below: cache.tagsPriority === 'belowLists', color: () => getTagColorForTask(taskId, cache, tierOptions) },
+  ];
+
+  for (const tier of tiers.filter((t) => !t.below)) {
+    const tierColor = tier.color();
+    if (tierColor) return tierColor;
+  }
+
+  const listColor = getListColorForTask(listId, element, cache, {
+    isCompleted,
+    overrideTextColor,
+    completedStyling,
+    pendingTextColor,
+  });
+  if (listColor) return listColor;
+
+  for (const tier of tiers.filter((t) => t.below)) {
+    const tierColor = tier.color();
+    if (tierColor) return tierColor;
+  }
+  return null;
+}
+
+// ========================================
+// HASHTAGS
+// ========================================
+
+// First of the task's tags (in notes order) with a style, or null
+function getTaskTagStyle(taskId, cache, { withColors = false } = {}) {
+  const tags = lookupWithBase64Fallback(cache.taskTags, taskId);
+  if (!tags || !cache.tagStyles) return null;
+  for (const tag of tags) {
+    const style = cache.tagStyles[tag];
+    if (style && (!withColors || style.bgColor || style.textColor)) return style;
+  }
+  return null;
+}
+
+function getTagColorForTask(taskId, cache, { listBgColor, isCompleted, overrideTextColor, completedStyling }) {
+  const style = getTaskTagStyle(taskId, cache, { withColors: true });
+  if (!style) return null;
+
+  // A text-only tag keeps the list's background
+  return buildColorInfo({
+    baseColor: style.bgColor || listBgColor || undefined,
+    pendingTextColor: style.textColor || null,
+    overrideTextColor,
+    isCompleted,
+    completedStyling,
+  });
+}
+
+// Tag icons mark the chip whichever tier colored it
+function withTagIcon(colorInfo, taskId, cache) {
+  const icon = getTaskTagStyle(taskId, cache)?.icon;
+  if (!icon) return colorInfo;
+  return { ...(colorInfo || GOOGLE_COLORS_ONLY), icon };
+}
+
+// ========================================
+// DUE-DATE URGENCY
+// ========================================
+
+// Transparent colors tell applyPaint to keep Google's own chip colors under an outline or icon
+const GOOGLE_COLORS_ONLY = {
+  backgroundColor: 'rgba(255, 255, 255, 0)',
+  textColor: 'rgba(0, 0, 0, 0)',
+  bgOpacity: 0,
+  textOpacity: 1,
+};
+
+// cf.taskDue stores '' for "no due date", so presence matters, not truthiness
+function lookupTaskDue(dueMap, taskId) {
+  if (!dueMap || !taskId) return undefined;
+  if (Object.prototype.hasOwnProperty.call(dueMap, taskId)) return dueMap[taskId];
+  try {
+    const decoded = atob(taskId);
+    if (Object.prototype.hasOwnProperty.call(dueMap, decoded)) return dueMap[decoded];
+  } catch (e) {}
+  return undefined;
+}
+
+/**
+ * @param {string} dueKey - 'YYYY-MM-DD', or '' for no due date
+ * @param {number} soonDays
+ * @returns {'overdue'|'today'|'soon'|'none'|null} Null when due later than soonDays from today
+ */
+function getTaskUrgencyState(dueKey, soonDays) {
+  if (dueKey === '') return 'none';
+  const now = new Date();
+  const today = window.cc3Storage.ymdFromDate(now);
+  if (dueKey < today) return 'overdue';
+  if (dueKey === today) return 'today';
+  const soonLimit = window.cc3Storage.ymdFromDate(new Date(now.getFullYear(), now.getMonth(), now.getDate() + soonDays));
+  return dueKey <= soonLimit ? 'soon' : null;
+}
+
+// Defaults with the list's overrides (settings.taskListColoring.urgency.lists[listId]) on top
+function resolveUrgencyConfig(urgency, listId) {
+  const overrides = (listId && urgency.lists?.[listId]) || {};
+  return { ...urgency, ...overrides, colors: { ...urgency.colors, ...overrides.colors } };
+}
+
+/**
+ * Outline or recolor a pending task by its due state. Completed tasks, tasks the
+ * Tasks API hasn't synced yet and tasks due after the "soon" window are left as is.
+ * @param {Object|null} colorInfo - Identity color from getIdentityColorForTask
+ * @param {string} taskId
+ * @param {Object} cache - From refreshColorCache
+ * @param {Object} options - element, isCompleted, overrideTextColor
+ * @returns {Object|null} Color info, with outlineColor for the outline style
+ */
+function withUrgencyOverlay(colorInfo, taskId, cache, { element, isCompleted, overrideTextColor } = {}) {
+  if (isCompleted || !cache.urgency) return colorInfo;
+
+  const dueKey = lookupTaskDue(cache.taskDue, taskId);
+  if (dueKey === undefined) return colorInfo;
+
+  const listId = lookupWithBase64Fallback(cache.taskToListMap, taskId) || (element ? getListIdFromFingerprint(element) : null);
+  const config = resolveUrgencyConfig(cache.urgency, listId);
+  if (!config.enabled) return colorInfo;
+
+  const state = getTaskUrgencyState(dueKey, config.soonDays || 3);
+  const color = state ? config.colors?.[state] : null;
+  if (!color) return colorInfo;
+
+  if (config.style === 'fill') {
+    return {
+      ...colorInfo,
+      backgroundColor: color,
+      textColor: overrideTextColor || pickContrastingText(color),
+      bgOpacity: 1,
+      textOpacity: colorInfo?.textOpacity ?? 1,
+    };
+  }
+  return { ...(colorInfo || GOOGLE_COLORS_ONLY), outlineColor: color };
+}
 
-  // PRIORITY 3: List default color (lowest priority)
+/**
+ * Text the keyword rules are matched against: the Tasks API title when synced,
+ * otherwise the title read from the chip, otherwise the chip's visible text
+ * @param {string} taskId
+ * @param {HTMLElement} [element]
+ * @param {Object} cache - From refreshColorCache
+ * @returns {string}
+ */
+function getTaskRuleText(taskId, element, cache) {
+  const apiTitle = lookupWithBase64Fallback(cache.taskTitles, taskId);
+  if (apiTitle) return apiTitle;
+  if (!element) return '';
+  return extractTaskFingerprint(element).title || (element.textContent || '').trim();
+}
+
+function getRuleColorForTask(taskId, element, cache, { listBgColor, isCompleted, overrideTextColor, completedStyling }) {
+  if (!cache.taskRules) return null;
+  const match = cache.taskRules(getTaskRuleText(taskId, element, cache));
+  if (!match) return null;
+
+  // A text-only rule keeps the list's background
+  return buildColorInfo({
+    baseColor: match.bgColor || listBgColor || undefined,
+    pendingTextColor: match.textColor,
+    overrideTextColor,
+    isCompleted,
+    completedStyling,
+  });
+}
+
+function getListColorForTask(listId, element, cache, { isCompleted, overrideTextColor, completedStyling, pendingTextColor }) {
   if (listId) {
     const listBgColor = cache.listColors[listId];
     const hasTextColor = !!pendingTextColor;
@@ -1849,7 +2702,7 @@ function buildColorInfo({ baseColor, pendingTextColor, overrideTextColor, isComp
       const defaultBgColor = 'rgba(255, 255, 255, 0)'; // Transparent = use Google's bg
       const bgColor = completedStyling.bgColor || baseColor || defaultBgColor;
       const textColor = overrideTextColor || completedStyling.textColor || pendingTextColor ||
-                       (bgColor === defaultBgColor ? '#5f6368' : pickContrastingText(bgColor));
+                       (bgColor === defaultBgColor ? defaultTaskTextColor(true) : pickContrastingText(bgColor));
 
       return {
         backgroundColor: bgColor,
@@ -1884,7 +2737,7 @@ function buildColorInfo({ baseColor, pendingTextColor, overrideTextColor, isComp
   const defaultBgColor = 'rgba(255, 255, 255, 0)';
   const bgColor = baseColor || defaultBgColor;
   const textColor = overrideTextColor || pendingTextColor ||
-                   (bgColor === defaultBgColor ? '#202124' : pickContrastingText(bgColor));
+                   (bgColor === defaultBgColor ? defaultTaskTextColor() : pickContrastingText(bgColor));
 
   return {
     backgroundColor: bgColor,
@@ -2068,6 +2921,10 @@ async function doRepaint(bypassThrottling = false) {
           }
         }
       } else {
+        // An urgency outline or tag icon whose setting (or the task's state) has since changed
+        const staleTarget = getPaintTarget(chip);
+        if (staleTarget?.dataset.cfTaskOutline || staleTarget?.dataset.cfTaskIcon) clearPaint(staleTarget);
+
         // NO COLOR FOUND - Check if this is an unknown task (not in cache)
         // If task is not in cache and list coloring is enabled, trigger instant API lookup
         if (taskListColoringEnabled && !taskElementReferences.has(id)) {
@@ -2208,8 +3065,8 @@ function initTasksColoring() {
   })();
 
   // Listen for storage changes to update modal colors in real-time
-  if (window.cc3Storage?.onSettingsChanged) {
-    modalSettingsUnsubscribe = window.cc3Storage.onSettingsChanged((newSettings) => {
+  if (window.cc3Storage?.subscribe) {
+    modalSettingsUnsubscribe = window.cc3Storage.subscribe('taskColoring.inlineColors', () => {
       // Refresh any open modal color controls
       const openDialog = document.querySelector('[role="dialog"]');
       if (openDialog && openDialog.querySelector('.cf-task-color-inline-row')) {
@@ -2250,6 +3107,9 @@ function initTasksColoring() {
   };
   document.addEventListener('click', clickHandler, true);
 
+  // ⌘/Ctrl-click and lasso selection with the bulk action bar
+  enableTaskSelection();
+
   const grid = getGridRoot();
   let mutationTimeout;
   let isNavigating = false;
@@ -2315,6 +3175,8 @@ function initTasksColoring() {
   urlObserver = new MutationObserver(() => {
     if (location.href !== lastUrl) {
       lastUrl = location.href;
+      // Selected chips belong to the old date range
+      clearTaskSelection();
       // URL changed - likely navigation, trigger immediate repaint
       repaintSoon();
       setTimeout(repaintSoon, 100);
@@ -2345,18 +3207,13 @@ function initTasksColoring() {
       (changes['cf.taskColors'] || changes['cf.taskListColors'] || changes['cf.taskListTextColors'])
     ) {
       invalidateColorCache();
+      // Writes from other contexts (popup, undo/redo) bypass the local map cache
+      if (changes['cf.taskColors']) cachedColorMap = null;
       // CRITICAL: Don't repaint during reset - prevents reapplying stale colors
       if (!isResetting) {
         repaintSoon(); // Repaint with new colors
       }
     }
-    if (area === 'sync' && changes.settings) {
-      invalidateColorCache();
-      // CRITICAL: Don't repaint during reset
-      if (!isResetting) {
-        repaintSoon();
-      }
-    }
     if (area === 'sync' && changes['cf.recurringTaskColors']) {
       invalidateColorCache();
       // Don't repaint during reset
@@ -2364,7 +3221,10 @@ function initTasksColoring() {
         repaintSoon();
       }
     }
-    if (area === 'local' && changes['cf.taskToListMap']) {
+    if (
+      area === 'local' &&
+      (changes['cf.taskToListMap'] || changes['cf.taskTitles'] || changes['cf.taskDue'] || changes['cf.taskTags'])
+    ) {
       invalidateColorCache();
       // CRITICAL: Don't repaint during reset
       if (!isResetting) {
@@ -2374,6 +3234,30 @@ function initTasksColoring() {
   };
   chrome.storage.onChanged.addListener(storageChangeHandler);
 
+  // Only repaint for settings that affect painting, not every settings write
+  if (window.cc3Storage?.subscribe) {
+    settingsUnsubscribes = TASK_PAINT_SETTINGS_PATHS.map((path) =>
+      window.cc3Storage.subscribe(path, () => {
+        invalidateColorCache();
+        // CRITICAL: Don't repaint during reset
+        if (!isResetting) {
+          repaintSoon();
+        }
+      }),
+    );
+  }
+
+  // Repaint with the light or dark profile when Calendar's theme or the dark profile changes
+  if (window.cc3ThemeColors) {
+    settingsUnsubscribes.push(
+      window.cc3ThemeColors.onThemeChange(() => {
+        if (!isResetting) {
+          repaintSoon();
+        }
+      }),
+    );
+  }
+
   // Note: Message handler is now registered globally (outside this function)
   // See globalTaskColoringMessageHandler below
 
@@ -2383,6 +3267,7 @@ function initTasksColoring() {
     repaint: repaintSoon,
     initTasksColoring: initTasksColoring,
     injectTaskColorControls: injectTaskColorControls,
+    clearSelection: clearTaskSelection,
     // Debug functions
     getColorMap: () => loadMap(),
     debugRepaint: () => {
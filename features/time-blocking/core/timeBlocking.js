@@ -29,6 +29,15 @@
     return '#' + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1);
   }
 
+  // Color a translucent block shows as over the page, so labels contrast with what's seen
+  function blendOverPage(hex, opacity) {
+    const color = hexToRgb(hex);
+    const page = hexToRgb(window.cc3ThemeColors?.pageBackground() || '#ffffff');
+    if (!color || !page || opacity >= 1) return hex;
+    const mix = (c, p) => Math.round(c * opacity + p * (1 - opacity));
+    return rgbToHex(mix(color.r, page.r), mix(color.g, page.g), mix(color.b, page.b));
+  }
+
   // Core functionality
   const core = {
     settings: null,
@@ -260,8 +269,12 @@
       blockEl.style.overflow = 'visible';
       blockEl.style.transition = 'none';
 
+      // Dark theme: adapted color at the dark profile's time block opacity (the light theme passes through)
+      const themed = window.cc3ThemeColors?.themeColor(color, 'timeBlocks', 1) || { color, opacity: 1 };
+      const fillColor = themed.opacity < 1 ? window.cc3SharedUtils.hexToRgba(themed.color, themed.opacity) : themed.color;
+
       // Set CSS variables that the CSS file will use
-      blockEl.style.setProperty('--cc3-block-color', color);
+      blockEl.style.setProperty('--cc3-block-color', fillColor);
       blockEl.style.setProperty('--cc3-block-opacity', '1');
 
       // Use per-block style with fallback to global setting
@@ -269,24 +282,24 @@
 
       if (blockStyle === 'solid') {
         // Force background via multiple methods
-        blockEl.style.setProperty('background-color', color, 'important');
-        blockEl.style.setProperty('background', color, 'important');
+        blockEl.style.setProperty('background-color', fillColor, 'important');
+        blockEl.style.setProperty('background', fillColor, 'important');
         blockEl.style.setProperty('opacity', '1', 'important');
-        blockEl.style.setProperty('border', `1px solid ${color}`, 'important');
+        blockEl.style.setProperty('border', `1px solid ${themed.color}`, 'important');
       } else {
         // Hashed pattern
-        const encodedColor = encodeURIComponent(color);
+        const encodedColor = encodeURIComponent(fillColor);
         const hashedPattern = `url("data:image/svg+xml;charset=utf8,%3Csvg%20width%3D%2212%22%20height%3D%2212%22%20xmlns%3D%22http%3A%2F%2Fwww.w3.org%2F2000%2Fsvg%22%3E%3Cg%20fill%3D%22none%22%20fill-rule%3D%22nonzero%22%3E%3Cpath%20fill%3D%22none%22%20d%3D%22M0%200h12v12H0z%22%2F%3E%3Cpath%20d%3D%22M6%200h6L0%2012V6l6-6zm6%206v6H6l6-6z%22%20fill%3D%22${encodedColor}%22%2F%3E%3C%2Fg%3E%3C%2Fsvg%3E")`;
 
         blockEl.style.setProperty('background', hashedPattern + ' transparent repeat', 'important');
         blockEl.style.setProperty('background-color', 'transparent', 'important');
         blockEl.style.setProperty('opacity', '1', 'important');
-        blockEl.style.setProperty('border', `1px solid ${color}`, 'important');
+        blockEl.style.setProperty('border', `1px solid ${themed.color}`, 'important');
       }
 
       // Add label displays if label exists
       if (label && label.trim()) {
-        this.addLabelDisplays(blockEl, label, color, height);
+        this.addLabelDisplays(blockEl, label, blendOverPage(themed.color, themed.opacity), height);
       }
 
       // Force the element to stay visible with data attribute
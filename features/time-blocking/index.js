@@ -1,6 +1,9 @@
 // Time Blocking Feature - Main entry point
 // Provides visual time blocks on Google Calendar days
 (function () {
+  // Settings that only change how existing blocks look, not where they are
+  const COLOR_PATHS = ['timeBlocking.globalColor', 'timeBlocking.shadingStyle'];
+
   const feature = {
     id: 'timeBlocking',
     name: 'Time Blocking',
@@ -11,32 +14,13 @@
       settings: null,
       observer: null,
       rendered: false,
-      messageHandler: null,
     },
 
     // Initialize the feature
     init: async function (settings) {
       this.state.settings = settings || {};
 
-      // Register message handler first (needed even when disabled to receive enable messages)
-      if (!this.state.messageHandler) {
-        this.state.messageHandler = (message, sender, sendResponse) => {
-          if (message.type === 'timeBlockingChanged') {
-            this.onSettingsChanged(message.settings, message.isColorOnlyChange);
-            sendResponse({ success: true });
-          } else if (message.type === 'timeBlockingColorChanged') {
-            // Real-time color updates
-            this.state.settings = message.settings;
-            this.initializeCore();
-            this.updateColors();
-            sendResponse({ success: true });
-          }
-        };
-        chrome.runtime.onMessage.addListener(this.state.messageHandler);
-      }
-
       if (!this.state.settings.enabled) {
-        // Don't call full cleanup() here - it would remove the message handler
         // Just ensure any rendering artifacts are cleaned up
         if (window.cc3TimeBlocking && window.cc3TimeBlocking.core) {
           window.cc3TimeBlocking.core.cleanup();
@@ -168,6 +152,11 @@
         }
       }, 2000); // More frequent check to catch navigation
 
+      // Redraw with the light or dark profile when Calendar's theme or the dark profile changes
+      if (window.cc3ThemeColors && !this.state.stopThemeListener) {
+        this.state.stopThemeListener = window.cc3ThemeColors.onThemeChange(() => this.forceRender());
+      }
+
       // Listen for view changes (navigation between day/week/month)
       this.state.lastViewKey = document.querySelector('body')?.getAttribute('data-viewkey');
       this.state.viewCheckInterval = setInterval(() => {
@@ -226,6 +215,15 @@
       }
     },
 
+    // Called by the feature registry with the timeBlocking paths that changed
+    // (e.g. 'timeBlocking.globalColor', 'timeBlocking.weeklySchedule.mon')
+    onSettingsPathsChanged: function (newSettings, changedPaths) {
+      const isColorOnlyChange =
+        changedPaths.length > 0 &&
+        changedPaths.every((path) => COLOR_PATHS.some((colorPath) => path === colorPath || path.startsWith(`${colorPath}.`)));
+      this.onSettingsChanged(newSettings, isColorOnlyChange);
+    },
+
     // Handle just color updates for real-time changes
     updateColors: function () {
       if (!this.state.settings?.enabled) return;
@@ -252,9 +250,9 @@
         this.state.viewCheckInterval = null;
       }
 
-      if (this.state.messageHandler) {
-        chrome.runtime.onMessage.removeListener(this.state.messageHandler);
-        this.state.messageHandler = null;
+      if (this.state.stopThemeListener) {
+        this.state.stopThemeListener();
+        this.state.stopThemeListener = null;
       }
 
       if (window.cc3TimeBlocking && window.cc3TimeBlocking.core) {
@@ -0,0 +1,461 @@
+// cc3 backup/restore utilities (no module syntax, loaded after lib/storage.js)
+(function () {
+  const BACKUP_FORMAT = 'colorkit-backup';
+  const BACKUP_VERSION = 1;
+
+  // Account/runtime state that must never travel between machines
+  const DEVICE_ONLY_LIST_FIELDS = ['oauthGranted', 'lastSync'];
+
+  /**
+   * Backup sections. Each section owns some top-level `settings` fields plus
+   * whole sync/local storage keys, and is merged or replaced as a unit on import.
+   */
+  const SECTIONS = [
+    {
+      id: 'dayColors',
+      label: 'Day colors',
+      settingsKeys: [
+        'enabled',
+        'weekdayColors',
+        'weekdayOpacity',
+        'weekdayFills',
+        'dateColors',
+        'dateRanges',
+        'dateRules',
+        'holidays',
+        'todayHighlight',
+        'weekBanding',
+        'darkTheme',
+        'presetColors',
+        'weekStart',
+        'weekStartConfigured',
+      ],
+      syncKeys: ['customDayColors'],
+      localKeys: [],
+    },
+    {
+      id: 'taskColors',
+      label: 'Task colors',
+      settingsKeys: ['taskColoring'],
+      syncKeys: ['cf.taskColors', 'cf.recurringTaskColors'],
+      localKeys: ['cf.calendarEventMapping', 'cf.calendarEventMappingMeta'],
+    },
+    {
+      id: 'timeBlocks',
+      label: 'Time blocks',
+      settingsKeys: ['timeBlocking'],
+      syncKeys: [],
+      localKeys: [],
+    },
+    {
+      id: 'listColors',
+      label: 'List colors',
+      settingsKeys: ['taskListColoring'],
+      syncKeys: ['cf.taskListColors', 'cf.taskListTextColors'],
+      localKeys: ['cf.taskToListMap', 'cf.taskTitles', 'cf.taskDue', 'cf.taskTags', 'cf.taskListsMeta'],
+    },
+    {
+      id: 'dateArchive',
+      label: 'Archived dates',
+      settingsKeys: ['retention'],
+      syncKeys: [],
+      localKeys: ['cf.dateArchive'],
+    },
+    {
+      id: 'profiles',
+      label: 'Profiles',
+      settingsKeys: [],
+      syncKeys: ['cf.profiles'],
+      localKeys: [],
+    },
+  ];
+
+  const ALL_SYNC_KEYS = SECTIONS.flatMap((s) => s.syncKeys);
+  const ALL_LOCAL_KEYS = SECTIONS.flatMap((s) => s.localKeys);
+
+  const isPlainObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+  const clone = (v) => (v === undefined ? undefined : JSON.parse(JSON.stringify(v)));
+
+  function storageGet(area, keys) {
+    return new Promise((resolve) => {
+      chrome.storage[area].get(keys, (result) => resolve(result || {}));
+    });
+  }
+
+  function storageSet(area, items) {
+    return new Promise((resolve, reject) => {
+      if (Object.keys(items).length === 0) return resolve();
+      chrome.storage[area].set(items, () => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  function storageRemove(area, keys) {
+    return new Promise((resolve, reject) => {
+      if (keys.length === 0) return resolve();
+      chrome.storage[area].remove(keys, () => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  // Sync keys as backups store them: cf.profiles holds every profile with its snapshot
+  // inline, although storage keeps each snapshot in its own items
+  async function readSyncKeys() {
+    const [syncData, profiles] = await Promise.all([
+      storageGet('sync', ALL_SYNC_KEYS),
+      window.cc3Storage.exportProfiles(),
+    ]);
+    if (profiles === undefined) {
+      delete syncData['cf.profiles'];
+    } else {
+      syncData['cf.profiles'] = profiles;
+    }
+    return syncData;
+  }
+
+  function stripDeviceFields(settings) {
+    if (isPlainObject(settings?.taskListColoring)) {
+      for (const field of DEVICE_ONLY_LIST_FIELDS) {
+        delete settings.taskListColoring[field];
+      }
+    }
+    return settings;
+  }
+
+  // ========================================
+  // EXPORT
+  // ========================================
+
+  /**
+   * Collect every ColorKit key into one versioned backup object
+   * @returns {Promise<Object>} Backup ready for serializeBackup()
+   */
+  async function createBackup() {
+    const [settings, syncData, localData] = await Promise.all([
+      window.cc3Storage.getSettings(),
+      readSyncKeys(),
+      storageGet('local', ALL_LOCAL_KEYS),
+    ]);
+
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      schemaVersion: settings.schemaVersion,
+      extensionVersion: chrome.runtime.getManifest?.().version || null,
+      exportedAt: new Date().toISOString(),
+      sync: {
+        settings: stripDeviceFields(clone(settings)),
+        ...clone(syncData),
+      },
+      local: clone(localData),
+    };
+  }
+
+  function serializeBackup(backup) {
+    return JSON.stringify(backup, null, 2);
+  }
+
+  function backupFileName(date = new Date()) {
+    return `colorkit-backup-${window.cc3Storage.ymdFromDate(date)}.json`;
+  }
+
+  // ========================================
+  // VALIDATION
+  // ========================================
+
+  /**
+   * Parse and validate a backup file's text
+   * @param {string} text - Raw file contents
+   * @returns {{ok: boolean, backup: Object|null, errors: string[]}}
+   */
+  function parseBackup(text) {
+    const errors = [];
+    let data;
+
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { ok: false, backup: null, errors: [`File is not valid JSON: ${error.message}`] };
+    }
+
+    if (!isPlainObject(data) || data.format !== BACKUP_FORMAT) {
+      return { ok: false, backup: null, errors: ['File is not a ColorKit backup'] };
+    }
+
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      errors.push('Backup version is missing or invalid');
+    } else if (data.version > BACKUP_VERSION) {
+      errors.push(`Backup was made by a newer version of ColorKit (format v${data.version})`);
+    }
+
+    const schemaVersion = Number(data.sync?.settings?.schemaVersion) || 0;
+    if (schemaVersion > window.cc3Storage.SCHEMA_VERSION) {
+      errors.push(`Backup settings use schema v${schemaVersion}; update ColorKit before importing`);
+    }
+
+    if (!isPlainObject(data.sync)) {
+      errors.push('Backup has no sync data');
+    } else {
+      if (data.sync.settings !== undefined && !isPlainObject(data.sync.settings)) {
+        errors.push('"settings" must be an object');
+      }
+      for (const key of ALL_SYNC_KEYS) {
+        const value = data.sync[key];
+        if (value === undefined) continue;
+        const expectArray = key === 'customDayColors';
+        if (expectArray ? !Array.isArray(value) : !isPlainObject(value)) {
+          errors.push(`"${key}" must be ${expectArray ? 'a list' : 'an object'}`);
+        }
+      }
+    }
+
+    if (data.local !== undefined) {
+      if (!isPlainObject(data.local)) {
+        errors.push('Backup local data must be an object');
+      } else {
+        for (const key of ALL_LOCAL_KEYS) {
+          if (data.local[key] !== undefined && !isPlainObject(data.local[key])) {
+            errors.push(`"${key}" must be an object`);
+          }
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      return { ok: false, backup: null, errors };
+    }
+
+    const backup = clone(data);
+    backup.local = backup.local || {};
+    if (backup.sync.settings) {
+      // Bring older exports up to the current settings shape before diffing
+      backup.sync.settings = stripDeviceFields(window.cc3Storage.migrateSettings(backup.sync.settings));
+    }
+    return { ok: true, backup, errors: [] };
+  }
+
+  // Per-key checks for whole sync values; settings fields go through checkSettings
+  const SYNC_KEY_CHECKS = {
+    customDayColors: (value, field) =>
+      value.flatMap((color, i) => window.cc3Validation.checkColor(color, `${field}[${i}]`)),
+    'cf.taskColors': (value, field) => window.cc3Validation.checkColorMap(value, field),
+    'cf.recurringTaskColors': (value, field) => window.cc3Validation.checkColorMap(value, field),
+    'cf.taskListColors': (value, field) => window.cc3Validation.checkColorMap(value, field, { listIds: true }),
+    'cf.taskListTextColors': (value, field) => window.cc3Validation.checkColorMap(value, field, { listIds: true }),
+    'cf.profiles': (value, field) => window.cc3Validation.checkProfiles(value, field),
+  };
+
+  /**
+   * Run the storage validators over one section of a parsed backup
+   * @param {Object} section - Entry of SECTIONS
+   * @param {Object} backup - Result of parseBackup().backup
+   * @returns {Array<{field: string, code: string, message: string, value: *}>} Errors
+   */
+  function validateSection(section, backup) {
+    const incoming = {};
+    for (const key of section.settingsKeys) {
+      if (backup.sync.settings?.[key] !== undefined) incoming[key] = backup.sync.settings[key];
+    }
+    const errors = window.cc3Validation.checkSettings(incoming);
+    for (const key of section.syncKeys) {
+      if (backup.sync[key] !== undefined) errors.push(...SYNC_KEY_CHECKS[key](backup.sync[key], key));
+    }
+    return errors;
+  }
+
+  // ========================================
+  // DIFF PREVIEW
+  // ========================================
+
+  // Flatten to leaf paths; arrays count as a single leaf
+  function flatten(value, prefix, out) {
+    if (isPlainObject(value)) {
+      for (const [k, v] of Object.entries(value)) {
+        flatten(v, prefix ? `${prefix}.${k}` : k, out);
+      }
+    } else if (value !== undefined) {
+      out[prefix] = JSON.stringify(value);
+    }
+    return out;
+  }
+
+  function sectionData(section, settings, syncData, localData) {
+    const data = {};
+    for (const key of section.settingsKeys) {
+      if (settings?.[key] !== undefined) data[key] = settings[key];
+    }
+    for (const key of section.syncKeys) {
+      if (syncData?.[key] !== undefined) data[key] = syncData[key];
+    }
+    for (const key of section.localKeys) {
+      if (localData?.[key] !== undefined) data[key] = localData[key];
+    }
+    return data;
+  }
+
+  async function readCurrentState() {
+    const [settings, syncData, localData] = await Promise.all([
+      window.cc3Storage.getSettings(),
+      readSyncKeys(),
+      storageGet('local', ALL_LOCAL_KEYS),
+    ]);
+    return { settings: stripDeviceFields(clone(settings)), syncData, localData };
+  }
+
+  /**
+   * Compare a parsed backup against what is stored now, per section
+   * @param {Object} backup - Result of parseBackup().backup
+   * @returns {Promise<Array<{id: string, label: string, added: number, changed: number, removed: number, unchanged: number, samples: string[], errors: Array<Object>}>>}
+   */
+  async function diffBackup(backup) {
+    const current = await readCurrentState();
+
+    return SECTIONS.map((section) => {
+      const before = flatten(sectionData(section, current.settings, current.syncData, current.localData), '', {});
+      const after = flatten(sectionData(section, backup.sync.settings, backup.sync, backup.local), '', {});
+
+      let added = 0;
+      let changed = 0;
+      let removed = 0;
+      let unchanged = 0;
+      const samples = [];
+
+      for (const [path, value] of Object.entries(after)) {
+        if (!(path in before)) {
+          added++;
+          if (samples.length < 5) samples.push(`+ ${path}`);
+        } else if (before[path] !== value) {
+          changed++;
+          if (samples.length < 5) samples.push(`~ ${path}`);
+        } else {
+          unchanged++;
+        }
+      }
+      for (const path of Object.keys(before)) {
+        if (!(path in after)) removed++;
+      }
+
+      const errors = validateSection(section, backup);
+      return { id: section.id, label: section.label, added, changed, removed, unchanged, samples, errors };
+    });
+  }
+
+  // ========================================
+  // IMPORT
+  // ========================================
+
+  // Recursive merge where incoming wins; arrays and primitives are replaced
+  function mergeIncoming(current, incoming) {
+    if (!isPlainObject(current) || !isPlainObject(incoming)) {
+      return clone(incoming);
+    }
+    const out = { ...current };
+    for (const [k, v] of Object.entries(incoming)) {
+      out[k] = mergeIncoming(current[k], v);
+    }
+    return out;
+  }
+
+  // Plan whole-key writes for one section's storage keys
+  function planKeys(keys, source, current, replace, writes, removals) {
+    for (const key of keys) {
+      const incoming = source[key];
+      if (incoming === undefined) {
+        if (replace && current[key] !== undefined) removals.push(key);
+        continue;
+      }
+      writes[key] = replace || Array.isArray(incoming) ? clone(incoming) : mergeIncoming(current[key] || {}, incoming);
+    }
+  }
+
+  /**
+   * Write a parsed backup back into storage
+   * @param {Object} backup - Result of parseBackup().backup
+   * @param {Object} modes - Section id -> 'merge' | 'replace' | 'skip'
+   * @returns {Promise<{success: boolean, applied: string[], error?: string, errors?: Array<Object>}>}
+   */
+  async function applyBackup(backup, modes) {
+    const selected = SECTIONS.filter((section) => (modes?.[section.id] || 'skip') !== 'skip');
+    const applied = [];
+
+    // Nothing is written if any section to import fails validation
+    const errors = selected.flatMap((section) => validateSection(section, backup));
+    if (errors.length > 0) {
+      return { success: false, applied, error: errors[0].message, errors };
+    }
+    if (selected.length === 0) {
+      return { success: true, applied };
+    }
+
+    try {
+      const localData = await storageGet('local', ALL_LOCAL_KEYS);
+      const localWrites = {};
+      const localRemovals = [];
+      for (const section of selected) {
+        planKeys(section.localKeys, backup.local, localData, modes[section.id] === 'replace', localWrites, localRemovals);
+      }
+      await storageSet('local', localWrites);
+      await storageRemove('local', localRemovals);
+
+      // Settings and sync keys are merged from fresh storage inside one coordinated write,
+      // so an edit saved in another window meanwhile is kept rather than overwritten
+      const incomingSettings = backup.sync.settings || {};
+      await window.cc3Storage.updateSyncData((settings, syncData) => {
+        const nextSettings = clone(settings);
+        const writes = {};
+        const removals = [];
+
+        for (const section of selected) {
+          const replace = modes[section.id] === 'replace';
+          for (const key of section.settingsKeys) {
+            const incoming = incomingSettings[key];
+            if (replace) {
+              const fallback = clone(window.cc3Storage.defaultSettings[key]);
+              nextSettings[key] = incoming !== undefined ? mergeIncoming(fallback, incoming) : fallback;
+            } else if (incoming !== undefined) {
+              nextSettings[key] = mergeIncoming(nextSettings[key], incoming);
+            }
+          }
+          planKeys(section.syncKeys, backup.sync, syncData, replace, writes, removals);
+        }
+
+        // Keep this device's OAuth state regardless of what the file says
+        for (const field of DEVICE_ONLY_LIST_FIELDS) {
+          nextSettings.taskListColoring[field] = settings.taskListColoring?.[field] ?? null;
+        }
+        nextSettings.schemaVersion = window.cc3Storage.SCHEMA_VERSION;
+        return { settings: nextSettings, writes, removals };
+      });
+
+      applied.push(...selected.map((section) => section.id));
+      return { success: true, applied };
+    } catch (error) {
+      console.error('[cc3Backup] Import failed:', error);
+      return { success: false, applied, error: error?.message || String(error) };
+    }
+  }
+
+  // Expose globally under cc3Backup
+  window.cc3Backup = {
+    BACKUP_FORMAT,
+    BACKUP_VERSION,
+    SECTIONS,
+    createBackup,
+    serializeBackup,
+    backupFileName,
+    parseBackup,
+    validateSection,
+    diffBackup,
+    applyBackup,
+  };
+})();
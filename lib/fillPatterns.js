@@ -0,0 +1,146 @@
+// ColorKit pattern fills
+// Day colors can be drawn as a flat tint or as a pattern so neighbouring pastels stay
+// distinguishable without relying on hue alone. Styles share the time block vocabulary
+// ('hashed' = diagonal stripes) and add dots, crosshatch and gradient. Everything is
+// built from CSS gradients, so the same layers work in the injected stylesheet, inline
+// styles on month cells and popup previews. Fills are plain objects:
+//   { style: 'hashed', density: 12, angle: 45 }
+// density is the pattern spacing in px; angle (degrees) turns stripes and gradients.
+(function () {
+  const FILL_STYLES = ['solid', 'hashed', 'dots', 'crosshatch', 'gradient'];
+  const DEFAULT_FILL = { style: 'solid', density: 12, angle: 45 };
+  // Patterns sit on a fainter tint of the same color so the day still reads as colored
+  const TINT_RATIO = 0.35;
+
+  function rgba(hex, alpha) {
+    const match = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex || '');
+    if (!match) return `rgba(255, 255, 255, ${alpha})`;
+    const [r, g, b] = match.slice(1).map((h) => parseInt(h, 16));
+    return `rgba(${r}, ${g}, ${b}, ${Math.round(alpha * 1000) / 1000})`;
+  }
+
+  /**
+   * @param {Object|null|undefined} fill - Stored fill, possibly partial
+   * @returns {{style: string, density: number, angle: number}} Fill with defaults applied
+   */
+  function normalizeFill(fill) {
+    if (!fill || !FILL_STYLES.includes(fill.style)) return { ...DEFAULT_FILL };
+    return {
+      style: fill.style,
+      density: Number.isInteger(fill.density) ? fill.density : DEFAULT_FILL.density,
+      angle: Number.isInteger(fill.angle) ? fill.angle : DEFAULT_FILL.angle,
+    };
+  }
+
+  function isPatterned(fill) {
+    return normalizeFill(fill).style !== 'solid';
+  }
+
+  /**
+   * Background layers for a color drawn with a fill
+   * @param {string} color - '#RRGGBB'
+   * @param {number} alpha - 0-1, the day's opacity
+   * @param {Object|null} fill
+   * @returns {{backgroundColor: string, backgroundImage: string|null, backgroundSize: string|null}}
+   *   backgroundImage/backgroundSize are null for a flat tint
+   */
+  function fillLayers(color, alpha, fill) {
+    const { style, density, angle } = normalizeFill(fill);
+    const ink = rgba(color, alpha);
+    if (style === 'solid') return { backgroundColor: ink, backgroundImage: null, backgroundSize: null };
+
+    const tint = rgba(color, alpha * TINT_RATIO);
+    const stripe = (deg, width) =>
+      `repeating-linear-gradient(${deg}deg, ${ink} 0px, ${ink} ${width}px, transparent ${width}px, transparent ${density}px)`;
+
+    switch (style) {
+      case 'hashed':
+        return { backgroundColor: tint, backgroundImage: stripe(angle, Math.max(1, Math.round(density / 3))), backgroundSize: 'auto' };
+      case 'crosshatch': {
+        const width = Math.max(1, Math.round(density / 5));
+        return {
+          backgroundColor: tint,
+          backgroundImage: `${stripe(angle, width)}, ${stripe(angle + 90, width)}`,
+          backgroundSize: 'auto',
+        };
+      }
+      case 'dots': {
+        const radius = Math.max(1, Math.round(density / 5));
+        return {
+          backgroundColor: tint,
+          backgroundImage: `radial-gradient(circle, ${ink} ${radius}px, transparent ${radius + 1}px)`,
+          backgroundSize: `${density}px ${density}px`,
+        };
+      }
+      default:
+        // gradient: full strength on one side fading to the tint; density doesn't apply
+        return { backgroundColor: tint, backgroundImage: `linear-gradient(${angle}deg, ${ink}, transparent)`, backgroundSize: 'auto' };
+    }
+  }
+
+  /**
+   * CSS declarations for a stylesheet rule. A flat tint only sets background-color,
+   * unless resetImage is passed to clear a pattern inherited from a weaker rule.
+   * @param {string} color
+   * @param {number} alpha
+   * @param {Object|null} fill
+   * @param {{resetImage?: boolean}} [options]
+   * @returns {string} e.g. 'background-color: rgba(...) !important;'
+   */
+  function fillDeclarations(color, alpha, fill, { resetImage = false } = {}) {
+    const layers = fillLayers(color, alpha, fill);
+    let css = `background-color: ${layers.backgroundColor} !important;`;
+    if (layers.backgroundImage) {
+      css += ` background-image: ${layers.backgroundImage} !important; background-size: ${layers.backgroundSize} !important;`;
+    } else if (resetImage) {
+      css += ' background-image: none !important;';
+    }
+    return css;
+  }
+
+  /**
+   * Paint an element inline; patterned elements are marked so clearFillStyle only
+   * removes backgrounds this module set
+   * @param {HTMLElement} el
+   * @param {string} color
+   * @param {number} alpha
+   * @param {Object|null} fill
+   */
+  function applyFillStyle(el, color, alpha, fill) {
+    const layers = fillLayers(color, alpha, fill);
+    el.style.setProperty('background-color', layers.backgroundColor, 'important');
+    if (layers.backgroundImage) {
+      el.style.setProperty('background-image', layers.backgroundImage, 'important');
+      el.style.setProperty('background-size', layers.backgroundSize, 'important');
+      el.setAttribute('data-cc3-fill', normalizeFill(fill).style);
+    } else if (el.hasAttribute('data-cc3-fill')) {
+      clearFillImage(el);
+    }
+  }
+
+  function clearFillImage(el) {
+    el.style.removeProperty('background-image');
+    el.style.removeProperty('background-size');
+    el.removeAttribute('data-cc3-fill');
+  }
+
+  /**
+   * Undo applyFillStyle
+   * @param {HTMLElement} el
+   */
+  function clearFillStyle(el) {
+    el.style.removeProperty('background-color');
+    if (el.hasAttribute('data-cc3-fill')) clearFillImage(el);
+  }
+
+  globalThis.cc3FillPatterns = {
+    FILL_STYLES,
+    DEFAULT_FILL,
+    normalizeFill,
+    isPatterned,
+    fillLayers,
+    fillDeclarations,
+    applyFillStyle,
+    clearFillStyle,
+  };
+})();
@@ -185,11 +185,22 @@ export async function fetchCalendarEvent(eventId) {
 }
 
 /**
- * Complete mapping chain: Calendar Event ID → Task API ID
+ * Stable ID for every instance of a recurring task. Each instance has its own task and
+ * calendar event, but all events of a series share recurringEventId, which survives
+ * renames and time changes (unlike the old "title|time" fingerprints).
+ * @param {Object} event - Calendar API event
+ * @returns {string|null} "series:<recurringEventId>", or null for one-off tasks
+ */
+export function seriesIdFromEvent(event) {
+  return event?.recurringEventId ? `series:${event.recurringEventId}` : null;
+}
+
+/**
+ * Calendar Event ID → Task API ID and recurring series
  * @param {string} calendarEventId - Calendar event ID
- * @returns {Promise<string|null>} Task API ID or null
+ * @returns {Promise<{taskApiId: string, seriesId: string|null}|null>}
  */
-export async function calendarEventIdToTaskId(calendarEventId) {
+export async function resolveTaskEvent(calendarEventId) {
   if (!calendarEventId) {
     return null;
   }
@@ -209,14 +220,23 @@ export async function calendarEventIdToTaskId(calendarEventId) {
     }
 
     // Convert fragment to Task API ID
-    const taskApiId = taskFragmentToApiId(fragment);
-    return taskApiId;
+    return { taskApiId: taskFragmentToApiId(fragment), seriesId: seriesIdFromEvent(event) };
   } catch (error) {
     console.error('[CalendarAPI] Failed to map calendar event to task:', calendarEventId, error);
     return null;
   }
 }
 
+/**
+ * Complete mapping chain: Calendar Event ID → Task API ID
+ * @param {string} calendarEventId - Calendar event ID
+ * @returns {Promise<string|null>} Task API ID or null
+ */
+export async function calendarEventIdToTaskId(calendarEventId) {
+  const resolved = await resolveTaskEvent(calendarEventId);
+  return resolved ? resolved.taskApiId : null;
+}
+
 /**
  * Check if Calendar API is accessible (permission granted)
  * @returns {Promise<boolean>}
@@ -253,6 +273,8 @@ const GoogleCalendarAPI = {
   taskFragmentToApiId,
   taskApiIdToFragment,
   fetchCalendarEvent,
+  seriesIdFromEvent,
+  resolveTaskEvent,
   calendarEventIdToTaskId,
   isCalendarApiAccessible,
 };
@@ -4,6 +4,8 @@
 // Isolated module for Google Tasks API interactions
 // Handles OAuth, task list fetching, and task-to-list mapping
 
+import './taskTags.js'; // Defines globalThis.cc3TaskTags (hashtag parsing for task notes)
+
 // ========================================
 // OAUTH TOKEN MANAGEMENT
 // ========================================
@@ -328,6 +330,15 @@ export async function fetchTaskDetails(taskId, listId) {
 // MAPPING FUNCTIONS (OPTIMIZED STORAGE)
 // ========================================
 
+/**
+ * The Tasks API only keeps the date part of `due` (time is always midnight UTC)
+ * @param {Object} task - Tasks API task
+ * @returns {string} 'YYYY-MM-DD', or '' when the task has no due date
+ */
+function dueDateKey(task) {
+  return typeof task.due === 'string' ? task.due.slice(0, 10) : '';
+}
+
 /**
  * Build complete task-to-list mapping (FULL SYNC)
  * Replaces entire mapping to prevent accumulation
@@ -336,6 +347,9 @@ export async function fetchTaskDetails(taskId, listId) {
 export async function buildTaskToListMapping() {
   const lists = await fetchTaskLists();
   const mapping = {};
+  const titles = {}; // decoded task id -> title, for keyword task rules
+  const dues = {}; // decoded task id -> 'YYYY-MM-DD' or '' (pending tasks only), for urgency colors
+  const tags = {}; // decoded task id -> hashtags from the notes (tagged tasks only), for tag colors
   let totalTasks = 0;
   let completedCount = 0;
   let incompleteCount = 0;
@@ -366,6 +380,10 @@ export async function buildTaskToListMapping() {
           // Decode failed - use original ID (not base64 encoded)
         }
         mapping[idToStore] = list.id;
+        titles[idToStore] = task.title || '';
+        if (task.status !== 'completed') dues[idToStore] = dueDateKey(task);
+        const taskTags = globalThis.cc3TaskTags.parseHashtags(task.notes);
+        if (taskTags.length) tags[idToStore] = taskTags;
       });
       totalTasks += tasks.length;
     } catch (error) {
@@ -383,7 +401,12 @@ export async function buildTaskToListMapping() {
   });
 
   // Cache the mapping (REPLACE, not merge - prevents accumulation)
-  await chrome.storage.local.set({ 'cf.taskToListMap': mapping });
+  await chrome.storage.local.set({
+    'cf.taskToListMap': mapping,
+    'cf.taskTitles': titles,
+    'cf.taskDue': dues,
+    'cf.taskTags': tags,
+  });
 
   // Cache list metadata
   await chrome.storage.local.set({
@@ -407,7 +430,16 @@ export async function incrementalSync(updatedMin) {
   const lists = await fetchTaskLists();
   const { 'cf.taskToListMap': currentMapping } = await chrome.storage.local.get('cf.taskToListMap');
 
+  const {
+    'cf.taskTitles': currentTitles,
+    'cf.taskDue': currentDues,
+    'cf.taskTags': currentTags,
+  } = await chrome.storage.local.get(['cf.taskTitles', 'cf.taskDue', 'cf.taskTags']);
+
   const updatedMapping = { ...(currentMapping || {}) };
+  const updatedTitles = { ...(currentTitles || {}) };
+  const updatedDues = { ...(currentDues || {}) };
+  const updatedTags = { ...(currentTags || {}) };
   let updatedCount = 0;
 
   for (const list of lists) {
@@ -431,6 +463,18 @@ export async function incrementalSync(updatedMin) {
         // which replaces the entire mapping. No need to handle task.deleted here since
         // showDeleted parameter is not set in API calls.
         updatedMapping[idToUse] = list.id;
+        updatedTitles[idToUse] = task.title || '';
+        if (task.status === 'completed') {
+          delete updatedDues[idToUse];
+        } else {
+          updatedDues[idToUse] = dueDateKey(task);
+        }
+        const taskTags = globalThis.cc3TaskTags.parseHashtags(task.notes);
+        if (taskTags.length) {
+          updatedTags[idToUse] = taskTags;
+        } else {
+          delete updatedTags[idToUse];
+        }
         updatedCount++;
       });
     } catch (error) {
@@ -439,7 +483,12 @@ export async function incrementalSync(updatedMin) {
   }
 
   // Save updated mapping
-  await chrome.storage.local.set({ 'cf.taskToListMap': updatedMapping });
+  await chrome.storage.local.set({
+    'cf.taskToListMap': updatedMapping,
+    'cf.taskTitles': updatedTitles,
+    'cf.taskDue': updatedDues,
+    'cf.taskTags': updatedTags,
+  });
 
   // Update list metadata
   await chrome.storage.local.set({
@@ -0,0 +1,428 @@
+// ColorKit public-holiday packs
+// Holidays are computed from rules (fixed dates, nth weekdays, Easter offsets)
+// rather than fetched, so they work offline and for any year. A pack id is a
+// country ('DE') for nationwide holidays, or country-region ('DE-BY') to add
+// that region's holidays. Names are in English.
+(function () {
+  const DAY_MS = 86400000;
+  const SUN = 0;
+  const MON = 1;
+  const TUE = 2;
+  const THU = 4;
+  const SAT = 6;
+
+  const pad = (n) => String(n).padStart(2, '0');
+
+  // ========================================
+  // COUNTRY DATASETS
+  // ========================================
+  // Holiday definitions use exactly one of:
+  //   date: [month, day]            fixed date
+  //   nth: [month, weekday, n]      nth weekday of the month (n = -1 for the last)
+  //   easter: offset                days from Western Easter Sunday
+  //   custom: (year) => [month, day] | null
+  //   only: { year: [month, day] }  one-off holidays
+  // and optionally regions (limit to those regions), from/until (years in force),
+  // moved ({ year: [month, day] } for one-year moves), observed: false (no substitute day).
+  // observed on the country picks how weekend holidays get a weekday off:
+  //   'nearest' Saturday -> Friday, Sunday -> Monday (US federal)
+  //   'next'    next weekday that is not already a holiday (UK, IE, CA, AU, NZ)
+
+  const COUNTRIES = {
+    US: {
+      name: 'United States',
+      observed: 'nearest',
+      holidays: [
+        { name: "New Year's Day", date: [1, 1] },
+        { name: 'Martin Luther King Jr. Day', nth: [1, MON, 3], from: 1986 },
+        { name: "Washington's Birthday", nth: [2, MON, 3] },
+        { name: 'Memorial Day', nth: [5, MON, -1] },
+        { name: 'Juneteenth', date: [6, 19], from: 2021 },
+        { name: 'Independence Day', date: [7, 4] },
+        { name: 'Labor Day', nth: [9, MON, 1] },
+        { name: 'Columbus Day', nth: [10, MON, 2] },
+        { name: 'Veterans Day', date: [11, 11] },
+        { name: 'Thanksgiving', nth: [11, THU, 4] },
+        { name: 'Christmas Day', date: [12, 25] },
+      ],
+    },
+    CA: {
+      name: 'Canada',
+      observed: 'next',
+      regions: { AB: 'Alberta', BC: 'British Columbia', ON: 'Ontario', QC: 'Quebec' },
+      holidays: [
+        { name: "New Year's Day", date: [1, 1] },
+        { name: 'Family Day', nth: [2, MON, 3], regions: ['AB', 'ON'] },
+        { name: 'Family Day', nth: [2, MON, 3], regions: ['BC'], from: 2019 },
+        { name: 'Good Friday', easter: -2 },
+        // Monday on or before May 24
+        { name: 'Victoria Day', custom: (year) => [5, 24 - ((weekdayOf(year, 5, 24) + 6) % 7)] },
+        { name: 'Saint-Jean-Baptiste Day', date: [6, 24], regions: ['QC'] },
+        { name: 'Canada Day', date: [7, 1] },
+        { name: 'Civic Holiday', nth: [8, MON, 1], regions: ['ON'] },
+        { name: 'British Columbia Day', nth: [8, MON, 1], regions: ['BC'] },
+        { name: 'Heritage Day', nth: [8, MON, 1], regions: ['AB'] },
+        { name: 'Labour Day', nth: [9, MON, 1] },
+        { name: 'Thanksgiving', nth: [10, MON, 2] },
+        { name: 'Remembrance Day', date: [11, 11], regions: ['AB', 'BC'] },
+        { name: 'Christmas Day', date: [12, 25] },
+        { name: 'Boxing Day', date: [12, 26], regions: ['ON'] },
+      ],
+    },
+    GB: {
+      name: 'United Kingdom',
+      observed: 'next',
+      regions: { ENG: 'England & Wales', SCT: 'Scotland', NIR: 'Northern Ireland' },
+      holidays: [
+        { name: "New Year's Day", date: [1, 1] },
+        { name: '2nd January', date: [1, 2], regions: ['SCT'] },
+        { name: "St Patrick's Day", date: [3, 17], regions: ['NIR'] },
+        { name: 'Good Friday', easter: -2 },
+        { name: 'Easter Monday', easter: 1, regions: ['ENG', 'NIR'] },
+        { name: 'Early May bank holiday', nth: [5, MON, 1], moved: { 2020: [5, 8] } },
+        { name: 'Spring bank holiday', nth: [5, MON, -1], moved: { 2002: [6, 4], 2012: [6, 4], 2022: [6, 2] } },
+        { name: 'Platinum Jubilee bank holiday', only: { 2022: [6, 3] } },
+        { name: 'State Funeral of Queen Elizabeth II', only: { 2022: [9, 19] } },
+        { name: 'Coronation bank holiday', only: { 2023: [5, 8] } },
+        { name: 'Battle of the Boyne', date: [7, 12], regions: ['NIR'] },
+        { name: 'Summer bank holiday', nth: [8, MON, 1], regions: ['SCT'] },
+        { name: 'Summer bank holiday', nth: [8, MON, -1], regions: ['ENG', 'NIR'] },
+        { name: "St Andrew's Day", date: [11, 30], regions: ['SCT'] },
+        { name: 'Christmas Day', date: [12, 25] },
+        { name: 'Boxing Day', date: [12, 26] },
+      ],
+    },
+    IE: {
+      name: 'Ireland',
+      observed: 'next',
+      holidays: [
+        { name: "New Year's Day", date: [1, 1] },
+        // First Monday in February, or 1 February when that is a Friday
+        {
+          name: "St Brigid's Day",
+          from: 2023,
+          custom: (year) => (weekdayOf(year, 2, 1) === 5 ? [2, 1] : nthWeekday(year, 2, MON, 1)),
+        },
+        { name: "St Patrick's Day", date: [3, 17] },
+        { name: 'Easter Monday', easter: 1 },
+        { name: 'May bank holiday', nth: [5, MON, 1] },
+        { name: 'June bank holiday', nth: [6, MON, 1] },
+        { name: 'August bank holiday', nth: [8, MON, 1] },
+        { name: 'October bank holiday', nth: [10, MON, -1] },
+        { name: 'Christmas Day', date: [12, 25] },
+        { name: "St Stephen's Day", date: [12, 26] },
+      ],
+    },
+    DE: {
+      name: 'Germany',
+      regions: {
+        BW: 'Baden-Württemberg',
+        BY: 'Bavaria',
+        BE: 'Berlin',
+        BB: 'Brandenburg',
+        HB: 'Bremen',
+        HH: 'Hamburg',
+        HE: 'Hesse',
+        MV: 'Mecklenburg-Vorpommern',
+        NI: 'Lower Saxony',
+        NW: 'North Rhine-Westphalia',
+        RP: 'Rhineland-Palatinate',
+        SL: 'Saarland',
+        SN: 'Saxony',
+        ST: 'Saxony-Anhalt',
+        SH: 'Schleswig-Holstein',
+        TH: 'Thuringia',
+      },
+      holidays: [
+        { name: "New Year's Day", date: [1, 1] },
+        { name: 'Epiphany', date: [1, 6], regions: ['BW', 'BY', 'ST'] },
+        { name: "International Women's Day", date: [3, 8], regions: ['BE'], from: 2019 },
+        { name: "International Women's Day", date: [3, 8], regions: ['MV'], from: 2023 },
+        { name: 'Good Friday', easter: -2 },
+        { name: 'Easter Monday', easter: 1 },
+        { name: 'Labour Day', date: [5, 1] },
+        { name: 'Ascension Day', easter: 39 },
+        { name: 'Whit Monday', easter: 50 },
+        { name: 'Corpus Christi', easter: 60, regions: ['BW', 'BY', 'HE', 'NW', 'RP', 'SL'] },
+        { name: 'Assumption Day', date: [8, 15], regions: ['SL'] },
+        { name: "World Children's Day", date: [9, 20], regions: ['TH'], from: 2019 },
+        { name: 'German Unity Day', date: [10, 3] },
+        { name: 'Reformation Day', date: [10, 31], regions: ['BB', 'MV', 'SN', 'ST', 'TH'] },
+        { name: 'Reformation Day', date: [10, 31], regions: ['HB', 'HH', 'NI', 'SH'], from: 2018 },
+        { name: "All Saints' Day", date: [11, 1], regions: ['BW', 'BY', 'NW', 'RP', 'SL'] },
+        // Wednesday before 23 November
+        {
+          name: 'Day of Repentance and Prayer',
+          regions: ['SN'],
+          custom: (year) => [11, 22 - ((weekdayOf(year, 11, 22) + 4) % 7)],
+        },
+        { name: 'Christmas Day', date: [12, 25] },
+        { name: "St Stephen's Day", date: [12, 26] },
+      ],
+    },
+    FR: {
+      name: 'France',
+      holidays: [
+        { name: "New Year's Day", date: [1, 1] },
+        { name: 'Easter Monday', easter: 1 },
+        { name: 'Labour Day', date: [5, 1] },
+        { name: 'Victory in Europe Day', date: [5, 8] },
+        { name: 'Ascension Day', easter: 39 },
+        { name: 'Whit Monday', easter: 50 },
+        { name: 'Bastille Day', date: [7, 14] },
+        { name: 'Assumption Day', date: [8, 15] },
+        { name: "All Saints' Day", date: [11, 1] },
+        { name: 'Armistice Day', date: [11, 11] },
+        { name: 'Christmas Day', date: [12, 25] },
+      ],
+    },
+    AU: {
+      name: 'Australia',
+      observed: 'next',
+      regions: { NSW: 'New South Wales', QLD: 'Queensland', VIC: 'Victoria' },
+      holidays: [
+        { name: "New Year's Day", date: [1, 1] },
+        { name: 'Australia Day', date: [1, 26] },
+        { name: 'Labour Day', nth: [3, MON, 2], regions: ['VIC'] },
+        { name: 'Good Friday', easter: -2 },
+        { name: 'Easter Saturday', easter: -1, regions: ['NSW', 'QLD', 'VIC'], observed: false },
+        { name: 'Easter Sunday', easter: 0, regions: ['NSW', 'VIC'], observed: false },
+        { name: 'Easter Monday', easter: 1 },
+        { name: 'Anzac Day', date: [4, 25], observed: false },
+        { name: 'Labour Day', nth: [5, MON, 1], regions: ['QLD'] },
+        { name: "King's Birthday", nth: [6, MON, 2], regions: ['NSW', 'VIC'] },
+        { name: 'Labour Day', nth: [10, MON, 1], regions: ['NSW'] },
+        { name: "King's Birthday", nth: [10, MON, 1], regions: ['QLD'], from: 2016 },
+        { name: 'Melbourne Cup Day', nth: [11, TUE, 1], regions: ['VIC'] },
+        { name: 'Christmas Day', date: [12, 25] },
+        { name: 'Boxing Day', date: [12, 26] },
+      ],
+    },
+    NZ: {
+      name: 'New Zealand',
+      observed: 'next',
+      holidays: [
+        { name: "New Year's Day", date: [1, 1] },
+        { name: "Day after New Year's Day", date: [1, 2] },
+        { name: 'Waitangi Day', date: [2, 6] },
+        { name: 'Good Friday', easter: -2 },
+        { name: 'Easter Monday', easter: 1 },
+        { name: 'Anzac Day', date: [4, 25] },
+        { name: "King's Birthday", nth: [6, MON, 1] },
+        // Matariki follows the lunar calendar; dates are set in legislation
+        {
+          name: 'Matariki',
+          only: {
+            2022: [6, 24],
+            2023: [7, 14],
+            2024: [6, 28],
+            2025: [6, 20],
+            2026: [7, 10],
+            2027: [6, 25],
+            2028: [7, 14],
+            2029: [7, 6],
+            2030: [6, 21],
+          },
+        },
+        { name: 'Labour Day', nth: [10, MON, 4] },
+        { name: 'Christmas Day', date: [12, 25] },
+        { name: 'Boxing Day', date: [12, 26] },
+      ],
+    },
+  };
+
+  // ========================================
+  // DATE HELPERS
+  // ========================================
+  // Day numbers (days since 1970-01-01 UTC) keep the arithmetic DST-proof
+
+  function dayNumber(year, month, day) {
+    return Math.round(Date.UTC(year, month - 1, day) / DAY_MS);
+  }
+
+  function dateKeyOf(n) {
+    const date = new Date(n * DAY_MS);
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+  }
+
+  function weekdayOf(year, month, day) {
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  }
+
+  function nthWeekday(year, month, weekday, n) {
+    if (n > 0) {
+      const first = weekdayOf(year, month, 1);
+      return [month, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7];
+    }
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const last = weekdayOf(year, month, lastDay);
+    return [month, lastDay - ((last - weekday + 7) % 7)];
+  }
+
+  // Western Easter Sunday (anonymous Gregorian algorithm)
+  function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return dayNumber(year, month, day);
+  }
+
+  // Day number of a definition in a year, or null when it doesn't apply
+  function resolveDefinition(def, year) {
+    if ((def.from && year < def.from) || (def.until && year > def.until)) return null;
+    let monthDay = def.moved?.[year] || null;
+    if (!monthDay) {
+      if (def.only) monthDay = def.only[year] || null;
+      else if (def.date) monthDay = def.date;
+      else if (def.nth) monthDay = nthWeekday(year, ...def.nth);
+      else if (def.custom) monthDay = def.custom(year);
+      else if (def.easter !== undefined) return easterSunday(year) + def.easter;
+    }
+    return monthDay ? dayNumber(year, monthDay[0], monthDay[1]) : null;
+  }
+
+  // ========================================
+  // PACKS
+  // ========================================
+
+  function parsePackId(packId) {
+    const [countryId, regionId] = String(packId).split('-');
+    const country = COUNTRIES[countryId];
+    if (!country || (regionId && !country.regions?.[regionId])) return null;
+    return { country, regionId: regionId || null };
+  }
+
+  function isKnownPack(packId) {
+    return parsePackId(packId) !== null;
+  }
+
+  // Weekday substitutes for holidays that land on a weekend
+  function observedDays(holidays, strategy) {
+    const taken = new Set(holidays.map((h) => h.day));
+    const observed = [];
+    holidays.forEach((holiday) => {
+      if (holiday.def.observed === false) return;
+      const weekday = new Date(holiday.day * DAY_MS).getUTCDay();
+      if (weekday !== SAT && weekday !== SUN) return;
+
+      let day;
+      if (strategy === 'nearest') {
+        day = holiday.day + (weekday === SAT ? -1 : 1);
+      } else {
+        day = holiday.day + 1;
+        while ([SAT, SUN].includes(new Date(day * DAY_MS).getUTCDay()) || taken.has(day)) day++;
+        taken.add(day);
+      }
+      observed.push({ day, name: `${holiday.name} (observed)`, def: holiday.def });
+    });
+    return observed;
+  }
+
+  const yearCache = new Map();
+
+  /**
+   * @param {string} packId - e.g. 'US' or 'GB-SCT'
+   * @param {number} year
+   * @returns {Array<{date: string, name: string}>} Holidays sorted by date (empty for unknown packs)
+   */
+  function holidaysInYear(packId, year) {
+    const cacheKey = `${packId}:${year}`;
+    if (yearCache.has(cacheKey)) return yearCache.get(cacheKey);
+
+    const pack = parsePackId(packId);
+    let result = [];
+    if (pack) {
+      const defs = pack.country.holidays.filter((def) => !def.regions || def.regions.includes(pack.regionId));
+      // Neighbouring years too: an observed day can cross New Year (US: Sat 1 Jan -> Fri 31 Dec)
+      const holidays = [];
+      [year - 1, year, year + 1].forEach((y) => {
+        defs.forEach((def) => {
+          const day = resolveDefinition(def, y);
+          if (day !== null) holidays.push({ day, name: def.name, def });
+        });
+      });
+      holidays.sort((a, b) => a.day - b.day);
+
+      const all = pack.country.observed ? [...holidays, ...observedDays(holidays, pack.country.observed)] : holidays;
+      const first = dayNumber(year, 1, 1);
+      const last = dayNumber(year, 12, 31);
+      result = all
+        .filter((h) => h.day >= first && h.day <= last)
+        .sort((a, b) => a.day - b.day)
+        .map((h) => ({ date: dateKeyOf(h.day), name: h.name }));
+    }
+    yearCache.set(cacheKey, result);
+    return result;
+  }
+
+  /**
+   * @param {string[]} packIds
+   * @param {string} dateKey - 'YYYY-MM-DD'
+   * @returns {Array<{date: string, name: string, packId: string}>} Holidays on that day, one per name
+   */
+  function getHolidays(packIds, dateKey) {
+    if (!packIds?.length || !dateKey) return [];
+    const year = Number(dateKey.slice(0, 4));
+    const seen = new Set();
+    const matches = [];
+    packIds.forEach((packId) => {
+      holidaysInYear(packId, year).forEach((holiday) => {
+        if (holiday.date !== dateKey || seen.has(holiday.name)) return;
+        seen.add(holiday.name);
+        matches.push({ ...holiday, packId });
+      });
+    });
+    return matches;
+  }
+
+  /**
+   * @param {string[]} packIds
+   * @param {string} fromKey - First day to include ('YYYY-MM-DD')
+   * @param {number} [count]
+   * @returns {Array<{date: string, name: string, packId: string}>}
+   */
+  function upcomingHolidays(packIds, fromKey, count = 5) {
+    const year = Number(fromKey.slice(0, 4));
+    const upcoming = [];
+    [year, year + 1].forEach((y) => {
+      (packIds || []).forEach((packId) => {
+        holidaysInYear(packId, y).forEach((holiday) => {
+          if (holiday.date >= fromKey) upcoming.push({ ...holiday, packId });
+        });
+      });
+    });
+    upcoming.sort((a, b) => a.date.localeCompare(b.date));
+    return upcoming.slice(0, count);
+  }
+
+  /**
+   * @returns {Array<{id: string, name: string, regions: Array<{id: string, name: string}>}>} For pickers
+   */
+  function listCountries() {
+    return Object.entries(COUNTRIES).map(([id, country]) => ({
+      id,
+      name: country.name,
+      regions: Object.entries(country.regions || {}).map(([regionId, name]) => ({ id: `${id}-${regionId}`, name })),
+    }));
+  }
+
+  globalThis.cc3Holidays = {
+    listCountries,
+    isKnownPack,
+    holidaysInYear,
+    getHolidays,
+    upcomingHolidays,
+    easterSunday: (year) => dateKeyOf(easterSunday(year)),
+  };
+})();
@@ -0,0 +1,285 @@
+// ColorKit locale-aware date parsing
+// Calendar renders weekday, month and time text in the page language. Rather than
+// hard-coding English (or a handful of translations), the names are generated with
+// Intl.DateTimeFormat for the page language, the browser languages and English, and
+// cached per locale. Callers should still prefer data-datekey where the DOM has one
+// (see decodeDateKey / dateKeyFromElement); text parsing is the fallback.
+(function () {
+  const cache = new Map(); // locale -> { weekdays, months, periods, order }
+  // 2024-01-07 was a Sunday, so day d of that week is Sunday + d
+  const SUNDAY = Date.UTC(2024, 0, 7);
+  const DAY_MS = 86400000;
+  // Hour markers that make a bare number a time: 14 Uhr, 14h, 14時, 14时, 14시
+  const HOUR_SUFFIX = '(?:(?:uhr|h)(?![\\p{L}])|時|时|시)';
+
+  const pad = (n) => String(n).padStart(2, '0');
+  // Some locales format months as bare numbers ("12" in a ja short date); those aren't names
+  const isName = (name) => /\p{L}/u.test(name);
+
+  function normalize(text) {
+    return String(text || '')
+      .normalize('NFC')
+      .toLowerCase()
+      .replace(/[\u200e\u200f]/g, '')
+      // Abbreviation dots ("déc.", "Mo.", "p.m.") but not date separators ("07.12.2025", "7.")
+      .replace(/(\p{L})\./gu, '$1')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  // Latin/Cyrillic/Greek names need word boundaries ("mar" must not match "martes");
+  // CJK names sit directly against digits and other letters ("12月7日")
+  const isAlphabetic = (ch) => /[\p{Script=Latin}\p{Script=Cyrillic}\p{Script=Greek}]/u.test(ch || '');
+  const isLetter = (ch) => /\p{L}/u.test(ch || '');
+
+  function findName(text, name, from = 0) {
+    let index = text.indexOf(name, from);
+    while (index !== -1) {
+      const before = text[index - 1];
+      const after = text[index + name.length];
+      const boundedStart = !isAlphabetic(name[0]) || !isLetter(before);
+      const boundedEnd = !isAlphabetic(name[name.length - 1]) || !isLetter(after);
+      if (boundedStart && boundedEnd) return index;
+      index = text.indexOf(name, index + 1);
+    }
+    return -1;
+  }
+
+  function getPageLocales() {
+    const requested = [
+      globalThis.document?.documentElement?.lang,
+      ...(globalThis.navigator?.languages || [globalThis.navigator?.language]),
+      'en',
+    ].filter(Boolean);
+    let supported = [];
+    try {
+      supported = requested.filter((locale) => Intl.DateTimeFormat.supportedLocalesOf(locale).length > 0);
+    } catch (e) {
+      // Malformed lang attribute: fall through to English
+    }
+    return [...new Set(supported.length ? supported : ['en'])];
+  }
+
+  function namesFor(locale) {
+    if (cache.has(locale)) return cache.get(locale);
+
+    const format = (options, date, part) => {
+      const formatter = new Intl.DateTimeFormat(locale, { ...options, timeZone: 'UTC' });
+      if (!part) return normalize(formatter.format(date));
+      return normalize(formatter.formatToParts(date).find((p) => p.type === part)?.value);
+    };
+
+    const weekdays = Array.from({ length: 7 }, (_, day) => {
+      const date = new Date(SUNDAY + day * DAY_MS);
+      return [...new Set([format({ weekday: 'long' }, date), format({ weekday: 'short' }, date)])].filter(isName);
+    });
+
+    // Standalone and in-date forms differ in some languages (e.g. genitive month names)
+    const months = Array.from({ length: 12 }, (_, month) => {
+      const date = new Date(Date.UTC(2024, month, 15));
+      return [
+        ...new Set([
+          format({ month: 'long' }, date),
+          format({ month: 'short' }, date),
+          format({ day: 'numeric', month: 'long' }, date, 'month'),
+          format({ day: 'numeric', month: 'short' }, date, 'month'),
+        ]),
+      ].filter(isName);
+    });
+
+    const period = (hour) =>
+      format({ hour: 'numeric', hour12: true }, new Date(Date.UTC(2024, 0, 1, hour)), 'dayPeriod');
+    const periods = { am: [period(9)].filter(Boolean), pm: [period(15)].filter(Boolean) };
+
+    const order = new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'numeric', day: 'numeric', timeZone: 'UTC' })
+      .formatToParts(new Date(Date.UTC(2024, 11, 31)))
+      .map((p) => p.type)
+      .filter((type) => type === 'year' || type === 'month' || type === 'day');
+
+    const names = { weekdays, months, periods, order };
+    cache.set(locale, names);
+    return names;
+  }
+
+  // Longest name first, so "june" beats "jun" and "12月" beats "2月"
+  function candidates(kind) {
+    const list = [];
+    for (const locale of getPageLocales()) {
+      namesFor(locale)[kind].forEach((names, index) => names.forEach((name) => list.push({ name, index })));
+    }
+    return list.sort((a, b) => b.name.length - a.name.length);
+  }
+
+  /**
+   * @param {string} text - Header or label text such as "Mo.", "mercredi" or "水"
+   * @returns {number|null} 0 (Sunday) to 6 (Saturday)
+   */
+  function weekdayFromText(text) {
+    const t = normalize(text);
+    if (!t) return null;
+    const list = candidates('weekdays');
+    const exact = list.find((c) => c.name === t);
+    if (exact) return exact.index;
+    const leading = list.find((c) => findName(t, c.name) === 0);
+    return leading ? leading.index : null;
+  }
+
+  function findMonth(text) {
+    for (const c of candidates('months')) {
+      const index = findName(text, c.name);
+      if (index !== -1) return { month: c.index, index, length: c.name.length };
+    }
+    return null;
+  }
+
+  /**
+   * @param {string} text - Any text containing a month name, in any page language
+   * @returns {number|null} 0 (January) to 11 (December)
+   */
+  function monthFromText(text) {
+    return findMonth(normalize(text))?.month ?? null;
+  }
+
+  // AM/PM markers for the page locales. Only non-alphabetic ones may lead the hour
+  // (午後2時, 오후 2:00); a leading "am" is German for "on" ("am 7. Dezember").
+  function periodPattern() {
+    const names = { am: new Set(['am']), pm: new Set(['pm']) };
+    for (const locale of getPageLocales()) {
+      const { periods } = namesFor(locale);
+      periods.am.forEach((p) => names.am.add(p));
+      periods.pm.forEach((p) => names.pm.add(p));
+    }
+    const all = [...names.am, ...names.pm].sort((a, b) => b.length - a.length);
+    const toPattern = (list) => (list.length ? list.map(escapeRegExp).join('|') : '(?!)');
+    return {
+      names,
+      trailing: toPattern(all),
+      leading: toPattern(all.filter((p) => !isAlphabetic(p[0]))),
+    };
+  }
+
+  /**
+   * Last time of day in a string: "2pm", "10:30 am", "14:00", "14 h 30", "午後2時", "오후 2:00"
+   * @param {string} text
+   * @returns {string|null} 'HH:MM' (24-hour)
+   */
+  function parseTimeText(text) {
+    const t = normalize(text);
+    if (!t) return null;
+    const { names, leading, trailing } = periodPattern();
+    const pattern = new RegExp(
+      `(?:(${leading})\\s*)?(\\d{1,2})(?:\\s*(?:[:：]|${HOUR_SUFFIX})\\s*(\\d{2}))?\\s*(${HOUR_SUFFIX})?(?:\\s*(${trailing})(?![\\p{L}]))?`,
+      'gu',
+    );
+
+    let result = null;
+    for (const match of t.matchAll(pattern)) {
+      const [, before, hourText, minuteText, suffix, after] = match;
+      const period = before || after;
+      // A bare number is a day or a year, not a time
+      if (!period && minuteText === undefined && !suffix) continue;
+      // Don't read the tail of a longer number ("2025") as an hour
+      if (/\d/.test(t[match.index - 1] || '') || /\d/.test(t[match.index + match[0].length] || '')) continue;
+
+      let hours = Number(hourText);
+      const minutes = minuteText === undefined ? 0 : Number(minuteText);
+      if (hours > 23 || minutes > 59) continue;
+      if (period && names.pm.has(period) && hours < 12) hours += 12;
+      if (period && names.am.has(period) && hours === 12) hours = 0;
+      result = `${pad(hours)}:${pad(minutes)}`;
+    }
+    return result;
+  }
+
+  function toDateKey(year, month, day) {
+    const date = new Date(year, month, day);
+    if (date.getFullYear() !== year || date.getMonth() !== month || date.getDate() !== day) return null;
+    return `${year}-${pad(month + 1)}-${pad(day)}`;
+  }
+
+  /**
+   * Date in free text, e.g. "Tuesday, September 2, 2025", "7. Dezember 2025",
+   * "2025年12月7日" or "07/12/2025" (numeric order follows the page locale)
+   * @param {string} text
+   * @param {{year?: number, month?: number}} [context] - Fills in a missing year, or
+   *   month and year when the text holds only a day number (month is 0-based)
+   * @returns {string|null} 'YYYY-MM-DD'
+   */
+  function parseDateText(text, context = {}) {
+    let t = normalize(text);
+    if (!t) return null;
+
+    const iso = t.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+    if (iso) return toDateKey(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+
+    // Times would otherwise be read as days ("2pm", "14:00")
+    const { leading, trailing } = periodPattern();
+    t = t
+      .replace(/\d{1,2}\s*[:：]\s*\d{2}/g, ' ')
+      .replace(new RegExp(`\\d{1,2}\\s*(?:${trailing})(?![\\p{L}])`, 'gu'), ' ')
+      .replace(new RegExp(`(?:${leading})\\s*\\d{1,2}\\s*(?:時|时|시)?`, 'gu'), ' ');
+
+    const named = findMonth(t);
+    if (named) {
+      const rest = `${t.slice(0, named.index)} ${t.slice(named.index + named.length)}`;
+      const numbers = rest.match(/\d+/g) || [];
+      const yearText = numbers.find((n) => n.length === 4);
+      const dayText = numbers.find((n) => n.length <= 2 && Number(n) >= 1 && Number(n) <= 31);
+      const year = yearText ? Number(yearText) : context.year;
+      if (!dayText || year === undefined) return null;
+      return toDateKey(year, named.month, Number(dayText));
+    }
+
+    const numeric = t.match(/(\d{1,4})\s*[./\-]\s*(\d{1,2})\s*[./\-]\s*(\d{1,4})/);
+    if (numeric) {
+      const parts = numeric.slice(1, 4);
+      let order = namesFor(getPageLocales()[0]).order;
+      // A 4-digit part is always the year (2025/12/07); day and month keep the locale's order
+      if (parts[0].length === 4) order = ['year', 'month', 'day'];
+      else if (parts[2].length === 4) order = [...order.filter((type) => type !== 'year'), 'year'];
+      const value = {};
+      order.forEach((type, i) => (value[type] = Number(parts[i])));
+      if (String(value.year).length !== 4) return null;
+      return toDateKey(value.year, value.month - 1, value.day);
+    }
+
+    const dayOnly = t.match(/\b(\d{1,2})\b/);
+    if (dayOnly && context.year !== undefined && context.month !== undefined) {
+      return toDateKey(context.year, context.month, Number(dayOnly[1]));
+    }
+    return null;
+  }
+
+  /**
+   * Google encodes day containers as data-datekey = (year - 1970) << 9 | month << 5 | day
+   * @param {string|number} value
+   * @returns {string|null} 'YYYY-MM-DD'
+   */
+  function decodeDateKey(value) {
+    const key = parseInt(value, 10);
+    if (!key) return null;
+    return toDateKey((key >> 9) + 1970, ((key & 511) >> 5) - 1, key & 31);
+  }
+
+  /**
+   * @param {Element} el
+   * @returns {string|null} 'YYYY-MM-DD' from the element's own, an ancestor's or a descendant's data-datekey
+   */
+  function dateKeyFromElement(el) {
+    if (!el?.closest) return null;
+    const keyed = el.closest('[data-datekey]') || el.querySelector('[data-datekey]');
+    return keyed ? decodeDateKey(keyed.getAttribute('data-datekey')) : null;
+  }
+
+  globalThis.cc3LocaleDates = {
+    getPageLocales,
+    weekdayFromText,
+    monthFromText,
+    parseDateText,
+    parseTimeText,
+    decodeDateKey,
+    dateKeyFromElement,
+  };
+})();
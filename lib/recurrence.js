@@ -0,0 +1,237 @@
+// ColorKit recurrence rules
+// A small RRULE subset evaluated one day at a time, shared by the calendar
+// painters and the popup rule builder. Rules are plain objects:
+//   { freq: 'MONTHLY', interval: 1, byDay: ['1MO'], byMonthDay: [], byMonth: [], bySetPos: [],
+//     dtstart: 'YYYY-MM-DD', until: 'YYYY-MM-DD' | null }
+// Unlike RFC 5545, byDay ordinals and bySetPos always count within a month (-1 = last), so
+// YEARLY + byMonth 3,6,9,12 + bySetPos -1 means "in each of those months". Weeks start on
+// Monday (RRULE's WKST default).
+(function () {
+  const DAY_MS = 86400000;
+  const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+  const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+  const BYDAY_PATTERN = /^(-?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/;
+
+  const pad = (n) => String(n).padStart(2, '0');
+
+  // ========================================
+  // DAY NUMBERS
+  // ========================================
+  // Days since 1970-01-01 in UTC, so interval arithmetic never trips over DST
+
+  function toDayNumber(dateKey) {
+    const [y, m, d] = dateKey.split('-').map(Number);
+    return Math.round(Date.UTC(y, m - 1, d) / DAY_MS);
+  }
+
+  function fromDayNumber(n) {
+    const date = new Date(n * DAY_MS);
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+  }
+
+  function dayParts(n) {
+    const date = new Date(n * DAY_MS);
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), weekday: date.getUTCDay() };
+  }
+
+  function monthStart(year, month) {
+    return Math.round(Date.UTC(year, month - 1, 1) / DAY_MS);
+  }
+
+  function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+  }
+
+  function mondayOf(n) {
+    return n - ((dayParts(n).weekday + 6) % 7);
+  }
+
+  // ========================================
+  // CANDIDATES PER PERIOD
+  // ========================================
+
+  function parseByDay(token) {
+    const match = BYDAY_PATTERN.exec(token);
+    return match ? { ordinal: match[1] ? Number(match[1]) : 0, weekday: DAY_CODES.indexOf(match[2]) } : null;
+  }
+
+  function matchesWeekdayOrdinal(n, first, length, { ordinal, weekday }) {
+    if (dayParts(n).weekday !== weekday) return false;
+    if (!ordinal) return true;
+    const index = n - first;
+    return ordinal > 0 ? Math.floor(index / 7) + 1 === ordinal : Math.floor((length - 1 - index) / 7) + 1 === -ordinal;
+  }
+
+  function applySetPos(days, bySetPos) {
+    if (!bySetPos?.length) return days;
+    const sorted = [...days].sort((a, b) => a - b);
+    return bySetPos.map((pos) => sorted[pos > 0 ? pos - 1 : sorted.length + pos]).filter((d) => d !== undefined);
+  }
+
+  // Matching days of one month for MONTHLY/YEARLY rules
+  function monthCandidates(rule, year, month, defaultDay) {
+    const first = monthStart(year, month);
+    const length = daysInMonth(year, month);
+    const byMonthDay = rule.byMonthDay || [];
+    const byDay = (rule.byDay || []).map(parseByDay).filter(Boolean);
+
+    if (rule.byMonth?.length && !rule.byMonth.includes(month)) return [];
+    // Like RRULE, months without the start's day of month (e.g. the 31st) are skipped
+    if (!byMonthDay.length && !byDay.length) {
+      return defaultDay <= length ? [first + defaultDay - 1] : [];
+    }
+
+    const wantedDays = new Set(byMonthDay.map((d) => (d > 0 ? d : length + d + 1)));
+    const days = [];
+    for (let n = first; n < first + length; n++) {
+      if (byMonthDay.length && !wantedDays.has(n - first + 1)) continue;
+      if (byDay.length && !byDay.some((spec) => matchesWeekdayOrdinal(n, first, length, spec))) continue;
+      days.push(n);
+    }
+    return applySetPos(days, rule.bySetPos);
+  }
+
+  // The period (day/week/month/year) containing day `n`: its offset from the
+  // start's period and a key for caching its candidate days
+  function periodOf(rule, n, start) {
+    const at = dayParts(n);
+    const from = dayParts(start);
+    switch (rule.freq) {
+      case 'DAILY':
+        return { index: n - start, key: `D${n}` };
+      case 'WEEKLY': {
+        const monday = mondayOf(n);
+        return { index: (monday - mondayOf(start)) / 7, key: `W${monday}` };
+      }
+      case 'MONTHLY':
+        return { index: at.year * 12 + at.month - (from.year * 12 + from.month), key: `M${at.year}-${at.month}` };
+      default:
+        return { index: at.year - from.year, key: `Y${at.year}` };
+    }
+  }
+
+  function periodCandidates(rule, n, start) {
+    const at = dayParts(n);
+    const from = dayParts(start);
+    const plainWeekdays = (rule.byDay || []).map(parseByDay).filter(Boolean).map((spec) => spec.weekday);
+    let days;
+
+    switch (rule.freq) {
+      case 'DAILY':
+        days = [n].filter((d) => !plainWeekdays.length || plainWeekdays.includes(dayParts(d).weekday));
+        if (rule.byMonthDay?.length) days = days.filter((d) => monthCandidates({ byMonthDay: rule.byMonthDay }, at.year, at.month).includes(d));
+        days = days.filter((d) => !rule.byMonth?.length || rule.byMonth.includes(dayParts(d).month));
+        break;
+      case 'WEEKLY': {
+        const weekdays = plainWeekdays.length ? plainWeekdays : [from.weekday];
+        const monday = mondayOf(n);
+        days = [];
+        for (let d = monday; d < monday + 7; d++) {
+          if (weekdays.includes(dayParts(d).weekday)) days.push(d);
+        }
+        days = applySetPos(
+          days.filter((d) => !rule.byMonth?.length || rule.byMonth.includes(dayParts(d).month)),
+          rule.bySetPos,
+        );
+        break;
+      }
+      case 'MONTHLY':
+        days = monthCandidates(rule, at.year, at.month, from.day);
+        break;
+      default: {
+        const months = rule.byMonth?.length ? rule.byMonth : [from.month];
+        days = months.flatMap((month) => monthCandidates(rule, at.year, month, from.day));
+        break;
+      }
+    }
+    return new Set(days);
+  }
+
+  // ========================================
+  // MATCHING
+  // ========================================
+
+  function occursOnDay(rule, n, cache) {
+    const start = toDayNumber(rule.dtstart);
+    if (n < start || (rule.until && n > toDayNumber(rule.until))) return false;
+
+    const period = periodOf(rule, n, start);
+    if (period.index % (rule.interval || 1) !== 0) return false;
+
+    let candidates = cache?.get(period.key);
+    if (!candidates) {
+      candidates = periodCandidates(rule, n, start);
+      cache?.set(period.key, candidates);
+    }
+    return candidates.has(n);
+  }
+
+  /**
+   * @param {Object} rule
+   * @param {string} dateKey - 'YYYY-MM-DD'
+   * @returns {boolean} Whether the rule produces this date
+   */
+  function occursOn(rule, dateKey) {
+    return occursOnDay(rule, toDayNumber(dateKey), null);
+  }
+
+  /**
+   * Build a per-day lookup over several rule entries ({ rule, ... }); where
+   * entries overlap the later one wins. Candidate days are cached per period.
+   * @param {Array<{rule: Object}>} entries
+   * @returns {Function} (dateKey) => matching entry or null
+   */
+  function createMatcher(entries) {
+    const caches = (entries || []).map(() => new Map());
+    return (dateKey) => {
+      if (!dateKey) return null;
+      const n = toDayNumber(dateKey);
+      for (let i = entries.length - 1; i >= 0; i--) {
+        if (occursOnDay(entries[i].rule, n, caches[i])) return entries[i];
+      }
+      return null;
+    };
+  }
+
+  /**
+   * @param {Object} rule
+   * @param {string} fromKey - First day to consider ('YYYY-MM-DD')
+   * @param {number} [count]
+   * @param {number} [horizonDays] - Stop looking after this many days
+   * @returns {string[]} Upcoming dates
+   */
+  function nextOccurrences(rule, fromKey, count = 5, horizonDays = 3660) {
+    const cache = new Map();
+    const dates = [];
+    const first = Math.max(toDayNumber(fromKey), toDayNumber(rule.dtstart));
+    for (let n = first; n < first + horizonDays && dates.length < count; n++) {
+      if (occursOnDay(rule, n, cache)) dates.push(fromDayNumber(n));
+    }
+    return dates;
+  }
+
+  /**
+   * @param {Object} rule
+   * @returns {string} RFC 5545 form, e.g. 'FREQ=MONTHLY;BYDAY=1MO'
+   */
+  function toRRuleString(rule) {
+    const parts = [`FREQ=${rule.freq}`];
+    if ((rule.interval || 1) !== 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byMonth?.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+    if (rule.byMonthDay?.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+    if (rule.byDay?.length) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+    if (rule.bySetPos?.length) parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+    if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+    return parts.join(';');
+  }
+
+  globalThis.cc3Recurrence = {
+    DAY_CODES,
+    FREQUENCIES,
+    BYDAY_PATTERN,
+    occursOn,
+    createMatcher,
+    nextOccurrences,
+    toRRuleString,
+  };
+})();
@@ -48,6 +48,27 @@
     6: '#f0d5ff', // Saturday - Light lilac
   };
 
+  // Mid-lightness versions of the pastels above, which glare on Calendar's dark theme
+  const DEFAULT_DARK_WEEKDAY_COLORS = {
+    0: '#b85c5c', // Sunday - Muted rose
+    1: '#7a68b8', // Monday - Muted lavender
+    2: '#4e9a72', // Tuesday - Muted mint
+    3: '#b87a4e', // Wednesday - Muted peach
+    4: '#4e8ab8', // Thursday - Muted sky blue
+    5: '#a8954a', // Friday - Muted yellow
+    6: '#9a5cb8', // Saturday - Muted lilac
+  };
+
+  const DEFAULT_DARK_WEEKDAY_OPACITY = {
+    0: 25,
+    1: 25,
+    2: 25,
+    3: 25,
+    4: 25,
+    5: 25,
+    6: 25,
+  };
+
   const DEFAULT_WEEKDAY_OPACITY = {
     0: 30, // Sunday
     1: 30, // Monday
@@ -58,18 +79,61 @@
     6: 30, // Saturday
   };
 
+  // Bump SCHEMA_VERSION whenever a stored field changes shape, and append a
+  // matching step to MIGRATIONS below.
+  const SCHEMA_VERSION = 4;
+  const MIGRATION_STATUS_KEY = 'cf.migrationStatus';
+  // Week start read off the rendered Calendar grid (device-local, written by the content script)
+  const DETECTED_WEEK_START_KEY = 'cf.detectedWeekStart';
+
   const defaultSettings = {
+    schemaVersion: SCHEMA_VERSION,
     enabled: true, // Day coloring enabled by default
     weekdayColors: DEFAULT_WEEKDAY_COLORS,
     weekdayOpacity: DEFAULT_WEEKDAY_OPACITY,
-    dateColors: {}, // 'YYYY-MM-DD' -> hex color
+    weekdayFills: {}, // '0'-'6' -> { style, density, angle } pattern fill (see lib/fillPatterns.js); missing = flat tint
+    dateColors: {}, // 'YYYY-MM-DD' -> hex color, or { color, label, emoji, fill } when the date is labelled or patterned
+    dateRanges: [], // { id, start, end, color, opacity, label } - single dateColors take precedence
+    dateRules: [], // { id, rule, color, opacity, label } - recurring dates, below ranges and above weekdays
+    holidays: {
+      countries: [], // Holiday pack ids from lib/holidays.js, e.g. 'US', 'GB-SCT' (empty = off)
+      color: '#f4b400',
+      opacity: 25,
+    },
+    todayHighlight: {
+      enabled: false, // Fade past days and accent today, on top of any day color
+      pastDim: 40, // % white wash over days before today (0 = no dimming)
+      accent: 'border', // 'border', 'tint' or 'both'
+      color: '#1a73e8',
+    },
+    weekBanding: {
+      mode: 'off', // 'alternate' tints odd/even weeks, 'cycle' repeats every cycleWeeks from anchor
+      numbering: 'iso', // 'iso' or 'fiscal' - drives alternate parity and month row labels
+      fiscalStartMonth: 1, // 1-12; fiscal week 1 holds the 1st of this month
+      cycleWeeks: 2,
+      anchor: '', // 'YYYY-MM-DD' first week of a cycle
+      colors: ['#1a73e8', ''], // odd/first band, even/second band ('' = untinted)
+      opacity: 10,
+      showLabels: false, // Week number badge on month view rows
+    },
+    darkTheme: {
+      mode: 'auto', // 'auto' follows Calendar's theme; 'light' or 'dark' always paints with that profile
+      weekdayColors: DEFAULT_DARK_WEEKDAY_COLORS, // Used instead of weekdayColors on a dark page
+      weekdayOpacity: DEFAULT_DARK_WEEKDAY_OPACITY,
+      adaptColors: true, // Shift the lightness of all other user colors to suit a dark page
+      opacity: { days: 80, tasks: 85, timeBlocks: 50 }, // % of each stored opacity used on a dark page
+    },
     presetColors: DEFAULT_PRESET_COLORS,
-    weekStart: 0, // 0=Sunday, 1=Monday, 6=Saturday
+    weekStart: 0, // 0=Sunday ... 6=Saturday; fallback when the Calendar grid can't be read
     weekStartConfigured: false, // Whether user has explicitly set week start
     taskColoring: {
       enabled: true, // Individual task coloring enabled by default
       presetColors: DEFAULT_TASK_PRESET_COLORS,
       inlineColors: DEFAULT_TASK_INLINE_COLORS,
+      rules: [], // Ordered keyword/regex rules (see lib/taskRules.js)
+      rulesPriority: 'aboveLists', // 'aboveLists' or 'belowLists' - always below per-task and recurring colors
+      tags: {}, // Hashtag from task notes -> { bgColor, textColor, icon } (see lib/taskTags.js)
+      tagsPriority: 'aboveLists', // Tags sit below keyword rules; this places them relative to list colors
     },
     taskListColoring: {
       enabled: true, // Task list coloring enabled by default (OAuth still required)
@@ -78,6 +142,14 @@
       syncInterval: 5, // Sync interval in minutes
       pendingTextColors: {},
       completedStyling: {},
+      // Due-date overlay on pending task chips; lists[listId] overrides any of the fields above it
+      urgency: {
+        enabled: false,
+        style: 'outline', // 'outline' keeps the chip's colors, 'fill' replaces its background
+        soonDays: 3, // "Due soon" = due within this many days after today
+        colors: { overdue: '#d93025', today: '#f29900', soon: '#1a73e8', none: '' },
+        lists: {},
+      },
     },
     timeBlocking: {
       enabled: true, // Time blocking enabled by default
@@ -94,22 +166,67 @@
       },
       dateSpecificSchedule: {}, // 'YYYY-MM-DD' -> array of timeblocks
     },
+    retention: {
+      keepMonths: 0, // Past months of dated entries kept in sync (0 = keep forever)
+    },
   };
 
-  function deepMerge(base, partial) {
-    // Replace-keys: when these appear at the current level, we do a hard replace
-    // This ensures deletions work properly (removed keys stay removed)
-    const REPLACE_KEYS = new Set([
-      'dateSpecificSchedule',
-      'weeklySchedule',
-      'pendingTextColors', // Text colors need hard replace for deletions
-      'textColors', // Text colors need hard replace for deletions
-      'completedStyling', // Completed styling needs hard replace for deletions
-    ]);
+  // Mutators reject malformed input up front (see lib/validation.js) so bad values
+  // never reach the renderers or generated CSS
+  const {
+    assertValid,
+    checkColor,
+    checkOpacity,
+    checkTimeBlock,
+    checkShadingStyle,
+    checkFill,
+    checkDateKey,
+    checkDateEntry,
+    checkDateRange,
+    checkDateRule,
+    checkHolidaySettings,
+    checkTodayHighlight,
+    checkWeekBanding,
+    checkDarkTheme,
+    checkTaskRule,
+    checkTaskRules,
+    checkTaskRulesPriority,
+    checkTaskTag,
+    checkTaskTagStyle,
+    checkTaskTags,
+    checkTaskUrgency,
+    checkWeekdayIndex,
+    checkDayKey,
+    checkListId,
+    checkWeeklySchedule,
+    checkOneOf,
+  } = window.cc3Validation;
+
+  const isPlainObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+
+  // Time plus a random suffix, so two adds in the same millisecond (another tab, a
+  // double submit) still get different IDs
+  function createId(prefix) {
+    return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  }
 
+  // Replace paths: maps at these settings paths are hard replaced instead of merged,
+  // so deletions work properly (removed keys stay removed). Matched on the full path
+  // so an unrelated field with the same name elsewhere still merges.
+  const REPLACE_PATHS = new Set([
+    'dateColors', // Per-date map, hard replace so cleared dates stay cleared
+    'timeBlocking.dateSpecificSchedule',
+    'timeBlocking.weeklySchedule',
+    'taskListColoring.pendingTextColors', // Text colors need hard replace for deletions
+    'taskListColoring.textColors', // Legacy text colors, folded into pendingTextColors by migration
+    'taskListColoring.completedStyling', // Completed styling needs hard replace for deletions
+    'weekdayFills', // A new fill style replaces the old one's density/angle
+    'taskListColoring.urgency.lists', // Per-list urgency overrides, so reset lists stay reset
+    'taskColoring.tags', // Hashtag colors, so removed tags stay removed
+  ]);
+
+  function deepMerge(base, partial, path = '') {
     // If either side isn't a plain object, prefer partial directly
-    const isPlainObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
-
     if (!isPlainObject(base) || !isPlainObject(partial)) {
       return partial;
     }
@@ -118,6 +235,7 @@
 
     for (const k in partial) {
       const pv = partial[k];
+      const keyPath = path ? `${path}.${k}` : k;
 
       // For arrays, always replace
       if (Array.isArray(pv)) {
@@ -126,14 +244,14 @@
       }
 
       // For specific nested maps, hard replace (so removals stick)
-      if (REPLACE_KEYS.has(k)) {
+      if (REPLACE_PATHS.has(keyPath)) {
         out[k] = isPlainObject(pv) ? { ...pv } : pv;
         continue;
       }
 
       // Otherwise, recurse for plain objects
       if (isPlainObject(pv)) {
-        out[k] = deepMerge(base[k] || {}, pv);
+        out[k] = deepMerge(base[k] || {}, pv, keyPath);
       } else {
         out[k] = pv; // primitives -> replace
       }
@@ -142,31 +260,541 @@
     return out;
   }
 
-  async function getSettings() {
+  // ========================================
+  // SHARDED SETTINGS STORAGE
+  // ========================================
+
+  // chrome.storage.sync caps each item at 8 KB, so maps that grow with every
+  // dated entry are stored as one item per month ('cf.shard.dateColors.2024-05')
+  // and reassembled on read. Everything else stays in the `settings` item.
+  const SHARD_PREFIX = 'cf.shard.';
+  const SHARDED_MAPS = [
+    { name: 'dateColors', path: ['dateColors'] },
+    { name: 'dateSpecificSchedule', path: ['timeBlocking', 'dateSpecificSchedule'] },
+  ];
+
+  function getAtPath(root, path) {
+    return path.reduce((node, k) => (isPlainObject(node) ? node[k] : undefined), root);
+  }
+
+  function shardIdForKey(dateKey) {
+    return /^\d{4}-\d{2}/.test(dateKey) ? dateKey.slice(0, 7) : 'other';
+  }
+
+  function isShardKey(key) {
+    return typeof key === 'string' && key.startsWith(SHARD_PREFIX);
+  }
+
+  /**
+   * Whether a chrome.storage.onChanged payload touches settings (base item or any shard)
+   * @param {Object} changes - onChanged changes object
+   * @returns {boolean}
+   */
+  function isSettingsChange(changes) {
+    return !!changes && Object.keys(changes).some((key) => key === 'settings' || isShardKey(key));
+  }
+
+  // Rebuild the logical settings object from the base item plus shards
+  function assembleSettings(items) {
+    const hasShards = Object.keys(items).some(isShardKey);
+    if (!items.settings && !hasShards) return null;
+
+    const out = JSON.parse(JSON.stringify(items.settings || {}));
+    for (const map of SHARDED_MAPS) {
+      // Values still inline (written before sharding or by an older build) are kept
+      const inline = getAtPath(out, map.path);
+      const merged = isPlainObject(inline) ? { ...inline } : {};
+      const prefix = `${SHARD_PREFIX}${map.name}.`;
+      for (const [key, value] of Object.entries(items)) {
+        if (key.startsWith(prefix) && isPlainObject(value)) Object.assign(merged, value);
+      }
+      if (Object.keys(merged).length > 0 || inline !== undefined) {
+        setAtPath(out, map.path, merged);
+      }
+    }
+    return out;
+  }
+
+  // Split logical settings into the base item and per-month shard items
+  function splitSettings(settings) {
+    const base = JSON.parse(JSON.stringify(settings));
+    const shards = {};
+    for (const map of SHARDED_MAPS) {
+      const value = getAtPath(base, map.path);
+      if (value === undefined) continue;
+      setAtPath(base, map.path, undefined);
+      if (!isPlainObject(value)) continue;
+      for (const [dateKey, entry] of Object.entries(value)) {
+        const shardKey = `${SHARD_PREFIX}${map.name}.${shardIdForKey(dateKey)}`;
+        if (!shards[shardKey]) shards[shardKey] = {};
+        shards[shardKey][dateKey] = entry;
+      }
+    }
+    return { base, shards };
+  }
+
+  function readStoredSettings() {
     return new Promise((resolve) => {
-      chrome.storage.sync.get({ settings: defaultSettings }, (res) => {
-        resolve(deepMerge(defaultSettings, res.settings || {}));
+      chrome.storage.sync.get(null, (items) => resolve(assembleSettings(items || {})));
+    });
+  }
+
+  // Plan the sync writes that store `settings` (sharded) on top of `items`.
+  // The revision is bumped on every write so shard-only edits still change the
+  // base item, which is what the write coordinator compares.
+  function planSettingsWrite(items, settings, extraItems = {}) {
+    const { base, shards } = splitSettings(settings);
+    const previous = items.settings;
+    base.revision = (Number(previous?.revision) || 0) + 1;
+
+    const writes = { ...extraItems };
+    for (const [key, value] of Object.entries(shards)) {
+      if (JSON.stringify(items[key]) !== JSON.stringify(value)) writes[key] = value;
+    }
+    const removals = Object.keys(items).filter((key) => isShardKey(key) && !shards[key]);
+
+    const baseChanged =
+      !previous || diffValues({ ...previous, revision: 0 }, { ...base, revision: 0 }, [], []).length > 0;
+    if (baseChanged || Object.keys(writes).length > 0 || removals.length > 0) {
+      writes.settings = base;
+    }
+    return { guard: ['settings', ...Object.keys(extraItems)], writes, removals };
+  }
+
+  /**
+   * Write a complete logical settings object, sharding the large maps.
+   * This replaces whatever is stored; use updateSettings() for read-modify-write.
+   * @param {Object} settings - Full settings to store
+   * @param {Object} [extraItems] - Other sync items to write in the same call
+   * @returns {Promise<void>} Rejects with the storage error (e.g. QUOTA_BYTES_PER_ITEM)
+   */
+  async function writeStoredSettings(settings, extraItems = {}) {
+    await mutateSync((items) => planSettingsWrite(items, settings, extraItems));
+  }
+
+  // ========================================
+  // CROSS-CONTEXT WRITE COORDINATION
+  // ========================================
+  // The popup, options page, every calendar tab and the background all write the
+  // same sync items. Each read-modify-write is a compare-and-swap: the change is
+  // computed from a snapshot, and the background commits it only if the guarded
+  // items still match that snapshot. On a conflict the change is recomputed from
+  // fresh data, so concurrent edits are merged instead of overwritten.
+
+  const CAS_MAX_ATTEMPTS = 10;
+  let syncWriteQueue = Promise.resolve();
+
+  function fingerprintItem(value) {
+    return value === undefined ? null : JSON.stringify(value);
+  }
+
+  // Resolves { ok } from the background, or { ok: false, unreachable: true } when the
+  // message got no answer (e.g. the service worker is restarting) so the caller retries
+  function commitSyncChange(expected, writes, removals) {
+    return new Promise((resolve, reject) => {
+      const unanswered = () => {
+        // Once the extension is torn down (reload/update) there is nothing left to race with
+        if (!chrome.runtime?.id) {
+          writeItems('sync', writes, removals).then(() => resolve({ ok: true }), reject);
+        } else {
+          resolve({ ok: false, unreachable: true });
+        }
+      };
+      try {
+        chrome.runtime.sendMessage({ type: 'STORAGE_CAS', area: 'sync', expected, writes, removals }, (response) => {
+          if (chrome.runtime.lastError || !response) {
+            unanswered();
+          } else if (response.error) {
+            reject(new Error(response.error));
+          } else {
+            resolve(response);
+          }
+        });
+      } catch (error) {
+        unanswered();
+      }
+    });
+  }
+
+  /**
+   * Coordinated read-modify-write over sync storage.
+   * @param {Function} plan - Receives all sync items and returns
+   *   { guard: string[], writes: Object, removals?: string[], result? }.
+   *   It runs again with fresh items whenever another context commits first,
+   *   so it must not have side effects.
+   * @returns {Promise<*>} The `result` of the plan that was committed
+   */
+  function mutateSync(plan) {
+    const run = syncWriteQueue.then(async () => {
+      let unreachable = false;
+      for (let attempt = 0; attempt < CAS_MAX_ATTEMPTS; attempt++) {
+        const items = await readItems('sync', null);
+        const change = plan(items);
+        const removals = change.removals || [];
+        if (Object.keys(change.writes).length === 0 && removals.length === 0) return change.result;
+
+        const expected = {};
+        change.guard.forEach((key) => {
+          expected[key] = fingerprintItem(items[key]);
+        });
+        const response = await commitSyncChange(expected, change.writes, removals);
+        if (response.ok) return change.result;
+        unreachable = !!response.unreachable;
+
+        // Another context saved first, or the background is waking up - back off briefly, then recompute
+        await new Promise((resolve) => setTimeout(resolve, 20 + Math.random() * 30 * (attempt + 1)));
+      }
+      throw new Error(
+        unreachable
+          ? 'Could not save: the extension background is not responding'
+          : 'Could not save: settings kept changing in another window',
+      );
+    });
+    syncWriteQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Read-modify-write settings as one coordinated step
+   * @param {Function} mutate - Receives the current settings (defaults merged in) and
+   *   returns a partial to merge, or null to leave settings unchanged. Like a mutateSync
+   *   plan it may run more than once, so it must not have side effects.
+   * @returns {Promise<Object>} Settings as committed
+   */
+  async function updateSettings(mutate) {
+    await ensureMigrated();
+    return mutateSync((items) => {
+      const current = withDefaults(assembleSettings(items));
+      const partial = mutate(current);
+      if (!partial) return { guard: [], writes: {}, result: current };
+      const next = deepMerge(current, partial);
+      return { ...planSettingsWrite(items, next), result: next };
+    });
+  }
+
+  /**
+   * Read-modify-write settings together with other sync items as one coordinated step.
+   * Items are seen and written in the shape backups use: cf.profiles holds every
+   * profile with its snapshot inline and is split into per-profile items on write.
+   * @param {Function} mutate - Receives (settings with defaults, all sync items) and
+   *   returns { settings, writes?, removals? }. May run more than once.
+   * @returns {Promise<Object>} Settings as committed
+   */
+  async function updateSyncData(mutate) {
+    await ensureMigrated();
+    return mutateSync((items) => {
+      const view = JSON.parse(JSON.stringify(items));
+      view[PROFILES_KEY] = exportProfilesFromItems(items);
+      if (view[PROFILES_KEY] === undefined) delete view[PROFILES_KEY];
+
+      const change = mutate(withDefaults(assembleSettings(items)), view);
+      const writes = { ...(change.writes || {}) };
+      const removals = (change.removals || []).filter((key) => key !== PROFILES_KEY);
+      if (writes[PROFILES_KEY] !== undefined || change.removals?.includes(PROFILES_KEY)) {
+        const profiles = planProfilesImport(items, writes[PROFILES_KEY]);
+        delete writes[PROFILES_KEY];
+        Object.assign(writes, profiles.writes);
+        removals.push(...profiles.removals);
+      }
+
+      const plan = planSettingsWrite(items, change.settings, writes);
+      return {
+        guard: [...new Set([...plan.guard, ...removals])],
+        writes: plan.writes,
+        removals: [...plan.removals, ...removals],
+        result: change.settings,
+      };
+    });
+  }
+
+  /**
+   * Read-modify-write a single sync item as one coordinated step
+   * @param {string} key - Sync storage key
+   * @param {Function} mutate - Receives the stored value (or undefined) and returns the
+   *   new value; returning undefined removes the item. May run more than once.
+   * @returns {Promise<*>} The committed value
+   */
+  function updateSyncItem(key, mutate) {
+    return mutateSync((items) => {
+      const next = mutate(items[key] === undefined ? undefined : JSON.parse(JSON.stringify(items[key])));
+      if (next === undefined) {
+        return { guard: [key], writes: {}, removals: items[key] === undefined ? [] : [key] };
+      }
+      return { guard: [key], writes: { [key]: next }, result: next };
+    });
+  }
+
+  /**
+   * Sync storage usage, including the largest single item against the per-item cap
+   * @returns {Promise<{bytes: number, maxBytes: number, percentUsed: number, items: number, maxItems: number, largestItem: {key: string, bytes: number, maxBytes: number, percentUsed: number}|null, shards: number}>}
+   */
+  async function getSyncQuotaUsage() {
+    const sync = chrome.storage.sync;
+    const maxBytes = sync.QUOTA_BYTES || 102400;
+    const maxItemBytes = sync.QUOTA_BYTES_PER_ITEM || 8192;
+    const maxItems = sync.MAX_ITEMS || 512;
+
+    const items = await new Promise((resolve) => sync.get(null, (all) => resolve(all || {})));
+    const bytes = await new Promise((resolve) => sync.getBytesInUse(null, resolve));
+
+    let largestItem = null;
+    for (const [key, value] of Object.entries(items)) {
+      // Same measure Chrome uses for the per-item quota: key + JSON value length
+      const itemBytes = key.length + JSON.stringify(value).length;
+      if (!largestItem || itemBytes > largestItem.bytes) {
+        largestItem = { key, bytes: itemBytes, maxBytes: maxItemBytes, percentUsed: (itemBytes / maxItemBytes) * 100 };
+      }
+    }
+
+    return {
+      bytes,
+      maxBytes,
+      percentUsed: (bytes / maxBytes) * 100,
+      items: Object.keys(items).length,
+      maxItems,
+      largestItem,
+      shards: Object.keys(items).filter(isShardKey).length,
+    };
+  }
+
+  // ========================================
+  // SCHEMA MIGRATIONS
+  // ========================================
+
+  /**
+   * Ordered upgrade steps. Each step takes the raw stored settings at
+   * `version - 1` and returns them in the `version` shape. Steps only see what
+   * was actually stored (defaults are merged afterwards), so they must tolerate
+   * missing branches.
+   */
+  const MIGRATIONS = [
+    {
+      version: 1,
+      description: 'Fold legacy taskListColoring.textColors into pendingTextColors',
+      migrate(settings) {
+        const tlc = settings.taskListColoring;
+        if (!isPlainObject(tlc) || !('textColors' in tlc)) return settings;
+        const legacy = isPlainObject(tlc.textColors) ? tlc.textColors : {};
+        const pending = isPlainObject(tlc.pendingTextColors) ? tlc.pendingTextColors : {};
+        tlc.pendingTextColors = { ...legacy, ...pending };
+        delete tlc.textColors;
+        return settings;
+      },
+    },
+    {
+      version: 2,
+      description: 'Normalize taskListColoring.completedStyling opacities to 0-1',
+      migrate(settings) {
+        const completedStyling = settings.taskListColoring?.completedStyling;
+        if (completedStyling === undefined) return settings;
+        if (!isPlainObject(completedStyling)) {
+          settings.taskListColoring.completedStyling = {};
+          return settings;
+        }
+        for (const [listId, styling] of Object.entries(completedStyling)) {
+          if (!isPlainObject(styling)) {
+            delete completedStyling[listId];
+            continue;
+          }
+          for (const field of ['bgOpacity', 'textOpacity']) {
+            if (styling[field] === undefined) continue;
+            const value = Number(styling[field]);
+            if (!Number.isFinite(value)) {
+              delete styling[field];
+            } else {
+              styling[field] = Math.min(1, Math.max(0, value > 1 ? value / 100 : value));
+            }
+          }
+        }
+        return settings;
+      },
+    },
+    {
+      version: 3,
+      description: 'Coerce timeBlocking schedules to arrays of blocks',
+      migrate(settings) {
+        const tb = settings.timeBlocking;
+        if (!isPlainObject(tb)) return settings;
+
+        const toBlockList = (value) => {
+          if (Array.isArray(value)) return value.filter((b) => isPlainObject(b) && Array.isArray(b.timeRange));
+          // Older builds stored a single block object, or an index-keyed object
+          if (isPlainObject(value)) {
+            if (Array.isArray(value.timeRange)) return [value];
+            return Object.values(value).filter((b) => isPlainObject(b) && Array.isArray(b.timeRange));
+          }
+          return [];
+        };
+
+        if (tb.weeklySchedule !== undefined) {
+          const weekly = isPlainObject(tb.weeklySchedule) ? tb.weeklySchedule : {};
+          const next = {};
+          for (const day of ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']) {
+            next[day] = toBlockList(weekly[day]);
+          }
+          tb.weeklySchedule = next;
+        }
+
+        if (tb.dateSpecificSchedule !== undefined) {
+          const dated = isPlainObject(tb.dateSpecificSchedule) ? tb.dateSpecificSchedule : {};
+          const next = {};
+          for (const [dateKey, blocks] of Object.entries(dated)) {
+            const list = toBlockList(blocks);
+            if (list.length > 0) next[dateKey] = list;
+          }
+          tb.dateSpecificSchedule = next;
+        }
+
+        return settings;
+      },
+    },
+    {
+      version: 4,
+      description: 'Move dateColors and dateSpecificSchedule into per-month shards',
+      // Shape is unchanged; writeStoredSettings() performs the split when the
+      // migrated settings are saved. The version bump keeps older builds from
+      // treating the now-empty inline maps as authoritative.
+      migrate(settings) {
+        return settings;
+      },
+    },
+  ];
+
+  let migrationPromise = null;
+
+  /**
+   * Run the pending MIGRATIONS steps over a raw settings object (pure, no storage access).
+   * Also used to upgrade settings coming from an imported backup.
+   * @param {Object} raw - Stored settings at any schema version
+   * @param {Function} [onStep] - Called with each step before it runs
+   * @returns {Object} Deep copy upgraded to SCHEMA_VERSION
+   */
+  function migrateSettings(raw, onStep) {
+    const fromVersion = Number(raw?.schemaVersion) || 0;
+    let migrated = JSON.parse(JSON.stringify(raw || {}));
+    for (const step of MIGRATIONS) {
+      if (step.version <= fromVersion) continue;
+      if (onStep) onStep(step);
+      migrated = step.migrate(migrated) || migrated;
+      migrated.schemaVersion = step.version;
+    }
+    return migrated;
+  }
+
+  function writeMigrationStatus(status) {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ [MIGRATION_STATUS_KEY]: status }, () => resolve());
+    });
+  }
+
+  /**
+   * Upgrade stored settings to SCHEMA_VERSION, one step at a time.
+   * Failures are recorded under cf.migrationStatus (for the popup to report)
+   * and the stored settings are left untouched rather than replaced by defaults.
+   * @returns {Promise<{ok: boolean, fromVersion: number, toVersion: number, error?: string}>}
+   */
+  async function runMigrations() {
+    const stored = await readStoredSettings();
+    if (!stored) {
+      return { ok: true, fromVersion: SCHEMA_VERSION, toVersion: SCHEMA_VERSION };
+    }
+
+    const fromVersion = Number(stored.schemaVersion) || 0;
+    if (fromVersion >= SCHEMA_VERSION) {
+      // Either current, or written by a newer build - never downgrade
+      return { ok: true, fromVersion, toVersion: fromVersion };
+    }
+
+    let currentStep = null;
+    try {
+      // Migrate whatever is stored at commit time, in case another context wrote meanwhile
+      await mutateSync((items) => {
+        const latest = assembleSettings(items);
+        if (!latest || (Number(latest.schemaVersion) || 0) >= SCHEMA_VERSION) return { guard: [], writes: {} };
+        const migrated = migrateSettings(latest, (step) => {
+          currentStep = step;
+        });
+        return planSettingsWrite(items, migrated);
       });
+    } catch (error) {
+      const status = {
+        ok: false,
+        fromVersion,
+        toVersion: SCHEMA_VERSION,
+        failedStep: currentStep ? currentStep.version : null,
+        description: currentStep ? currentStep.description : 'Saving migrated settings',
+        error: error?.message || String(error),
+        timestamp: Date.now(),
+      };
+      console.error('[cc3Storage] Settings migration failed:', status);
+      await writeMigrationStatus(status);
+      return status;
+    }
+
+    const status = { ok: true, fromVersion, toVersion: SCHEMA_VERSION, timestamp: Date.now() };
+    console.log(`[cc3Storage] Migrated settings from schema v${fromVersion} to v${SCHEMA_VERSION}`);
+    await writeMigrationStatus(status);
+    return status;
+  }
+
+  function ensureMigrated() {
+    if (!migrationPromise) {
+      migrationPromise = runMigrations().catch((error) => {
+        console.error('[cc3Storage] Unexpected migration error:', error);
+        return { ok: false, error: error?.message || String(error) };
+      });
+    }
+    return migrationPromise;
+  }
+
+  /**
+   * Result of the most recent migration run (from any extension context)
+   * @returns {Promise<Object|null>} Stored status or null if no migration has run
+   */
+  async function getMigrationStatus() {
+    await ensureMigrated();
+    return new Promise((resolve) => {
+      chrome.storage.local.get(MIGRATION_STATUS_KEY, (res) => resolve(res?.[MIGRATION_STATUS_KEY] || null));
     });
   }
 
-  async function setSettings(partial) {
-    const current = await getSettings();
-    const next = deepMerge(current, partial);
+  /**
+   * Dismiss a reported migration failure. The next context to load settings retries.
+   * @returns {Promise<void>}
+   */
+  async function clearMigrationStatus() {
     return new Promise((resolve) => {
-      chrome.storage.sync.set({ settings: next }, () => resolve(next));
+      chrome.storage.local.remove(MIGRATION_STATUS_KEY, () => resolve());
     });
   }
 
+  function withDefaults(stored) {
+    const merged = deepMerge(defaultSettings, stored || {});
+    // Keep the stored version so a failed migration is retried instead of
+    // being masked by the default schemaVersion on the next write
+    merged.schemaVersion = stored ? Number(stored.schemaVersion) || 0 : SCHEMA_VERSION;
+    return merged;
+  }
+
+  async function getSettings() {
+    await ensureMigrated();
+    return withDefaults(await readStoredSettings());
+  }
+
+  async function setSettings(partial) {
+    return updateSettings(() => partial);
+  }
+
   function onSettingsChanged(callback) {
     const listener = (changes, area) => {
-      if (area !== 'sync' || !changes.settings) return;
-      const { newValue } = changes.settings;
-      // Only call callback if we have a valid newValue, avoid falling back to defaults
+      if (area !== 'sync' || !isSettingsChange(changes)) return;
+      // Only call callback if settings exist, avoid falling back to defaults
       // which could override user choices with default enabled: true
-      if (newValue) {
-        callback(newValue);
-      }
+      readStoredSettings().then((stored) => {
+        if (stored) {
+          callback(stored);
+        }
+      });
     };
     chrome.storage.onChanged.addListener(listener);
 
@@ -174,6 +802,88 @@
     return () => chrome.storage.onChanged.removeListener(listener);
   }
 
+  // ========================================
+  // PATH SUBSCRIPTIONS
+  // ========================================
+
+  const pathSubscribers = new Set();
+  let pathListener = null;
+
+  // Leaf paths into the logical settings object touched by an onChanged payload
+  function changedSettingsPaths(changes) {
+    const paths = [];
+    for (const [key, { oldValue, newValue }] of Object.entries(changes)) {
+      if (key === 'settings') {
+        diffValues(oldValue, newValue, [], []).forEach(({ path }) => {
+          if (path[0] !== 'revision') paths.push(path);
+        });
+      } else if (isShardKey(key)) {
+        const map = SHARDED_MAPS.find((m) => key.startsWith(`${SHARD_PREFIX}${m.name}.`));
+        if (!map) continue;
+        diffValues(oldValue, newValue, [], []).forEach(({ path }) => paths.push([...map.path, ...path]));
+      }
+    }
+    return paths;
+  }
+
+  // A change counts for a subscription when either path contains the other
+  function pathsOverlap(a, b) {
+    const length = Math.min(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+      if (a[i] !== b[i]) return false;
+    }
+    return true;
+  }
+
+  function handlePathChanges(changes, area) {
+    if (area !== 'sync' || !isSettingsChange(changes)) return;
+    const changed = changedSettingsPaths(changes);
+    const matches = [...pathSubscribers].filter((sub) => changed.some((path) => pathsOverlap(sub.keys, path)));
+    if (matches.length === 0) return;
+
+    readStoredSettings().then((stored) => {
+      // Same rule as onSettingsChanged: never hand out bare defaults
+      if (!stored) return;
+      const settings = withDefaults(stored);
+      const changedPaths = changed.map((path) => path.join('.'));
+      for (const sub of matches) {
+        if (!pathSubscribers.has(sub)) continue;
+        try {
+          sub.callback(getAtPath(settings, sub.keys), { path: sub.keys.join('.'), changedPaths, settings });
+        } catch (error) {
+          console.error('[cc3Storage] Settings subscriber failed:', sub.keys.join('.'), error);
+        }
+      }
+    });
+  }
+
+  /**
+   * Listen for changes to one settings path from any context, e.g. 'weekdayColors.3'
+   * or 'timeBlocking.weeklySchedule.mon'. Changes above or below the path count too,
+   * so 'timeBlocking' fires for any time blocking edit.
+   * @param {string|string[]} path - Dot path (or key array) into settings; '' for any change
+   * @param {Function} callback - Receives (value, { path, changedPaths, settings });
+   *   `value` and `settings` have defaults merged in, `changedPaths` are dot paths
+   * @returns {Function} Unsubscribe function
+   */
+  function subscribe(path, callback) {
+    const keys = Array.isArray(path) ? path.map(String) : String(path).split('.').filter(Boolean);
+    const sub = { keys, callback };
+    pathSubscribers.add(sub);
+    if (!pathListener) {
+      pathListener = handlePathChanges;
+      chrome.storage.onChanged.addListener(pathListener);
+    }
+
+    return () => {
+      pathSubscribers.delete(sub);
+      if (pathSubscribers.size === 0 && pathListener) {
+        chrome.storage.onChanged.removeListener(pathListener);
+        pathListener = null;
+      }
+    };
+  }
+
   function ymdFromDate(date) {
     const y = date.getFullYear();
     const m = String(date.getMonth() + 1).padStart(2, '0');
@@ -185,137 +895,524 @@
     return setSettings({ enabled });
   }
   async function setWeekdayColor(weekdayIndex, color) {
+    assertValid(checkWeekdayIndex(weekdayIndex), checkColor(color));
     const key = String(weekdayIndex);
     return setSettings({ weekdayColors: { [key]: color } });
   }
   async function setWeekdayOpacity(weekdayIndex, opacity) {
+    assertValid(checkWeekdayIndex(weekdayIndex), checkOpacity(opacity));
     const key = String(weekdayIndex);
     return setSettings({ weekdayOpacity: { [key]: opacity } });
   }
+
+  // Keep only the known fill fields; a solid fill is stored as no fill at all
+  function pickFill(fill) {
+    if (!fill || fill.style === 'solid') return null;
+    return {
+      style: fill.style,
+      ...(fill.density !== undefined && { density: fill.density }),
+      ...(fill.angle !== undefined && { angle: fill.angle }),
+    };
+  }
+
+  /**
+   * Pattern fill for a weekday's color
+   * @param {number|string} weekdayIndex - 0 (Sunday) to 6
+   * @param {{style: string, density?: number, angle?: number}|null} fill - null for a flat tint
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function setWeekdayFill(weekdayIndex, fill) {
+    const next = fill || { style: 'solid' };
+    assertValid(checkWeekdayIndex(weekdayIndex), checkFill(next));
+    const key = String(weekdayIndex);
+    return updateSettings((current) => ({ weekdayFills: { ...current.weekdayFills, [key]: pickFill(next) || { style: 'solid' } } }));
+  }
+
+  /**
+   * Read a dateColors value in either stored form
+   * @param {string|Object|undefined} value - '#RRGGBB' or { color, label?, emoji?, fill? }
+   * @returns {{color: string, label: string, emoji: string, fill: Object|null}|null}
+   */
+  function normalizeDateEntry(value) {
+    if (!value) return null;
+    if (typeof value === 'string') return { color: value, label: '', emoji: '', fill: null };
+    return { color: value.color, label: value.label || '', emoji: value.emoji || '', fill: pickFill(value.fill) };
+  }
+
+  // Plain flat-tint dates keep the compact string form to save sync quota
+  function compactDateEntry({ color, label, emoji, fill }) {
+    const pattern = pickFill(fill);
+    if (!label && !emoji && !pattern) return color;
+    return { color, ...(label && { label }), ...(emoji && { emoji }), ...(pattern && { fill: pattern }) };
+  }
+
+  // Changing only the color keeps the date's label, emoji and fill
   async function setDateColor(dateKey, color) {
     if (!dateKey) return;
-    const patch = { dateColors: {} };
-    if (color) {
-      patch.dateColors[dateKey] = color;
-    } else {
-      // remove
-      const current = await getSettings();
+    assertValid(checkDateKey(dateKey), checkColor(color, 'color', { allowEmpty: true }));
+    // dateColors is a replace-key, so always write the full map
+    return updateSettings((current) => {
       const next = { ...current.dateColors };
-      delete next[dateKey];
-      return setSettings({ dateColors: next });
-    }
-    return setSettings(patch);
+      if (color) {
+        next[dateKey] = compactDateEntry({ ...normalizeDateEntry(next[dateKey]), color });
+      } else {
+        delete next[dateKey];
+      }
+      return { dateColors: next };
+    });
   }
   async function clearDateColor(dateKey) {
     return setDateColor(dateKey, null);
   }
+
+  /**
+   * Set a date's color together with an optional short label and emoji (e.g. "🚀 Release")
+   * and pattern fill
+   * @param {string} dateKey
+   * @param {{color: string, label?: string, emoji?: string, fill?: Object}|null} entry - null clears the date
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function setDateEntry(dateKey, entry) {
+    if (!entry) return clearDateColor(dateKey);
+    const next = {
+      color: entry.color,
+      label: typeof entry.label === 'string' ? entry.label.trim() : '',
+      emoji: typeof entry.emoji === 'string' ? entry.emoji.trim() : '',
+      fill: entry.fill || null,
+    };
+    assertValid(checkDateKey(dateKey), checkDateEntry(next));
+    return updateSettings((current) => ({ dateColors: { ...current.dateColors, [dateKey]: compactDateEntry(next) } }));
+  }
+
+  function normalizeDateRange(range, id) {
+    return {
+      id,
+      start: range.start,
+      end: range.end,
+      color: range.color,
+      opacity: range.opacity ?? 30,
+      label: typeof range.label === 'string' ? range.label.trim() : '',
+    };
+  }
+
+  /**
+   * Color every day from start to end (inclusive), e.g. a vacation or sprint.
+   * Where ranges overlap the most recently added one wins.
+   * @param {{start: string, end: string, color: string, opacity?: number, label?: string}} range
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function addDateRange(range) {
+    const next = normalizeDateRange(range || {}, createId('range'));
+    assertValid(checkDateRange(next));
+    return updateSettings((current) => ({ dateRanges: [...(current.dateRanges || []), next] }));
+  }
+
+  /**
+   * @param {string} rangeId
+   * @param {Object} changes - Any of start, end, color, opacity, label
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function updateDateRange(rangeId, changes) {
+    return updateSettings((current) => {
+      const ranges = current.dateRanges || [];
+      const index = ranges.findIndex((r) => r.id === rangeId);
+      if (index === -1) return null;
+      const next = normalizeDateRange({ ...ranges[index], ...changes }, rangeId);
+      assertValid(checkDateRange(next));
+      return { dateRanges: ranges.map((r, i) => (i === index ? next : r)) };
+    });
+  }
+
+  async function removeDateRange(rangeId) {
+    return updateSettings((current) => {
+      const ranges = current.dateRanges || [];
+      if (!ranges.some((r) => r.id === rangeId)) return null;
+      return { dateRanges: ranges.filter((r) => r.id !== rangeId) };
+    });
+  }
+
+  function normalizeDateRule(entry, id) {
+    const rule = entry.rule || {};
+    return {
+      id,
+      rule: {
+        freq: rule.freq,
+        interval: rule.interval ?? 1,
+        byDay: rule.byDay || [],
+        byMonthDay: rule.byMonthDay || [],
+        byMonth: rule.byMonth || [],
+        bySetPos: rule.bySetPos || [],
+        dtstart: rule.dtstart,
+        until: rule.until || null,
+      },
+      color: entry.color,
+      opacity: entry.opacity ?? 30,
+      label: typeof entry.label === 'string' ? entry.label.trim() : '',
+    };
+  }
+
+  /**
+   * Color every date a recurrence rule produces, e.g. "every other Friday" or
+   * "first Monday of the month" (see lib/recurrence.js for the rule shape).
+   * Where rules overlap the most recently added one wins.
+   * @param {{rule: Object, color: string, opacity?: number, label?: string}} entry
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function addDateRule(entry) {
+    const next = normalizeDateRule(entry || {}, createId('rule'));
+    assertValid(checkDateRule(next));
+    return updateSettings((current) => ({ dateRules: [...(current.dateRules || []), next] }));
+  }
+
+  /**
+   * @param {string} ruleId
+   * @param {Object} changes - Any of rule, color, opacity, label
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function updateDateRule(ruleId, changes) {
+    return updateSettings((current) => {
+      const rules = current.dateRules || [];
+      const index = rules.findIndex((r) => r.id === ruleId);
+      if (index === -1) return null;
+      const next = normalizeDateRule({ ...rules[index], ...changes }, ruleId);
+      assertValid(checkDateRule(next));
+      return { dateRules: rules.map((r, i) => (i === index ? next : r)) };
+    });
+  }
+
+  async function removeDateRule(ruleId) {
+    return updateSettings((current) => {
+      const rules = current.dateRules || [];
+      if (!rules.some((r) => r.id === ruleId)) return null;
+      return { dateRules: rules.filter((r) => r.id !== ruleId) };
+    });
+  }
+
+  /**
+   * Public holidays tinted automatically, below every user-set date color
+   * @param {{countries?: string[], color?: string, opacity?: number}} changes
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function setHolidaySettings(changes) {
+    const next = { ...changes };
+    if (next.countries) next.countries = [...new Set(next.countries)];
+    assertValid(checkHolidaySettings(next));
+    return setSettings({ holidays: next });
+  }
+
+  /**
+   * Past-day dimming and today accent for the calendar views
+   * @param {{enabled?: boolean, pastDim?: number, accent?: string, color?: string}} changes
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function setTodayHighlight(changes) {
+    assertValid(checkTodayHighlight(changes));
+    return setSettings({ todayHighlight: changes });
+  }
+
+  /**
+   * Odd/even or N-week cycle tints and week number labels (see lib/weekNumbers.js)
+   * @param {Object} changes - Partial weekBanding settings
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function setWeekBanding(changes) {
+    assertValid(checkWeekBanding(changes));
+    return setSettings({ weekBanding: changes });
+  }
+  /**
+   * Dark theme palette, opacity profile and color adaptation (see lib/themeColors.js)
+   * @param {Object} changes - Partial darkTheme settings
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function setDarkTheme(changes) {
+    assertValid(checkDarkTheme(changes));
+    return setSettings({ darkTheme: changes });
+  }
   async function addPresetColor(color) {
-    const current = await getSettings();
-    const set = new Set([...(current.presetColors || []), color]);
-    return setSettings({ presetColors: Array.from(set).slice(0, 32) });
+    assertValid(checkColor(color));
+    return updateSettings((current) => {
+      const set = new Set([...(current.presetColors || []), color]);
+      return { presetColors: Array.from(set).slice(0, 32) };
+    });
   }
   async function setWeekStart(weekStart) {
-    return setSettings({ weekStart });
+    assertValid(checkWeekdayIndex(weekStart, 'weekStart'));
+    return setSettings({ weekStart: Number(weekStart) });
   }
   async function setWeekStartConfigured(configured) {
     return setSettings({ weekStartConfigured: configured });
   }
 
+  /**
+   * Record the week start Calendar is actually rendering. Only writes on change,
+   * since the painters report it on every repaint.
+   * @param {number} weekStart - 0 (Sunday) to 6 (Saturday)
+   * @returns {Promise<void>}
+   */
+  async function setDetectedWeekStart(weekStart) {
+    assertValid(checkWeekdayIndex(weekStart, 'weekStart'));
+    const current = await getDetectedWeekStart();
+    if (current === Number(weekStart)) return;
+    return new Promise((resolve) => {
+      chrome.storage.local.set(
+        { [DETECTED_WEEK_START_KEY]: { weekStart: Number(weekStart), detectedAt: new Date().toISOString() } },
+        () => resolve(),
+      );
+    });
+  }
+
+  /**
+   * @returns {Promise<number|null>} Week start last seen on a Calendar tab, or null if none yet
+   */
+  async function getDetectedWeekStart() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(DETECTED_WEEK_START_KEY, (res) => {
+        const weekStart = res?.[DETECTED_WEEK_START_KEY]?.weekStart;
+        resolve(Number.isInteger(weekStart) ? weekStart : null);
+      });
+    });
+  }
+
   // Task coloring functions
   async function setTaskColoringEnabled(enabled) {
     return setSettings({ taskColoring: { enabled } });
   }
 
+  // ========================================
+  // TASK COLOR RULES
+  // ========================================
+
+  function normalizeTaskRule(entry, id) {
+    return {
+      id,
+      match: entry.match || 'contains',
+      pattern: typeof entry.pattern === 'string' ? entry.pattern.trim() : entry.pattern,
+      caseSensitive: entry.caseSensitive === true,
+      bgColor: entry.bgColor || '',
+      textColor: entry.textColor || '',
+      stop: entry.stop !== false,
+    };
+  }
+
+  const getTaskRules = (current) => current.taskColoring?.rules || [];
+
+  /**
+   * Color tasks whose title contains, starts with or matches a pattern. New rules
+   * go to the bottom of the list; earlier rules win.
+   * @param {{match: string, pattern: string, caseSensitive?: boolean, bgColor?: string, textColor?: string, stop?: boolean}} entry
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function addTaskRule(entry) {
+    const next = normalizeTaskRule(entry || {}, createId('taskrule'));
+    assertValid(checkTaskRule(next));
+    return updateSettings((current) => {
+      const rules = [...getTaskRules(current), next];
+      assertValid(checkTaskRules(rules));
+      return { taskColoring: { rules } };
+    });
+  }
+
+  /**
+   * @param {string} ruleId
+   * @param {Object} changes - Any of match, pattern, caseSensitive, bgColor, textColor, stop
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function updateTaskRule(ruleId, changes) {
+    return updateSettings((current) => {
+      const rules = getTaskRules(current);
+      const index = rules.findIndex((r) => r.id === ruleId);
+      if (index === -1) return null;
+      const next = normalizeTaskRule({ ...rules[index], ...changes }, ruleId);
+      assertValid(checkTaskRule(next));
+      return { taskColoring: { rules: rules.map((r, i) => (i === index ? next : r)) } };
+    });
+  }
+
+  async function removeTaskRule(ruleId) {
+    return updateSettings((current) => {
+      const rules = getTaskRules(current);
+      if (!rules.some((r) => r.id === ruleId)) return null;
+      return { taskColoring: { rules: rules.filter((r) => r.id !== ruleId) } };
+    });
+  }
+
+  /**
+   * @param {string} ruleId
+   * @param {number} offset - -1 moves the rule up (evaluated earlier), 1 down
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function moveTaskRule(ruleId, offset) {
+    return updateSettings((current) => {
+      const rules = [...getTaskRules(current)];
+      const index = rules.findIndex((r) => r.id === ruleId);
+      const target = index + offset;
+      if (index === -1 || target < 0 || target >= rules.length) return null;
+      [rules[index], rules[target]] = [rules[target], rules[index]];
+      return { taskColoring: { rules } };
+    });
+  }
+
+  async function setTaskRulesPriority(priority) {
+    assertValid(checkTaskRulesPriority(priority));
+    return setSettings({ taskColoring: { rulesPriority: priority } });
+  }
+
+  // ========================================
+  // TASK HASHTAG COLORS
+  // ========================================
+
+  /**
+   * Color tasks whose notes carry a hashtag
+   * @param {string} tag - Lowercase tag without # (lib/taskTags.js normalizeTag)
+   * @param {{bgColor?: string, textColor?: string, icon?: string}} style
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function setTaskTagStyle(tag, style) {
+    const next = { bgColor: style?.bgColor || '', textColor: style?.textColor || '', icon: (style?.icon || '').trim() };
+    assertValid(checkTaskTag(tag), checkTaskTagStyle(next));
+    return updateSettings((current) => {
+      const tags = { ...(current.taskColoring?.tags || {}), [tag]: next };
+      assertValid(checkTaskTags(tags));
+      return { taskColoring: { tags } };
+    });
+  }
+
+  async function removeTaskTagStyle(tag) {
+    return updateSettings((current) => {
+      const tags = { ...(current.taskColoring?.tags || {}) };
+      if (!tags[tag]) return null;
+      delete tags[tag];
+      return { taskColoring: { tags } };
+    });
+  }
+
+  async function setTaskTagsPriority(priority) {
+    assertValid(checkTaskRulesPriority(priority, 'taskColoring.tagsPriority'));
+    return setSettings({ taskColoring: { tagsPriority: priority } });
+  }
+
+  /**
+   * Tags found in synced task notes, most used first
+   * @returns {Promise<Array<{tag: string, count: number}>>}
+   */
+  async function getTaskTagIndex() {
+    const taskTags = await new Promise((resolve) => {
+      chrome.storage.local.get('cf.taskTags', (result) => resolve(result['cf.taskTags'] || {}));
+    });
+    const counts = new Map();
+    for (const tags of Object.values(taskTags)) {
+      tags.forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1));
+    }
+    return [...counts].map(([tag, count]) => ({ tag, count })).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+
   async function setTaskPresetColors(colors) {
+    assertValid(...colors.map((c, i) => checkColor(c, `colors[${i}]`)));
     return setSettings({ taskColoring: { presetColors: colors } });
   }
 
   async function addTaskPresetColor(color) {
-    const current = await getSettings();
-    const currentColors = current.taskColoring?.presetColors || DEFAULT_TASK_PRESET_COLORS;
-    const newColors = [...currentColors];
-    if (!newColors.includes(color)) {
-      newColors.push(color);
-      // Limit to 12 colors
-      if (newColors.length > 12) {
-        newColors.shift();
+    assertValid(checkColor(color));
+    return updateSettings((current) => {
+      const currentColors = current.taskColoring?.presetColors || DEFAULT_TASK_PRESET_COLORS;
+      const newColors = [...currentColors];
+      if (!newColors.includes(color)) {
+        newColors.push(color);
+        // Limit to 12 colors
+        if (newColors.length > 12) {
+          newColors.shift();
+        }
       }
-    }
-    return setSettings({ taskColoring: { presetColors: newColors } });
+      return { taskColoring: { presetColors: newColors } };
+    });
   }
 
   async function removeTaskPresetColor(index) {
-    const current = await getSettings();
-    const currentColors = current.taskColoring?.presetColors || DEFAULT_TASK_PRESET_COLORS;
-    const newColors = [...currentColors];
-    if (index >= 0 && index < newColors.length) {
-      newColors.splice(index, 1);
-    }
-    return setSettings({ taskColoring: { presetColors: newColors } });
+    return updateSettings((current) => {
+      const currentColors = current.taskColoring?.presetColors || DEFAULT_TASK_PRESET_COLORS;
+      const newColors = [...currentColors];
+      if (index >= 0 && index < newColors.length) {
+        newColors.splice(index, 1);
+      }
+      return { taskColoring: { presetColors: newColors } };
+    });
   }
 
   async function updateTaskPresetColor(index, color) {
-    const current = await getSettings();
-    const currentColors = current.taskColoring?.presetColors || DEFAULT_TASK_PRESET_COLORS;
-    const newColors = [...currentColors];
-    if (index >= 0 && index < newColors.length) {
-      newColors[index] = color;
-    }
-    return setSettings({ taskColoring: { presetColors: newColors } });
+    assertValid(checkColor(color));
+    return updateSettings((current) => {
+      const currentColors = current.taskColoring?.presetColors || DEFAULT_TASK_PRESET_COLORS;
+      const newColors = [...currentColors];
+      if (index >= 0 && index < newColors.length) {
+        newColors[index] = color;
+      }
+      return { taskColoring: { presetColors: newColors } };
+    });
   }
 
   // Inline colors functions (for the 8 colors shown inline in modal)
   async function setTaskInlineColors(colors) {
+    assertValid(...colors.map((c, i) => checkColor(c, `colors[${i}]`)));
     return setSettings({ taskColoring: { inlineColors: colors.slice(0, 8) } });
   }
 
   async function updateTaskInlineColor(index, color) {
-    const current = await getSettings();
-    const currentColors = current.taskColoring?.inlineColors || DEFAULT_TASK_INLINE_COLORS;
-    const newColors = [...currentColors];
-    if (index >= 0 && index < newColors.length) {
-      newColors[index] = color;
-    }
-    return setSettings({ taskColoring: { inlineColors: newColors } });
+    assertValid(checkColor(color));
+    return updateSettings((current) => {
+      const currentColors = current.taskColoring?.inlineColors || DEFAULT_TASK_INLINE_COLORS;
+      const newColors = [...currentColors];
+      if (index >= 0 && index < newColors.length) {
+        newColors[index] = color;
+      }
+      return { taskColoring: { inlineColors: newColors } };
+    });
   }
 
   // ========================================
   // RECURRING TASK MANUAL COLORS
   // ========================================
   // For coloring all instances of a recurring task
-  // Storage: cf.recurringTaskColors[fingerprint] = color
-  // Fingerprint format: "title|time" (e.g., "recur tasksss|2pm")
+  // Storage: cf.recurringTaskColors[seriesId] = color
+  // Series ID format: "series:<recurringEventId>" from the Calendar API (see
+  // lib/google-calendar-api.js seriesIdFromEvent). Older keys are "title|time"
+  // fingerprints (e.g., "recur tasksss|2pm"); they still match, and their color is copied
+  // to each series ID that resolves to them (migrateRecurringTaskColor). Two series can
+  // share a fingerprint, so the fingerprint key stays until it is cleared explicitly.
 
   // Set color for all instances of a recurring task
-  async function setRecurringTaskColor(fingerprint, color) {
-    if (!fingerprint) return;
+  async function setRecurringTaskColor(seriesKey, color) {
+    if (!seriesKey) return;
+    assertValid(checkColor(color));
 
-    return new Promise((resolve) => {
-      chrome.storage.sync.get('cf.recurringTaskColors', (result) => {
-        const current = result['cf.recurringTaskColors'] || {};
-        const updated = { ...current, [fingerprint]: color };
+    return updateSyncItem('cf.recurringTaskColors', (current) => ({ ...(current || {}), [seriesKey]: color }));
+  }
 
-        chrome.storage.sync.set({ 'cf.recurringTaskColors': updated }, () => {
-          resolve(updated);
-        });
-      });
+  // Clear color for all instances of a recurring task (series ID and/or legacy fingerprint)
+  async function clearRecurringTaskColor(...seriesKeys) {
+    const keys = seriesKeys.filter(Boolean);
+    if (keys.length === 0) return;
+
+    return updateSyncItem('cf.recurringTaskColors', (current) => {
+      const updated = { ...(current || {}) };
+      keys.forEach((key) => delete updated[key]);
+      return updated;
     });
   }
 
-  // Clear color for all instances of a recurring task
-  async function clearRecurringTaskColor(fingerprint) {
-    if (!fingerprint) return;
-
-    return new Promise((resolve) => {
-      chrome.storage.sync.get('cf.recurringTaskColors', (result) => {
-        const current = result['cf.recurringTaskColors'] || {};
-        const updated = { ...current };
-        delete updated[fingerprint];
+  /**
+   * Copy a legacy fingerprint color onto a series ID that resolved to it. A color
+   * already set on the series wins. The fingerprint key is kept for other series with
+   * the same title and time, and for instances whose series isn't resolved yet.
+   * @param {string} fingerprint - "title|time"
+   * @param {string} seriesId - "series:<recurringEventId>"
+   * @returns {Promise<Object|undefined>} Recurring colors after the copy
+   */
+  async function migrateRecurringTaskColor(fingerprint, seriesId) {
+    if (!fingerprint || !seriesId || fingerprint === seriesId) return;
 
-        chrome.storage.sync.set({ 'cf.recurringTaskColors': updated }, () => {
-          resolve(updated);
-        });
-      });
+    return updateSyncItem('cf.recurringTaskColors', (current) => {
+      if (!current || current[fingerprint] === undefined || current[seriesId]) return current;
+      return { ...current, [seriesId]: current[fingerprint] };
     });
   }
 
@@ -342,35 +1439,20 @@
   // Set default color for a task list
   async function setTaskListDefaultColor(listId, color) {
     if (!listId) return;
+    assertValid(checkListId(listId), checkColor(color));
 
-    return new Promise((resolve) => {
-      chrome.storage.sync.get('cf.taskListColors', (result) => {
-        const current = result['cf.taskListColors'] || {};
-        const updated = { ...current, [listId]: color };
-
-        chrome.storage.sync.set({ 'cf.taskListColors': updated }, () => {
-          resolve(updated);
-        });
-      });
-    });
+    return updateSyncItem('cf.taskListColors', (current) => ({ ...(current || {}), [listId]: color }));
   }
 
   // Set text color override for a task list
   async function setTaskListTextColor(listId, color) {
     if (!listId || !color) return;
-
-    // Get current text colors from consolidated storage key
-    const { 'cf.taskListTextColors': current } = await chrome.storage.sync.get('cf.taskListTextColors');
-    const updated = { ...(current || {}), [listId]: color };
-
-    console.log('[Storage] Setting task list text color:', { listId, color, updated });
+    assertValid(checkListId(listId), checkColor(color));
 
     // Write only to consolidated key (reads merge from all sources for backward compatibility)
-    await chrome.storage.sync.set({ 'cf.taskListTextColors': updated });
+    const updated = await updateSyncItem('cf.taskListTextColors', (current) => ({ ...(current || {}), [listId]: color }));
 
-    // Verify it was saved
-    const verify = await chrome.storage.sync.get('cf.taskListTextColors');
-    console.log('[Storage] Verified text colors saved:', verify['cf.taskListTextColors']);
+    console.log('[Storage] Set task list text color:', { listId, color, updated });
 
     return updated;
   }
@@ -378,32 +1460,26 @@
   // Clear default color for a task list
   async function clearTaskListDefaultColor(listId) {
     if (!listId) return;
+    assertValid(checkListId(listId));
 
-    return new Promise((resolve) => {
-      chrome.storage.sync.get('cf.taskListColors', (result) => {
-        const current = result['cf.taskListColors'] || {};
-        const updated = { ...current };
-        delete updated[listId];
-
-        chrome.storage.sync.set({ 'cf.taskListColors': updated }, () => {
-          resolve(updated);
-        });
-      });
+    return updateSyncItem('cf.taskListColors', (current) => {
+      const updated = { ...(current || {}) };
+      delete updated[listId];
+      return updated;
     });
   }
 
   // Clear text color override for a task list
   async function clearTaskListTextColor(listId) {
     if (!listId) return;
-
-    // Get current text colors from consolidated storage key
-    const { 'cf.taskListTextColors': current } = await chrome.storage.sync.get('cf.taskListTextColors');
-    const updated = { ...(current || {}) };
-    delete updated[listId];
+    assertValid(checkListId(listId));
 
     // Write only to consolidated key (reads merge from all sources for backward compatibility)
-    await chrome.storage.sync.set({ 'cf.taskListTextColors': updated });
-    return updated;
+    return updateSyncItem('cf.taskListTextColors', (current) => {
+      const updated = { ...(current || {}) };
+      delete updated[listId];
+      return updated;
+    });
   }
 
   // Get all list default colors
@@ -617,308 +1693,1121 @@
   }
 
   // ========================================
-  // COMPLETED TASK STYLING FUNCTIONS
+  // COMPLETED TASK STYLING FUNCTIONS
+  // ========================================
+
+  const COMPLETED_STYLING_MODES = ['google', 'inherit', 'custom'];
+
+  /**
+   * Enable/disable completed task styling for a specific list
+   * @param {string} listId - Task list ID
+   * @param {boolean} enabled - Enable completed styling
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function setCompletedStylingEnabled(listId, enabled) {
+    if (!listId) return;
+    assertValid(checkListId(listId));
+
+    return updateSettings((current) => {
+      const completedStyling = current.taskListColoring?.completedStyling || {};
+
+      const listStyling = completedStyling[listId] || {};
+      listStyling.enabled = enabled;
+
+      return {
+        taskListColoring: {
+          completedStyling: {
+            ...completedStyling,
+            [listId]: listStyling,
+          },
+        },
+      };
+    });
+  }
+
+  /**
+   * Set completed task background color for a specific list
+   * @param {string} listId - Task list ID
+   * @param {string} color - Hex color
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function setCompletedBgColor(listId, color) {
+    if (!listId) return;
+    assertValid(checkListId(listId), checkColor(color));
+
+    return updateSettings((current) => {
+      const completedStyling = current.taskListColoring?.completedStyling || {};
+
+      const listStyling = completedStyling[listId] || {};
+      listStyling.bgColor = color;
+
+      return {
+        taskListColoring: {
+          completedStyling: {
+            ...completedStyling,
+            [listId]: listStyling,
+          },
+        },
+      };
+    });
+  }
+
+  /**
+   * Set completed task text color for a specific list
+   * @param {string} listId - Task list ID
+   * @param {string} color - Hex color
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function setCompletedTextColor(listId, color) {
+    if (!listId) return;
+    assertValid(checkListId(listId), checkColor(color));
+
+    return updateSettings((current) => {
+      const completedStyling = current.taskListColoring?.completedStyling || {};
+
+      const listStyling = completedStyling[listId] || {};
+      listStyling.textColor = color;
+
+      return {
+        taskListColoring: {
+          completedStyling: {
+            ...completedStyling,
+            [listId]: listStyling,
+          },
+        },
+      };
+    });
+  }
+
+  /**
+   * Set completed task background opacity for a specific list
+   * @param {string} listId - Task list ID
+   * @param {number} opacity - Opacity 0-100 or 0-1
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function setCompletedBgOpacity(listId, opacity) {
+    if (!listId) return;
+    assertValid(checkListId(listId), checkOpacity(opacity));
+
+    return updateSettings((current) => {
+      const completedStyling = current.taskListColoring?.completedStyling || {};
+
+      const listStyling = completedStyling[listId] || {};
+      // Normalize to 0-1 range
+      listStyling.bgOpacity = opacity > 1 ? opacity / 100 : opacity;
+
+      return {
+        taskListColoring: {
+          completedStyling: {
+            ...completedStyling,
+            [listId]: listStyling,
+          },
+        },
+      };
+    });
+  }
+
+  /**
+   * Set completed task text opacity for a specific list
+   * @param {string} listId - Task list ID
+   * @param {number} opacity - Opacity 0-100 or 0-1
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function setCompletedTextOpacity(listId, opacity) {
+    if (!listId) return;
+    assertValid(checkListId(listId), checkOpacity(opacity));
+
+    return updateSettings((current) => {
+      const completedStyling = current.taskListColoring?.completedStyling || {};
+
+      const listStyling = completedStyling[listId] || {};
+      // Normalize to 0-1 range
+      listStyling.textOpacity = opacity > 1 ? opacity / 100 : opacity;
+
+      return {
+        taskListColoring: {
+          completedStyling: {
+            ...completedStyling,
+            [listId]: listStyling,
+          },
+        },
+      };
+    });
+  }
+
+  /**
+   * Set completed task styling mode for a specific list
+   * @param {string} listId - Task list ID
+   * @param {string} mode - 'google' | 'inherit' | 'custom'
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function setCompletedStylingMode(listId, mode) {
+    if (!listId) return;
+    assertValid(checkListId(listId), checkOneOf(mode, COMPLETED_STYLING_MODES, 'mode'));
+
+    return updateSettings((current) => {
+      const completedStyling = current.taskListColoring?.completedStyling || {};
+
+      const listStyling = completedStyling[listId] || {};
+      listStyling.mode = mode;
+
+      return {
+        taskListColoring: {
+          completedStyling: {
+            ...completedStyling,
+            [listId]: listStyling,
+          },
+        },
+      };
+    });
+  }
+
+  /**
+   * Clear all completed task styling for a specific list
+   * @param {string} listId - Task list ID
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function clearCompletedStyling(listId) {
+    if (!listId) return;
+    assertValid(checkListId(listId));
+
+    return updateSettings((current) => {
+      const completedStyling = { ...(current.taskListColoring?.completedStyling || {}) };
+      delete completedStyling[listId];
+
+      return {
+        taskListColoring: {
+          completedStyling,
+        },
+      };
+    });
+  }
+
+  // ========================================
+  // TASK DUE-DATE URGENCY
+  // ========================================
+
+  /**
+   * Update the urgency overlay defaults (shared by every list without overrides)
+   * @param {Object} partial - Any of enabled, style, soonDays, colors
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function setTaskUrgency(partial) {
+    assertValid(checkTaskUrgency(partial));
+    return setSettings({ taskListColoring: { urgency: partial } });
+  }
+
+  /**
+   * Override urgency thresholds/colors for one task list
+   * @param {string} listId - Task list ID
+   * @param {Object} partial - Any of enabled, style, soonDays, colors
+   * @returns {Promise<Object>} Updated settings
+   */
+  async function setListUrgency(listId, partial) {
+    assertValid(checkListId(listId), checkTaskUrgency(partial, `taskListColoring.urgency.lists.${listId}`, { allowLists: false }));
+    return updateSettings((current) => {
+      const lists = current.taskListColoring?.urgency?.lists || {};
+      const overrides = { ...lists[listId], ...partial };
+      if (partial.colors) overrides.colors = { ...lists[listId]?.colors, ...partial.colors };
+      return { taskListColoring: { urgency: { lists: { ...lists, [listId]: overrides } } } };
+    });
+  }
+
+  async function clearListUrgency(listId) {
+    assertValid(checkListId(listId));
+    return updateSettings((current) => {
+      const lists = { ...(current.taskListColoring?.urgency?.lists || {}) };
+      if (!lists[listId]) return null;
+      delete lists[listId];
+      return { taskListColoring: { urgency: { lists } } };
+    });
+  }
+
+  /**
+   * Get completed task styling for a specific list
+   * @param {string} listId - Task list ID
+   * @returns {Promise<Object|null>} Completed styling config or null
+   */
+  async function getCompletedStyling(listId) {
+    const settings = await getSettings();
+    return settings.taskListColoring?.completedStyling?.[listId] || null;
+  }
+
+  // Time Blocking functions
+  async function setTimeBlockingEnabled(enabled) {
+    return setSettings({ timeBlocking: { enabled } });
+  }
+
+  async function setTimeBlockingGlobalColor(color) {
+    assertValid(checkColor(color));
+    return setSettings({ timeBlocking: { globalColor: color } });
+  }
+
+  async function setTimeBlockingShadingStyle(style) {
+    assertValid(checkShadingStyle(style));
+    return setSettings({ timeBlocking: { shadingStyle: style } });
+  }
+
+  async function setTimeBlockingSchedule(schedule) {
+    assertValid(checkWeeklySchedule(schedule));
+    return setSettings({ timeBlocking: { weeklySchedule: schedule } });
+  }
+
+  async function addTimeBlock(dayKey, timeBlock) {
+    assertValid(checkDayKey(dayKey), checkTimeBlock(timeBlock));
+    return updateSettings((current) => {
+      const currentSchedule = current.timeBlocking?.weeklySchedule || {};
+      const dayBlocks = currentSchedule[dayKey] || [];
+      const newBlocks = [...dayBlocks, timeBlock];
+      // Sort blocks by start time
+      newBlocks.sort((a, b) => {
+        const timeToMinutes = (time) => {
+          const [hours, minutes] = time.split(':').map(Number);
+          return hours * 60 + minutes;
+        };
+        return timeToMinutes(a.timeRange[0]) - timeToMinutes(b.timeRange[0]);
+      });
+      return { timeBlocking: { weeklySchedule: { ...currentSchedule, [dayKey]: newBlocks } } };
+    });
+  }
+
+  async function removeTimeBlock(dayKey, blockIndex) {
+    assertValid(checkDayKey(dayKey));
+    return updateSettings((current) => {
+      const currentSchedule = current.timeBlocking?.weeklySchedule || {};
+      const dayBlocks = currentSchedule[dayKey] || [];
+      const newBlocks = dayBlocks.filter((_, index) => index !== blockIndex);
+      return { timeBlocking: { weeklySchedule: { ...currentSchedule, [dayKey]: newBlocks } } };
+    });
+  }
+
+  async function updateTimeBlock(dayKey, blockIndex, timeBlock) {
+    assertValid(checkDayKey(dayKey), checkTimeBlock(timeBlock));
+    return updateSettings((current) => {
+      const currentSchedule = current.timeBlocking?.weeklySchedule || {};
+      const dayBlocks = currentSchedule[dayKey] || [];
+      const newBlocks = [...dayBlocks];
+      if (blockIndex >= 0 && blockIndex < newBlocks.length) {
+        newBlocks[blockIndex] = timeBlock;
+        // Sort blocks by start time
+        newBlocks.sort((a, b) => {
+          const timeToMinutes = (time) => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+          };
+          return timeToMinutes(a.timeRange[0]) - timeToMinutes(b.timeRange[0]);
+        });
+      }
+      return { timeBlocking: { weeklySchedule: { ...currentSchedule, [dayKey]: newBlocks } } };
+    });
+  }
+
+  // Date-specific timeblock functions
+  async function addDateSpecificTimeBlock(dateKey, timeBlock) {
+    assertValid(checkDateKey(dateKey), checkTimeBlock(timeBlock));
+    return updateSettings((current) => {
+      const currentSchedule = current.timeBlocking?.dateSpecificSchedule || {};
+      const dateBlocks = currentSchedule[dateKey] || [];
+      const newBlocks = [...dateBlocks, timeBlock];
+      // Sort blocks by start time
+      newBlocks.sort((a, b) => {
+        const timeToMinutes = (time) => {
+          const [hours, minutes] = time.split(':').map(Number);
+          return hours * 60 + minutes;
+        };
+        return timeToMinutes(a.timeRange[0]) - timeToMinutes(b.timeRange[0]);
+      });
+      return { timeBlocking: { dateSpecificSchedule: { ...currentSchedule, [dateKey]: newBlocks } } };
+    });
+  }
+
+  async function removeDateSpecificTimeBlock(dateKey, blockIndex) {
+    return updateSettings((current) => {
+      const currentSchedule = current.timeBlocking?.dateSpecificSchedule || {};
+      const dateBlocks = currentSchedule[dateKey] || [];
+      const newBlocks = dateBlocks.filter((_, index) => index !== blockIndex);
+
+      // If no blocks left for this date, remove the date key entirely
+      if (newBlocks.length === 0) {
+        const updatedSchedule = { ...currentSchedule };
+        delete updatedSchedule[dateKey];
+        return { timeBlocking: { dateSpecificSchedule: updatedSchedule } };
+      }
+
+      return { timeBlocking: { dateSpecificSchedule: { ...currentSchedule, [dateKey]: newBlocks } } };
+    });
+  }
+
+  async function updateDateSpecificTimeBlock(dateKey, blockIndex, timeBlock) {
+    assertValid(checkDateKey(dateKey), checkTimeBlock(timeBlock));
+    return updateSettings((current) => {
+      const currentSchedule = current.timeBlocking?.dateSpecificSchedule || {};
+      const dateBlocks = currentSchedule[dateKey] || [];
+      const newBlocks = [...dateBlocks];
+      if (blockIndex >= 0 && blockIndex < newBlocks.length) {
+        newBlocks[blockIndex] = timeBlock;
+        // Sort blocks by start time
+        newBlocks.sort((a, b) => {
+          const timeToMinutes = (time) => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+          };
+          return timeToMinutes(a.timeRange[0]) - timeToMinutes(b.timeRange[0]);
+        });
+      }
+      return { timeBlocking: { dateSpecificSchedule: { ...currentSchedule, [dateKey]: newBlocks } } };
+    });
+  }
+
+  async function clearDateSpecificBlocks(dateKey) {
+    return updateSettings((current) => {
+      const currentSchedule = current.timeBlocking?.dateSpecificSchedule || {};
+      const updatedSchedule = { ...currentSchedule };
+      delete updatedSchedule[dateKey];
+      return { timeBlocking: { dateSpecificSchedule: updatedSchedule } };
+    });
+  }
+
+  // ========================================
+  // DATE RETENTION / ARCHIVE
   // ========================================
+  // dateColors and dateSpecificSchedule entries older than the retention window
+  // move to chrome.storage.local (per device) instead of being deleted, so they
+  // stop costing sync quota and CSS generation time but can be restored.
+
+  const ARCHIVE_KEY = 'cf.dateArchive';
+  const RETENTION_MONTH_OPTIONS = [0, 3, 6, 12, 24];
+  const RETENTION_RUN_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+  function readArchiveState(result) {
+    const state = result?.[ARCHIVE_KEY];
+    return {
+      dateColors: isPlainObject(state?.dateColors) ? state.dateColors : {},
+      dateSpecificSchedule: isPlainObject(state?.dateSpecificSchedule) ? state.dateSpecificSchedule : {},
+      // Months restored by the user; retention leaves them in sync
+      pinnedMonths: Array.isArray(state?.pinnedMonths) ? state.pinnedMonths : [],
+      lastRunAt: state?.lastRunAt || null,
+    };
+  }
 
   /**
-   * Enable/disable completed task styling for a specific list
-   * @param {string} listId - Task list ID
-   * @param {boolean} enabled - Enable completed styling
-   * @returns {Promise<Object>} Updated settings
+   * Get archived date entries for this device
+   * @returns {Promise<{dateColors: Object, dateSpecificSchedule: Object, pinnedMonths: string[], lastRunAt: number|null}>}
    */
-  async function setCompletedStylingEnabled(listId, enabled) {
-    if (!listId) return;
-
-    const current = await getSettings();
-    const completedStyling = current.taskListColoring?.completedStyling || {};
+  async function getDateArchive() {
+    return readArchiveState(await readItems('local', [ARCHIVE_KEY]));
+  }
 
-    const listStyling = completedStyling[listId] || {};
-    listStyling.enabled = enabled;
+  // First 'YYYY-MM' still kept in sync for a retention window
+  function retentionCutoffMonth(keepMonths, now = new Date()) {
+    const cutoff = new Date(now.getFullYear(), now.getMonth() - keepMonths, 1);
+    return `${cutoff.getFullYear()}-${String(cutoff.getMonth() + 1).padStart(2, '0')}`;
+  }
 
-    return setSettings({
-      taskListColoring: {
-        completedStyling: {
-          ...completedStyling,
-          [listId]: listStyling,
-        },
-      },
-    });
+  // Dated entries in `map` that fall before the cutoff month
+  function pickStaleEntries(map, cutoffMonth, pinnedMonths) {
+    const stale = {};
+    for (const [dateKey, value] of Object.entries(map || {})) {
+      const month = shardIdForKey(dateKey);
+      if (month !== 'other' && month < cutoffMonth && !pinnedMonths.includes(month)) stale[dateKey] = value;
+    }
+    return stale;
   }
 
   /**
-   * Set completed task background color for a specific list
-   * @param {string} listId - Task list ID
-   * @param {string} color - Hex color
+   * Set how many past months of dated entries stay in sync storage
+   * @param {number} keepMonths - One of RETENTION_MONTH_OPTIONS (0 = keep forever)
    * @returns {Promise<Object>} Updated settings
    */
-  async function setCompletedBgColor(listId, color) {
-    if (!listId) return;
+  async function setRetentionMonths(keepMonths) {
+    assertValid(checkOneOf(keepMonths, RETENTION_MONTH_OPTIONS, 'keepMonths'));
+    return setSettings({ retention: { keepMonths } });
+  }
 
-    const current = await getSettings();
-    const completedStyling = current.taskListColoring?.completedStyling || {};
+  /**
+   * Move dated entries older than the retention window into the local archive.
+   * Runs at most once a day unless forced; safe to call from any context.
+   * @param {{force?: boolean}} [options]
+   * @returns {Promise<{archived: number, skipped?: boolean}>} Number of dates archived
+   */
+  async function archiveStaleDates({ force = false } = {}) {
+    const settings = await getSettings();
+    const keepMonths = Number(settings.retention?.keepMonths) || 0;
+    if (!keepMonths) return { archived: 0, skipped: true };
 
-    const listStyling = completedStyling[listId] || {};
-    listStyling.bgColor = color;
+    const archive = await getDateArchive();
+    if (!force && archive.lastRunAt && Date.now() - archive.lastRunAt < RETENTION_RUN_INTERVAL_MS) {
+      return { archived: 0, skipped: true };
+    }
 
-    return setSettings({
-      taskListColoring: {
-        completedStyling: {
-          ...completedStyling,
-          [listId]: listStyling,
-        },
+    const cutoff = retentionCutoffMonth(keepMonths);
+    const staleColors = pickStaleEntries(settings.dateColors, cutoff, archive.pinnedMonths);
+    const staleBlocks = pickStaleEntries(settings.timeBlocking?.dateSpecificSchedule, cutoff, archive.pinnedMonths);
+
+    // Archive first so an interrupted run leaves a copy in both places, never in neither
+    await writeItems('local', {
+      [ARCHIVE_KEY]: {
+        ...archive,
+        dateColors: { ...archive.dateColors, ...staleColors },
+        dateSpecificSchedule: { ...archive.dateSpecificSchedule, ...staleBlocks },
+        lastRunAt: Date.now(),
       },
     });
+
+    let archived = 0;
+    await updateSettings((current) => {
+      // Only drop entries that still match what was archived; ones edited meanwhile stay
+      const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+      const dateColors = { ...current.dateColors };
+      const dateSpecificSchedule = { ...current.timeBlocking?.dateSpecificSchedule };
+      const removed = new Set();
+      for (const [dateKey, color] of Object.entries(staleColors)) {
+        if (same(dateColors[dateKey], color)) {
+          delete dateColors[dateKey];
+          removed.add(dateKey);
+        }
+      }
+      for (const [dateKey, blocks] of Object.entries(staleBlocks)) {
+        if (same(dateSpecificSchedule[dateKey], blocks)) {
+          delete dateSpecificSchedule[dateKey];
+          removed.add(dateKey);
+        }
+      }
+      archived = removed.size;
+      return archived ? { dateColors, timeBlocking: { dateSpecificSchedule } } : null;
+    });
+
+    if (archived) console.log(`[cc3Storage] Archived ${archived} date(s) before ${cutoff}`);
+    return { archived };
   }
 
   /**
-   * Set completed task text color for a specific list
-   * @param {string} listId - Task list ID
-   * @param {string} color - Hex color
+   * Move one archived month back into sync; the month is then kept by retention
+   * @param {string} month - 'YYYY-MM'
    * @returns {Promise<Object>} Updated settings
    */
-  async function setCompletedTextColor(listId, color) {
-    if (!listId) return;
-
-    const current = await getSettings();
-    const completedStyling = current.taskListColoring?.completedStyling || {};
-
-    const listStyling = completedStyling[listId] || {};
-    listStyling.textColor = color;
+  async function restoreArchivedMonth(month) {
+    // Pin before touching sync, so a retention run in another tab leaves the month alone
+    const archive = await getDateArchive();
+    if (!archive.pinnedMonths.includes(month)) {
+      archive.pinnedMonths.push(month);
+      await writeItems('local', { [ARCHIVE_KEY]: archive });
+    }
 
-    return setSettings({
-      taskListColoring: {
-        completedStyling: {
-          ...completedStyling,
-          [listId]: listStyling,
-        },
-      },
+    const inMonth = (map) =>
+      Object.fromEntries(Object.entries(map).filter(([dateKey]) => shardIdForKey(dateKey) === month));
+    const colors = inMonth(archive.dateColors);
+    const blocks = inMonth(archive.dateSpecificSchedule);
+
+    // Entries already back in sync (set again since archiving) win over the archive
+    const next = await updateSettings((current) => ({
+      dateColors: { ...colors, ...current.dateColors },
+      timeBlocking: { dateSpecificSchedule: { ...blocks, ...current.timeBlocking?.dateSpecificSchedule } },
+    }));
+
+    // Only drop archive copies of entries sync still holds, so none is lost from both
+    const [latest, stored] = await Promise.all([getDateArchive(), getSettings()]);
+    Object.keys(colors).forEach((dateKey) => {
+      if (stored.dateColors?.[dateKey] !== undefined) delete latest.dateColors[dateKey];
     });
+    Object.keys(blocks).forEach((dateKey) => {
+      if (stored.timeBlocking?.dateSpecificSchedule?.[dateKey] !== undefined) delete latest.dateSpecificSchedule[dateKey];
+    });
+    if (!latest.pinnedMonths.includes(month)) latest.pinnedMonths.push(month);
+    await writeItems('local', { [ARCHIVE_KEY]: latest });
+    return next;
   }
 
   /**
-   * Set completed task background opacity for a specific list
-   * @param {string} listId - Task list ID
-   * @param {number} opacity - Opacity 0-100 or 0-1
-   * @returns {Promise<Object>} Updated settings
+   * Listen for archive changes (from any context)
+   * @param {Function} callback - Receives the archive state
+   * @returns {Function} Unsubscribe function
    */
-  async function setCompletedBgOpacity(listId, opacity) {
-    if (!listId) return;
+  function onDateArchiveChanged(callback) {
+    const listener = (changes, area) => {
+      if (area !== 'local' || !changes[ARCHIVE_KEY]) return;
+      callback(readArchiveState({ [ARCHIVE_KEY]: changes[ARCHIVE_KEY].newValue }));
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }
+
+  // ========================================
+  // PROFILES
+  // ========================================
 
-    const current = await getSettings();
-    const completedStyling = current.taskListColoring?.completedStyling || {};
+  // cf.profiles is a small index (names, timestamps, active profile). Each profile's
+  // snapshot has its own sync items, so no item nears the 8 KB per-item quota:
+  //   cf.profile.<id>.weekdays      weekday colors, opacity and fills
+  //   cf.profile.<id>.lists         task list background and text colors
+  //   cf.profile.<id>.schedule.mon  one item per weekday of the weekly schedule
+  // Profiles saved before the split keep their snapshot inline in the index until the
+  // next profile write moves it out.
+  const PROFILES_KEY = 'cf.profiles';
+  const PROFILE_ITEM_PREFIX = 'cf.profile.';
+
+  function readProfilesState(result) {
+    const state = result?.[PROFILES_KEY];
+    const profiles = {};
+    if (isPlainObject(state?.profiles)) {
+      for (const [id, profile] of Object.entries(state.profiles)) {
+        if (!isPlainObject(profile)) continue;
+        const { snapshot, ...meta } = profile;
+        profiles[id] = meta;
+      }
+    }
+    return {
+      activeProfileId: state?.activeProfileId || null,
+      lastAppliedAt: state?.lastAppliedAt || null,
+      profiles,
+    };
+  }
 
-    const listStyling = completedStyling[listId] || {};
-    // Normalize to 0-1 range
-    listStyling.bgOpacity = opacity > 1 ? opacity / 100 : opacity;
+  function isProfileItemKey(key) {
+    return typeof key === 'string' && key.startsWith(PROFILE_ITEM_PREFIX);
+  }
 
-    return setSettings({
-      taskListColoring: {
-        completedStyling: {
-          ...completedStyling,
-          [listId]: listStyling,
-        },
+  function profileIdFromItemKey(key) {
+    return key.slice(PROFILE_ITEM_PREFIX.length).split('.')[0];
+  }
+
+  // Snapshot → { 'cf.profile.<id>.<part>': value }
+  function splitProfileSnapshot(profileId, snapshot) {
+    const prefix = `${PROFILE_ITEM_PREFIX}${profileId}.`;
+    const items = {
+      [`${prefix}weekdays`]: {
+        weekdayColors: snapshot.weekdayColors,
+        weekdayOpacity: snapshot.weekdayOpacity,
+        weekdayFills: snapshot.weekdayFills,
       },
-    });
+      [`${prefix}lists`]: {
+        taskListColors: snapshot.taskListColors || {},
+        taskListTextColors: snapshot.taskListTextColors || {},
+      },
+    };
+    for (const [day, blocks] of Object.entries(snapshot.weeklySchedule || {})) {
+      items[`${prefix}schedule.${day}`] = blocks;
+    }
+    return JSON.parse(JSON.stringify(items));
+  }
+
+  // Rebuild a profile's snapshot from its items (or the legacy inline copy)
+  function assembleProfileSnapshot(items, profileId) {
+    const prefix = `${PROFILE_ITEM_PREFIX}${profileId}.`;
+    const parts = Object.keys(items).filter((key) => key.startsWith(prefix));
+    if (parts.length === 0) return items[PROFILES_KEY]?.profiles?.[profileId]?.snapshot || null;
+
+    const snapshot = { weeklySchedule: {} };
+    for (const key of parts) {
+      const part = key.slice(prefix.length);
+      if (part.startsWith('schedule.')) {
+        snapshot.weeklySchedule[part.slice('schedule.'.length)] = items[key];
+      } else if (isPlainObject(items[key])) {
+        Object.assign(snapshot, items[key]);
+      }
+    }
+    return snapshot;
   }
 
   /**
-   * Set completed task text opacity for a specific list
-   * @param {string} listId - Task list ID
-   * @param {number} opacity - Opacity 0-100 or 0-1
-   * @returns {Promise<Object>} Updated settings
+   * Plan the sync writes that store a profiles index plus per-profile items on top of
+   * `items`. Inline snapshots from before the split are moved out; items of deleted
+   * profiles, and stale parts of rewritten ones, are removed.
+   * @param {Object} items - All sync items
+   * @param {Object} state - Index as returned by readProfilesState
+   * @param {Object} [snapshots] - Profile id -> snapshot to (re)write
+   * @returns {{guard: string[], writes: Object, removals: string[]}}
    */
-  async function setCompletedTextOpacity(listId, opacity) {
-    if (!listId) return;
+  function planProfilesWrite(items, state, snapshots = {}) {
+    const legacy = isPlainObject(items[PROFILES_KEY]?.profiles) ? items[PROFILES_KEY].profiles : {};
+    const pending = { ...snapshots };
+    for (const id of Object.keys(state.profiles)) {
+      if (!pending[id] && legacy[id]?.snapshot) pending[id] = legacy[id].snapshot;
+    }
 
-    const current = await getSettings();
-    const completedStyling = current.taskListColoring?.completedStyling || {};
+    const writes = {};
+    for (const [id, snapshot] of Object.entries(pending)) {
+      Object.assign(writes, splitProfileSnapshot(id, snapshot));
+    }
+    const removals = Object.keys(items).filter((key) => {
+      if (!isProfileItemKey(key) || writes[key] !== undefined) return false;
+      const id = profileIdFromItemKey(key);
+      return !state.profiles[id] || pending[id] !== undefined;
+    });
+    writes[PROFILES_KEY] = readProfilesState({ [PROFILES_KEY]: state });
 
-    const listStyling = completedStyling[listId] || {};
-    // Normalize to 0-1 range
-    listStyling.textOpacity = opacity > 1 ? opacity / 100 : opacity;
+    return { guard: [...Object.keys(writes), ...removals], writes, removals };
+  }
 
-    return setSettings({
-      taskListColoring: {
-        completedStyling: {
-          ...completedStyling,
-          [listId]: listStyling,
-        },
-      },
+  /**
+   * Get all saved profiles and the active profile ID
+   * @returns {Promise<{activeProfileId: string|null, lastAppliedAt: number|null, profiles: Object}>}
+   */
+  async function getProfiles() {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get(PROFILES_KEY, (result) => resolve(readProfilesState(result)));
     });
   }
 
+  // Profiles with their snapshots inline, in the single-object shape backups use;
+  // undefined when no profile has been saved
+  function exportProfilesFromItems(items) {
+    if (items[PROFILES_KEY] === undefined) return undefined;
+    const state = readProfilesState(items);
+    for (const id of Object.keys(state.profiles)) {
+      state.profiles[id] = { ...state.profiles[id], snapshot: assembleProfileSnapshot(items, id) || {} };
+    }
+    return state;
+  }
+
   /**
-   * Set completed task styling mode for a specific list
-   * @param {string} listId - Task list ID
-   * @param {string} mode - 'google' | 'inherit' | 'custom'
-   * @returns {Promise<Object>} Updated settings
+   * Profiles with their snapshots inline, in the single-object shape backups use
+   * @returns {Promise<Object|undefined>} Undefined when no profile has been saved
    */
-  async function setCompletedStylingMode(listId, mode) {
-    if (!listId) return;
+  async function exportProfiles() {
+    return exportProfilesFromItems(await readItems('sync', null));
+  }
 
-    const current = await getSettings();
-    const completedStyling = current.taskListColoring?.completedStyling || {};
+  /**
+   * Sync writes and removals that store profiles in exportProfiles() shape on top of `items`
+   * @param {Object} items - All sync items
+   * @param {Object|undefined} exported - Profiles to store; undefined removes all of them
+   * @returns {{writes: Object, removals: string[]}}
+   */
+  function planProfilesImport(items, exported) {
+    if (exported === undefined) {
+      return { writes: {}, removals: Object.keys(items).filter((key) => key === PROFILES_KEY || isProfileItemKey(key)) };
+    }
+    const snapshots = {};
+    for (const [id, profile] of Object.entries(exported.profiles || {})) {
+      if (isPlainObject(profile?.snapshot)) snapshots[id] = profile.snapshot;
+    }
+    const { writes, removals } = planProfilesWrite(items, readProfilesState({ [PROFILES_KEY]: exported }), snapshots);
+    return { writes, removals };
+  }
 
-    const listStyling = completedStyling[listId] || {};
-    listStyling.mode = mode;
+  /**
+   * Snapshot the profile-scoped parts of the current setup
+   * @returns {Promise<Object>} Snapshot with weekday colors/opacity/fills, weekly schedule and list colors
+   */
+  async function captureProfileSnapshot() {
+    const [settings, listColors, listTextColors] = await Promise.all([
+      getSettings(),
+      getTaskListColors(),
+      get('cf.taskListTextColors', {}),
+    ]);
+    return JSON.parse(
+      JSON.stringify({
+        weekdayColors: settings.weekdayColors,
+        weekdayOpacity: settings.weekdayOpacity,
+        weekdayFills: settings.weekdayFills,
+        weeklySchedule: settings.timeBlocking?.weeklySchedule || {},
+        taskListColors: listColors,
+        taskListTextColors: listTextColors,
+      }),
+    );
+  }
 
-    return setSettings({
-      taskListColoring: {
-        completedStyling: {
-          ...completedStyling,
-          [listId]: listStyling,
-        },
-      },
+  /**
+   * Save the current setup as a named profile (overwrites when profileId exists)
+   * @param {string} name - Display name
+   * @param {string} [profileId] - Existing profile to overwrite
+   * @returns {Promise<Object>} The saved profile
+   */
+  async function saveProfile(name, profileId = null) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) throw new Error('Profile name is required');
+
+    const snapshot = await captureProfileSnapshot();
+    const id = profileId || createId('profile');
+    const now = Date.now();
+
+    return mutateSync((items) => {
+      const state = readProfilesState(items);
+      const profile = {
+        id,
+        name: trimmed,
+        createdAt: state.profiles[id]?.createdAt || now,
+        updatedAt: now,
+      };
+      const next = { ...state, activeProfileId: id, profiles: { ...state.profiles, [id]: profile } };
+      return { ...planProfilesWrite(items, next, { [id]: snapshot }), result: profile };
     });
   }
 
   /**
-   * Clear all completed task styling for a specific list
-   * @param {string} listId - Task list ID
+   * Switch to a saved profile. Settings, list colors and the active profile are
+   * written in one storage call so listeners see a single change.
+   * @param {string} profileId - Profile to apply
    * @returns {Promise<Object>} Updated settings
    */
-  async function clearCompletedStyling(listId) {
-    if (!listId) return;
+  async function applyProfile(profileId) {
+    await ensureMigrated();
+    return mutateSync((items) => {
+      const state = readProfilesState(items);
+      const snapshot = state.profiles[profileId] ? assembleProfileSnapshot(items, profileId) : null;
+      if (!snapshot) throw new Error(`Profile not found: ${profileId}`);
+
+      const current = withDefaults(assembleSettings(items));
+      const next = deepMerge(current, {
+        weekdayColors: snapshot.weekdayColors || current.weekdayColors,
+        weekdayOpacity: snapshot.weekdayOpacity || current.weekdayOpacity,
+        weekdayFills: snapshot.weekdayFills || current.weekdayFills,
+        timeBlocking: { weeklySchedule: snapshot.weeklySchedule || current.timeBlocking.weeklySchedule },
+      });
 
-    const current = await getSettings();
-    const completedStyling = { ...(current.taskListColoring?.completedStyling || {}) };
-    delete completedStyling[listId];
+      const profilesPlan = planProfilesWrite(items, { ...state, activeProfileId: profileId, lastAppliedAt: Date.now() });
+      const plan = planSettingsWrite(items, next, {
+        'cf.taskListColors': snapshot.taskListColors || {},
+        'cf.taskListTextColors': snapshot.taskListTextColors || {},
+        ...profilesPlan.writes,
+      });
+      return {
+        guard: [...plan.guard, ...profilesPlan.guard],
+        writes: plan.writes,
+        removals: [...plan.removals, ...profilesPlan.removals],
+        result: next,
+      };
+    });
+  }
 
-    return setSettings({
-      taskListColoring: {
-        completedStyling,
-      },
+  async function renameProfile(profileId, name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) throw new Error('Profile name is required');
+    return mutateSync((items) => {
+      const state = readProfilesState(items);
+      if (state.profiles[profileId]) {
+        state.profiles[profileId] = { ...state.profiles[profileId], name: trimmed, updatedAt: Date.now() };
+      }
+      return { ...planProfilesWrite(items, state), result: state };
+    });
+  }
+
+  async function deleteProfile(profileId) {
+    return mutateSync((items) => {
+      const state = readProfilesState(items);
+      delete state.profiles[profileId];
+      if (state.activeProfileId === profileId) state.activeProfileId = null;
+      return { ...planProfilesWrite(items, state), result: state };
     });
   }
 
   /**
-   * Get completed task styling for a specific list
-   * @param {string} listId - Task list ID
-   * @returns {Promise<Object|null>} Completed styling config or null
+   * Listen for profile changes (from any context)
+   * @param {Function} callback - Receives (profilesState, { applied }) where `applied`
+   *   is true when a profile was just switched to rather than saved/renamed/deleted
+   * @returns {Function} Unsubscribe function
    */
-  async function getCompletedStyling(listId) {
-    const settings = await getSettings();
-    return settings.taskListColoring?.completedStyling?.[listId] || null;
+  function onProfilesChanged(callback) {
+    const listener = (changes, area) => {
+      if (area !== 'sync' || !changes[PROFILES_KEY]) return;
+      const { oldValue, newValue } = changes[PROFILES_KEY];
+      const applied = !!newValue?.lastAppliedAt && newValue.lastAppliedAt !== oldValue?.lastAppliedAt;
+      callback(readProfilesState({ [PROFILES_KEY]: newValue }), { applied });
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
   }
 
-  // Time Blocking functions
-  async function setTimeBlockingEnabled(enabled) {
-    return setSettings({ timeBlocking: { enabled } });
-  }
+  // ========================================
+  // UNDO / REDO JOURNAL
+  // ========================================
 
-  async function setTimeBlockingGlobalColor(color) {
-    return setSettings({ timeBlocking: { globalColor: color } });
+  const HISTORY_KEY = 'cf.undoJournal';
+  const HISTORY_LIMIT = 50;
+  const HISTORY_COALESCE_MS = 1500;
+  let undoQueue = Promise.resolve(); // Steps run one at a time so their snapshots never overlap
+  let historyLock = Promise.resolve();
+
+  function readItems(area, keys) {
+    return new Promise((resolve) => {
+      chrome.storage[area].get(keys, (result) => resolve(result || {}));
+    });
   }
 
-  async function setTimeBlockingShadingStyle(style) {
-    return setSettings({ timeBlocking: { shadingStyle: style } });
+  function writeItems(area, items, removals = []) {
+    return new Promise((resolve, reject) => {
+      const done = () => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else {
+          resolve();
+        }
+      };
+      const writeRest = () => (Object.keys(items).length ? chrome.storage[area].set(items, done) : done());
+      if (removals.length) {
+        chrome.storage[area].remove(removals, writeRest);
+      } else {
+        writeRest();
+      }
+    });
   }
 
-  async function setTimeBlockingSchedule(schedule) {
-    return setSettings({ timeBlocking: { weeklySchedule: schedule } });
+  // Targets are sync keys, or { area, key } for local storage
+  function normalizeTargets(targets) {
+    return targets.map((t) => (typeof t === 'string' ? { area: 'sync', key: t } : t));
   }
 
-  async function addTimeBlock(dayKey, timeBlock) {
-    const current = await getSettings();
-    const currentSchedule = current.timeBlocking?.weeklySchedule || {};
-    const dayBlocks = currentSchedule[dayKey] || [];
-    const newBlocks = [...dayBlocks, timeBlock];
-    // Sort blocks by start time
-    newBlocks.sort((a, b) => {
-      const timeToMinutes = (time) => {
-        const [hours, minutes] = time.split(':').map(Number);
-        return hours * 60 + minutes;
-      };
-      return timeToMinutes(a.timeRange[0]) - timeToMinutes(b.timeRange[0]);
-    });
-    return setSettings({ timeBlocking: { weeklySchedule: { ...currentSchedule, [dayKey]: newBlocks } } });
+  async function snapshotTargets(targets) {
+    const snapshot = {};
+    for (const area of ['sync', 'local']) {
+      const keys = targets.filter((t) => t.area === area).map((t) => t.key);
+      if (keys.length) snapshot[area] = JSON.parse(JSON.stringify(await readItems(area, keys)));
+    }
+    // `settings` is journaled as the reassembled object so shard moves are invisible
+    if (snapshot.sync && targets.some((t) => t.area === 'sync' && t.key === 'settings')) {
+      const stored = await readStoredSettings();
+      if (stored) {
+        delete stored.revision; // Bumped by every write, never part of an edit
+        snapshot.sync.settings = stored;
+      } else {
+        delete snapshot.sync.settings;
+      }
+    }
+    return snapshot;
   }
 
-  async function removeTimeBlock(dayKey, blockIndex) {
-    const current = await getSettings();
-    const currentSchedule = current.timeBlocking?.weeklySchedule || {};
-    const dayBlocks = currentSchedule[dayKey] || [];
-    const newBlocks = dayBlocks.filter((_, index) => index !== blockIndex);
-    return setSettings({ timeBlocking: { weeklySchedule: { ...currentSchedule, [dayKey]: newBlocks } } });
+  // Leaf-level diff; arrays and primitives are compared as whole values
+  function diffValues(before, after, path, out) {
+    if (isPlainObject(before) && isPlainObject(after)) {
+      const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+      for (const k of keys) diffValues(before[k], after[k], [...path, k], out);
+    } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+      out.push({ path, before, after });
+    }
+    return out;
   }
 
-  async function updateTimeBlock(dayKey, blockIndex, timeBlock) {
-    const current = await getSettings();
-    const currentSchedule = current.timeBlocking?.weeklySchedule || {};
-    const dayBlocks = currentSchedule[dayKey] || [];
-    const newBlocks = [...dayBlocks];
-    if (blockIndex >= 0 && blockIndex < newBlocks.length) {
-      newBlocks[blockIndex] = timeBlock;
-      // Sort blocks by start time
-      newBlocks.sort((a, b) => {
-        const timeToMinutes = (time) => {
-          const [hours, minutes] = time.split(':').map(Number);
-          return hours * 60 + minutes;
-        };
-        return timeToMinutes(a.timeRange[0]) - timeToMinutes(b.timeRange[0]);
-      });
+  function setAtPath(root, path, value) {
+    if (path.length === 0) return value;
+    const out = isPlainObject(root) ? root : {};
+    let node = out;
+    for (let i = 0; i < path.length - 1; i++) {
+      if (!isPlainObject(node[path[i]])) node[path[i]] = {};
+      node = node[path[i]];
     }
-    return setSettings({ timeBlocking: { weeklySchedule: { ...currentSchedule, [dayKey]: newBlocks } } });
+    const last = path[path.length - 1];
+    if (value === undefined) {
+      delete node[last];
+    } else {
+      node[last] = value;
+    }
+    return out;
   }
 
-  // Date-specific timeblock functions
-  async function addDateSpecificTimeBlock(dateKey, timeBlock) {
-    const current = await getSettings();
-    const currentSchedule = current.timeBlocking?.dateSpecificSchedule || {};
-    const dateBlocks = currentSchedule[dateKey] || [];
-    const newBlocks = [...dateBlocks, timeBlock];
-    // Sort blocks by start time
-    newBlocks.sort((a, b) => {
-      const timeToMinutes = (time) => {
-        const [hours, minutes] = time.split(':').map(Number);
-        return hours * 60 + minutes;
+  function readHistory() {
+    return readItems('local', HISTORY_KEY).then((result) => {
+      const journal = result[HISTORY_KEY] || {};
+      return {
+        undo: Array.isArray(journal.undo) ? journal.undo : [],
+        redo: Array.isArray(journal.redo) ? journal.redo : [],
+        lastReplay: journal.lastReplay || null,
       };
-      return timeToMinutes(a.timeRange[0]) - timeToMinutes(b.timeRange[0]);
     });
-    return setSettings({ timeBlocking: { dateSpecificSchedule: { ...currentSchedule, [dateKey]: newBlocks } } });
   }
 
-  async function removeDateSpecificTimeBlock(dateKey, blockIndex) {
-    const current = await getSettings();
-    const currentSchedule = current.timeBlocking?.dateSpecificSchedule || {};
-    const dateBlocks = currentSchedule[dateKey] || [];
-    const newBlocks = dateBlocks.filter((_, index) => index !== blockIndex);
+  function withHistoryLock(task) {
+    const run = historyLock.then(task);
+    historyLock = run.catch(() => {});
+    return run;
+  }
 
-    // If no blocks left for this date, remove the date key entirely
-    if (newBlocks.length === 0) {
-      const updatedSchedule = { ...currentSchedule };
-      delete updatedSchedule[dateKey];
-      return setSettings({ timeBlocking: { dateSpecificSchedule: updatedSchedule } });
+  /**
+   * Run a storage mutation and record it as one undoable step.
+   * Steps are queued, so concurrent edits each get their own step. A composite step
+   * (e.g. a popup "clear all" looping over setters) must call the setters'
+   * `unjournaled` variants inside `mutate`: a journaled call there would queue
+   * behind the step that is waiting for it.
+   * @param {string} label - Human readable description shown in undo UI
+   * @param {Array<string|{area: string, key: string}>} targets - Storage keys the mutation touches
+   * @param {Function} mutate - Async function performing the writes
+   * @returns {Promise<*>} Whatever `mutate` returns
+   */
+  function withUndo(label, targets, mutate) {
+    const run = undoQueue.then(() => recordStep(label, targets, mutate));
+    undoQueue = run.catch(() => {});
+    return run;
+  }
+
+  async function recordStep(label, targets, mutate) {
+    // Make sure a pending schema migration isn't captured as part of this step
+    await ensureMigrated();
+    const normalized = normalizeTargets(targets);
+    const before = await snapshotTargets(normalized);
+    const result = await mutate();
+    const after = await snapshotTargets(normalized);
+
+    const changes = [];
+    for (const { area, key } of normalized) {
+      diffValues(before[area]?.[key], after[area]?.[key], [], []).forEach((change) => {
+        changes.push({ area, key, ...change });
+      });
+    }
+
+    if (changes.length > 0) {
+      await withHistoryLock(async () => {
+        const journal = await readHistory();
+        const now = Date.now();
+        const last = journal.undo[journal.undo.length - 1];
+        const pathId = (c) => `${c.area}:${c.key}:${c.path.join('.')}`;
+        const lastPaths = last ? new Set(last.changes.map(pathId)) : null;
+
+        // Live inputs (color pickers, sliders) write on every tick; fold rapid
+        // repeats of the same edit into one step that keeps the original "before"
+        if (
+          last &&
+          last.label === label &&
+          now - last.timestamp < HISTORY_COALESCE_MS &&
+          changes.length === lastPaths.size &&
+          changes.every((c) => lastPaths.has(pathId(c)))
+        ) {
+          changes.forEach((c) => {
+            last.changes.find((lc) => pathId(lc) === pathId(c)).after = c.after;
+          });
+          last.timestamp = now;
+        } else {
+          journal.undo.push({ label, timestamp: now, changes });
+        }
+        if (journal.undo.length > HISTORY_LIMIT) journal.undo.splice(0, journal.undo.length - HISTORY_LIMIT);
+        journal.redo = [];
+        await writeItems('local', { [HISTORY_KEY]: journal });
+      });
     }
 
-    return setSettings({ timeBlocking: { dateSpecificSchedule: { ...currentSchedule, [dateKey]: newBlocks } } });
+    return result;
   }
 
-  async function updateDateSpecificTimeBlock(dateKey, blockIndex, timeBlock) {
-    const current = await getSettings();
-    const currentSchedule = current.timeBlocking?.dateSpecificSchedule || {};
-    const dateBlocks = currentSchedule[dateKey] || [];
-    const newBlocks = [...dateBlocks];
-    if (blockIndex >= 0 && blockIndex < newBlocks.length) {
-      newBlocks[blockIndex] = timeBlock;
-      // Sort blocks by start time
-      newBlocks.sort((a, b) => {
-        const timeToMinutes = (time) => {
-          const [hours, minutes] = time.split(':').map(Number);
-          return hours * 60 + minutes;
-        };
-        return timeToMinutes(a.timeRange[0]) - timeToMinutes(b.timeRange[0]);
+  // Apply journaled changes on top of the current values of their keys
+  function replayChanges(current, keyed, useBefore) {
+    const writes = {};
+    const removals = [];
+    for (const [key, keyChanges] of keyed) {
+      let value = current[key];
+      for (const change of keyChanges) {
+        value = setAtPath(value, change.path, useBefore ? change.before : change.after);
+      }
+      if (value === undefined) {
+        removals.push(key);
+      } else {
+        writes[key] = value;
+      }
+    }
+    return { writes, removals };
+  }
+
+  async function applyHistoryChanges(changes, useBefore) {
+    const byArea = { sync: new Map(), local: new Map() };
+    changes.forEach((change) => {
+      const keyed = byArea[change.area];
+      if (!keyed.has(change.key)) keyed.set(change.key, []);
+      keyed.get(change.key).push(change);
+    });
+
+    if (byArea.local.size > 0) {
+      const current = await readItems('local', [...byArea.local.keys()]);
+      const { writes, removals } = replayChanges(current, byArea.local, useBefore);
+      await writeItems('local', writes, removals);
+    }
+
+    if (byArea.sync.size > 0) {
+      await mutateSync((items) => {
+        const current = JSON.parse(JSON.stringify(items));
+        current.settings = assembleSettings(items) || undefined;
+        const { writes, removals } = replayChanges(current, byArea.sync, useBefore);
+        const guard = [...byArea.sync.keys()];
+
+        if (writes.settings) {
+          const { settings, ...rest } = writes;
+          const plan = planSettingsWrite(items, settings, rest);
+          return { ...plan, guard: [...new Set([...plan.guard, ...guard])], removals: [...plan.removals, ...removals] };
+        }
+        if (removals.includes('settings')) {
+          // Undoing the very first write: drop the shards along with the base item
+          removals.push(...Object.keys(items).filter(isShardKey));
+        }
+        return { guard, writes, removals };
       });
     }
-    return setSettings({ timeBlocking: { dateSpecificSchedule: { ...currentSchedule, [dateKey]: newBlocks } } });
   }
 
-  async function clearDateSpecificBlocks(dateKey) {
-    const current = await getSettings();
-    const currentSchedule = current.timeBlocking?.dateSpecificSchedule || {};
-    const updatedSchedule = { ...currentSchedule };
-    delete updatedSchedule[dateKey];
-    return setSettings({ timeBlocking: { dateSpecificSchedule: updatedSchedule } });
+  function replayHistory(direction) {
+    return withHistoryLock(async () => {
+      const journal = await readHistory();
+      const from = direction === 'undo' ? journal.undo : journal.redo;
+      const to = direction === 'undo' ? journal.redo : journal.undo;
+      const entry = from.pop();
+      if (!entry) return null;
+
+      await applyHistoryChanges(
+        direction === 'undo' ? [...entry.changes].reverse() : entry.changes,
+        direction === 'undo',
+      );
+
+      to.push(entry);
+      journal.lastReplay = { direction, label: entry.label, timestamp: Date.now() };
+      await writeItems('local', { [HISTORY_KEY]: journal });
+      return { direction, label: entry.label };
+    });
+  }
+
+  /**
+   * Revert the most recent journaled change
+   * @returns {Promise<{direction: string, label: string}|null>} null when nothing to undo
+   */
+  async function undo() {
+    return replayHistory('undo');
+  }
+
+  /**
+   * Re-apply the most recently undone change
+   * @returns {Promise<{direction: string, label: string}|null>} null when nothing to redo
+   */
+  async function redo() {
+    return replayHistory('redo');
+  }
+
+  /**
+   * @returns {Promise<{canUndo: boolean, canRedo: boolean, undoLabel: string|null, redoLabel: string|null}>}
+   */
+  async function getHistoryState() {
+    return summarizeHistory(await readHistory());
+  }
+
+  function summarizeHistory(journal) {
+    const undoStack = journal?.undo || [];
+    const redoStack = journal?.redo || [];
+    return {
+      canUndo: undoStack.length > 0,
+      canRedo: redoStack.length > 0,
+      undoLabel: undoStack[undoStack.length - 1]?.label || null,
+      redoLabel: redoStack[redoStack.length - 1]?.label || null,
+    };
+  }
+
+  /**
+   * Listen for journal changes (from any context)
+   * @param {Function} callback - Receives (historyState, replay) where `replay` is
+   *   { direction, label } when the change was an undo/redo, otherwise null
+   * @returns {Function} Unsubscribe function
+   */
+  function onHistoryChanged(callback) {
+    const listener = (changes, area) => {
+      if (area !== 'local' || !changes[HISTORY_KEY]) return;
+      const { oldValue, newValue } = changes[HISTORY_KEY];
+      const replay = newValue?.lastReplay;
+      const replayed = replay && replay.timestamp !== oldValue?.lastReplay?.timestamp;
+      callback(summarizeHistory(newValue), replayed ? replay : null);
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }
+
+  // Wrap an exported mutator so each call becomes one undo step; `unjournaled` is the
+  // bare mutator for callers composing several writes inside their own withUndo step
+  function journaled(label, targets, fn) {
+    const wrapped = (...args) => withUndo(typeof label === 'function' ? label(...args) : label, targets, () => fn(...args));
+    wrapped.unjournaled = fn;
+    return wrapped;
   }
 
   // Additional methods for feature registry compatibility
@@ -941,7 +2830,14 @@
   async function getAll() {
     return new Promise((resolve) => {
       chrome.storage.sync.get(null, (result) => {
-        resolve(result);
+        // Present settings reassembled; shard items are a storage detail
+        const all = {};
+        for (const [key, value] of Object.entries(result || {})) {
+          if (!isShardKey(key)) all[key] = value;
+        }
+        const settings = assembleSettings(result || {});
+        if (settings) all.settings = settings;
+        resolve(all);
       });
     });
   }
@@ -982,6 +2878,9 @@
         'cf.taskListColors',
         'cf.taskListTextColors',
         'customDayColors',
+        'cf.profiles',
+        // Per-profile snapshot items (cf.profile.<id>.*)
+        ...Object.keys(await readItems('sync', null)).filter(isProfileItemKey),
       ];
 
       try {
@@ -1002,7 +2901,8 @@
 
       // Step 3: Reset Settings to Defaults (CRITICAL)
       try {
-        await setSettings(defaultSettings);
+        // Full write (not a merge) so dated maps and their shards are cleared too
+        await writeStoredSettings(JSON.parse(JSON.stringify(defaultSettings)));
         results.settings = 'success';
       } catch (error) {
         results.settings = 'failed';
@@ -1010,7 +2910,18 @@
       }
 
       // Step 4: Clear Chrome Storage Local caches (non-critical)
-      const localKeysToRemove = ['cf.taskToListMap', 'cf.taskListsMeta', 'cf.stateMachine'];
+      const localKeysToRemove = [
+        'cf.taskToListMap',
+        'cf.taskTitles',
+        'cf.taskDue',
+        'cf.taskTags',
+        'cf.taskListsMeta',
+        'cf.stateMachine',
+        MIGRATION_STATUS_KEY,
+        DETECTED_WEEK_START_KEY,
+        HISTORY_KEY,
+        ARCHIVE_KEY,
+      ];
 
       try {
         await new Promise((resolve, reject) => {
@@ -1039,41 +2950,82 @@
   window.cc3Storage = {
     getSettings,
     setSettings,
+    updateSettings,
+    updateSyncItem,
     onSettingsChanged,
-    setEnabled,
-    setWeekdayColor,
-    setWeekdayOpacity,
-    setDateColor,
-    clearDateColor,
-    addPresetColor,
-    setWeekStart,
-    setWeekStartConfigured,
+    subscribe,
+    isSettingsChange,
+    writeStoredSettings,
+    updateSyncData,
+    getSyncQuotaUsage,
+    setEnabled: journaled('Day coloring on/off', ['settings'], setEnabled),
+    setWeekdayColor: journaled('Weekday color', ['settings'], setWeekdayColor),
+    setWeekdayOpacity: journaled('Weekday opacity', ['settings'], setWeekdayOpacity),
+    setWeekdayFill: journaled('Weekday pattern', ['settings'], setWeekdayFill),
+    setDateColor: journaled((dateKey, color) => (color ? `Color for ${dateKey}` : `Clear ${dateKey}`), ['settings'], setDateColor),
+    clearDateColor: journaled((dateKey) => `Clear ${dateKey}`, ['settings'], clearDateColor),
+    setDateEntry: journaled((dateKey, entry) => (entry ? `Label for ${dateKey}` : `Clear ${dateKey}`), ['settings'], setDateEntry),
+    normalizeDateEntry,
+    addDateRange: journaled('Add date range', ['settings'], addDateRange),
+    updateDateRange: journaled('Edit date range', ['settings'], updateDateRange),
+    removeDateRange: journaled('Remove date range', ['settings'], removeDateRange),
+    addDateRule: journaled('Add date rule', ['settings'], addDateRule),
+    updateDateRule: journaled('Edit date rule', ['settings'], updateDateRule),
+    removeDateRule: journaled('Remove date rule', ['settings'], removeDateRule),
+    setHolidaySettings: journaled('Holidays', ['settings'], setHolidaySettings),
+    setTodayHighlight: journaled('Past & today', ['settings'], setTodayHighlight),
+    setWeekBanding: journaled('Week banding', ['settings'], setWeekBanding),
+    setDarkTheme: journaled('Dark theme', ['settings'], setDarkTheme),
+    addPresetColor: journaled('Add preset color', ['settings'], addPresetColor),
+    setWeekStart: journaled('Week start', ['settings'], setWeekStart),
+    setWeekStartConfigured, // Not journaled: records that a week start was chosen, not an edit
+    setDetectedWeekStart, // Not journaled: read from Calendar, not set by the user
+    getDetectedWeekStart,
+    DETECTED_WEEK_START_KEY,
     ymdFromDate,
     defaultSettings,
+    // Schema migrations
+    SCHEMA_VERSION,
+    migrateSettings,
+    getMigrationStatus,
+    clearMigrationStatus,
     // Task coloring functions
-    setTaskColoringEnabled,
-    setTaskPresetColors,
-    addTaskPresetColor,
-    removeTaskPresetColor,
-    updateTaskPresetColor,
-    setTaskInlineColors,
-    updateTaskInlineColor,
+    setTaskColoringEnabled: journaled('Task coloring on/off', ['settings'], setTaskColoringEnabled),
+    setTaskPresetColors: journaled('Task preset colors', ['settings'], setTaskPresetColors),
+    addTaskRule: journaled('Add task rule', ['settings'], addTaskRule),
+    updateTaskRule: journaled('Edit task rule', ['settings'], updateTaskRule),
+    removeTaskRule: journaled('Remove task rule', ['settings'], removeTaskRule),
+    moveTaskRule: journaled('Reorder task rules', ['settings'], moveTaskRule),
+    setTaskRulesPriority: journaled('Task rule priority', ['settings'], setTaskRulesPriority),
+    setTaskTagStyle: journaled('Tag color', ['settings'], setTaskTagStyle),
+    removeTaskTagStyle: journaled('Remove tag color', ['settings'], removeTaskTagStyle),
+    setTaskTagsPriority: journaled('Tag priority', ['settings'], setTaskTagsPriority),
+    getTaskTagIndex,
+    setTaskUrgency: journaled('Due-date colors', ['settings'], setTaskUrgency),
+    setListUrgency: journaled('List due-date colors', ['settings'], setListUrgency),
+    clearListUrgency: journaled('Reset list due-date colors', ['settings'], clearListUrgency),
+    addTaskPresetColor: journaled('Add task preset color', ['settings'], addTaskPresetColor),
+    removeTaskPresetColor: journaled('Remove task preset color', ['settings'], removeTaskPresetColor),
+    updateTaskPresetColor: journaled('Task preset color', ['settings'], updateTaskPresetColor),
+    setTaskInlineColors: journaled('Task quick colors', ['settings'], setTaskInlineColors),
+    updateTaskInlineColor: journaled('Task quick color', ['settings'], updateTaskInlineColor),
     // Recurring task manual colors
-    setRecurringTaskColor,
-    clearRecurringTaskColor,
+    setRecurringTaskColor: journaled('Recurring task color', ['cf.recurringTaskColors'], setRecurringTaskColor),
+    clearRecurringTaskColor: journaled('Clear recurring task color', ['cf.recurringTaskColors'], clearRecurringTaskColor),
     getRecurringTaskColors,
+    migrateRecurringTaskColor, // Not journaled: copies an existing color, not a user change
     // Task list coloring functions
-    setTaskListColoringEnabled,
-    setTaskListDefaultColor,
-    setTaskListTextColor,
-    clearTaskListDefaultColor,
-    clearTaskListTextColor,
+    setTaskListColoringEnabled: journaled('List coloring on/off', ['settings'], setTaskListColoringEnabled),
+    setTaskListDefaultColor: journaled('List color', ['cf.taskListColors'], setTaskListDefaultColor),
+    setTaskListTextColor: journaled('List text color', ['cf.taskListTextColors', 'settings'], setTaskListTextColor),
+    clearTaskListDefaultColor: journaled('Clear list color', ['cf.taskListColors'], clearTaskListDefaultColor),
+    clearTaskListTextColor: journaled('Clear list text color', ['cf.taskListTextColors', 'settings'], clearTaskListTextColor),
     getTaskListColors,
     getTaskListTextColors,
     getDefaultColorForTask,
     getTaskListsMeta,
     getTaskToListMap,
-    // Calendar event mapping functions (NEW UI)
+    // Calendar event mapping functions (NEW UI). Not journaled: a cache rebuilt from Calendar
     setCalendarEventMapping,
     getCalendarEventMapping,
     getCalendarEventMappings,
@@ -1082,27 +3034,51 @@
     getCalendarEventMappingMeta,
     setCalendarEventMappingMeta,
     // Completed task styling functions
-    setCompletedStylingEnabled,
-    setCompletedStylingMode,
-    setCompletedBgColor,
-    setCompletedTextColor,
-    setCompletedBgOpacity,
-    setCompletedTextOpacity,
-    clearCompletedStyling,
+    setCompletedStylingEnabled: journaled('Completed styling on/off', ['settings'], setCompletedStylingEnabled),
+    setCompletedStylingMode: journaled('Completed styling mode', ['settings'], setCompletedStylingMode),
+    setCompletedBgColor: journaled('Completed background color', ['settings'], setCompletedBgColor),
+    setCompletedTextColor: journaled('Completed text color', ['settings'], setCompletedTextColor),
+    setCompletedBgOpacity: journaled('Completed background opacity', ['settings'], setCompletedBgOpacity),
+    setCompletedTextOpacity: journaled('Completed text opacity', ['settings'], setCompletedTextOpacity),
+    clearCompletedStyling: journaled('Reset completed styling', ['settings'], clearCompletedStyling),
     getCompletedStyling,
     // Time blocking functions
-    setTimeBlockingEnabled,
-    setTimeBlockingGlobalColor,
-    setTimeBlockingShadingStyle,
-    setTimeBlockingSchedule,
-    addTimeBlock,
-    removeTimeBlock,
-    updateTimeBlock,
+    setTimeBlockingEnabled: journaled('Time blocking on/off', ['settings'], setTimeBlockingEnabled),
+    setTimeBlockingGlobalColor: journaled('Time block color', ['settings'], setTimeBlockingGlobalColor),
+    setTimeBlockingShadingStyle: journaled('Time block shading', ['settings'], setTimeBlockingShadingStyle),
+    setTimeBlockingSchedule: journaled('Time block schedule', ['settings'], setTimeBlockingSchedule),
+    addTimeBlock: journaled('Add time block', ['settings'], addTimeBlock),
+    removeTimeBlock: journaled('Remove time block', ['settings'], removeTimeBlock),
+    updateTimeBlock: journaled('Edit time block', ['settings'], updateTimeBlock),
     // Date-specific timeblock functions
-    addDateSpecificTimeBlock,
-    removeDateSpecificTimeBlock,
-    updateDateSpecificTimeBlock,
-    clearDateSpecificBlocks,
+    addDateSpecificTimeBlock: journaled('Add time block', ['settings'], addDateSpecificTimeBlock),
+    removeDateSpecificTimeBlock: journaled('Remove time block', ['settings'], removeDateSpecificTimeBlock),
+    updateDateSpecificTimeBlock: journaled('Edit time block', ['settings'], updateDateSpecificTimeBlock),
+    clearDateSpecificBlocks: journaled('Clear time blocks', ['settings'], clearDateSpecificBlocks),
+    // Date retention / archive
+    RETENTION_MONTH_OPTIONS,
+    setRetentionMonths: journaled('Keep dates', ['settings'], setRetentionMonths),
+    archiveStaleDates, // Not journaled: scheduled housekeeping; restoreArchivedMonth brings dates back
+    getDateArchive,
+    restoreArchivedMonth: journaled((month) => `Restore ${month}`, ['settings', { area: 'local', key: ARCHIVE_KEY }], restoreArchivedMonth),
+    onDateArchiveChanged,
+    // Profiles
+    getProfiles,
+    exportProfiles,
+    isProfileItemKey,
+    applyProfile: journaled('Switch profile', ['settings', 'cf.taskListColors', 'cf.taskListTextColors', 'cf.profiles'], applyProfile),
+    // Not journaled: profile items are keyed per profile, and saving, renaming or deleting
+    // one leaves the current colors untouched
+    saveProfile,
+    renameProfile,
+    deleteProfile,
+    onProfilesChanged,
+    // Undo / redo journal
+    withUndo,
+    undo,
+    redo,
+    getHistoryState,
+    onHistoryChanged,
     // Feature registry compatibility
     get,
     set,
@@ -0,0 +1,59 @@
+// ColorKit task color rules
+// Ordered keyword and regex rules that color a task by what it says. Rules are plain
+// objects, stored in settings.taskColoring.rules:
+//   { id, match: 'contains' | 'startsWith' | 'regex', pattern: '[urgent]', caseSensitive: false,
+//     bgColor: '#d93025' | '', textColor: '#ffffff' | '', stop: true }
+// Rules are tried top to bottom. The first match sets the colors it defines; when it
+// doesn't stop, later matches fill in whichever of bgColor/textColor is still unset.
+(function () {
+  const MATCH_TYPES = ['contains', 'startsWith', 'regex'];
+
+  /**
+   * @param {Object} rule
+   * @returns {((text: string) => boolean)|null} Null when a regex doesn't compile
+   */
+  function compileRule(rule) {
+    const pattern = String(rule?.pattern || '');
+    if (!pattern) return null;
+    if (rule.match === 'regex') {
+      try {
+        const regex = new RegExp(pattern, rule.caseSensitive ? 'u' : 'iu');
+        return (text) => regex.test(text);
+      } catch (e) {
+        return null;
+      }
+    }
+    const needle = rule.caseSensitive ? pattern : pattern.toLowerCase();
+    const fold = (text) => (rule.caseSensitive ? text : text.toLowerCase());
+    if (rule.match === 'startsWith') return (text) => fold(text).trimStart().startsWith(needle);
+    return (text) => fold(text).includes(needle);
+  }
+
+  /**
+   * Compile an ordered rule list once and evaluate it per task
+   * @param {Array<Object>} rules
+   * @returns {(text: string) => ({bgColor: string|null, textColor: string|null, ruleIds: string[]}|null)}
+   */
+  function createRuleMatcher(rules) {
+    const compiled = (rules || []).map((rule) => ({ rule, test: compileRule(rule) })).filter((c) => c.test);
+    return (text) => {
+      if (!text || compiled.length === 0) return null;
+      let result = null;
+      for (const { rule, test } of compiled) {
+        if (!test(text)) continue;
+        result = result || { bgColor: null, textColor: null, ruleIds: [] };
+        result.bgColor = result.bgColor || rule.bgColor || null;
+        result.textColor = result.textColor || rule.textColor || null;
+        result.ruleIds.push(rule.id);
+        if (rule.stop !== false || (result.bgColor && result.textColor)) break;
+      }
+      return result;
+    };
+  }
+
+  globalThis.cc3TaskRules = {
+    MATCH_TYPES,
+    compileRule,
+    createRuleMatcher,
+  };
+})();
@@ -0,0 +1,48 @@
+// ColorKit task hashtags
+// Tasks are tagged in their Google Tasks notes with hashtags such as #client-a or
+// #deep-work. The background sync parses them into cf.taskTags (decoded task id ->
+// ['client-a', 'deep-work']); settings.taskColoring.tags maps a tag to its colors.
+// Loaded by the service worker (via lib/google-tasks-api.js) and the popup.
+(function () {
+  const TAG_MAX_LENGTH = 50;
+  // A tag starts with a letter, digit or underscore and may continue with hyphens.
+  // The # must not follow a word character, so "C#" and "page#2" aren't tags.
+  const HASHTAG = /(?<![\p{L}\p{N}_&/#])#([\p{L}\p{N}_][\p{L}\p{N}_-]*)/gu;
+  const TAG_NAME = /^[\p{L}\p{N}_][\p{L}\p{N}_-]*$/u;
+
+  /**
+   * @param {string} tag - With or without the leading #
+   * @returns {string|null} Lowercase tag without #, or null if it isn't a valid tag
+   */
+  function normalizeTag(tag) {
+    const name = String(tag || '')
+      .trim()
+      .replace(/^#/, '')
+      .replace(/-+$/, '')
+      .normalize('NFC')
+      .toLowerCase();
+    if (!name || name.length > TAG_MAX_LENGTH || !TAG_NAME.test(name)) return null;
+    // "#2" and "#1234" are usually issue or list numbers, not tags
+    if (/^\d+$/.test(name)) return null;
+    return name;
+  }
+
+  /**
+   * @param {string} text - Task notes
+   * @returns {string[]} Unique tags in the order they first appear
+   */
+  function parseHashtags(text) {
+    const tags = [];
+    for (const match of String(text || '').matchAll(HASHTAG)) {
+      const tag = normalizeTag(match[1]);
+      if (tag && !tags.includes(tag)) tags.push(tag);
+    }
+    return tags;
+  }
+
+  globalThis.cc3TaskTags = {
+    TAG_MAX_LENGTH,
+    normalizeTag,
+    parseHashtags,
+  };
+})();
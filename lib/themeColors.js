@@ -0,0 +1,306 @@
+// ColorKit theme-aware colors
+// Calendar has a light and a dark theme. Colors picked on a white page (pastel day
+// tints, opaque task chips, full-strength time blocks) glare or wash out on a dark
+// one, so dark mode gets its own profile (settings.darkTheme):
+//   { mode: 'auto' | 'light' | 'dark', weekdayColors, weekdayOpacity, adaptColors: true,
+//     opacity: { days: 80, tasks: 85, timeBlocks: 50 } }
+// mode 'auto' follows the theme read off the Calendar page. weekdayColors/weekdayOpacity
+// replace the light palette outright; every other user color keeps its hue and has its
+// lightness shifted (adaptColors), and its opacity scaled by the surface's percentage.
+(function () {
+  // Calendar's dark surface, used until the page's own background can be read
+  const DARK_PAGE = '#202124';
+  const LIGHT_PAGE = '#ffffff';
+  const DETECT_DELAY = 150;
+
+  const pad = (n) => n.toString(16).padStart(2, '0');
+
+  function parseColor(value) {
+    const hex = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(value || '');
+    if (hex) return { r: parseInt(hex[1], 16), g: parseInt(hex[2], 16), b: parseInt(hex[3], 16), a: 1 };
+    const rgb = /rgba?\(\s*(\d+)[,\s]+(\d+)[,\s]+(\d+)(?:\s*[,/]\s*([\d.]+))?/i.exec(value || '');
+    if (rgb) return { r: Number(rgb[1]), g: Number(rgb[2]), b: Number(rgb[3]), a: rgb[4] === undefined ? 1 : Number(rgb[4]) };
+    return null;
+  }
+
+  const toHex = ({ r, g, b }) => `#${pad(r)}${pad(g)}${pad(b)}`;
+
+  // Relative luminance, 0 (black) to 1 (white)
+  function luminance(color) {
+    const rgb = typeof color === 'string' ? parseColor(color) : color;
+    if (!rgb) return 1;
+    return (0.2126 * rgb.r + 0.7152 * rgb.g + 0.0722 * rgb.b) / 255;
+  }
+
+  function toHsl({ r, g, b }) {
+    const [rr, gg, bb] = [r / 255, g / 255, b / 255];
+    const max = Math.max(rr, gg, bb);
+    const min = Math.min(rr, gg, bb);
+    const l = (max + min) / 2;
+    if (max === min) return { h: 0, s: 0, l };
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === rr) h = (gg - bb) / d + (gg < bb ? 6 : 0);
+    else if (max === gg) h = (bb - rr) / d + 2;
+    else h = (rr - gg) / d + 4;
+    return { h: h / 6, s, l };
+  }
+
+  function fromHsl({ h, s, l }) {
+    if (s === 0) {
+      const v = Math.round(l * 255);
+      return { r: v, g: v, b: v };
+    }
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    const channel = (t) => {
+      if (t < 0) t += 1;
+      if (t > 1) t -= 1;
+      if (t < 1 / 6) return p + (q - p) * 6 * t;
+      if (t < 1 / 2) return q;
+      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+      return p;
+    };
+    return { r: Math.round(channel(h + 1 / 3) * 255), g: Math.round(channel(h) * 255), b: Math.round(channel(h - 1 / 3) * 255) };
+  }
+
+  /**
+   * Keep a color's hue but move its lightness into the band that reads on a dark page.
+   * 'fill' (tints and chip backgrounds) lands in the middle so pastels stop glaring
+   * and near-blacks stay visible; 'ink' (borders, accents, text) lands high.
+   * @param {string} color - '#RRGGBB'
+   * @param {'fill'|'ink'} [role]
+   * @returns {string} '#RRGGBB' (unparseable input is returned unchanged)
+   */
+  function adaptColor(color, role = 'fill') {
+    const rgb = parseColor(color);
+    if (!rgb) return color;
+    const { h, s, l } = toHsl(rgb);
+    const adapted = role === 'ink' ? { h, s: Math.min(s, 0.8), l: 0.65 + l * 0.25 } : { h, s: Math.min(s, 0.6), l: 0.3 + l * 0.35 };
+    return toHex(fromHsl(adapted));
+  }
+
+  // ========================================
+  // THEME DETECTION
+  // ========================================
+
+  // First opaque background among the main area and the page itself
+  function readPageBackground() {
+    const doc = globalThis.document;
+    if (!doc?.body || typeof getComputedStyle !== 'function') return null;
+    for (const el of [doc.querySelector('[role="main"]'), doc.body, doc.documentElement]) {
+      if (!el) continue;
+      const bg = parseColor(getComputedStyle(el).backgroundColor);
+      if (bg && bg.a > 0.5) return bg;
+    }
+    return null;
+  }
+
+  /**
+   * Theme the Calendar page is rendered in, from its background (or color-scheme)
+   * @returns {'light'|'dark'}
+   */
+  function detectCalendarTheme() {
+    const bg = readPageBackground();
+    if (bg) return luminance(bg) < 0.4 ? 'dark' : 'light';
+    const scheme = globalThis.document && getComputedStyle(globalThis.document.documentElement).colorScheme;
+    return scheme && scheme.includes('dark') ? 'dark' : 'light';
+  }
+
+  /**
+   * @returns {string} '#RRGGBB' the page behind painted surfaces, for blending and washes
+   */
+  function pageBackground() {
+    // Task painting asks once per chip; while watching, a theme change clears the cache
+    if (stopWatching && pageColor) return pageColor;
+    const bg = readPageBackground();
+    pageColor = bg ? toHex(bg) : detectedTheme === 'dark' ? DARK_PAGE : LIGHT_PAGE;
+    return pageColor;
+  }
+
+  // ========================================
+  // ACTIVE PROFILE
+  // ========================================
+  // Content scripts share one watcher: the detected theme plus the stored darkTheme
+  // settings, so features that only see their own settings slice still agree
+
+  let detectedTheme = null;
+  let pageColor = null;
+  let profile = null; // settings.darkTheme with defaults
+  let revision = 0; // Bumped whenever the active theme or profile changes
+  const listeners = new Set();
+  let stopWatching = null;
+
+  function defaultProfile() {
+    return globalThis.cc3Storage?.defaultSettings?.darkTheme || { mode: 'auto', weekdayColors: {}, weekdayOpacity: {}, adaptColors: true, opacity: {} };
+  }
+
+  /**
+   * @returns {Object} Dark theme settings with defaults applied
+   */
+  function getDarkProfile() {
+    const defaults = defaultProfile();
+    const stored = profile || {};
+    return {
+      ...defaults,
+      ...stored,
+      weekdayColors: { ...defaults.weekdayColors, ...stored.weekdayColors },
+      weekdayOpacity: { ...defaults.weekdayOpacity, ...stored.weekdayOpacity },
+      opacity: { ...defaults.opacity, ...stored.opacity },
+    };
+  }
+
+  /**
+   * @param {Object} [darkTheme] - Profile to resolve; defaults to the active one
+   * @returns {'light'|'dark'} Theme painters should use: a pinned mode, else the page's
+   */
+  function getActiveTheme(darkTheme = getDarkProfile()) {
+    if (darkTheme.mode === 'light' || darkTheme.mode === 'dark') return darkTheme.mode;
+    if (detectedTheme === null) detectedTheme = detectCalendarTheme();
+    return detectedTheme;
+  }
+
+  /**
+   * A color and opacity as one surface should draw them in the active theme
+   * @param {string} color - '#RRGGBB'
+   * @param {'days'|'tasks'|'timeBlocks'} surface
+   * @param {number} [opacity] - In the caller's units (0-1 or 0-100); scaled, not converted
+   * @returns {{color: string, opacity: number}}
+   */
+  function themeColor(color, surface, opacity = 1) {
+    if (getActiveTheme() !== 'dark') return { color, opacity };
+    const dark = getDarkProfile();
+    return {
+      color: dark.adaptColors ? adaptColor(color) : color,
+      opacity: opacity * ((dark.opacity[surface] ?? 100) / 100),
+    };
+  }
+
+  let themedDays = { source: null, revision: -1, value: null };
+
+  /**
+   * Day coloring settings with the dark palette and adapted colors swapped in; the
+   * light theme gets the same object back. Memoized per settings object so rule
+   * matchers downstream keep their caches between repaints.
+   * @param {Object} settings - Full settings
+   * @returns {Object}
+   */
+  function themeDaySettings(settings) {
+    if (!settings || getActiveTheme() !== 'dark') return settings;
+    if (themedDays.source === settings && themedDays.revision === revision) return themedDays.value;
+
+    const dark = getDarkProfile();
+    const fill = (color) => (dark.adaptColors && color ? adaptColor(color) : color);
+    const ink = (color) => (dark.adaptColors && color ? adaptColor(color, 'ink') : color);
+    const scale = (opacity) => Math.round(opacity * ((dark.opacity.days ?? 100) / 100));
+    const adaptEntry = (entry) => ({ ...entry, color: fill(entry.color), opacity: scale(entry.opacity ?? 30) });
+
+    const dateColors = {};
+    for (const [dateKey, entry] of Object.entries(settings.dateColors || {})) {
+      dateColors[dateKey] = typeof entry === 'string' ? fill(entry) : { ...entry, color: fill(entry.color) };
+    }
+
+    const value = {
+      ...settings,
+      weekdayColors: dark.weekdayColors,
+      weekdayOpacity: dark.weekdayOpacity,
+      dateColors,
+      dateRanges: (settings.dateRanges || []).map(adaptEntry),
+      dateRules: (settings.dateRules || []).map(adaptEntry),
+      holidays: settings.holidays && { ...settings.holidays, color: fill(settings.holidays.color), opacity: scale(settings.holidays.opacity ?? 25) },
+      todayHighlight: settings.todayHighlight && { ...settings.todayHighlight, color: ink(settings.todayHighlight.color) },
+      weekBanding: settings.weekBanding && {
+        ...settings.weekBanding,
+        colors: (settings.weekBanding.colors || []).map((color) => (color ? fill(color) : color)),
+        opacity: scale(settings.weekBanding.opacity ?? 10),
+      },
+    };
+    themedDays = { source: settings, revision, value };
+    return value;
+  }
+
+  function notify() {
+    revision += 1;
+    const theme = getActiveTheme();
+    listeners.forEach((callback) => {
+      try {
+        callback(theme);
+      } catch (error) {
+        console.error('[cc3ThemeColors] Theme listener failed:', error);
+      }
+    });
+  }
+
+  // Calendar switches theme by restyling the page (classes/styles on html/body, a
+  // swapped stylesheet) or by following the OS when set to "device default"
+  function startWatching() {
+    let timer = null;
+    const recheck = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        pageColor = null;
+        const next = detectCalendarTheme();
+        if (next === detectedTheme) return;
+        console.log('[cc3ThemeColors] Calendar theme changed:', detectedTheme, '->', next);
+        detectedTheme = next;
+        notify();
+      }, DETECT_DELAY);
+    };
+
+    const observer = new MutationObserver(recheck);
+    observer.observe(document.documentElement, { attributes: true, attributeFilter: ['class', 'style', 'data-theme'] });
+    observer.observe(document.body, { attributes: true, attributeFilter: ['class', 'style', 'data-theme'] });
+    observer.observe(document.head, { childList: true });
+
+    const media = globalThis.matchMedia?.('(prefers-color-scheme: dark)');
+    media?.addEventListener('change', recheck);
+
+    const unsubscribe = globalThis.cc3Storage?.subscribe('darkTheme', (darkTheme) => {
+      profile = darkTheme;
+      notify();
+    });
+    globalThis.cc3Storage?.getSettings().then((settings) => {
+      if (!settings?.darkTheme || JSON.stringify(settings.darkTheme) === JSON.stringify(profile)) return;
+      profile = settings.darkTheme;
+      notify();
+    });
+
+    detectedTheme = detectCalendarTheme();
+    return () => {
+      clearTimeout(timer);
+      observer.disconnect();
+      media?.removeEventListener('change', recheck);
+      unsubscribe?.();
+    };
+  }
+
+  /**
+   * Call back whenever the active theme or the dark profile changes (content scripts)
+   * @param {(theme: 'light'|'dark') => void} callback
+   * @returns {Function} Unsubscribe function
+   */
+  function onThemeChange(callback) {
+    listeners.add(callback);
+    if (!stopWatching) stopWatching = startWatching();
+    return () => {
+      listeners.delete(callback);
+      if (listeners.size === 0 && stopWatching) {
+        stopWatching();
+        stopWatching = null;
+      }
+    };
+  }
+
+  globalThis.cc3ThemeColors = {
+    luminance,
+    adaptColor,
+    detectCalendarTheme,
+    pageBackground,
+    getDarkProfile,
+    getActiveTheme,
+    themeColor,
+    themeDaySettings,
+    onThemeChange,
+  };
+})();
@@ -0,0 +1,884 @@
+// ColorKit input validation
+// Shared by lib/storage.js mutators, the popup and the background worker.
+// Loaded as a classic script in pages/content scripts and imported for its side
+// effect by background.js, so it attaches to globalThis rather than window.
+(function () {
+  const HEX_COLOR = /^#[0-9A-Fa-f]{6}$/;
+  const TIME = /^([01]\d|2[0-3]):([0-5]\d)$/;
+  const DATE_KEY = /^(\d{4})-(\d{2})-(\d{2})$/;
+  const LIST_ID = /^[A-Za-z0-9_\-=.:]+$/;
+  const LIST_ID_MAX_LENGTH = 256;
+  const LABEL_MAX_LENGTH = 200;
+  const DATE_LABEL_MAX_LENGTH = 40;
+  const DATE_EMOJI_MAX_CHARS = 8;
+  const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+  const SHADING_STYLES = ['solid', 'hashed'];
+  // Day fills extend the time block shading vocabulary ('hashed' = diagonal stripes)
+  const FILL_STYLES = ['solid', 'hashed', 'dots', 'crosshatch', 'gradient'];
+  const FILL_DENSITY = { min: 4, max: 40 }; // Pattern spacing in px
+  const RECURRENCE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+  const BYDAY = /^(-?[1-5])?(SU|MO|TU|WE|TH|FR|SA)$/;
+  const HOLIDAY_PACK = /^[A-Z]{2}(-[A-Z]{2,3})?$/;
+  const HOLIDAY_PACK_MAX = 20;
+  const TODAY_ACCENTS = ['border', 'tint', 'both'];
+  const PAST_DIM_MAX = 90; // Fully white-washed past days would hide their colors entirely
+  const WEEK_BANDING_MODES = ['off', 'alternate', 'cycle'];
+  const WEEK_NUMBERINGS = ['iso', 'fiscal'];
+  const WEEK_CYCLE_MAX = 52;
+  const THEME_MODES = ['auto', 'light', 'dark'];
+  const THEME_SURFACES = ['days', 'tasks', 'timeBlocks'];
+  const TASK_RULE_MATCHES = ['contains', 'startsWith', 'regex'];
+  const TASK_RULE_PATTERN_MAX = 200;
+  const TASK_RULES_MAX = 50;
+  // Where keyword rules sit relative to task list default colors
+  const TASK_RULES_PRIORITIES = ['aboveLists', 'belowLists'];
+  // Hashtag colors (tag names as produced by lib/taskTags.js normalizeTag)
+  const TASK_TAG_NAME = /^[\p{L}\p{N}_][\p{L}\p{N}_-]{0,49}$/u;
+  const TASK_TAG_ICON_MAX = 8;
+  const TASK_TAGS_MAX = 100;
+  // Due-date urgency overlay for task chips
+  const URGENCY_STYLES = ['outline', 'fill'];
+  const URGENCY_STATES = ['overdue', 'today', 'soon', 'none'];
+  const URGENCY_SOON_DAYS_MAX = 60;
+  const COMPLETED_STYLING_MODES = ['google', 'inherit', 'custom'];
+  const WEB_APP_MESSAGE_TYPES = ['AUTH_SUCCESS', 'PAYMENT_SUCCESS', 'SUBSCRIPTION_CANCELLED', 'LOGOUT', 'PAGE_LOADED'];
+
+  /**
+   * Thrown by assertValid(); `errors` holds every problem found so forms can
+   * mark each field instead of only the first.
+   */
+  class ValidationError extends Error {
+    constructor(errors) {
+      super(errors.map((e) => e.message).join('; '));
+      this.name = 'ValidationError';
+      this.errors = errors;
+    }
+  }
+
+  // Structured error: { field, code, message, value }
+  function fail(field, code, message, value) {
+    return [{ field, code, message, value }];
+  }
+
+  // ========================================
+  // FIELD CHECKS
+  // ========================================
+  // Each check returns an array of errors (empty when valid)
+
+  /**
+   * @param {*} value - Expected '#RRGGBB'
+   * @param {string} [field]
+   * @param {{allowEmpty?: boolean}} [options] - Accept null/'' (meaning "no color")
+   * @returns {Array<Object>} Errors
+   */
+  function checkColor(value, field = 'color', { allowEmpty = false } = {}) {
+    if (value === null || value === undefined || value === '') {
+      return allowEmpty ? [] : fail(field, 'required', 'Choose a color', value);
+    }
+    if (typeof value !== 'string' || !HEX_COLOR.test(value)) {
+      return fail(field, 'invalid_color', `"${value}" is not a hex color like #1A73E8`, value);
+    }
+    return [];
+  }
+
+  /**
+   * @param {*} value - Percentage 0-100 (0-1 fractions are within range too)
+   * @param {string} [field]
+   * @returns {Array<Object>} Errors
+   */
+  function checkOpacity(value, field = 'opacity') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return fail(field, 'invalid_type', 'Opacity must be a number', value);
+    }
+    if (value < 0 || value > 100) {
+      return fail(field, 'out_of_range', 'Opacity must be between 0 and 100', value);
+    }
+    return [];
+  }
+
+  function checkTime(value, field = 'time') {
+    if (typeof value !== 'string' || !TIME.test(value)) {
+      return fail(field, 'invalid_time', `"${value}" is not a time between 00:00 and 23:59`, value);
+    }
+    return [];
+  }
+
+  /**
+   * @param {*} range - ['HH:MM', 'HH:MM'] with start before end
+   * @param {string} [field]
+   * @returns {Array<Object>} Errors
+   */
+  function checkTimeRange(range, field = 'timeRange') {
+    if (!Array.isArray(range) || range.length !== 2) {
+      return fail(field, 'invalid_time_range', 'Time range needs a start and an end time', range);
+    }
+    const errors = [...checkTime(range[0], `${field}.start`), ...checkTime(range[1], `${field}.end`)];
+    if (errors.length === 0 && range[0] >= range[1]) {
+      return fail(field, 'invalid_time_range', 'End time must be after start time', range);
+    }
+    return errors;
+  }
+
+  function checkOneOf(value, allowed, field = 'value') {
+    if (!allowed.includes(value)) {
+      return fail(field, 'invalid_option', `${field} must be one of: ${allowed.join(', ')}`, value);
+    }
+    return [];
+  }
+
+  function checkShadingStyle(value, field = 'style') {
+    return checkOneOf(value, SHADING_STYLES, field);
+  }
+
+  /**
+   * @param {*} fill - { style, density?, angle? }; density is the pattern spacing in px,
+   *   angle the stripe/gradient direction in degrees
+   * @param {string} [field]
+   * @returns {Array<Object>} Errors
+   */
+  function checkFill(fill, field = 'fill') {
+    if (!fill || typeof fill !== 'object' || Array.isArray(fill)) {
+      return fail(field, 'invalid_type', 'Fill must be an object', fill);
+    }
+    const errors = checkOneOf(fill.style, FILL_STYLES, `${field}.style`);
+    if (fill.density !== undefined && (!Number.isInteger(fill.density) || fill.density < FILL_DENSITY.min || fill.density > FILL_DENSITY.max)) {
+      errors.push(
+        ...fail(`${field}.density`, 'out_of_range', `Pattern density must be ${FILL_DENSITY.min} to ${FILL_DENSITY.max} px`, fill.density),
+      );
+    }
+    if (fill.angle !== undefined && (!Number.isInteger(fill.angle) || fill.angle < 0 || fill.angle > 180)) {
+      errors.push(...fail(`${field}.angle`, 'out_of_range', 'Pattern angle must be 0 to 180 degrees', fill.angle));
+    }
+    return errors;
+  }
+
+  function checkLabel(value, field = 'label') {
+    if (value === undefined || value === null) return [];
+    if (typeof value !== 'string') return fail(field, 'invalid_type', 'Label must be text', value);
+    if (value.length > LABEL_MAX_LENGTH) {
+      return fail(field, 'too_long', `Label must be at most ${LABEL_MAX_LENGTH} characters`, value);
+    }
+    return [];
+  }
+
+  /**
+   * @param {*} block - { timeRange, color?, label?, style? }
+   * @param {string} [field]
+   * @returns {Array<Object>} Errors
+   */
+  function checkTimeBlock(block, field = 'timeBlock') {
+    if (!block || typeof block !== 'object' || Array.isArray(block)) {
+      return fail(field, 'invalid_type', 'Time block must be an object', block);
+    }
+    const errors = checkTimeRange(block.timeRange, `${field}.timeRange`);
+    if (block.color !== undefined) errors.push(...checkColor(block.color, `${field}.color`, { allowEmpty: true }));
+    errors.push(...checkLabel(block.label, `${field}.label`));
+    if (block.style !== undefined) errors.push(...checkShadingStyle(block.style, `${field}.style`));
+    return errors;
+  }
+
+  /**
+   * @param {*} value - 'YYYY-MM-DD' naming a real calendar date
+   * @param {string} [field]
+   * @returns {Array<Object>} Errors
+   */
+  function checkDateKey(value, field = 'date') {
+    const match = typeof value === 'string' && DATE_KEY.exec(value);
+    if (match) {
+      const [, y, m, d] = match.map(Number);
+      const date = new Date(y, m - 1, d);
+      if (date.getFullYear() === y && date.getMonth() === m - 1 && date.getDate() === d) return [];
+    }
+    return fail(field, 'invalid_date', `"${value}" is not a date in YYYY-MM-DD format`, value);
+  }
+
+  /**
+   * @param {*} entry - dateColors value: '#RRGGBB', or { color, label?, emoji?, fill? } for a labelled or patterned date
+   * @param {string} [field]
+   * @returns {Array<Object>} Errors
+   */
+  function checkDateEntry(entry, field = 'dateEntry') {
+    if (typeof entry === 'string') return checkColor(entry, field);
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return fail(field, 'invalid_type', 'Date entry must be a color or an object', entry);
+    }
+    const errors = checkColor(entry.color, `${field}.color`);
+    if (entry.label !== undefined) {
+      if (typeof entry.label !== 'string') {
+        errors.push(...fail(`${field}.label`, 'invalid_type', 'Label must be text', entry.label));
+      } else if (entry.label.length > DATE_LABEL_MAX_LENGTH) {
+        errors.push(...fail(`${field}.label`, 'too_long', `Day labels must be at most ${DATE_LABEL_MAX_LENGTH} characters`, entry.label));
+      }
+    }
+    if (entry.emoji !== undefined) {
+      if (typeof entry.emoji !== 'string' || [...entry.emoji].length > DATE_EMOJI_MAX_CHARS || /\s/.test(entry.emoji)) {
+        errors.push(...fail(`${field}.emoji`, 'invalid_emoji', 'Use a single emoji', entry.emoji));
+      }
+    }
+    if (entry.fill !== undefined && entry.fill !== null) errors.push(...checkFill(entry.fill, `${field}.fill`));
+    return errors;
+  }
+
+  /**
+   * @param {*} range - { start, end, color, opacity?, label? } with start on or before end
+   * @param {string} [field]
+   * @returns {Array<Object>} Errors
+   */
+  function checkDateRange(range, field = 'dateRange') {
+    if (!range || typeof range !== 'object' || Array.isArray(range)) {
+      return fail(field, 'invalid_type', 'Date range must be an object', range);
+    }
+    const errors = [...checkDateKey(range.start, `${field}.start`), ...checkDateKey(range.end, `${field}.end`)];
+    if (errors.length === 0 && range.start > range.end) {
+      errors.push(...fail(field, 'invalid_date_range', 'End date must be on or after start date', range));
+    }
+    errors.push(...checkColor(range.color, `${field}.color`));
+    if (range.opacity !== undefined) errors.push(...checkOpacity(range.opacity, `${field}.opacity`));
+    errors.push(...checkLabel(range.label, `${field}.label`));
+    return errors;
+  }
+
+  function checkIntegerList(value, field, { min, max, allowZero = false }) {
+    if (value === undefined) return [];
+    if (!Array.isArray(value)) return fail(field, 'invalid_type', `${field} must be a list`, value);
+    const bad = value.find((n) => !Number.isInteger(n) || Math.abs(n) < min || Math.abs(n) > max || (!allowZero && n === 0));
+    if (bad !== undefined) {
+      return fail(field, 'out_of_range', `${field} values must be whole numbers from ${min} to ${max}`, bad);
+    }
+    return [];
+  }
+
+  /**
+   * @param {*} rule - { freq, interval?, byDay?, byMonthDay?, byMonth?, bySetPos?, dtstart, until? }
+   * @param {string} [field]
+   * @returns {Array<Object>} Errors
+   */
+  function checkRecurrenceRule(rule, field = 'rule') {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      return fail(field, 'invalid_type', 'Recurrence rule must be an object', rule);
+    }
+    const errors = [...checkOneOf(rule.freq, RECURRENCE_FREQUENCIES, `${field}.freq`)];
+    if (rule.interval !== undefined && (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 99)) {
+      errors.push(...fail(`${field}.interval`, 'out_of_range', 'Repeat interval must be 1 to 99', rule.interval));
+    }
+    if (rule.byDay !== undefined) {
+      if (!Array.isArray(rule.byDay) || rule.byDay.some((token) => !BYDAY.test(token))) {
+        errors.push(...fail(`${field}.byDay`, 'invalid_weekday', 'Weekdays must look like MO, 1MO or -1FR', rule.byDay));
+      }
+    }
+    errors.push(...checkIntegerList(rule.byMonthDay, `${field}.byMonthDay`, { min: 1, max: 31 }));
+    errors.push(...checkIntegerList(rule.bySetPos, `${field}.bySetPos`, { min: 1, max: 366 }));
+    if (rule.byMonth !== undefined && (!Array.isArray(rule.byMonth) || rule.byMonth.some((m) => !Number.isInteger(m) || m < 1 || m > 12))) {
+      errors.push(...fail(`${field}.byMonth`, 'out_of_range', 'Months must be 1 to 12', rule.byMonth));
+    }
+    errors.push(...checkDateKey(rule.dtstart, `${field}.dtstart`));
+    if (rule.until !== undefined && rule.until !== null) {
+      const untilErrors = checkDateKey(rule.until, `${field}.until`);
+      errors.push(...untilErrors);
+      if (untilErrors.length === 0 && typeof rule.dtstart === 'string' && rule.until < rule.dtstart) {
+        errors.push(...fail(`${field}.until`, 'invalid_date_range', 'End date must be on or after start date', rule.until));
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * @param {*} entry - { rule, color, opacity?, label? }
+   * @param {string} [field]
+   * @returns {Array<Object>} Errors
+   */
+  function checkDateRule(entry, field = 'dateRule') {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return fail(field, 'invalid_type', 'Date rule must be an object', entry);
+    }
+    const errors = checkRecurrenceRule(entry.rule, `${field}.rule`);
+    errors.push(...checkColor(entry.color, `${field}.color`));
+    if (entry.opacity !== undefined) errors.push(...checkOpacity(entry.opacity, `${field}.opacity`));
+    errors.push(...checkLabel(entry.label, `${field}.label`));
+    return errors;
+  }
+
+  /**
+   * @param {*} value - Partial { countries?, color?, opacity? }; countries are
+   *   holiday pack ids such as 'US' or 'GB-SCT' (see lib/holidays.js)
+   * @param {string} [field]
+   * @returns {Array<Object>} Errors
+   */
+  function checkHolidaySettings(value, field = 'holidays') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return fail(field, 'invalid_type', 'Holiday settings must be an object', value);
+    }
+    const errors = [];
+    if (value.countries !== undefined) {
+      const countries = value.countries;
+      if (!Array.isArray(countries) || countries.some((id) => typeof id !== 'string' || !HOLIDAY_PACK.test(id))) {
+        errors.push(...fail(`${field}.countries`, 'invalid_country', 'Unknown holiday country or region', countries));
+      } else if (countries.length > HOLIDAY_PACK_MAX) {
+        errors.push(...fail(`${field}.countries`, 'too_many', `Choose at most ${HOLIDAY_PACK_MAX} holiday calendars`, countries));
+      }
+    }
+    if (value.color !== undefined) errors.push(...checkColor(value.color, `${field}.color`));
+    if (value.opacity !== undefined) errors.push(...checkOpacity(value.opacity, `${field}.opacity`));
+    return errors;
+  }
+
+  /**
+   * @param {*} value - { enabled?, pastDim?, accent?, color? } past-day dimming and today highlight
+   * @param {string} [field]
+   * @returns {Array<Object>} Errors
+   */
+  function checkTodayHighlight(value, field = 'todayHighlight') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return fail(field, 'invalid_type', 'Today highlight settings must be an object', value);
+    }
+    const errors = [];
+    if (value.enabled !== undefined && typeof value.enabled !== 'boolean') {
+      errors.push(...fail(`${field}.enabled`, 'invalid_type', 'enabled must be true or false', value.enabled));
+    }
+    if (value.pastDim !== undefined && (!Number.isInteger(value.pastDim) || value.pastDim < 0 || value.pastDim > PAST_DIM_MAX)) {
+      errors.push(...fail(`${field}.pastDim`, 'out_of_range', `Past-day dimming must be 0 to ${PAST_DIM_MAX}%`, value.pastDim));
+    }
+    if (value.accent !== undefined) errors.push(...checkOneOf(value.accent, TODAY_ACCENTS, `${field}.accent`));
+    if (value.color !== undefined) errors.push(...checkColor(value.color, `${field}.color`));
+    return errors;
+  }
+
+  /**
+   * @param {*} value - Partial week banding settings (see lib/weekNumbers.js); colors[1]
+   *   may be '' to leave alternate weeks untinted
+   * @param {string} [field]
+   * @returns {Array<Object>} Errors
+   */
+  function checkWeekBanding(value, field = 'weekBanding') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return fail(field, 'invalid_type', 'Week banding settings must be an object', value);
+    }
+    const errors = [];
+    if (value.mode !== undefined) errors.push(...checkOneOf(value.mode, WEEK_BANDING_MODES, `${field}.mode`));
+    if (value.numbering !== undefined) errors.push(...checkOneOf(value.numbering, WEEK_NUMBERINGS, `${field}.numbering`));
+    if (
+      value.fiscalStartMonth !== undefined &&
+      (!Number.isInteger(value.fiscalStartMonth) || value.fiscalStartMonth < 1 || value.fiscalStartMonth > 12)
+    ) {
+      errors.push(...fail(`${field}.fiscalStartMonth`, 'out_of_range', 'Fiscal year must start in month 1 to 12', value.fiscalStartMonth));
+    }
+    if (
+      value.cycleWeeks !== undefined &&
+      (!Number.isInteger(value.cycleWeeks) || value.cycleWeeks < 1 || value.cycleWeeks > WEEK_CYCLE_MAX)
+    ) {
+      errors.push(...fail(`${field}.cycleWeeks`, 'out_of_range', `Cycle length must be 1 to ${WEEK_CYCLE_MAX} weeks`, value.cycleWeeks));
+    }
+    if (value.anchor !== undefined && value.anchor !== '') errors.push(...checkDateKey(value.anchor, `${field}.anchor`));
+    if (value.colors !== undefined) {
+      if (!Array.isArray(value.colors) || value.colors.length !== 2) {
+        errors.push(...fail(`${field}.colors`, 'invalid_type', 'Week banding needs two colors', value.colors));
+      } else {
+        errors.push(...checkColor(value.colors[0], `${field}.colors.0`));
+        errors.push(...checkColor(value.colors[1], `${field}.colors.1`, { allowEmpty: true }));
+      }
+    }
+    if (value.opacity !== undefined) errors.push(...checkOpacity(value.opacity, `${field}.opacity`));
+    if (value.showLabels !== undefined && typeof value.showLabels !== 'boolean') {
+      errors.push(...fail(`${field}.showLabels`, 'invalid_type', 'showLabels must be true or false', value.showLabels));
+    }
+    return errors;
+  }
+
+  /**
+   * @param {*} value - Partial dark theme profile (see lib/themeColors.js)
+   * @param {string} [field]
+   * @returns {Array<Object>} Errors
+   */
+  function checkDarkTheme(value, field = 'darkTheme') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return fail(field, 'invalid_type', 'Dark theme settings must be an object', value);
+    }
+    const errors = [];
+    if (value.mode !== undefined) errors.push(...checkOneOf(value.mode, THEME_MODES, `${field}.mode`));
+    for (const [key, check] of [
+      ['weekdayColors', checkColor],
+      ['weekdayOpacity', checkOpacity],
+    ]) {
+      if (value[key] === undefined) continue;
+      if (!value[key] || typeof value[key] !== 'object' || Array.isArray(value[key])) {
+        errors.push(...fail(`${field}.${key}`, 'invalid_type', `${key} must map weekdays to values`, value[key]));
+        continue;
+      }
+      for (const [weekday, entry] of Object.entries(value[key])) {
+        errors.push(...checkWeekdayIndex(weekday, `${field}.${key}`));
+        errors.push(...check(entry, `${field}.${key}.${weekday}`));
+      }
+    }
+    if (value.adaptColors !== undefined && typeof value.adaptColors !== 'boolean') {
+      errors.push(...fail(`${field}.adaptColors`, 'invalid_type', 'adaptColors must be true or false', value.adaptColors));
+    }
+    if (value.opacity !== undefined) {
+      if (!value.opacity || typeof value.opacity !== 'object' || Array.isArray(value.opacity)) {
+        errors.push(...fail(`${field}.opacity`, 'invalid_type', 'Opacity profile must be an object', value.opacity));
+      } else {
+        for (const [surface, percent] of Object.entries(value.opacity)) {
+          errors.push(...checkOneOf(surface, THEME_SURFACES, `${field}.opacity`));
+          errors.push(...checkOpacity(percent, `${field}.opacity.${surface}`));
+        }
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * @param {*} entry - { match, pattern, caseSensitive?, bgColor?, textColor?, stop? } (see lib/taskRules.js)
+   * @param {string} [field]
+   * @returns {Array<Object>} Errors
+   */
+  function checkTaskRule(entry, field = 'taskRule') {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return fail(field, 'invalid_type', 'Task rule must be an object', entry);
+    }
+    const errors = checkOneOf(entry.match, TASK_RULE_MATCHES, `${field}.match`);
+    if (typeof entry.pattern !== 'string' || entry.pattern === '') {
+      errors.push(...fail(`${field}.pattern`, 'required', 'Enter the text or pattern to look for', entry.pattern));
+    } else if (entry.pattern.length > TASK_RULE_PATTERN_MAX) {
+      errors.push(...fail(`${field}.pattern`, 'too_long', `Pattern must be at most ${TASK_RULE_PATTERN_MAX} characters`, entry.pattern));
+    } else if (entry.match === 'regex') {
+      try {
+        new RegExp(entry.pattern, 'u');
+      } catch (e) {
+        errors.push(...fail(`${field}.pattern`, 'invalid_pattern', `Not a valid regular expression: ${e.message}`, entry.pattern));
+      }
+    }
+    errors.push(...checkColor(entry.bgColor, `${field}.bgColor`, { allowEmpty: true }));
+    errors.push(...checkColor(entry.textColor, `${field}.textColor`, { allowEmpty: true }));
+    if (!entry.bgColor && !entry.textColor) {
+      errors.push(...fail(`${field}.bgColor`, 'required', 'Choose a background or text color', entry.bgColor));
+    }
+    for (const flag of ['caseSensitive', 'stop']) {
+      if (entry[flag] !== undefined && typeof entry[flag] !== 'boolean') {
+        errors.push(...fail(`${field}.${flag}`, 'invalid_type', `${flag} must be true or false`, entry[flag]));
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * @param {*} rules - Ordered task rules
+   * @param {string} [field]
+   * @returns {Array<Object>} Errors
+   */
+  function checkTaskRules(rules, field = 'taskColoring.rules') {
+    if (!Array.isArray(rules)) return fail(field, 'invalid_type', 'Task rules must be a list', rules);
+    if (rules.length > TASK_RULES_MAX) return fail(field, 'too_many', `Use at most ${TASK_RULES_MAX} task rules`, rules);
+    return rules.flatMap((rule, i) => checkTaskRule(rule, `${field}.${i}`));
+  }
+
+  function checkTaskRulesPriority(value, field = 'taskColoring.rulesPriority') {
+    return checkOneOf(value, TASK_RULES_PRIORITIES, field);
+  }
+
+  function checkTaskTag(value, field = 'tag') {
+    if (typeof value !== 'string' || !TASK_TAG_NAME.test(value) || value !== value.toLowerCase()) {
+      return fail(field, 'invalid_tag', 'Tags use letters, numbers, _ and -, without spaces', value);
+    }
+    return [];
+  }
+
+  /**
+   * @param {*} entry - { bgColor?, textColor?, icon? } for one hashtag
+   * @param {string} [field]
+   * @returns {Array<Object>} Errors
+   */
+  function checkTaskTagStyle(entry, field = 'tagStyle') {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return fail(field, 'invalid_type', 'Tag style must be an object', entry);
+    }
+    const errors = [
+      ...checkColor(entry.bgColor, `${field}.bgColor`, { allowEmpty: true }),
+      ...checkColor(entry.textColor, `${field}.textColor`, { allowEmpty: true }),
+    ];
+    if (entry.icon !== undefined && entry.icon !== '') {
+      if (typeof entry.icon !== 'string' || !entry.icon.trim() || entry.icon.length > TASK_TAG_ICON_MAX) {
+        errors.push(...fail(`${field}.icon`, 'invalid_icon', `Icon must be an emoji or up to ${TASK_TAG_ICON_MAX} characters`, entry.icon));
+      }
+    }
+    if (!entry.bgColor && !entry.textColor && !entry.icon) {
+      errors.push(...fail(`${field}.bgColor`, 'required', 'Choose a color or an icon for this tag', entry.bgColor));
+    }
+    return errors;
+  }
+
+  function checkTaskTags(tags, field = 'taskColoring.tags') {
+    if (!tags || typeof tags !== 'object' || Array.isArray(tags)) {
+      return fail(field, 'invalid_type', 'Tag colors must map tags to styles', tags);
+    }
+    const entries = Object.entries(tags);
+    if (entries.length > TASK_TAGS_MAX) return fail(field, 'too_many', `Use at most ${TASK_TAGS_MAX} tag colors`, tags);
+    return entries.flatMap(([tag, style]) => [...checkTaskTag(tag, field), ...checkTaskTagStyle(style, `${field}.${tag}`)]);
+  }
+
+  /**
+   * Urgency overlay settings, or one list's overrides (which can't nest further lists)
+   * @param {*} value - Partial { enabled?, style?, soonDays?, colors?, lists? }
+   * @param {string} [field]
+   * @param {{allowLists?: boolean}} [opts]
+   * @returns {Array<Object>} Errors
+   */
+  function checkTaskUrgency(value, field = 'taskListColoring.urgency', { allowLists = true } = {}) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return fail(field, 'invalid_type', 'Urgency settings must be an object', value);
+    }
+    const errors = [];
+    if (value.enabled !== undefined && typeof value.enabled !== 'boolean') {
+      errors.push(...fail(`${field}.enabled`, 'invalid_type', 'enabled must be true or false', value.enabled));
+    }
+    if (value.style !== undefined) errors.push(...checkOneOf(value.style, URGENCY_STYLES, `${field}.style`));
+    if (
+      value.soonDays !== undefined &&
+      (!Number.isInteger(value.soonDays) || value.soonDays < 1 || value.soonDays > URGENCY_SOON_DAYS_MAX)
+    ) {
+      errors.push(...fail(`${field}.soonDays`, 'out_of_range', `"Due soon" must be 1 to ${URGENCY_SOON_DAYS_MAX} days`, value.soonDays));
+    }
+    if (value.colors !== undefined) {
+      if (!value.colors || typeof value.colors !== 'object' || Array.isArray(value.colors)) {
+        errors.push(...fail(`${field}.colors`, 'invalid_type', 'Urgency colors must map due states to colors', value.colors));
+      } else {
+        for (const [state, color] of Object.entries(value.colors)) {
+          errors.push(...checkOneOf(state, URGENCY_STATES, `${field}.colors`));
+          errors.push(...checkColor(color, `${field}.colors.${state}`, { allowEmpty: true }));
+        }
+      }
+    }
+    if (value.lists !== undefined) {
+      if (!allowLists || !value.lists || typeof value.lists !== 'object' || Array.isArray(value.lists)) {
+        errors.push(...fail(`${field}.lists`, 'invalid_type', 'Per-list urgency must map list ids to settings', value.lists));
+      } else {
+        for (const [listId, overrides] of Object.entries(value.lists)) {
+          errors.push(...checkListId(listId, `${field}.lists`));
+          errors.push(...checkTaskUrgency(overrides, `${field}.lists.${listId}`, { allowLists: false }));
+        }
+      }
+    }
+    return errors;
+  }
+
+  function checkWeekdayIndex(value, field = 'weekday') {
+    const index = Number(value);
+    if (value === '' || value === null || !Number.isInteger(index) || index < 0 || index > 6) {
+      return fail(field, 'invalid_weekday', 'Weekday must be 0 (Sunday) to 6 (Saturday)', value);
+    }
+    return [];
+  }
+
+  function checkDayKey(value, field = 'day') {
+    if (!DAY_KEYS.includes(value)) {
+      return fail(field, 'invalid_day', `Day must be one of: ${DAY_KEYS.join(', ')}`, value);
+    }
+    return [];
+  }
+
+  /**
+   * @param {*} value - Google Tasks list ID
+   * @param {string} [field]
+   * @returns {Array<Object>} Errors
+   */
+  function checkListId(value, field = 'listId') {
+    if (typeof value !== 'string' || !value || value.length > LIST_ID_MAX_LENGTH || !LIST_ID.test(value)) {
+      return fail(field, 'invalid_list_id', 'Unknown task list', value);
+    }
+    return [];
+  }
+
+  /**
+   * @param {*} schedule - { mon: [block], ... } (weekly) keyed by day
+   * @param {string} [field]
+   * @returns {Array<Object>} Errors
+   */
+  function checkWeeklySchedule(schedule, field = 'weeklySchedule') {
+    if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+      return fail(field, 'invalid_type', 'Schedule must be an object', schedule);
+    }
+    const errors = [];
+    for (const [dayKey, blocks] of Object.entries(schedule)) {
+      errors.push(...checkDayKey(dayKey, `${field}.${dayKey}`));
+      if (!Array.isArray(blocks)) {
+        errors.push(...fail(`${field}.${dayKey}`, 'invalid_type', 'Day blocks must be a list', blocks));
+        continue;
+      }
+      blocks.forEach((block, i) => errors.push(...checkTimeBlock(block, `${field}.${dayKey}[${i}]`)));
+    }
+    return errors;
+  }
+
+  // ========================================
+  // STORED DATA (backup import)
+  // ========================================
+  // Imported files bypass the mutators, so whole stored values are checked here with
+  // the same field checks. Only fields that are present are checked.
+
+  function isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function checkBoolean(value, field) {
+    if (value === undefined || typeof value === 'boolean') return [];
+    return fail(field, 'invalid_type', `${field} must be true or false`, value);
+  }
+
+  /**
+   * @param {*} map - Object whose values all pass `check`
+   * @param {Function} check - (value, field) => errors
+   * @param {string} field
+   * @param {{keyCheck?: Function}} [opts] - (key, field) => errors for each key
+   * @returns {Array<Object>} Errors
+   */
+  function checkMapOf(map, check, field, { keyCheck } = {}) {
+    if (!isObject(map)) return fail(field, 'invalid_type', `${field} must be an object`, map);
+    return Object.entries(map).flatMap(([key, value]) => [
+      ...(keyCheck ? keyCheck(key, `${field}.${key}`) : []),
+      ...check(value, `${field}.${key}`),
+    ]);
+  }
+
+  function checkListOf(list, check, field) {
+    if (!Array.isArray(list)) return fail(field, 'invalid_type', `${field} must be a list`, list);
+    return list.flatMap((value, i) => check(value, `${field}[${i}]`));
+  }
+
+  function checkCompletedStyling(entry, field = 'completedStyling') {
+    if (!isObject(entry)) return fail(field, 'invalid_type', 'Completed styling must be an object', entry);
+    const errors = checkBoolean(entry.enabled, `${field}.enabled`);
+    if (entry.mode !== undefined) errors.push(...checkOneOf(entry.mode, COMPLETED_STYLING_MODES, `${field}.mode`));
+    for (const key of ['bgColor', 'textColor']) {
+      if (entry[key] !== undefined) errors.push(...checkColor(entry[key], `${field}.${key}`, { allowEmpty: true }));
+    }
+    for (const key of ['bgOpacity', 'textOpacity']) {
+      if (entry[key] !== undefined) errors.push(...checkOpacity(entry[key], `${field}.${key}`));
+    }
+    return errors;
+  }
+
+  /**
+   * A complete or partial settings object, as stored under `settings`
+   * @param {*} settings
+   * @param {string} [field]
+   * @returns {Array<Object>} Errors
+   */
+  function checkSettings(settings, field = 'settings') {
+    if (!isObject(settings)) return fail(field, 'invalid_type', 'Settings must be an object', settings);
+    const errors = [];
+    const at = (key) => `${field}.${key}`;
+    const present = (value, check) => (value === undefined ? [] : check());
+    const fillOrNone = (fill, f) => (fill === null ? [] : checkFill(fill, f));
+
+    errors.push(...present(settings.weekdayColors, () => checkMapOf(settings.weekdayColors, checkColor, at('weekdayColors'), { keyCheck: checkWeekdayIndex })));
+    errors.push(...present(settings.weekdayOpacity, () => checkMapOf(settings.weekdayOpacity, checkOpacity, at('weekdayOpacity'), { keyCheck: checkWeekdayIndex })));
+    errors.push(...present(settings.weekdayFills, () => checkMapOf(settings.weekdayFills, fillOrNone, at('weekdayFills'), { keyCheck: checkWeekdayIndex })));
+    errors.push(...present(settings.dateColors, () => checkMapOf(settings.dateColors, checkDateEntry, at('dateColors'), { keyCheck: checkDateKey })));
+    errors.push(...present(settings.dateRanges, () => checkListOf(settings.dateRanges, checkDateRange, at('dateRanges'))));
+    errors.push(...present(settings.dateRules, () => checkListOf(settings.dateRules, checkDateRule, at('dateRules'))));
+    errors.push(...present(settings.holidays, () => checkHolidaySettings(settings.holidays, at('holidays'))));
+    errors.push(...present(settings.todayHighlight, () => checkTodayHighlight(settings.todayHighlight, at('todayHighlight'))));
+    errors.push(...present(settings.weekBanding, () => checkWeekBanding(settings.weekBanding, at('weekBanding'))));
+    errors.push(...present(settings.darkTheme, () => checkDarkTheme(settings.darkTheme, at('darkTheme'))));
+    errors.push(...present(settings.presetColors, () => checkListOf(settings.presetColors, checkColor, at('presetColors'))));
+    errors.push(...present(settings.weekStart, () => checkWeekdayIndex(settings.weekStart, at('weekStart'))));
+    errors.push(...checkBoolean(settings.enabled, at('enabled')));
+
+    const tasks = settings.taskColoring;
+    if (tasks !== undefined) {
+      const f = (key) => at(`taskColoring.${key}`);
+      if (!isObject(tasks)) {
+        errors.push(...fail(at('taskColoring'), 'invalid_type', 'Task coloring settings must be an object', tasks));
+      } else {
+        errors.push(...checkBoolean(tasks.enabled, f('enabled')));
+        errors.push(...present(tasks.presetColors, () => checkListOf(tasks.presetColors, checkColor, f('presetColors'))));
+        errors.push(...present(tasks.inlineColors, () => checkListOf(tasks.inlineColors, checkColor, f('inlineColors'))));
+        errors.push(...present(tasks.rules, () => checkTaskRules(tasks.rules, f('rules'))));
+        errors.push(...present(tasks.rulesPriority, () => checkTaskRulesPriority(tasks.rulesPriority, f('rulesPriority'))));
+        errors.push(...present(tasks.tags, () => checkTaskTags(tasks.tags, f('tags'))));
+        errors.push(...present(tasks.tagsPriority, () => checkTaskRulesPriority(tasks.tagsPriority, f('tagsPriority'))));
+      }
+    }
+
+    const lists = settings.taskListColoring;
+    if (lists !== undefined) {
+      const f = (key) => at(`taskListColoring.${key}`);
+      if (!isObject(lists)) {
+        errors.push(...fail(at('taskListColoring'), 'invalid_type', 'Task list settings must be an object', lists));
+      } else {
+        errors.push(...checkBoolean(lists.enabled, f('enabled')));
+        errors.push(...present(lists.pendingTextColors, () => checkMapOf(lists.pendingTextColors, checkColor, f('pendingTextColors'), { keyCheck: checkListId })));
+        errors.push(...present(lists.completedStyling, () => checkMapOf(lists.completedStyling, checkCompletedStyling, f('completedStyling'), { keyCheck: checkListId })));
+        errors.push(...present(lists.urgency, () => checkTaskUrgency(lists.urgency, f('urgency'))));
+      }
+    }
+
+    const blocks = settings.timeBlocking;
+    if (blocks !== undefined) {
+      const f = (key) => at(`timeBlocking.${key}`);
+      if (!isObject(blocks)) {
+        errors.push(...fail(at('timeBlocking'), 'invalid_type', 'Time blocking settings must be an object', blocks));
+      } else {
+        errors.push(...checkBoolean(blocks.enabled, f('enabled')));
+        errors.push(...present(blocks.globalColor, () => checkColor(blocks.globalColor, f('globalColor'))));
+        errors.push(...present(blocks.shadingStyle, () => checkShadingStyle(blocks.shadingStyle, f('shadingStyle'))));
+        errors.push(...present(blocks.weeklySchedule, () => checkWeeklySchedule(blocks.weeklySchedule, f('weeklySchedule'))));
+        errors.push(
+          ...present(blocks.dateSpecificSchedule, () =>
+            checkMapOf(blocks.dateSpecificSchedule, (list, f2) => checkListOf(list, checkTimeBlock, f2), f('dateSpecificSchedule'), {
+              keyCheck: checkDateKey,
+            }),
+          ),
+        );
+      }
+    }
+
+    const keepMonths = settings.retention?.keepMonths;
+    if (keepMonths !== undefined && (!Number.isInteger(keepMonths) || keepMonths < 0)) {
+      errors.push(...fail(at('retention.keepMonths'), 'out_of_range', 'Months to keep must be a whole number', keepMonths));
+    }
+    return errors;
+  }
+
+  /**
+   * Colors keyed by task, series or list ID (cf.taskColors, cf.taskListColors, ...)
+   * @param {*} map
+   * @param {string} field
+   * @param {{listIds?: boolean}} [opts] - Keys are task list IDs
+   * @returns {Array<Object>} Errors
+   */
+  function checkColorMap(map, field, { listIds = false } = {}) {
+    return checkMapOf(map, checkColor, field, listIds ? { keyCheck: checkListId } : {});
+  }
+
+  /**
+   * Profiles with inline snapshots, in the shape backups store them
+   * @param {*} value - { activeProfileId, profiles: { id: { name, snapshot } } }
+   * @param {string} [field]
+   * @returns {Array<Object>} Errors
+   */
+  function checkProfiles(value, field = 'cf.profiles') {
+    if (!isObject(value)) return fail(field, 'invalid_type', 'Profiles must be an object', value);
+    return checkMapOf(
+      value.profiles || {},
+      (profile, f) => {
+        if (!isObject(profile)) return fail(f, 'invalid_type', 'Profile must be an object', profile);
+        const errors = typeof profile.name === 'string' && profile.name.trim() ? [] : fail(`${f}.name`, 'required', 'Profile needs a name', profile.name);
+        const snapshot = profile.snapshot;
+        if (snapshot === undefined) return errors;
+        if (!isObject(snapshot)) return [...errors, ...fail(`${f}.snapshot`, 'invalid_type', 'Profile snapshot must be an object', snapshot)];
+        const { weeklySchedule, taskListColors, taskListTextColors, ...weekdays } = snapshot;
+        errors.push(...checkSettings({ ...weekdays, timeBlocking: weeklySchedule && { weeklySchedule } }, `${f}.snapshot`));
+        if (taskListColors !== undefined) errors.push(...checkColorMap(taskListColors, `${f}.snapshot.taskListColors`, { listIds: true }));
+        if (taskListTextColors !== undefined) {
+          errors.push(...checkColorMap(taskListTextColors, `${f}.snapshot.taskListTextColors`, { listIds: true }));
+        }
+        return errors;
+      },
+      `${field}.profiles`,
+    );
+  }
+
+  // ========================================
+  // RESULTS
+  // ========================================
+
+  /**
+   * Combine check results
+   * @param {...Array<Object>} checks - Results of check* calls
+   * @returns {{ok: boolean, errors: Array<Object>}}
+   */
+  function validate(...checks) {
+    const errors = checks.flat();
+    return { ok: errors.length === 0, errors };
+  }
+
+  /**
+   * Throw a ValidationError if any check failed
+   * @param {...Array<Object>} checks - Results of check* calls
+   */
+  function assertValid(...checks) {
+    const { ok, errors } = validate(...checks);
+    if (!ok) throw new ValidationError(errors);
+  }
+
+  function isValidationError(error) {
+    return !!error && error.name === 'ValidationError' && Array.isArray(error.errors);
+  }
+
+  /**
+   * Validate a message received from the web app (externally_connectable)
+   * @param {*} message
+   * @returns {{ok: boolean, errors: Array<Object>}}
+   */
+  function validateWebAppMessage(message) {
+    if (!message || typeof message !== 'object') {
+      return validate(fail('message', 'invalid_type', 'Message must be an object', message));
+    }
+    const errors = [];
+    if (!WEB_APP_MESSAGE_TYPES.includes(message.type)) {
+      errors.push(...fail('type', 'unknown_type', `Unknown message type: ${message.type}`, message.type));
+    }
+    if (message.session !== undefined) {
+      const session = message.session;
+      if (!session || typeof session !== 'object') {
+        errors.push(...fail('session', 'invalid_type', 'Session must be an object', session));
+      } else {
+        ['access_token', 'refresh_token'].forEach((key) => {
+          if (session[key] !== undefined && typeof session[key] !== 'string') {
+            errors.push(...fail(`session.${key}`, 'invalid_type', `${key} must be a string`, undefined));
+          }
+        });
+      }
+    }
+    if (message.subscriptionStatus !== undefined) {
+      const status = message.subscriptionStatus;
+      if (!status || typeof status !== 'object') {
+        errors.push(...fail('subscriptionStatus', 'invalid_type', 'Subscription status must be an object', status));
+      } else if (status.verificationFailed !== true && typeof status.hasSubscription !== 'boolean') {
+        errors.push(
+          ...fail('subscriptionStatus.hasSubscription', 'invalid_type', 'hasSubscription must be true or false', status.hasSubscription),
+        );
+      }
+    }
+    return validate(errors);
+  }
+
+  globalThis.cc3Validation = {
+    ValidationError,
+    isValidationError,
+    checkColor,
+    checkOpacity,
+    checkTime,
+    checkTimeRange,
+    checkTimeBlock,
+    checkOneOf,
+    checkShadingStyle,
+    checkFill,
+    checkLabel,
+    checkDateKey,
+    checkDateEntry,
+    checkDateRange,
+    checkRecurrenceRule,
+    checkDateRule,
+    checkHolidaySettings,
+    checkTodayHighlight,
+    checkWeekBanding,
+    checkDarkTheme,
+    checkTaskRule,
+    checkTaskRules,
+    checkTaskRulesPriority,
+    checkTaskTag,
+    checkTaskTagStyle,
+    checkTaskTags,
+    checkTaskUrgency,
+    checkWeekdayIndex,
+    checkDayKey,
+    checkListId,
+    checkWeeklySchedule,
+    checkSettings,
+    checkColorMap,
+    checkProfiles,
+    validate,
+    assertValid,
+    validateWebAppMessage,
+  };
+})();
@@ -0,0 +1,117 @@
+// ColorKit week numbers and week banding
+// ISO 8601 weeks, fiscal weeks and the banding modes built on them, shared by the
+// calendar painters and the popup. Banding settings are plain objects:
+//   { mode: 'off' | 'alternate' | 'cycle', numbering: 'iso' | 'fiscal', fiscalStartMonth: 2,
+//     cycleWeeks: 2, anchor: 'YYYY-MM-DD', colors: ['#RRGGBB', '#RRGGBB' | ''], opacity: 10 }
+// Fiscal years start on the first day of the week (per the user's week start) that holds
+// the 1st of fiscalStartMonth, so fiscal weeks always line up with the calendar rows.
+(function () {
+  const DAY_MS = 86400000;
+
+  const pad = (n) => String(n).padStart(2, '0');
+
+  // Days since 1970-01-01 in UTC, so week arithmetic never trips over DST
+  function toDayNumber(dateKey) {
+    const [y, m, d] = dateKey.split('-').map(Number);
+    return Math.round(Date.UTC(y, m - 1, d) / DAY_MS);
+  }
+
+  function fromDayNumber(n) {
+    const date = new Date(n * DAY_MS);
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+  }
+
+  // 1970-01-01 was a Thursday
+  const weekdayOf = (dayNumber) => (((dayNumber + 4) % 7) + 7) % 7;
+
+  /**
+   * First day of the displayed week holding a date
+   * @param {string} dateKey - 'YYYY-MM-DD'
+   * @param {number} weekStart - 0 (Sunday) to 6 (Saturday)
+   * @returns {string} 'YYYY-MM-DD'
+   */
+  function weekStartOf(dateKey, weekStart = 0) {
+    const day = toDayNumber(dateKey);
+    return fromDayNumber(day - ((weekdayOf(day) - weekStart + 7) % 7));
+  }
+
+  /**
+   * ISO 8601 week: weeks start on Monday and week 1 holds the year's first Thursday
+   * @param {string} dateKey
+   * @returns {{year: number, week: number}}
+   */
+  function isoWeek(dateKey) {
+    const day = toDayNumber(dateKey);
+    const thursday = day - ((weekdayOf(day) + 6) % 7) + 3;
+    const year = Number(fromDayNumber(thursday).slice(0, 4));
+    return { year, week: Math.floor((thursday - toDayNumber(`${year}-01-01`)) / 7) + 1 };
+  }
+
+  function fiscalYearStart(year, startMonth, weekStart) {
+    return toDayNumber(weekStartOf(`${year}-${pad(startMonth)}-01`, weekStart));
+  }
+
+  /**
+   * Fiscal week, counted from the week holding the 1st of the fiscal start month
+   * @param {string} dateKey
+   * @param {number} startMonth - 1-12
+   * @param {number} weekStart - 0 (Sunday) to 6 (Saturday)
+   * @returns {{year: number, week: number}} year is the calendar year the fiscal year starts in
+   */
+  function fiscalWeek(dateKey, startMonth = 1, weekStart = 0) {
+    const day = toDayNumber(dateKey);
+    let year = Number(dateKey.slice(0, 4));
+    if (day < fiscalYearStart(year, startMonth, weekStart)) year -= 1;
+    else if (day >= fiscalYearStart(year + 1, startMonth, weekStart)) year += 1;
+    return { year, week: Math.floor((day - fiscalYearStart(year, startMonth, weekStart)) / 7) + 1 };
+  }
+
+  /**
+   * Week number for the displayed week holding a date, in the banding's numbering
+   * @param {string} dateKey
+   * @param {Object} banding
+   * @param {number} weekStart
+   * @returns {{number: number, label: string, title: string}}
+   */
+  function weekLabel(dateKey, banding, weekStart = 0) {
+    const start = weekStartOf(dateKey, weekStart);
+    if (banding?.numbering === 'fiscal') {
+      const startMonth = banding.fiscalStartMonth || 1;
+      const { year, week } = fiscalWeek(start, startMonth, weekStart);
+      const monthName = new Date(Date.UTC(year, startMonth - 1, 1)).toLocaleDateString('en-US', { month: 'short', timeZone: 'UTC' });
+      return { number: week, label: `FW${week}`, title: `Fiscal week ${week} of the year starting ${monthName} ${year}` };
+    }
+    // Middle of the displayed week, so Sunday- or Saturday-start rows get the ISO week most of their days are in
+    const { year, week } = isoWeek(fromDayNumber(toDayNumber(start) + 3));
+    return { number: week, label: `W${week}`, title: `ISO week ${week}, ${year}` };
+  }
+
+  /**
+   * Band color for the displayed week holding a date
+   * @param {string} dateKey
+   * @param {Object} banding
+   * @param {number} weekStart
+   * @returns {string|null} '#RRGGBB', or null when the week isn't tinted
+   */
+  function bandColor(dateKey, banding, weekStart = 0) {
+    const colors = banding?.colors || [];
+    let band;
+    if (banding?.mode === 'alternate') {
+      band = weekLabel(dateKey, banding, weekStart).number % 2 === 1 ? 0 : 1;
+    } else if (banding?.mode === 'cycle' && banding.anchor) {
+      const weeks = Math.floor((toDayNumber(weekStartOf(dateKey, weekStart)) - toDayNumber(weekStartOf(banding.anchor, weekStart))) / 7);
+      band = ((Math.floor(weeks / (banding.cycleWeeks || 1)) % 2) + 2) % 2;
+    } else {
+      return null;
+    }
+    return colors[band] || null;
+  }
+
+  globalThis.cc3WeekNumbers = {
+    weekStartOf,
+    isoWeek,
+    fiscalWeek,
+    weekLabel,
+    bandColor,
+  };
+})();
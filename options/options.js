@@ -26,11 +26,11 @@
     // Add week start setting
     const weekStartRow = el('div', { className: 'row' });
     weekStartRow.appendChild(el('div', {}, ['Week starts on:']));
-    const weekStartSelect = el('select', { value: settings.weekStart || 0 });
-    ['Sunday', 'Monday', 'Saturday'].forEach((day, index) => {
-      const option = el('option', { value: index === 2 ? 6 : index }, [day]);
-      weekStartSelect.appendChild(option);
+    const weekStartSelect = el('select');
+    weekdayNames.forEach((day, index) => {
+      weekStartSelect.appendChild(el('option', { value: index }, [day]));
     });
+    weekStartSelect.value = String(settings.weekStart || 0);
     weekStartSelect.onchange = async (e) =>
       (settings = await window.cc3Storage.setWeekStart(parseInt(e.target.value, 10)));
     weekStartRow.appendChild(weekStartSelect);
@@ -90,9 +90,11 @@
     Object.entries(settings.dateColors || {})
       .sort(([a], [b]) => a.localeCompare(b))
       .forEach(([k, v]) => {
+        const entry = window.cc3Storage.normalizeDateEntry(v);
+        if (!entry) return;
         const item = el('div', { className: 'row' });
         const chip = el('div', {
-          style: `width:18px;height:18px;border-radius:4px;border:1px solid #d0d7de;background:${v}`,
+          style: `width:18px;height:18px;border-radius:4px;border:1px solid #d0d7de;background:${entry.color}`,
         });
         const del = el('button', {}, ['Remove']);
         del.onclick = async () => {
@@ -100,7 +102,7 @@
           render();
         };
         item.appendChild(chip);
-        item.appendChild(el('div', {}, [k]));
+        item.appendChild(el('div', {}, [[k, entry.emoji, entry.label].filter(Boolean).join(' ')]));
         item.appendChild(del);
         list.appendChild(item);
       });
@@ -121,9 +123,9 @@
   async function init() {
     settings = await window.cc3Storage.getSettings();
     render();
-    chrome.storage.onChanged.addListener((changes, area) => {
-      if (area === 'sync' && changes.settings) {
-        settings = changes.settings.newValue;
+    chrome.storage.onChanged.addListener(async (changes, area) => {
+      if (area === 'sync' && window.cc3Storage.isSettingsChange(changes)) {
+        settings = await window.cc3Storage.getSettings();
         render();
       }
     });
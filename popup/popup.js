@@ -310,6 +310,7 @@ checkAuthAndSubscription();
 
 (function () {
   let settings = {};
+  let detectedWeekStart = null; // Week start last seen on a Calendar tab (cf.detectedWeekStart)
 
   function qs(id) {
     return document.getElementById(id);
@@ -329,21 +330,29 @@ checkAuthAndSubscription();
   // Helper function to update preview with color and opacity
   function updatePreview(dayIndex, color, opacity) {
     const alpha = opacity / 100; // Convert percentage to decimal
-    const rgba = hexToRgba(color, alpha);
+    const fill = settings.weekdayFills?.[String(dayIndex)];
 
     // Update the day grid preview
     const preview = qs(`preview${dayIndex}`);
     if (preview && color) {
-      preview.style.backgroundColor = rgba;
+      setFillBackground(preview, color, alpha, fill);
     }
 
     // Update the color input preview wrapper in the modal
     const colorPreview = qs(`colorPreview${dayIndex}`);
     if (colorPreview && color) {
-      colorPreview.style.backgroundColor = rgba;
+      setFillBackground(colorPreview, color, alpha, fill);
     }
   }
 
+  // Same layers the calendar paints, so previews match stripes/dots/crosshatch/gradient fills
+  function setFillBackground(el, color, alpha, fill) {
+    const layers = window.cc3FillPatterns.fillLayers(color, alpha, fill);
+    el.style.backgroundColor = layers.backgroundColor;
+    el.style.backgroundImage = layers.backgroundImage || '';
+    el.style.backgroundSize = layers.backgroundSize || '';
+  }
+
   // Default colors for weekdays (vibrant base colors that will be applied with opacity)
   const defaultColors = {
     0: '#f44336', // Sunday - red
@@ -548,10 +557,11 @@ checkAuthAndSubscription();
     }
   }
 
-  // Save custom colors to storage
-  async function saveCustomColors() {
+  // Save custom colors to storage. The change is applied to the latest stored
+  // palette so colors added from a calendar tab meanwhile are kept.
+  async function saveCustomColors(mutate) {
     try {
-      await chrome.storage.sync.set({ customDayColors: customColors });
+      customColors = await window.cc3Storage.updateSyncItem('customDayColors', (stored) => mutate(stored || []));
     } catch (error) {
       console.error('Error saving custom colors:', error);
     }
@@ -565,8 +575,7 @@ checkAuthAndSubscription();
 
       // Don't add duplicates
       if (!customColors.includes(color)) {
-        customColors.push(color);
-        await saveCustomColors();
+        await saveCustomColors((colors) => (colors.includes(color) ? colors : [...colors, color]));
 
         // Refresh all custom palettes for day colors
         for (let i = 0; i < 7; i++) {
@@ -610,8 +619,7 @@ checkAuthAndSubscription();
   async function removeCustomColor(color) {
     const index = customColors.indexOf(color);
     if (index !== -1) {
-      customColors.splice(index, 1);
-      await saveCustomColors();
+      await saveCustomColors((colors) => colors.filter((c) => c !== color));
 
       // Refresh all custom palettes for day colors and Color Lab
       for (let i = 0; i < 7; i++) {
@@ -830,8 +838,7 @@ checkAuthAndSubscription();
 
     // Don't add duplicates
     if (!customColors.includes(color)) {
-      customColors.push(color);
-      await saveCustomColors();
+      await saveCustomColors((colors) => (colors.includes(color) ? colors : [...colors, color]));
 
       // Refresh all custom palettes for day colors and Color Lab
       for (let i = 0; i < 7; i++) {
@@ -1182,25 +1189,54 @@ checkAuthAndSubscription();
     }
   }
 
-  async function saveSettings() {
+  // Surface a failed settings migration instead of silently running on defaults
+  async function checkMigrationStatus() {
+    let status = null;
     try {
-      // Settings are already saved by the storage methods we used
-      // Just need to notify content script of changes
-      const tabs = await chrome.tabs.query({ url: '*://calendar.google.com/*' });
+      status = await window.cc3Storage.getMigrationStatus();
+    } catch (error) {
+      console.error('❌ Error reading migration status:', error);
+      return;
+    }
+    if (!status || status.ok !== false) return;
 
-      for (const tab of tabs) {
-        try {
-          const message = {
-            type: 'settingsChanged',
-            feature: 'dayColoring',
-            settings: settings, // Send the full settings object as expected by dayColoring feature
-          };
+    const banner = document.createElement('div');
+    banner.className = 'migration-error-banner';
+    banner.style.cssText = `
+			background: #fdecea;
+			border: 1px solid #f5c2c7;
+			border-radius: 8px;
+			padding: 12px 16px;
+			margin-bottom: 16px;
+			display: flex;
+			justify-content: space-between;
+			align-items: center;
+			gap: 12px;
+			font-size: 13px;
+			color: #842029;
+		`;
 
-          await chrome.tabs.sendMessage(tab.id, message);
-        } catch (e) {}
-      }
-    } catch (error) {
-      console.error('❌ Error saving settings:', error);
+    // Create elements safely to prevent XSS
+    const span = document.createElement('span');
+    const step = status.failedStep ? ` (step ${status.failedStep}: ${status.description})` : '';
+    span.textContent = `⚠️ Settings upgrade from v${status.fromVersion} to v${status.toVersion} failed${step}: ${status.error}. Your existing settings were kept unchanged.`;
+
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.style.cssText =
+      'background: none; border: none; color: #842029; text-decoration: underline; font-weight: 500; cursor: pointer;';
+    dismiss.textContent = 'Dismiss';
+    dismiss.addEventListener('click', async () => {
+      await window.cc3Storage.clearMigrationStatus();
+      banner.remove();
+    });
+
+    banner.appendChild(span);
+    banner.appendChild(dismiss);
+
+    const mainContent = document.getElementById('mainContent');
+    if (mainContent && mainContent.firstChild) {
+      mainContent.insertBefore(banner, mainContent.firstChild);
     }
   }
 
@@ -2072,10 +2108,6 @@ checkAuthAndSubscription();
       // Clear ONLY completed task styling (not pending colors)
       await window.cc3Storage.clearCompletedStyling(list.id);
 
-      // Reload settings from storage
-      const settings = await window.cc3Storage.getSettings();
-      await chrome.storage.sync.set({ settings });
-
       // CRITICAL: Rebuild entire task list UI from fresh storage
       await loadTaskLists();
 
@@ -2287,10 +2319,6 @@ checkAuthAndSubscription();
         window.cc3Storage.clearTaskListTextColor(list.id),
       ]);
 
-      // Reload settings from storage
-      const settings = await window.cc3Storage.getSettings();
-      await chrome.storage.sync.set({ settings });
-
       // CRITICAL: Rebuild entire task list UI from fresh storage
       await loadTaskLists();
 
@@ -2339,6 +2367,7 @@ checkAuthAndSubscription();
     card.appendChild(header);
     card.appendChild(settingsSection);
     card.appendChild(completedSection);
+    card.appendChild(createTaskUrgencySection(list));
 
     item.appendChild(card);
 
@@ -2476,19 +2505,20 @@ checkAuthAndSubscription();
       onColorChange(newColor);
 
       // Show toast immediately
-      showToast(`${toastLabel} set for "${list.title}"`);
+      showUndoToast(`${toastLabel} set for "${list.title}"`);
 
       if (closeModal) {
         closeColorModal();
       }
 
       // Now do storage operations in background (non-blocking)
-      setColor(list.id, newColor).then(async () => {
-        settings = await window.cc3Storage.getSettings();
-        await saveSettings();
-        // Trigger repaint in calendar after storage is done
-        broadcastUpdate();
-      });
+      setColor(list.id, newColor)
+        .then(async () => {
+          settings = await window.cc3Storage.getSettings();
+          // Trigger repaint in calendar after storage is done
+          broadcastUpdate();
+        })
+        .catch((error) => reportSaveError(error, qs(`${prefix}Hex-${list.id}`)));
     };
 
     setTimeout(() => {
@@ -2509,17 +2539,14 @@ checkAuthAndSubscription();
         hexInput.oninput = () => {
           const hex = hexInput.value.trim();
           const normalized = hex.startsWith('#') ? hex : '#' + hex;
-          if (/^#[0-9A-Fa-f]{6}$/.test(normalized)) {
+          if (checkHexField(hexInput, normalized)) {
             directColorInput.value = normalized;
-            hexInput.style.borderColor = '#1a73e8';
-          } else {
-            hexInput.style.borderColor = '#dc2626';
           }
         };
         hexInput.onchange = () => {
           const hex = hexInput.value.trim();
           const normalized = hex.startsWith('#') ? hex : '#' + hex;
-          if (/^#[0-9A-Fa-f]{6}$/.test(normalized)) {
+          if (checkHexField(hexInput, normalized)) {
             updateColor(normalized);
           }
         };
@@ -2646,30 +2673,118 @@ checkAuthAndSubscription();
 
     return swatch;
   }
-  function showToast(message) {
-    // Simple toast notification
+  function showToast(message, type = 'info', action = null) {
+    // Simple toast notification, optionally with one action button (e.g. Undo)
+    document.querySelectorAll('.cc3-popup-toast').forEach((el) => el.remove());
+
     const toast = document.createElement('div');
+    toast.className = 'cc3-popup-toast';
     toast.style.cssText = `
       position: fixed;
       bottom: 20px;
       left: 50%;
       transform: translateX(-50%);
-      background: #323232;
+      background: ${type === 'error' ? '#b3261e' : '#323232'};
       color: white;
       padding: 12px 24px;
       border-radius: 4px;
       font-size: 14px;
       z-index: 10000;
       box-shadow: 0 2px 5px rgba(0,0,0,0.3);
+      display: flex;
+      align-items: center;
+      gap: 16px;
     `;
-    toast.textContent = message;
+    const text = document.createElement('span');
+    text.textContent = message;
+    toast.appendChild(text);
+
+    if (action) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = action.label;
+      button.style.cssText =
+        'background: none; border: none; color: #8ab4f8; font-weight: 600; font-size: 14px; cursor: pointer; padding: 0;';
+      button.onclick = () => {
+        toast.remove();
+        action.onClick();
+      };
+      toast.appendChild(button);
+    }
+
     document.body.appendChild(toast);
 
-    setTimeout(() => {
-      toast.style.opacity = '0';
-      toast.style.transition = 'opacity 0.3s';
-      setTimeout(() => toast.remove(), 300);
-    }, 2000);
+    setTimeout(
+      () => {
+        toast.style.opacity = '0';
+        toast.style.transition = 'opacity 0.3s';
+        setTimeout(() => toast.remove(), 300);
+      },
+      action ? 5000 : 2000,
+    );
+  }
+
+  // Toast with an Undo button for journaled changes; undo offers Redo in turn
+  function showUndoToast(message) {
+    showToast(message, 'info', { label: 'Undo', onClick: () => replayHistory('undo') });
+  }
+
+  async function replayHistory(direction) {
+    const result = direction === 'undo' ? await window.cc3Storage.undo() : await window.cc3Storage.redo();
+    if (!result) {
+      showToast(`Nothing to ${direction}`);
+      return;
+    }
+
+    // Calendar tabs repaint from the journal change; refresh what the popup shows
+    settings = await window.cc3Storage.getSettings();
+    updateColors();
+    initializeEnhancedOpacityControls();
+    updateTimeBlockingSettings();
+    await loadTaskLists();
+
+    if (direction === 'undo') {
+      showToast(`Undid: ${result.label}`, 'info', { label: 'Redo', onClick: () => replayHistory('redo') });
+    } else {
+      showUndoToast(`Redid: ${result.label}`);
+    }
+  }
+
+  // Mark (or clear) an input with validation errors from cc3Validation; the
+  // first message is shown as the field's tooltip
+  function setFieldError(input, errors) {
+    if (!input) return;
+    const message = errors && errors.length > 0 ? errors[0].message : '';
+    input.style.borderColor = message ? '#dc2626' : '#1a73e8';
+    input.title = message;
+    input.setAttribute('aria-invalid', message ? 'true' : 'false');
+  }
+
+  function checkHexField(input, value) {
+    const errors = window.cc3Validation.checkColor(value, 'color');
+    setFieldError(input, errors);
+    return errors.length === 0;
+  }
+
+  // Show a time block row's "!" indicator with the first validation message, or hide it
+  function setTimeBlockError(indicator, errors) {
+    indicator.style.display = errors.length > 0 ? 'block' : 'none';
+    indicator.title = errors.length > 0 ? errors[0].message : '';
+  }
+
+  // Report a failed save: validation errors go on the input when one is given,
+  // anything else falls back to a toast
+  function reportSaveError(error, input = null) {
+    if (window.cc3Validation.isValidationError(error)) {
+      if (input) {
+        setFieldError(input, error.errors);
+      } else {
+        showToast(error.errors[0].message, 'error');
+      }
+      return;
+    }
+    console.error('Failed to save:', error);
+    showToast(`Couldn't save: ${error?.message || error}`, 'error');
   }
 
   // Utility function to calculate luminance and determine readable text color
@@ -2885,12 +3000,9 @@ checkAuthAndSubscription();
         // Add # if missing
         const normalizedHex = hexValue.startsWith('#') ? hexValue : '#' + hexValue;
         // Validate hex format
-        if (/^#[0-9A-Fa-f]{6}$/.test(normalizedHex)) {
+        if (checkHexField(hexInput, normalizedHex)) {
           colorInput.value = normalizedHex;
-          hexInput.style.borderColor = '#1a73e8';
           // Removed auto-update call
-        } else {
-          hexInput.style.borderColor = '#dc2626';
         }
       };
 
@@ -3053,9 +3165,10 @@ checkAuthAndSubscription();
       const startTime = startTimePicker.getValue();
       const endTime = endTimePicker.getValue();
 
-      if (startTime && endTime && startTime < endTime) {
-        // Valid time range - hide error indicator
-        errorIndicator.style.display = 'none';
+      const rangeErrors = window.cc3Validation.checkTimeRange([startTime, endTime]);
+      setTimeBlockError(errorIndicator, rangeErrors);
+
+      if (rangeErrors.length === 0) {
 
         // Get current style from buttons
         let currentStyle = block.style || 'solid';
@@ -3070,9 +3183,14 @@ checkAuthAndSubscription();
           label: labelInput.getValue(),
           style: currentStyle,
         };
-        await window.cc3Storage.updateTimeBlock(dayKey, index, newBlock);
+        try {
+          await window.cc3Storage.updateTimeBlock(dayKey, index, newBlock);
+        } catch (error) {
+          if (!window.cc3Validation.isValidationError(error)) throw error;
+          setTimeBlockError(errorIndicator, error.errors);
+          return;
+        }
         settings = await window.cc3Storage.getSettings();
-        notifyTimeBlockingChange();
 
         // Update original values and disable save button after successful save
         originalValues.startTime = startTime;
@@ -3080,9 +3198,6 @@ checkAuthAndSubscription();
         originalValues.color = colorInput.value;
         originalValues.label = labelInput.getValue();
         disableSaveButton();
-      } else {
-        // Invalid time range - show error indicator instead of alert
-        errorIndicator.style.display = 'block';
       }
     };
 
@@ -3095,7 +3210,6 @@ checkAuthAndSubscription();
       await window.cc3Storage.removeTimeBlock(dayKey, index);
       settings = await window.cc3Storage.getSettings();
       updateTimeBlockingSchedule();
-      notifyTimeBlockingChange();
     };
 
     blockEl.appendChild(startTimePicker);
@@ -3139,10 +3253,15 @@ checkAuthAndSubscription();
           label: label || '',
           style: style || settings.timeBlocking?.shadingStyle || 'solid',
         };
-        await window.cc3Storage.addTimeBlock(dayKey, newBlock);
+        try {
+          await window.cc3Storage.addTimeBlock(dayKey, newBlock);
+        } catch (error) {
+          // Keep the modal open so the entry can be corrected
+          reportSaveError(error);
+          return;
+        }
         settings = await window.cc3Storage.getSettings();
         updateTimeBlockingSchedule();
-        notifyTimeBlockingChange();
         cleanup();
         resolve(newBlock);
       };
@@ -4025,12 +4144,9 @@ checkAuthAndSubscription();
         // Add # if missing
         const normalizedHex = hexValue.startsWith('#') ? hexValue : '#' + hexValue;
         // Validate hex format
-        if (/^#[0-9A-Fa-f]{6}$/.test(normalizedHex)) {
+        if (checkHexField(hexInput, normalizedHex)) {
           colorInput.value = normalizedHex;
-          hexInput.style.borderColor = '#1a73e8';
           // Removed auto-update call
-        } else {
-          hexInput.style.borderColor = '#dc2626';
         }
       };
 
@@ -4193,9 +4309,10 @@ checkAuthAndSubscription();
       const startTime = startTimePicker.getValue();
       const endTime = endTimePicker.getValue();
 
-      if (startTime && endTime && startTime < endTime) {
-        // Valid time range - hide error indicator
-        errorIndicator.style.display = 'none';
+      const rangeErrors = window.cc3Validation.checkTimeRange([startTime, endTime]);
+      setTimeBlockError(errorIndicator, rangeErrors);
+
+      if (rangeErrors.length === 0) {
 
         // Get current style from buttons
         let currentStyle = block.style || 'solid';
@@ -4210,9 +4327,14 @@ checkAuthAndSubscription();
           label: labelInput.getValue(),
           style: currentStyle,
         };
-        await window.cc3Storage.updateDateSpecificTimeBlock(dateKey, index, newBlock);
+        try {
+          await window.cc3Storage.updateDateSpecificTimeBlock(dateKey, index, newBlock);
+        } catch (error) {
+          if (!window.cc3Validation.isValidationError(error)) throw error;
+          setTimeBlockError(errorIndicator, error.errors);
+          return;
+        }
         settings = await window.cc3Storage.getSettings();
-        notifyTimeBlockingChange();
 
         // Update original values and disable save button after successful save
         originalValues.startTime = startTime;
@@ -4220,9 +4342,6 @@ checkAuthAndSubscription();
         originalValues.color = colorInput.value;
         originalValues.label = labelInput.getValue();
         disableSaveButton();
-      } else {
-        // Invalid time range - show error indicator instead of alert
-        errorIndicator.style.display = 'block';
       }
     };
 
@@ -4235,7 +4354,6 @@ checkAuthAndSubscription();
       await window.cc3Storage.removeDateSpecificTimeBlock(dateKey, index);
       settings = await window.cc3Storage.getSettings();
       updateDateSpecificSchedule();
-      notifyTimeBlockingChange();
     };
 
     blockEl.appendChild(dateIndicator);
@@ -4261,7 +4379,6 @@ checkAuthAndSubscription();
       await window.cc3Storage.clearDateSpecificBlocks(dateKey);
       settings = await window.cc3Storage.getSettings();
       updateDateSpecificSchedule();
-      notifyTimeBlockingChange();
     }
   }
 
@@ -4290,10 +4407,9 @@ checkAuthAndSubscription();
         },
       });
 
-      // Update the UI and notify of changes
+      // Update the UI
       settings = await window.cc3Storage.getSettings();
       updateDateSpecificSchedule();
-      notifyTimeBlockingChange();
     }
   }
 
@@ -4322,10 +4438,15 @@ checkAuthAndSubscription();
             label: label || '',
             style: style || settings.timeBlocking?.shadingStyle || 'solid',
           };
-          await window.cc3Storage.addDateSpecificTimeBlock(selectedDate, newBlock);
+          try {
+            await window.cc3Storage.addDateSpecificTimeBlock(selectedDate, newBlock);
+          } catch (error) {
+            // Keep the modal open so the entry can be corrected
+            reportSaveError(error);
+            return;
+          }
           settings = await window.cc3Storage.getSettings();
           updateDateSpecificSchedule();
-          notifyTimeBlockingChange();
         }
         cleanup();
         resolve(selectedDate);
@@ -4336,7 +4457,10 @@ checkAuthAndSubscription();
     });
   }
 
-  function createDatePickerModal() {
+  // options.mode 'dayLabel' reuses the picker to edit a date's label, emoji, color and
+  // pattern: no time or style sections, and options.date / options.color prefill the form
+  function createDatePickerModal(options = {}) {
+    const labelMode = options.mode === 'dayLabel';
     const modal = document.createElement('div');
     modal.className = 'cc3-date-picker-modal';
     modal.tabIndex = -1;
@@ -4383,7 +4507,7 @@ checkAuthAndSubscription();
 		`;
 
     const title = document.createElement('h3');
-    title.textContent = 'Select Date for Time Block';
+    title.textContent = labelMode ? 'Label a Date' : 'Select Date for Time Block';
     title.style.cssText = `
 			margin: 0;
 			font-size: 16px;
@@ -4498,7 +4622,7 @@ checkAuthAndSubscription();
     const dateInput = document.createElement('input');
     dateInput.type = 'date';
     dateInput.className = 'cc3-date-input';
-    dateInput.value = formatDateForInput(today);
+    dateInput.value = options.date || formatDateForInput(today);
     dateInput.style.cssText = `
 			width: 100%;
 			padding: 12px 16px;
@@ -4667,7 +4791,7 @@ checkAuthAndSubscription();
 		`;
 
     const labelTitle = document.createElement('div');
-    labelTitle.textContent = 'Label (optional):';
+    labelTitle.textContent = labelMode ? 'Label & emoji (optional):' : 'Label (optional):';
     labelTitle.style.cssText = `
 			font-size: 12px;
 			font-weight: 600;
@@ -4680,7 +4804,8 @@ checkAuthAndSubscription();
     const labelInput = document.createElement('input');
     labelInput.type = 'text';
     labelInput.className = 'cc3-label-input';
-    labelInput.placeholder = 'e.g., Focus Time, Meeting, Break';
+    labelInput.placeholder = labelMode ? 'e.g., Release, Offsite' : 'e.g., Focus Time, Meeting, Break';
+    if (labelMode) labelInput.maxLength = 40;
     labelInput.style.cssText = `
 			width: 100%;
 			padding: 12px 16px;
@@ -4695,7 +4820,34 @@ checkAuthAndSubscription();
     labelInput.onblur = () => (labelInput.style.borderColor = '#dadce0');
 
     labelSection.appendChild(labelTitle);
-    labelSection.appendChild(labelInput);
+    if (labelMode) {
+      const labelRow = document.createElement('div');
+      labelRow.style.cssText = `
+			display: flex;
+			gap: 8px;
+		`;
+      const emojiInput = document.createElement('input');
+      emojiInput.type = 'text';
+      emojiInput.className = 'cc3-emoji-input';
+      emojiInput.placeholder = '🚀';
+      emojiInput.style.cssText = `
+			width: 56px;
+			padding: 12px 8px;
+			border: 2px solid #dadce0;
+			border-radius: 8px;
+			font-size: 14px;
+			text-align: center;
+			transition: border-color 0.2s ease;
+			box-sizing: border-box;
+		`;
+      emojiInput.onfocus = () => (emojiInput.style.borderColor = '#1a73e8');
+      emojiInput.onblur = () => (emojiInput.style.borderColor = '#dadce0');
+      labelRow.appendChild(emojiInput);
+      labelRow.appendChild(labelInput);
+      labelSection.appendChild(labelRow);
+    } else {
+      labelSection.appendChild(labelInput);
+    }
 
     // Style selector section
     const styleSection = document.createElement('div');
@@ -4775,8 +4927,46 @@ checkAuthAndSubscription();
     styleSection.appendChild(styleTitle);
     styleSection.appendChild(styleButtonsContainer);
 
+    // Pattern fill for the date (dayLabel mode only)
+    const fillSection = document.createElement('div');
+    fillSection.style.cssText = `
+			margin-bottom: 20px;
+		`;
+    if (labelMode) {
+      const fillTitle = document.createElement('div');
+      fillTitle.textContent = 'Pattern:';
+      fillTitle.style.cssText = `
+			font-size: 12px;
+			font-weight: 600;
+			color: #5f6368;
+			margin-bottom: 8px;
+			text-transform: uppercase;
+			letter-spacing: 0.5px;
+		`;
+      const fillSelect = document.createElement('select');
+      fillSelect.className = 'cc3-fill-select';
+      fillSelect.style.cssText = `
+			width: 100%;
+			padding: 10px 12px;
+			border: 2px solid #dadce0;
+			border-radius: 8px;
+			font-size: 14px;
+			color: #202124;
+			background: white;
+			box-sizing: border-box;
+		`;
+      window.cc3FillPatterns.FILL_STYLES.forEach((style) => {
+        const option = document.createElement('option');
+        option.value = style;
+        option.textContent = FILL_STYLE_LABELS[style];
+        fillSelect.appendChild(option);
+      });
+      fillSection.appendChild(fillTitle);
+      fillSection.appendChild(fillSelect);
+    }
+
     // Color picker section
-    const defaultColor = settings.timeBlocking?.globalColor || '#FFEB3B';
+    const defaultColor = labelMode ? options.color || '#4285f4' : settings.timeBlocking?.globalColor || '#FFEB3B';
     const colorSection = createTimeBlockColorPicker('datespecific', defaultColor);
 
     // Action buttons
@@ -4810,7 +5000,7 @@ checkAuthAndSubscription();
     };
 
     const confirmBtn = document.createElement('button');
-    confirmBtn.textContent = 'Add Time Block';
+    confirmBtn.textContent = labelMode ? 'Save Label' : 'Add Time Block';
     confirmBtn.className = 'cc3-confirm-btn';
     confirmBtn.style.cssText = `
 			background: #1a73e8;
@@ -4836,6 +5026,12 @@ checkAuthAndSubscription();
     picker.appendChild(timeSection);
     picker.appendChild(labelSection);
     picker.appendChild(styleSection);
+    if (labelMode) picker.appendChild(fillSection);
+    // Kept in the DOM (hidden) so setupDatePickerEvents finds the same controls in both modes
+    if (labelMode) {
+      timeSection.style.display = 'none';
+      styleSection.style.display = 'none';
+    }
     picker.appendChild(colorSection);
     picker.appendChild(actions);
     modal.appendChild(picker);
@@ -5199,64 +5395,6 @@ checkAuthAndSubscription();
     return colorSection;
   }
 
-  // Function to notify content script of time blocking changes
-  async function notifyTimeBlockingChange() {
-    try {
-      const tabs = await chrome.tabs.query({ url: '*://calendar.google.com/*' });
-      for (const tab of tabs) {
-        try {
-          await chrome.tabs.sendMessage(tab.id, {
-            type: 'timeBlockingChanged',
-            settings: settings.timeBlocking || {},
-          });
-        } catch (e) {
-          // Tab might not be ready or extension not loaded
-        }
-      }
-    } catch (error) {
-      console.error('Error notifying time blocking change:', error);
-    }
-  }
-
-  // Function to notify content script of time blocking color changes (real-time)
-  async function notifyTimeBlockingColorChange() {
-    try {
-      const tabs = await chrome.tabs.query({ url: '*://calendar.google.com/*' });
-      for (const tab of tabs) {
-        try {
-          await chrome.tabs.sendMessage(tab.id, {
-            type: 'timeBlockingColorChanged',
-            settings: settings.timeBlocking || {},
-          });
-        } catch (e) {
-          // Tab might not be ready or extension not loaded
-        }
-      }
-    } catch (error) {
-      console.error('Error notifying time blocking color change:', error);
-    }
-  }
-
-  // Function to notify calendar tabs when a feature is toggled on/off
-  async function notifyFeatureToggle(featureName, featureSettings) {
-    try {
-      const tabs = await chrome.tabs.query({ url: '*://calendar.google.com/*' });
-      for (const tab of tabs) {
-        try {
-          await chrome.tabs.sendMessage(tab.id, {
-            type: 'settingsChanged',
-            feature: featureName,
-            settings: featureSettings,
-          });
-        } catch (e) {
-          // Tab might not be ready or extension not loaded
-        }
-      }
-    } catch (error) {
-      console.error('Error notifying feature toggle:', error);
-    }
-  }
-
   function updateInlineColorsGrid() {
     // Initialize task color previews with current settings
     const inlineColors =
@@ -5321,15 +5459,12 @@ checkAuthAndSubscription();
           const hexValue = hexInput.value.trim();
           const normalizedHex = hexValue.startsWith('#') ? hexValue : '#' + hexValue;
 
-          if (/^#[0-9A-Fa-f]{6}$/.test(normalizedHex)) {
+          if (checkHexField(hexInput, normalizedHex)) {
             colorInput.value = normalizedHex;
-            hexInput.style.borderColor = '#1a73e8';
             if (preview) {
               preview.style.backgroundColor = normalizedHex;
             }
             await saveTaskColorChange(i, normalizedHex);
-          } else {
-            hexInput.style.borderColor = '#dc2626';
           }
         };
 
@@ -5426,20 +5561,6 @@ checkAuthAndSubscription();
     try {
       await window.cc3Storage.updateTaskInlineColor(taskIndex, color);
       settings = await window.cc3Storage.getSettings();
-
-      // Notify content script of the change
-      const tabs = await chrome.tabs.query({ url: '*://calendar.google.com/*' });
-      for (const tab of tabs) {
-        try {
-          await chrome.tabs.sendMessage(tab.id, {
-            type: 'settingsChanged',
-            feature: 'taskColoring',
-            settings: settings.taskColoring,
-          });
-        } catch (e) {
-          // Tab might not be ready or extension not loaded
-        }
-      }
     } catch (error) {
       console.error('Error saving task color:', error);
     }
@@ -5714,7 +5835,6 @@ checkAuthAndSubscription();
       await window.cc3Storage.setTimeBlockingGlobalColor(color);
       settings = await window.cc3Storage.getSettings();
       updateTimeBlockingSchedule(); // Refresh to show new default color
-      notifyTimeBlockingColorChange();
     } catch (error) {
       console.error('Error saving time block global color:', error);
     }
@@ -5838,9 +5958,8 @@ checkAuthAndSubscription();
             }
           }
 
-          // Refresh settings and notify calendar
+          // Refresh settings (calendar tabs repaint from their storage subscription)
           settings = await window.cc3Storage.getSettings();
-          notifyTimeBlockingChange();
         };
       });
     }
@@ -5962,7 +6081,6 @@ checkAuthAndSubscription();
           await window.updateClearAllButtonState();
         }
 
-        await saveSettings();
       }
     };
 
@@ -6064,14 +6182,52 @@ checkAuthAndSubscription();
     if (weekStartSelect && settings.weekStart !== undefined) {
       weekStartSelect.value = String(settings.weekStart);
     }
+    renderWeekStartStatus();
 
     // Reorganize day color row based on week start
     reorganizeWeekdaysDisplay();
   }
 
+  const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+  // The calendar reports the week start it renders; until the user picks one, that
+  // answers the setup prompt for them
+  async function adoptDetectedWeekStart() {
+    try {
+      detectedWeekStart = await window.cc3Storage.getDetectedWeekStart();
+      if (detectedWeekStart === null || settings.weekStartConfigured) return;
+      settings = await window.cc3Storage.setWeekStart(detectedWeekStart);
+      settings = await window.cc3Storage.setWeekStartConfigured(true);
+    } catch (error) {
+      console.warn('Could not apply detected week start:', error);
+    }
+  }
+
+  // Compare the setting with what Calendar shows. Painting follows the grid either way;
+  // the setting only matters where the grid can't be read (day view, custom ranges).
+  function renderWeekStartStatus() {
+    const status = qs('weekStartStatus');
+    const useDetected = qs('useDetectedWeekStart');
+    if (!status || !useDetected) return;
+
+    useDetected.style.display = 'none';
+    if (detectedWeekStart === null) {
+      status.textContent = 'Match this to your Google Calendar setting (Settings → General → Start week on).';
+      status.style.color = '#80868b';
+    } else if (detectedWeekStart === Number(settings.weekStart)) {
+      status.textContent = `✓ Matches Google Calendar (weeks start on ${WEEKDAY_NAMES[detectedWeekStart]}).`;
+      status.style.color = '#137333';
+    } else {
+      status.textContent = `Google Calendar shows weeks starting on ${WEEKDAY_NAMES[detectedWeekStart]}. Colors follow the calendar grid; this setting is only used where the grid can't be read.`;
+      status.style.color = '#b06000';
+      useDetected.textContent = `Use ${WEEKDAY_NAMES[detectedWeekStart]}`;
+      useDetected.style.display = 'inline-block';
+    }
+  }
+
   // Reorganize the weekdays display based on week start setting
   function reorganizeWeekdaysDisplay() {
-    const weekStart = settings.weekStart !== undefined ? settings.weekStart : 0; // 0=Sunday, 1=Monday, 6=Saturday
+    const weekStart = settings.weekStart !== undefined ? settings.weekStart : 0; // 0=Sunday ... 6=Saturday
     const weekdaysContainer = document.querySelector('.weekdays');
 
     if (!weekdaysContainer) return;
@@ -6094,7 +6250,7 @@ checkAuthAndSubscription();
     // Reorganize based on week start
     // If week starts on Sunday (0), order is: 0,1,2,3,4,5,6
     // If week starts on Monday (1), order is: 1,2,3,4,5,6,0
-    // If week starts on Saturday (6), order is: 6,0,1,2,3,4,5
+    // If week starts on Saturday (6), order is: 6,0,1,2,3,4,5 (and likewise for any day)
     for (let i = 0; i < 7; i++) {
       const dayIndex = (i + weekStart) % 7;
       if (dayMap[dayIndex]) {
@@ -6137,11 +6293,6 @@ checkAuthAndSubscription();
       settings = await window.cc3Storage.setEnabled(!previousState);
 
       updateToggle();
-      await saveSettings();
-
-      // Notify calendar tabs to refresh day coloring
-      const newSettings = await window.cc3Storage.getSettings();
-      await notifyFeatureToggle('dayColoring', newSettings);
     };
 
     // Master task features toggle switch
@@ -6156,11 +6307,6 @@ checkAuthAndSubscription();
       settings = await window.cc3Storage.getSettings();
       updateTaskFeaturesToggle();
       updateTaskListColoringToggle();
-      await saveSettings();
-
-      // Notify calendar tabs to refresh task coloring
-      const newSettings = await window.cc3Storage.getSettings();
-      await notifyFeatureToggle('taskColoring', newSettings.taskColoring || {});
     };
 
     // Time blocking toggle switch
@@ -6171,10 +6317,6 @@ checkAuthAndSubscription();
       settings = await window.cc3Storage.getSettings();
       updateTimeBlockingToggle();
       updateTimeBlockingSettings();
-      await saveSettings();
-
-      // Immediately notify content script
-      notifyTimeBlockingChange();
     };
 
     // OAuth grant button
@@ -6490,8 +6632,6 @@ checkAuthAndSubscription();
         await window.cc3Storage.setTimeBlockingGlobalColor(newColor);
         settings = await window.cc3Storage.getSettings();
         updateTimeBlockingSchedule(); // Refresh to show new default color
-        await saveSettings();
-        notifyTimeBlockingColorChange(); // Use real-time color update
       };
       // Also add real-time feedback during color picking
       timeBlockGlobalColor.oninput = async (e) => {
@@ -6502,7 +6642,6 @@ checkAuthAndSubscription();
         }
         await window.cc3Storage.setTimeBlockingGlobalColor(newColor);
         settings = await window.cc3Storage.getSettings();
-        notifyTimeBlockingColorChange();
       };
 
       // Add hex input synchronization for global color
@@ -6519,9 +6658,8 @@ checkAuthAndSubscription();
           // Add # if missing
           const normalizedHex = hexValue.startsWith('#') ? hexValue : '#' + hexValue;
           // Validate hex format
-          if (/^#[0-9A-Fa-f]{6}$/.test(normalizedHex)) {
+          if (checkHexField(globalHexInput, normalizedHex)) {
             timeBlockGlobalColor.value = normalizedHex;
-            globalHexInput.style.borderColor = '#1a73e8';
             // Update preview and save
             if (globalPreview) {
               globalPreview.style.backgroundColor = normalizedHex;
@@ -6529,10 +6667,6 @@ checkAuthAndSubscription();
             await window.cc3Storage.setTimeBlockingGlobalColor(normalizedHex);
             settings = await window.cc3Storage.getSettings();
             updateTimeBlockingSchedule();
-            await saveSettings();
-            notifyTimeBlockingColorChange();
-          } else {
-            globalHexInput.style.borderColor = '#dc2626';
           }
         };
 
@@ -6548,8 +6682,6 @@ checkAuthAndSubscription();
       timeBlockShadingStyle.onchange = async (e) => {
         await window.cc3Storage.setTimeBlockingShadingStyle(e.target.value);
         settings = await window.cc3Storage.getSettings();
-        await saveSettings();
-        notifyTimeBlockingChange();
       };
     }
 
@@ -6584,7 +6716,6 @@ checkAuthAndSubscription();
           }
           // Update clear button state
           updateClearButtonState(i, e.target.value);
-          await saveSettings();
         };
 
         // Real-time feedback during color picking
@@ -6604,18 +6735,14 @@ checkAuthAndSubscription();
           const hexValue = hexInput.value.trim();
           const normalizedHex = hexValue.startsWith('#') ? hexValue : '#' + hexValue;
 
-          if (/^#[0-9A-Fa-f]{6}$/.test(normalizedHex)) {
+          if (checkHexField(hexInput, normalizedHex)) {
             colorInput.value = normalizedHex;
-            hexInput.style.borderColor = '#1a73e8';
             // Update preview and save
             settings = await window.cc3Storage.setWeekdayColor(i, normalizedHex);
             const opacity = settings.weekdayOpacity?.[String(i)] || defaultOpacity[String(i)];
             updatePreview(i, normalizedHex, opacity);
             // Update clear button state
             updateClearButtonState(i, normalizedHex);
-            await saveSettings();
-          } else {
-            hexInput.style.borderColor = '#dc2626';
           }
         };
 
@@ -6638,7 +6765,6 @@ checkAuthAndSubscription();
           const opacity = parseInt(e.target.value);
           settings = await window.cc3Storage.setWeekdayOpacity(i, opacity);
           updateOpacityPresetButtons(i, opacity);
-          await saveSettings();
         };
 
         opacityInput.onchange = saveOpacity;
@@ -6711,9 +6837,20 @@ checkAuthAndSubscription();
         if (!settings.weekStartConfigured) {
           settings = await window.cc3Storage.setWeekStartConfigured(true);
         }
-        await saveSettings();
         // Reorganize day color row to match new week start
         reorganizeWeekdaysDisplay();
+        renderWeekStartStatus();
+      };
+    }
+
+    const useDetectedBtn = qs('useDetectedWeekStart');
+    if (useDetectedBtn) {
+      useDetectedBtn.onclick = async () => {
+        if (detectedWeekStart === null) return;
+        settings = await window.cc3Storage.setWeekStart(detectedWeekStart);
+        if (weekStartSelect) weekStartSelect.value = String(detectedWeekStart);
+        reorganizeWeekdaysDisplay();
+        renderWeekStartStatus();
       };
     }
 
@@ -6744,7 +6881,6 @@ checkAuthAndSubscription();
         settings = await window.cc3Storage.setWeekStart(parseInt(selectedValue, 10));
         // Mark as configured
         settings = await window.cc3Storage.setWeekStartConfigured(true);
-        await saveSettings();
 
         // Sync the main weekStart dropdown
         if (weekStartSelect) {
@@ -6755,10 +6891,6 @@ checkAuthAndSubscription();
         updateToggle();
         reorganizeWeekdaysDisplay();
 
-        // Notify calendar tabs to refresh day coloring
-        const newSettings = await window.cc3Storage.getSettings();
-        await notifyFeatureToggle('dayColoring', newSettings);
-
         showToast('Week start configured! You can now customize your day colors.');
       };
     }
@@ -6782,7 +6914,6 @@ checkAuthAndSubscription();
           // Update preview with new opacity
           const color = settings.weekdayColors?.[String(dayIndex)] || defaultColors[String(dayIndex)];
           updatePreview(dayIndex, color, opacity);
-          await saveSettings();
         }
       };
     });
@@ -6831,6 +6962,7 @@ This will PRESERVE:
 • Push notification settings
 
 This action CANNOT be undone.
+Tip: use Backup & Restore to export your data first.
 
 Do you want to continue?`,
       );
@@ -7061,11 +7193,11 @@ Would you like to refresh all Google Calendar tabs?`;
     console.log(`Clearing day ${dayIndex} to white`);
 
     try {
-      // 1. Set color to white
-      settings = await window.cc3Storage.setWeekdayColor(dayIndex, whiteColor);
-
-      // 2. Reset opacity to default
-      settings = await window.cc3Storage.setWeekdayOpacity(dayIndex, defaultOpacity);
+      // 1-2. Set color to white and reset opacity (one undo step)
+      await window.cc3Storage.withUndo('Clear day color', ['settings'], async () => {
+        settings = await window.cc3Storage.setWeekdayColor.unjournaled(dayIndex, whiteColor);
+        settings = await window.cc3Storage.setWeekdayOpacity.unjournaled(dayIndex, defaultOpacity);
+      });
 
       // 3. Update all UI elements
       updateColorUI(dayIndex, whiteColor);
@@ -7075,17 +7207,14 @@ Would you like to refresh all Google Calendar tabs?`;
       updateSliderFill(dayIndex, defaultOpacity);
       updateOpacityPresetButtons(dayIndex, defaultOpacity);
 
-      // 4. Save settings and notify calendar
-      await saveSettings();
-
-      // 5. Update "Clear All" button state
+      // 4. Update "Clear All" button state
       if (window.updateClearAllButtonState) {
         await window.updateClearAllButtonState();
       }
 
       // 6. Show feedback
       const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-      showToast(`${dayNames[dayIndex]} color cleared to default`);
+      showUndoToast(`${dayNames[dayIndex]} color cleared to default`);
     } catch (error) {
       console.error('Error clearing day color:', error);
       showToast('Failed to clear color', 'error');
@@ -7102,14 +7231,15 @@ Would you like to refresh all Google Calendar tabs?`;
     console.log('Clearing all days to white');
 
     try {
-      // Clear all 7 days
-      for (let dayIndex = 0; dayIndex < 7; dayIndex++) {
-        // 1. Set color to white
-        settings = await window.cc3Storage.setWeekdayColor(dayIndex, whiteColor);
-
-        // 2. Reset opacity to default
-        settings = await window.cc3Storage.setWeekdayOpacity(dayIndex, defaultOpacity);
+      // Clear all 7 days as a single undo step
+      await window.cc3Storage.withUndo('Clear all day colors', ['settings'], async () => {
+        for (let dayIndex = 0; dayIndex < 7; dayIndex++) {
+          settings = await window.cc3Storage.setWeekdayColor.unjournaled(dayIndex, whiteColor);
+          settings = await window.cc3Storage.setWeekdayOpacity.unjournaled(dayIndex, defaultOpacity);
+        }
+      });
 
+      for (let dayIndex = 0; dayIndex < 7; dayIndex++) {
         // 3. Update UI elements for this day
         updateColorUI(dayIndex, whiteColor);
         updateOpacityDisplay(dayIndex, defaultOpacity);
@@ -7119,11 +7249,8 @@ Would you like to refresh all Google Calendar tabs?`;
         updateOpacityPresetButtons(dayIndex, defaultOpacity);
       }
 
-      // 4. Save settings and notify calendar
-      await saveSettings();
-
-      // 5. Show feedback
-      showToast('All day colors cleared to default');
+      // 4. Show feedback
+      showUndoToast('All day colors cleared to default');
     } catch (error) {
       console.error('Error clearing all day colors:', error);
       showToast('Failed to clear all colors', 'error');
@@ -7289,78 +7416,1641 @@ Would you like to refresh all Google Calendar tabs?`;
     details.style.marginBottom = '0';
   }
 
-  function setupDayClickHandlers() {
-    // Set up click handlers for day color items
-    document.querySelectorAll('.day-color-item').forEach((dayItem, index) => {
-      const dayIndex = parseInt(dayItem.dataset.day);
-      const details = qs(`details${dayIndex}`);
-      const preview = qs(`preview${dayIndex}`);
+  // ========================================
+  // PATTERN FILLS
+  // ========================================
 
-      // Click handler for the entire day item
-      dayItem.onclick = (e) => {
-        // Don't expand/collapse if clicking inside the day-details dropdown
-        if (e.target.closest('.day-details')) {
-          return;
-        }
+  const FILL_STYLE_LABELS = {
+    solid: 'Flat',
+    hashed: 'Stripes',
+    dots: 'Dots',
+    crosshatch: 'Cross',
+    gradient: 'Gradient',
+  };
 
-        // Don't expand if clicking on color input or other controls
-        if (
-          e.target.tagName === 'INPUT' ||
-          e.target.tagName === 'BUTTON' ||
-          e.target.classList.contains('color-swatch')
-        ) {
-          return;
-        }
+  function weekdayAppearance(dayIndex) {
+    return {
+      color: settings.weekdayColors?.[String(dayIndex)] || defaultColors[String(dayIndex)],
+      opacity: settings.weekdayOpacity?.[String(dayIndex)] || defaultOpacity[String(dayIndex)],
+      fill: window.cc3FillPatterns.normalizeFill(settings.weekdayFills?.[String(dayIndex)]),
+    };
+  }
 
-        // Close all other expanded items (including time block and task pickers)
-        document
-          .querySelectorAll(
-            '.day-color-item, .task-color-item, .time-block-color-details, .time-block-global-color-details',
-          )
-          .forEach((item) => {
-            if (item !== dayItem) {
-              item.classList.remove('expanded');
-              const otherDetails = item.querySelector(
-                '.day-details, .task-color-details, .time-block-color-details, .time-block-global-color-details',
-              );
-              if (otherDetails) {
-                otherDetails.classList.remove('expanded');
-                otherDetails.style.zIndex = '';
-              }
-            }
-          });
+  function createFillSlider(label, min, max, step, onChange) {
+    const row = document.createElement('div');
+    row.className = 'fill-slider-row';
+    const name = document.createElement('span');
+    name.textContent = label;
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = String(min);
+    input.max = String(max);
+    input.step = String(step);
+    const value = document.createElement('span');
+    value.className = 'fill-slider-value';
+    input.oninput = () => (value.textContent = input.dataset.unit ? `${input.value}${input.dataset.unit}` : input.value);
+    input.onchange = () => onChange(parseInt(input.value, 10));
+    row.appendChild(name);
+    row.appendChild(input);
+    row.appendChild(value);
+    return row;
+  }
 
-        // Toggle current item
-        dayItem.classList.toggle('expanded');
-        if (details) {
-          details.classList.toggle('expanded');
-          if (details.classList.contains('expanded')) {
-            details.style.zIndex = '999999';
-            positionDayDetailsInView(dayItem, details);
-          } else {
-            details.style.zIndex = '';
-            resetDayDetailsPosition(details);
-          }
-        }
-      };
+  // Pattern picker under each weekday's opacity control. Built here rather than
+  // repeated seven times in popup.html
+  function createWeekdayFillControl(dayIndex) {
+    const content = qs(`details${dayIndex}`)?.querySelector('.color-tab-content');
+    if (!content || content.querySelector('.fill-style-control')) return;
 
-      // Also add click handler specifically for the preview square
-      if (preview) {
-        preview.onclick = (e) => {
-          e.stopPropagation();
+    const control = document.createElement('div');
+    control.className = 'enhanced-opacity-control fill-style-control';
+    control.id = `fillControl${dayIndex}`;
 
-          // Close all other expanded items (including time block and task pickers)
-          document
-            .querySelectorAll(
-              '.day-color-item, .task-color-item, .time-block-color-details, .time-block-global-color-details',
-            )
-            .forEach((item) => {
-              if (item !== dayItem) {
-                item.classList.remove('expanded');
-                const otherDetails = item.querySelector(
-                  '.day-details, .task-color-details, .time-block-color-details, .time-block-global-color-details',
-                );
-                if (otherDetails) {
+    const header = document.createElement('div');
+    header.className = 'opacity-header';
+    const title = document.createElement('div');
+    title.className = 'opacity-label';
+    title.textContent = '🧵 Pattern';
+    header.appendChild(title);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'fill-style-buttons';
+    window.cc3FillPatterns.FILL_STYLES.forEach((style) => {
+      const btn = document.createElement('button');
+      btn.className = 'fill-style-btn';
+      btn.dataset.style = style;
+      btn.title = `${FILL_STYLE_LABELS[style]} fill`;
+      const swatch = document.createElement('span');
+      swatch.className = 'fill-style-swatch';
+      const name = document.createElement('span');
+      name.textContent = FILL_STYLE_LABELS[style];
+      btn.appendChild(swatch);
+      btn.appendChild(name);
+      btn.onclick = () => saveWeekdayFill(dayIndex, { style });
+      buttons.appendChild(btn);
+    });
+
+    const density = createFillSlider('Density', 4, 40, 2, (value) => saveWeekdayFill(dayIndex, { density: value }));
+    density.classList.add('fill-density');
+    density.querySelector('input').dataset.unit = 'px';
+    const angle = createFillSlider('Angle', 0, 180, 15, (value) => saveWeekdayFill(dayIndex, { angle: value }));
+    angle.classList.add('fill-angle');
+    angle.querySelector('input').dataset.unit = '°';
+
+    control.appendChild(header);
+    control.appendChild(buttons);
+    control.appendChild(density);
+    control.appendChild(angle);
+    content.appendChild(control);
+  }
+
+  function renderWeekdayFillControl(dayIndex) {
+    const control = qs(`fillControl${dayIndex}`);
+    if (!control) return;
+    const { color, opacity, fill } = weekdayAppearance(dayIndex);
+
+    control.querySelectorAll('.fill-style-btn').forEach((btn) => {
+      btn.classList.toggle('active', btn.dataset.style === fill.style);
+      // Swatches show each pattern in this day's color, a little stronger so they're legible
+      setFillBackground(btn.querySelector('.fill-style-swatch'), color, Math.max(opacity, 60) / 100, {
+        ...fill,
+        style: btn.dataset.style,
+      });
+    });
+
+    const density = control.querySelector('.fill-density');
+    const angle = control.querySelector('.fill-angle');
+    density.querySelector('input').value = String(fill.density);
+    angle.querySelector('input').value = String(fill.angle);
+    density.querySelector('input').oninput();
+    angle.querySelector('input').oninput();
+    // Density has no effect on solid/gradient fills, angle none on solid/dots
+    density.classList.toggle('disabled', fill.style === 'solid' || fill.style === 'gradient');
+    angle.classList.toggle('disabled', fill.style === 'solid' || fill.style === 'dots');
+  }
+
+  async function saveWeekdayFill(dayIndex, changes) {
+    const next = { ...weekdayAppearance(dayIndex).fill, ...changes };
+    try {
+      settings = await window.cc3Storage.setWeekdayFill(dayIndex, next.style === 'solid' ? null : next);
+    } catch (error) {
+      reportSaveError(error);
+      return;
+    }
+    const { color, opacity } = weekdayAppearance(dayIndex);
+    updatePreview(dayIndex, color, opacity);
+    renderWeekdayFillControl(dayIndex);
+  }
+
+  function renderWeekdayFillControls() {
+    for (let i = 0; i < 7; i++) {
+      renderWeekdayFillControl(i);
+    }
+  }
+
+  function setupWeekdayFillControls() {
+    for (let i = 0; i < 7; i++) {
+      createWeekdayFillControl(i);
+    }
+    renderWeekdayFillControls();
+  }
+
+  // ========================================
+  // DATE LABELS
+  // ========================================
+
+  function dateEntryFor(dateKey) {
+    return window.cc3Storage.normalizeDateEntry(settings.dateColors?.[dateKey]);
+  }
+
+  // Label, emoji and color for a single date, edited in the date picker's 'dayLabel' mode
+  async function editDateLabel(dateKey = null) {
+    const initialDate = dateKey || formatDateForInput(new Date());
+    const modal = createDatePickerModal({ mode: 'dayLabel', date: initialDate, color: dateEntryFor(initialDate)?.color });
+    document.body.appendChild(modal);
+    modal.focus();
+
+    const dateInput = modal.querySelector('.cc3-date-input');
+    const labelInput = modal.querySelector('.cc3-label-input');
+    const emojiInput = modal.querySelector('.cc3-emoji-input');
+    const colorInput = modal.querySelector('.cc3-color-input');
+    const fillSelect = modal.querySelector('.cc3-fill-select');
+
+    // Show what's already stored whenever another date is picked
+    const prefill = () => {
+      const entry = dateEntryFor(dateInput.value);
+      labelInput.value = entry?.label || '';
+      emojiInput.value = entry?.emoji || '';
+      fillSelect.value = entry?.fill?.style || 'solid';
+      if (entry) {
+        colorInput.value = entry.color;
+        colorInput.dispatchEvent(new Event('input'));
+      }
+    };
+    prefill();
+
+    return new Promise((resolve) => {
+      const cleanup = () => {
+        if (modal.parentNode) {
+          document.body.removeChild(modal);
+        }
+        resolve(null);
+      };
+
+      const handleDateSelect = async (selectedDate, timeRange, isAllDay, label, color) => {
+        // Keep a stored density/angle when the pattern style itself didn't change
+        const stored = dateEntryFor(selectedDate)?.fill;
+        const style = fillSelect.value;
+        const fill = style === 'solid' ? null : { ...(stored?.style === style && stored), style };
+        try {
+          settings = await window.cc3Storage.setDateEntry(selectedDate, { color, label, emoji: emojiInput.value, fill });
+        } catch (error) {
+          // Keep the modal open so the entry can be corrected
+          reportSaveError(error);
+          return;
+        }
+        renderDateLabelsList();
+        cleanup();
+        resolve(selectedDate);
+      };
+
+      setupDatePickerEvents(modal, handleDateSelect, cleanup);
+      dateInput.addEventListener('change', prefill);
+      modal.querySelectorAll('.cc3-preset-btn').forEach((btn) => btn.addEventListener('click', prefill));
+    });
+  }
+
+  // Upcoming single-date colors, labelled or not; past ones are handled by the archive
+  function renderDateLabelsList() {
+    const list = qs('dateLabelsList');
+    if (!list) return;
+    list.innerHTML = '';
+
+    const today = formatDateForInput(new Date());
+    Object.keys(settings.dateColors || {})
+      .filter((dateKey) => dateKey >= today)
+      .sort()
+      .forEach((dateKey) => {
+        const entry = dateEntryFor(dateKey);
+        if (!entry) return;
+
+        const row = document.createElement('div');
+        row.style.cssText =
+          'display: flex; align-items: center; gap: 6px; padding: 6px 10px; border-radius: 6px; border: 1px solid #e8eaed; background: #fff;';
+
+        const swatch = document.createElement('span');
+        swatch.style.cssText = 'flex-shrink: 0; width: 14px; height: 14px; border-radius: 3px; border: 1px solid #dadce0;';
+        setFillBackground(swatch, entry.color, 1, entry.fill);
+
+        const info = document.createElement('div');
+        info.style.cssText = 'flex: 1; min-width: 0; font-size: 12px; color: #202124;';
+        const name = document.createElement('div');
+        name.style.cssText = 'overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+        name.textContent = [entry.emoji, entry.label].filter(Boolean).join(' ') || 'No label';
+        const date = document.createElement('div');
+        date.style.cssText = 'font-size: 11px; color: #80868b;';
+        date.textContent = formatRangeDate(dateKey);
+        info.appendChild(name);
+        info.appendChild(date);
+
+        const editBtn = document.createElement('button');
+        editBtn.className = 'lab-btn secondary small';
+        editBtn.textContent = 'Edit';
+        editBtn.onclick = () => editDateLabel(dateKey);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'lab-btn danger small';
+        deleteBtn.textContent = '🗑️';
+        deleteBtn.title = 'Clear this date';
+        deleteBtn.onclick = async () => {
+          try {
+            settings = await window.cc3Storage.setDateEntry(dateKey, null);
+            renderDateLabelsList();
+            showUndoToast(`Cleared ${entry.label || formatRangeDate(dateKey)}`);
+          } catch (error) {
+            reportSaveError(error);
+          }
+        };
+
+        row.appendChild(swatch);
+        row.appendChild(info);
+        row.appendChild(editBtn);
+        row.appendChild(deleteBtn);
+        list.appendChild(row);
+      });
+  }
+
+  function setupDateLabelEditor() {
+    const addBtn = qs('addDateLabelBtn');
+    if (!addBtn) return;
+    addBtn.onclick = () => editDateLabel();
+    renderDateLabelsList();
+  }
+
+  // ========================================
+  // DATE RANGES
+  // ========================================
+
+  const rangeEditor = {
+    month: null, // First day of the month shown in the range calendar
+    selection: null, // { start, end } as 'YYYY-MM-DD'
+    anchor: null, // Day the current drag started on
+    dragging: false,
+    editingId: null,
+  };
+
+  function formatRangeDate(dateKey) {
+    return new Date(dateKey + 'T12:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  }
+
+  function describeRange(start, end) {
+    const days = Math.round((new Date(end + 'T12:00:00') - new Date(start + 'T12:00:00')) / 86400000) + 1;
+    const span = start === end ? formatRangeDate(start) : `${formatRangeDate(start)} – ${formatRangeDate(end)}`;
+    return `${span} (${days} day${days !== 1 ? 's' : ''})`;
+  }
+
+  // Most recently added range covering a day, matching how the calendar paints overlaps
+  function rangeForDate(dateKey) {
+    const ranges = settings.dateRanges || [];
+    for (let i = ranges.length - 1; i >= 0; i--) {
+      if (ranges[i].start <= dateKey && dateKey <= ranges[i].end) return ranges[i];
+    }
+    return null;
+  }
+
+  function renderRangeCalendar() {
+    const grid = qs('rangeCalGrid');
+    const title = qs('rangeCalTitle');
+    if (!grid || !title) return;
+
+    const month = rangeEditor.month;
+    title.textContent = month.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    grid.innerHTML = '';
+
+    const weekStart = Number(settings.weekStart) || 0;
+    ['S', 'M', 'T', 'W', 'T', 'F', 'S'].forEach((_, i, letters) => {
+      const header = document.createElement('div');
+      header.className = 'range-cal-weekday';
+      header.textContent = letters[(i + weekStart) % 7];
+      grid.appendChild(header);
+    });
+
+    const first = new Date(month.getFullYear(), month.getMonth(), 1);
+    const offset = (first.getDay() - weekStart + 7) % 7;
+    const todayKey = window.cc3Storage.ymdFromDate(new Date());
+    const { selection } = rangeEditor;
+
+    for (let i = 0; i < 42; i++) {
+      const date = new Date(first.getFullYear(), first.getMonth(), 1 - offset + i);
+      const dateKey = window.cc3Storage.ymdFromDate(date);
+      const cell = document.createElement('div');
+      cell.className = 'range-cal-day';
+      cell.dataset.date = dateKey;
+      cell.textContent = String(date.getDate());
+      if (date.getMonth() !== month.getMonth()) cell.classList.add('outside');
+      if (dateKey === todayKey) cell.classList.add('today');
+      if (selection && selection.start <= dateKey && dateKey <= selection.end) cell.classList.add('selected');
+
+      const range = rangeForDate(dateKey);
+      if (range && range.id !== rangeEditor.editingId) {
+        cell.style.background = hexToRgba(range.color, Math.max(range.opacity, 20) / 100);
+        if (range.label) cell.title = range.label;
+      }
+      grid.appendChild(cell);
+    }
+
+    const text = qs('rangeSelectionText');
+    const saveBtn = qs('saveRangeBtn');
+    if (text) text.textContent = selection ? describeRange(selection.start, selection.end) : 'No days selected';
+    if (saveBtn) saveBtn.disabled = !selection;
+  }
+
+  function renderDateRangesList() {
+    const list = qs('dateRangesList');
+    if (!list) return;
+    list.innerHTML = '';
+
+    const ranges = [...(settings.dateRanges || [])].sort((a, b) => a.start.localeCompare(b.start));
+    ranges.forEach((range) => {
+      const row = document.createElement('div');
+      row.style.cssText = `display: flex; align-items: center; gap: 6px; padding: 6px 10px; border-radius: 6px; border: 1px solid ${
+        range.id === rangeEditor.editingId ? '#1a73e8' : '#e8eaed'
+      }; background: #fff;`;
+
+      const swatch = document.createElement('span');
+      swatch.style.cssText = `flex-shrink: 0; width: 14px; height: 14px; border-radius: 3px; border: 1px solid #dadce0; background: ${hexToRgba(
+        range.color,
+        range.opacity / 100,
+      )};`;
+
+      const info = document.createElement('div');
+      info.style.cssText = 'flex: 1; min-width: 0; font-size: 12px; color: #202124;';
+      const name = document.createElement('div');
+      name.style.cssText = 'overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+      name.textContent = range.label || 'Untitled range';
+      const dates = document.createElement('div');
+      dates.style.cssText = 'font-size: 11px; color: #80868b;';
+      dates.textContent = describeRange(range.start, range.end);
+      info.appendChild(name);
+      info.appendChild(dates);
+
+      const editBtn = document.createElement('button');
+      editBtn.className = 'lab-btn secondary small';
+      editBtn.textContent = 'Edit';
+      editBtn.onclick = () => startRangeEdit(range);
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'lab-btn danger small';
+      deleteBtn.textContent = '🗑️';
+      deleteBtn.title = 'Remove range';
+      deleteBtn.onclick = async () => {
+        try {
+          settings = await window.cc3Storage.removeDateRange(range.id);
+          if (rangeEditor.editingId === range.id) resetRangeEditor();
+          renderDateRanges();
+          showUndoToast(`Removed ${range.label || 'date range'}`);
+        } catch (error) {
+          reportSaveError(error);
+        }
+      };
+
+      row.appendChild(swatch);
+      row.appendChild(info);
+      row.appendChild(editBtn);
+      row.appendChild(deleteBtn);
+      list.appendChild(row);
+    });
+  }
+
+  function renderDateRanges() {
+    if (!rangeEditor.month) return;
+    renderRangeCalendar();
+    renderDateRangesList();
+  }
+
+  function resetRangeEditor() {
+    rangeEditor.selection = null;
+    rangeEditor.editingId = null;
+    qs('rangeLabel').value = '';
+    qs('saveRangeBtn').textContent = 'Add Range';
+    qs('cancelRangeEditBtn').style.display = 'none';
+  }
+
+  function startRangeEdit(range) {
+    rangeEditor.editingId = range.id;
+    rangeEditor.selection = { start: range.start, end: range.end };
+    rangeEditor.month = new Date(`${range.start.slice(0, 7)}-01T12:00:00`);
+    qs('rangeColor').value = range.color;
+    qs('rangeOpacity').value = String(range.opacity);
+    qs('rangeOpacityValue').textContent = `${range.opacity}%`;
+    qs('rangeLabel').value = range.label || '';
+    qs('saveRangeBtn').textContent = 'Save Range';
+    qs('cancelRangeEditBtn').style.display = '';
+    renderDateRanges();
+  }
+
+  function setupDateRangeEditor() {
+    const grid = qs('rangeCalGrid');
+    if (!grid) return;
+
+    const now = new Date();
+    rangeEditor.month = new Date(now.getFullYear(), now.getMonth(), 1);
+
+    const selectTo = (dateKey) => {
+      const { anchor } = rangeEditor;
+      rangeEditor.selection = anchor <= dateKey ? { start: anchor, end: dateKey } : { start: dateKey, end: anchor };
+      renderRangeCalendar();
+    };
+
+    // Press on a day and drag to extend the selection; a plain click selects one day
+    grid.addEventListener('mousedown', (e) => {
+      const cell = e.target.closest('.range-cal-day');
+      if (!cell) return;
+      e.preventDefault();
+      rangeEditor.dragging = true;
+      rangeEditor.anchor = cell.dataset.date;
+      selectTo(cell.dataset.date);
+    });
+    grid.addEventListener('mouseover', (e) => {
+      const cell = e.target.closest('.range-cal-day');
+      if (!rangeEditor.dragging || !cell) return;
+      selectTo(cell.dataset.date);
+    });
+    document.addEventListener('mouseup', () => {
+      rangeEditor.dragging = false;
+    });
+
+    const shiftMonth = (delta) => {
+      const { month } = rangeEditor;
+      rangeEditor.month = new Date(month.getFullYear(), month.getMonth() + delta, 1);
+      renderRangeCalendar();
+    };
+    qs('rangeCalPrev').onclick = () => shiftMonth(-1);
+    qs('rangeCalNext').onclick = () => shiftMonth(1);
+
+    qs('rangeOpacity').oninput = (e) => {
+      qs('rangeOpacityValue').textContent = `${e.target.value}%`;
+    };
+
+    qs('cancelRangeEditBtn').onclick = () => {
+      resetRangeEditor();
+      renderDateRanges();
+    };
+
+    qs('saveRangeBtn').onclick = async () => {
+      const { selection, editingId } = rangeEditor;
+      if (!selection) return;
+      const range = {
+        ...selection,
+        color: qs('rangeColor').value,
+        opacity: parseInt(qs('rangeOpacity').value, 10),
+        label: qs('rangeLabel').value,
+      };
+      try {
+        settings = editingId
+          ? await window.cc3Storage.updateDateRange(editingId, range)
+          : await window.cc3Storage.addDateRange(range);
+        showUndoToast(`${editingId ? 'Updated' : 'Added'} ${range.label.trim() || describeRange(range.start, range.end)}`);
+        resetRangeEditor();
+        renderDateRanges();
+      } catch (error) {
+        reportSaveError(error);
+      }
+    };
+
+    renderDateRanges();
+  }
+
+  // ========================================
+  // RECURRING DATE RULES
+  // ========================================
+
+  const ruleEditor = {
+    editingId: null,
+  };
+
+  const RULE_DAY_ORDER = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+  const RULE_DAY_NAMES = { SU: 'Sun', MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat' };
+  const RULE_MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  const RULE_ORDINAL_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last' };
+  const RULE_UNITS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+  const BUSINESS_DAYS = ['MO', 'TU', 'WE', 'TH', 'FR'];
+
+  const RULE_PRESETS = {
+    biweeklyFriday: { label: 'Payday', rule: { freq: 'WEEKLY', interval: 2, byDay: ['FR'] } },
+    firstMonday: { label: 'Planning', rule: { freq: 'MONTHLY', byDay: ['1MO'] } },
+    lastDayOfMonth: { label: 'Month end', rule: { freq: 'MONTHLY', byMonthDay: [-1] } },
+    lastBusinessDayOfQuarter: {
+      label: 'Quarter end',
+      rule: { freq: 'YEARLY', byMonth: [3, 6, 9, 12], byDay: BUSINESS_DAYS, bySetPos: [-1] },
+    },
+  };
+
+  function activeChipValues(containerId) {
+    return [...qs(containerId).querySelectorAll('.rule-chip.active')].map((chip) => chip.dataset.value);
+  }
+
+  function setActiveChips(containerId, values) {
+    qs(containerId).querySelectorAll('.rule-chip').forEach((chip) => {
+      chip.classList.toggle('active', values.includes(chip.dataset.value));
+    });
+  }
+
+  // Build a rule from the form; validation happens in the preview and on save
+  function readRuleForm() {
+    const freq = qs('ruleFreq').value;
+    const rule = {
+      freq,
+      interval: parseInt(qs('ruleInterval').value, 10),
+      byDay: [],
+      byMonthDay: [],
+      byMonth: [],
+      bySetPos: [],
+      dtstart: qs('ruleStart').value || window.cc3Storage.ymdFromDate(new Date()),
+      until: qs('ruleUntil').value || null,
+    };
+
+    if (freq === 'DAILY' || freq === 'WEEKLY') {
+      rule.byDay = activeChipValues('ruleWeekdays');
+    } else if (qs('ruleModeOrdinal').checked) {
+      const ordinal = Number(qs('ruleOrdinal').value);
+      const which = qs('ruleOrdinalDay').value;
+      if (which === 'weekday') {
+        rule.byDay = [...BUSINESS_DAYS];
+        rule.bySetPos = [ordinal];
+      } else if (which === 'day') {
+        rule.byMonthDay = [ordinal];
+      } else {
+        rule.byDay = [`${ordinal}${which}`];
+      }
+    } else {
+      rule.byMonthDay = qs('ruleMonthDays').value.split(/[\s,]+/).filter(Boolean).map(Number);
+    }
+    if (freq === 'YEARLY') rule.byMonth = activeChipValues('ruleMonths').map(Number);
+    return rule;
+  }
+
+  function fillRuleForm(rule) {
+    qs('ruleFreq').value = rule.freq;
+    qs('ruleInterval').value = String(rule.interval || 1);
+    qs('ruleStart').value = rule.dtstart || window.cc3Storage.ymdFromDate(new Date());
+    qs('ruleUntil').value = rule.until || '';
+    setActiveChips('ruleWeekdays', rule.freq === 'DAILY' || rule.freq === 'WEEKLY' ? rule.byDay || [] : []);
+    setActiveChips('ruleMonths', (rule.byMonth || []).map(String));
+
+    const byDay = rule.byDay || [];
+    const ordinalDay = byDay.length === 1 && /^-?\d/.test(byDay[0]) ? byDay[0] : null;
+    const businessSetPos = rule.bySetPos?.length === 1 && byDay.join() === BUSINESS_DAYS.join();
+    qs('ruleModeOrdinal').checked = !!(ordinalDay || businessSetPos);
+    qs('ruleModeDay').checked = !qs('ruleModeOrdinal').checked;
+    qs('ruleMonthDays').value = (rule.byMonthDay || []).join(', ');
+    if (ordinalDay) {
+      qs('ruleOrdinal').value = ordinalDay.slice(0, -2);
+      qs('ruleOrdinalDay').value = ordinalDay.slice(-2);
+    } else if (businessSetPos) {
+      qs('ruleOrdinal').value = String(rule.bySetPos[0]);
+      qs('ruleOrdinalDay').value = 'weekday';
+    }
+    updateRuleFormVisibility();
+  }
+
+  function updateRuleFormVisibility() {
+    const freq = qs('ruleFreq').value;
+    const byWeekday = freq === 'DAILY' || freq === 'WEEKLY';
+    qs('ruleWeekdays').style.display = byWeekday ? '' : 'none';
+    qs('ruleMonthlyOptions').style.display = byWeekday ? 'none' : '';
+    qs('ruleMonths').style.display = freq === 'YEARLY' ? '' : 'none';
+  }
+
+  // Plain-English summary, e.g. "Every 2 weeks on Fri" or "Yearly on the last business day in Mar, Jun"
+  function describeRule(rule) {
+    const unit = RULE_UNITS[rule.freq];
+    const interval = rule.interval || 1;
+    let text = interval === 1 ? `${unit === 'day' ? 'Dai' : unit[0].toUpperCase() + unit.slice(1)}ly` : `Every ${interval} ${unit}s`;
+
+    const byDay = rule.byDay || [];
+    if (rule.bySetPos?.length && byDay.join() === BUSINESS_DAYS.join()) {
+      text += ` on the ${rule.bySetPos.map((pos) => RULE_ORDINAL_NAMES[pos] || `#${pos}`).join(', ')} business day`;
+    } else if (byDay.length) {
+      const days = byDay.map((token) => {
+        const ordinal = token.slice(0, -2);
+        const name = RULE_DAY_NAMES[token.slice(-2)];
+        return ordinal ? `${RULE_ORDINAL_NAMES[ordinal] || ordinal} ${name}` : name;
+      });
+      text += ` on ${/^-?\d/.test(byDay[0]) ? 'the ' : ''}${days.join(', ')}`;
+    }
+    if (rule.byMonthDay?.length) {
+      text += ` on day ${rule.byMonthDay.map((d) => (d === -1 ? 'last' : d)).join(', ')}`;
+    }
+    if (rule.byMonth?.length) text += ` in ${rule.byMonth.map((m) => RULE_MONTH_NAMES[m - 1]).join(', ')}`;
+    if (rule.until) text += ` until ${formatRangeDate(rule.until)}`;
+    return text;
+  }
+
+  // Upcoming matches for the rule being edited, or the first problem with it
+  function renderRulePreview() {
+    const preview = qs('rulePreview');
+    const rrule = qs('ruleRRule');
+    const saveBtn = qs('saveRuleBtn');
+    if (!preview) return;
+
+    const rule = readRuleForm();
+    const { ok, errors } = window.cc3Validation.validate(window.cc3Validation.checkRecurrenceRule(rule));
+    saveBtn.disabled = !ok;
+    if (!ok) {
+      preview.textContent = errors[0].message;
+      preview.style.color = '#d93025';
+      rrule.textContent = '';
+      return;
+    }
+
+    const todayKey = window.cc3Storage.ymdFromDate(new Date());
+    const dates = window.cc3Recurrence.nextOccurrences(rule, todayKey, 5);
+    preview.style.color = '#5f6368';
+    preview.textContent = dates.length
+      ? `Next: ${dates
+          .map((d) => new Date(d + 'T12:00:00').toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' }))
+          .join(' · ')}`
+      : 'No upcoming dates';
+    rrule.textContent = `RRULE:${window.cc3Recurrence.toRRuleString(rule)}`;
+  }
+
+  function renderDateRulesList() {
+    const list = qs('dateRulesList');
+    if (!list) return;
+    list.innerHTML = '';
+
+    (settings.dateRules || []).forEach((entry) => {
+      const row = document.createElement('div');
+      row.style.cssText = `display: flex; align-items: center; gap: 6px; padding: 6px 10px; border-radius: 6px; border: 1px solid ${
+        entry.id === ruleEditor.editingId ? '#1a73e8' : '#e8eaed'
+      }; background: #fff;`;
+
+      const swatch = document.createElement('span');
+      swatch.style.cssText = `flex-shrink: 0; width: 14px; height: 14px; border-radius: 3px; border: 1px solid #dadce0; background: ${hexToRgba(
+        entry.color,
+        entry.opacity / 100,
+      )};`;
+
+      const info = document.createElement('div');
+      info.style.cssText = 'flex: 1; min-width: 0; font-size: 12px; color: #202124;';
+      const name = document.createElement('div');
+      name.style.cssText = 'overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+      name.textContent = entry.label || 'Untitled rule';
+      const pattern = document.createElement('div');
+      pattern.style.cssText = 'font-size: 11px; color: #80868b;';
+      pattern.textContent = describeRule(entry.rule);
+      info.appendChild(name);
+      info.appendChild(pattern);
+
+      const editBtn = document.createElement('button');
+      editBtn.className = 'lab-btn secondary small';
+      editBtn.textContent = 'Edit';
+      editBtn.onclick = () => startRuleEdit(entry);
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'lab-btn danger small';
+      deleteBtn.textContent = '🗑️';
+      deleteBtn.title = 'Remove rule';
+      deleteBtn.onclick = async () => {
+        try {
+          settings = await window.cc3Storage.removeDateRule(entry.id);
+          if (ruleEditor.editingId === entry.id) resetRuleEditor();
+          renderDateRules();
+          showUndoToast(`Removed ${entry.label || 'date rule'}`);
+        } catch (error) {
+          reportSaveError(error);
+        }
+      };
+
+      row.appendChild(swatch);
+      row.appendChild(info);
+      row.appendChild(editBtn);
+      row.appendChild(deleteBtn);
+      list.appendChild(row);
+    });
+  }
+
+  function renderDateRules() {
+    if (!qs('dateRuleEditor')) return;
+    renderRulePreview();
+    renderDateRulesList();
+  }
+
+  function resetRuleEditor() {
+    ruleEditor.editingId = null;
+    fillRuleForm({ freq: 'WEEKLY', interval: 1 });
+    qs('rulePreset').value = '';
+    qs('ruleLabel').value = '';
+    qs('saveRuleBtn').textContent = 'Add Rule';
+    qs('cancelRuleEditBtn').style.display = 'none';
+  }
+
+  function startRuleEdit(entry) {
+    ruleEditor.editingId = entry.id;
+    fillRuleForm(entry.rule);
+    qs('ruleColor').value = entry.color;
+    qs('ruleOpacity').value = String(entry.opacity);
+    qs('ruleOpacityValue').textContent = `${entry.opacity}%`;
+    qs('ruleLabel').value = entry.label || '';
+    qs('saveRuleBtn').textContent = 'Save Rule';
+    qs('cancelRuleEditBtn').style.display = '';
+    renderDateRules();
+  }
+
+  function setupDateRuleEditor() {
+    const editor = qs('dateRuleEditor');
+    if (!editor) return;
+
+    const addChip = (containerId, value, text) => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'rule-chip';
+      chip.dataset.value = value;
+      chip.textContent = text;
+      chip.onclick = () => {
+        chip.classList.toggle('active');
+        renderRulePreview();
+      };
+      qs(containerId).appendChild(chip);
+    };
+    RULE_DAY_ORDER.forEach((code) => addChip('ruleWeekdays', code, RULE_DAY_NAMES[code]));
+    RULE_MONTH_NAMES.forEach((name, i) => addChip('ruleMonths', String(i + 1), name));
+
+    qs('ruleFreq').onchange = () => {
+      updateRuleFormVisibility();
+      renderRulePreview();
+    };
+    ['ruleInterval', 'ruleMonthDays', 'ruleStart', 'ruleUntil'].forEach((id) => {
+      qs(id).oninput = renderRulePreview;
+    });
+    ['ruleModeDay', 'ruleModeOrdinal', 'ruleOrdinal', 'ruleOrdinalDay'].forEach((id) => {
+      qs(id).onchange = renderRulePreview;
+    });
+    // Picking an ordinal option implies the "On the" mode
+    ['ruleOrdinal', 'ruleOrdinalDay'].forEach((id) => {
+      qs(id).addEventListener('focus', () => {
+        qs('ruleModeOrdinal').checked = true;
+      });
+    });
+    qs('ruleMonthDays').addEventListener('focus', () => {
+      qs('ruleModeDay').checked = true;
+    });
+
+    qs('rulePreset').onchange = (e) => {
+      const preset = RULE_PRESETS[e.target.value];
+      if (!preset) return;
+      fillRuleForm({ ...preset.rule, dtstart: window.cc3Storage.ymdFromDate(new Date()) });
+      if (!qs('ruleLabel').value) qs('ruleLabel').value = preset.label;
+      renderRulePreview();
+    };
+
+    qs('ruleOpacity').oninput = (e) => {
+      qs('ruleOpacityValue').textContent = `${e.target.value}%`;
+    };
+
+    qs('cancelRuleEditBtn').onclick = () => {
+      resetRuleEditor();
+      renderDateRules();
+    };
+
+    qs('saveRuleBtn').onclick = async () => {
+      const { editingId } = ruleEditor;
+      const entry = {
+        rule: readRuleForm(),
+        color: qs('ruleColor').value,
+        opacity: parseInt(qs('ruleOpacity').value, 10),
+        label: qs('ruleLabel').value,
+      };
+      try {
+        settings = editingId
+          ? await window.cc3Storage.updateDateRule(editingId, entry)
+          : await window.cc3Storage.addDateRule(entry);
+        showUndoToast(`${editingId ? 'Updated' : 'Added'} ${entry.label.trim() || describeRule(entry.rule)}`);
+        resetRuleEditor();
+        renderDateRules();
+      } catch (error) {
+        reportSaveError(error);
+      }
+    };
+
+    resetRuleEditor();
+    renderDateRules();
+  }
+
+  // ========================================
+  // PUBLIC HOLIDAYS
+  // ========================================
+
+  // One select per country: off, nationwide, or nationwide plus one region
+  function renderHolidayCountries() {
+    const container = qs('holidayCountries');
+    if (!container || !window.cc3Holidays) return;
+    const selected = settings.holidays?.countries || [];
+    container.innerHTML = '';
+
+    window.cc3Holidays.listCountries().forEach((country) => {
+      const row = document.createElement('div');
+      row.style.cssText = 'display: flex; align-items: center; justify-content: space-between; gap: 8px; font-size: 12px;';
+
+      const name = document.createElement('span');
+      name.style.color = '#202124';
+      name.textContent = country.name;
+
+      const select = document.createElement('select');
+      select.className = 'rule-field';
+      select.style.maxWidth = '170px';
+      select.dataset.country = country.id;
+      [
+        { id: '', name: 'Off' },
+        { id: country.id, name: 'Nationwide' },
+        ...country.regions,
+      ].forEach((option) => {
+        const el = document.createElement('option');
+        el.value = option.id;
+        el.textContent = option.name;
+        select.appendChild(el);
+      });
+      select.value = selected.find((id) => id.split('-')[0] === country.id) || '';
+      select.onchange = () => {
+        const others = (settings.holidays?.countries || []).filter((id) => id.split('-')[0] !== country.id);
+        saveHolidaySettings({ countries: select.value ? [...others, select.value] : others });
+      };
+
+      row.appendChild(name);
+      row.appendChild(select);
+      container.appendChild(row);
+    });
+  }
+
+  function renderHolidayPreview() {
+    const preview = qs('holidayPreview');
+    if (!preview || !window.cc3Holidays) return;
+    const countries = settings.holidays?.countries || [];
+    if (!countries.length) {
+      preview.textContent = 'No holiday calendars selected';
+      return;
+    }
+    const todayKey = window.cc3Storage.ymdFromDate(new Date());
+    const upcoming = window.cc3Holidays.upcomingHolidays(countries, todayKey, 4);
+    preview.textContent = `Next: ${upcoming
+      .map((h) => `${new Date(h.date + 'T12:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} ${h.name}`)
+      .join(' · ')}`;
+  }
+
+  function renderHolidaySettings() {
+    if (!qs('holidayEditor')) return;
+    const holidays = settings.holidays || {};
+    renderHolidayCountries();
+    qs('holidayColor').value = holidays.color || '#f4b400';
+    qs('holidayOpacity').value = String(holidays.opacity ?? 25);
+    qs('holidayOpacityValue').textContent = `${holidays.opacity ?? 25}%`;
+    renderHolidayPreview();
+  }
+
+  async function saveHolidaySettings(changes) {
+    try {
+      settings = await window.cc3Storage.setHolidaySettings(changes);
+      renderHolidaySettings();
+    } catch (error) {
+      reportSaveError(error);
+    }
+  }
+
+  function setupHolidaySettings() {
+    if (!qs('holidayEditor')) return;
+
+    qs('holidayColor').onchange = (e) => saveHolidaySettings({ color: e.target.value });
+    qs('holidayOpacity').oninput = (e) => {
+      qs('holidayOpacityValue').textContent = `${e.target.value}%`;
+    };
+    qs('holidayOpacity').onchange = (e) => saveHolidaySettings({ opacity: parseInt(e.target.value, 10) });
+
+    renderHolidaySettings();
+  }
+
+  // ========================================
+  // PAST DAYS & TODAY
+  // ========================================
+
+  function renderTodayHighlight() {
+    if (!qs('todayHighlightEditor')) return;
+    const highlight = settings.todayHighlight || {};
+    qs('todayHighlightEnabled').checked = !!highlight.enabled;
+    qs('pastDim').value = String(highlight.pastDim ?? 40);
+    qs('pastDimValue').textContent = `${highlight.pastDim ?? 40}%`;
+    qs('todayAccent').value = highlight.accent || 'border';
+    qs('todayAccentColor').value = highlight.color || '#1a73e8';
+    qs('todayHighlightOptions').style.opacity = highlight.enabled ? '1' : '0.5';
+  }
+
+  async function saveTodayHighlight(changes) {
+    try {
+      settings = await window.cc3Storage.setTodayHighlight(changes);
+      renderTodayHighlight();
+    } catch (error) {
+      reportSaveError(error);
+    }
+  }
+
+  function setupTodayHighlight() {
+    if (!qs('todayHighlightEditor')) return;
+
+    qs('todayHighlightEnabled').onchange = (e) => saveTodayHighlight({ enabled: e.target.checked });
+    qs('pastDim').oninput = (e) => {
+      qs('pastDimValue').textContent = `${e.target.value}%`;
+    };
+    qs('pastDim').onchange = (e) => saveTodayHighlight({ pastDim: parseInt(e.target.value, 10) });
+    qs('todayAccent').onchange = (e) => saveTodayHighlight({ accent: e.target.value });
+    qs('todayAccentColor').onchange = (e) => saveTodayHighlight({ color: e.target.value });
+
+    renderTodayHighlight();
+  }
+
+  // ========================================
+  // WEEK BANDING
+  // ========================================
+
+  function renderWeekBanding() {
+    if (!qs('weekBandingEditor')) return;
+    const banding = { ...window.cc3Storage.defaultSettings.weekBanding, ...settings.weekBanding };
+    const bandsOn = banding.mode !== 'off';
+    qs('weekBandingMode').value = banding.mode;
+    qs('weekNumbering').value = banding.numbering;
+    qs('fiscalStartMonth').value = String(banding.fiscalStartMonth);
+    qs('weekCycleLength').value = String(banding.cycleWeeks);
+    qs('weekCycleAnchor').value = banding.anchor || '';
+    qs('weekBandColorA').value = banding.colors[0];
+    qs('weekBandColorB').value = banding.colors[1] || banding.colors[0];
+    qs('weekBandTintB').checked = !!banding.colors[1];
+    qs('weekBandColorB').style.opacity = banding.colors[1] ? '1' : '0.4';
+    qs('weekBandOpacity').value = String(banding.opacity);
+    qs('weekBandOpacityValue').textContent = `${banding.opacity}%`;
+    qs('weekLabelsEnabled').checked = !!banding.showLabels;
+
+    // Numbering matters for alternate parity and for labels; the cycle counts from its anchor
+    const numbered = banding.mode === 'alternate' || banding.showLabels;
+    qs('weekNumbering').disabled = !numbered;
+    qs('fiscalStartRow').style.display = numbered && banding.numbering === 'fiscal' ? 'flex' : 'none';
+    qs('weekCycleRow').style.display = banding.mode === 'cycle' ? 'flex' : 'none';
+    qs('weekBandingColors').style.display = bandsOn ? 'flex' : 'none';
+    qs('weekBandingOpacityRow').style.display = bandsOn ? 'flex' : 'none';
+
+    const today = window.cc3Storage.ymdFromDate(new Date());
+    const weekStart = settings.weekStart || 0;
+    const week = window.cc3WeekNumbers.weekLabel(today, banding, weekStart);
+    let preview = `This week: ${week.title}`;
+    if (banding.mode === 'cycle' && !banding.anchor) {
+      preview += ' · pick the date a cycle starts on';
+    } else if (bandsOn) {
+      const color = window.cc3WeekNumbers.bandColor(today, banding, weekStart);
+      preview += color ? ' · tinted' : ' · untinted';
+    }
+    qs('weekBandingPreview').textContent = preview;
+  }
+
+  async function saveWeekBanding(changes) {
+    try {
+      settings = await window.cc3Storage.setWeekBanding(changes);
+      renderWeekBanding();
+    } catch (error) {
+      reportSaveError(error);
+    }
+  }
+
+  function currentBandColors() {
+    return [qs('weekBandColorA').value, qs('weekBandTintB').checked ? qs('weekBandColorB').value : ''];
+  }
+
+  function setupWeekBanding() {
+    if (!qs('weekBandingEditor')) return;
+
+    qs('weekBandingMode').onchange = (e) => {
+      const changes = { mode: e.target.value };
+      // Start a new cycle on this week unless one was already anchored
+      if (changes.mode === 'cycle' && !settings.weekBanding?.anchor) {
+        changes.anchor = window.cc3Storage.ymdFromDate(new Date());
+      }
+      saveWeekBanding(changes);
+    };
+    qs('weekNumbering').onchange = (e) => saveWeekBanding({ numbering: e.target.value });
+    qs('fiscalStartMonth').onchange = (e) => saveWeekBanding({ fiscalStartMonth: parseInt(e.target.value, 10) });
+    qs('weekCycleLength').onchange = (e) => saveWeekBanding({ cycleWeeks: parseInt(e.target.value, 10) });
+    qs('weekCycleAnchor').onchange = (e) => saveWeekBanding({ anchor: e.target.value });
+    qs('weekBandColorA').onchange = () => saveWeekBanding({ colors: currentBandColors() });
+    qs('weekBandColorB').onchange = () => {
+      qs('weekBandTintB').checked = true;
+      saveWeekBanding({ colors: currentBandColors() });
+    };
+    qs('weekBandTintB').onchange = () => saveWeekBanding({ colors: currentBandColors() });
+    qs('weekBandOpacity').oninput = (e) => {
+      qs('weekBandOpacityValue').textContent = `${e.target.value}%`;
+    };
+    qs('weekBandOpacity').onchange = (e) => saveWeekBanding({ opacity: parseInt(e.target.value, 10) });
+    qs('weekLabelsEnabled').onchange = (e) => saveWeekBanding({ showLabels: e.target.checked });
+
+    renderWeekBanding();
+  }
+
+  // ========================================
+  // DARK THEME
+  // ========================================
+
+  const DARK_OPACITY_SLIDERS = { days: 'darkOpacityDays', tasks: 'darkOpacityTasks', timeBlocks: 'darkOpacityTimeBlocks' };
+
+  function currentDarkTheme() {
+    const defaults = window.cc3Storage.defaultSettings.darkTheme;
+    const stored = settings.darkTheme || {};
+    return {
+      ...defaults,
+      ...stored,
+      weekdayColors: { ...defaults.weekdayColors, ...stored.weekdayColors },
+      weekdayOpacity: { ...defaults.weekdayOpacity, ...stored.weekdayOpacity },
+      opacity: { ...defaults.opacity, ...stored.opacity },
+    };
+  }
+
+  function renderDarkTheme() {
+    if (!qs('darkThemeEditor')) return;
+    const dark = currentDarkTheme();
+    qs('darkThemeMode').value = dark.mode;
+    qs('darkAdaptColors').checked = !!dark.adaptColors;
+    for (let i = 0; i < 7; i++) qs(`darkWeekdayColor${i}`).value = dark.weekdayColors[String(i)];
+
+    // One slider sets all seven weekdays; show Sunday's as the current value
+    const weekdayOpacity = dark.weekdayOpacity['0'];
+    qs('darkWeekdayOpacity').value = String(weekdayOpacity);
+    qs('darkWeekdayOpacityValue').textContent = `${weekdayOpacity}%`;
+    for (const [surface, id] of Object.entries(DARK_OPACITY_SLIDERS)) {
+      qs(id).value = String(dark.opacity[surface]);
+      qs(`${id}Value`).textContent = `${dark.opacity[surface]}%`;
+    }
+
+    const preview = qs('darkThemePreview');
+    preview.innerHTML = '';
+    for (let i = 0; i < 7; i++) {
+      const swatch = document.createElement('div');
+      swatch.style.cssText = `flex: 1; height: 18px; border-radius: 2px; background: ${hexToRgba(
+        dark.weekdayColors[String(i)],
+        dark.weekdayOpacity[String(i)] / 100,
+      )}`;
+      preview.appendChild(swatch);
+    }
+  }
+
+  async function saveDarkTheme(changes) {
+    try {
+      settings = await window.cc3Storage.setDarkTheme(changes);
+      renderDarkTheme();
+    } catch (error) {
+      reportSaveError(error);
+    }
+  }
+
+  function setupDarkTheme() {
+    if (!qs('darkThemeEditor')) return;
+
+    qs('darkThemeMode').onchange = (e) => saveDarkTheme({ mode: e.target.value });
+    qs('darkAdaptColors').onchange = (e) => saveDarkTheme({ adaptColors: e.target.checked });
+    for (let i = 0; i < 7; i++) {
+      qs(`darkWeekdayColor${i}`).onchange = (e) => saveDarkTheme({ weekdayColors: { [String(i)]: e.target.value } });
+    }
+
+    const bindSlider = (id, toChanges) => {
+      qs(id).oninput = (e) => {
+        qs(`${id}Value`).textContent = `${e.target.value}%`;
+      };
+      qs(id).onchange = (e) => saveDarkTheme(toChanges(parseInt(e.target.value, 10)));
+    };
+    bindSlider('darkWeekdayOpacity', (opacity) => ({
+      weekdayOpacity: Object.fromEntries([0, 1, 2, 3, 4, 5, 6].map((i) => [String(i), opacity])),
+    }));
+    for (const [surface, id] of Object.entries(DARK_OPACITY_SLIDERS)) {
+      bindSlider(id, (opacity) => ({ opacity: { [surface]: opacity } }));
+    }
+
+    renderDarkTheme();
+  }
+
+  // ========================================
+  // TASK COLOR RULES
+  // ========================================
+
+  const TASK_RULE_MATCH_LABELS = { contains: 'contains', startsWith: 'starts with', regex: 'matches' };
+
+  function currentTaskRules() {
+    return settings.taskColoring?.rules || [];
+  }
+
+  function describeTaskRule(rule) {
+    const pattern = rule.match === 'regex' ? `/${rule.pattern}/` : `"${rule.pattern}"`;
+    return `Title ${TASK_RULE_MATCH_LABELS[rule.match] || rule.match} ${pattern}${rule.caseSensitive ? ' (match case)' : ''}`;
+  }
+
+  // Small chip showing how a matched task will look
+  function taskRuleChip(text, bgColor, textColor) {
+    const chip = document.createElement('span');
+    chip.textContent = text;
+    chip.style.cssText = `display: inline-block; max-width: 90px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;
+      padding: 2px 6px; border-radius: 4px; font-size: 11px; border: 1px solid #dadce0;
+      background: ${bgColor || '#e8f0fe'}; color: ${textColor || (bgColor ? getReadableTextColor(bgColor) : '#1967d2')};`;
+    return chip;
+  }
+
+  function readTaskRuleForm() {
+    return {
+      match: qs('taskRuleMatch').value,
+      pattern: qs('taskRulePattern').value.trim(),
+      caseSensitive: qs('taskRuleCaseSensitive').checked,
+      bgColor: qs('taskRuleUseBg').checked ? qs('taskRuleBgColor').value : '',
+      textColor: qs('taskRuleUseText').checked ? qs('taskRuleTextColor').value : '',
+      stop: qs('taskRuleStop').checked,
+    };
+  }
+
+  // Which saved rules (plus the one in the form) a sample title would hit
+  function renderTaskRuleTest() {
+    const result = qs('taskRuleTestResult');
+    const title = qs('taskRuleTestTitle').value;
+    const draft = readTaskRuleForm();
+    const draftErrors = draft.pattern ? window.cc3Validation.checkTaskRule(draft) : [];
+    setFieldError(qs('taskRulePattern'), draftErrors);
+    qs('addTaskRuleBtn').disabled = !draft.pattern || draftErrors.length > 0;
+
+    result.innerHTML = '';
+    if (!title) return;
+    const rules = [...currentTaskRules(), ...(draft.pattern && draftErrors.length === 0 ? [{ ...draft, id: 'draft' }] : [])];
+    const match = window.cc3TaskRules.createRuleMatcher(rules)(title);
+    if (!match) {
+      result.textContent = 'No rule matches this title';
+      return;
+    }
+    const names = match.ruleIds.map((id) => (id === 'draft' ? 'the new rule' : `rule ${rules.findIndex((r) => r.id === id) + 1}`));
+    result.appendChild(taskRuleChip(title, match.bgColor, match.textColor));
+    result.appendChild(document.createTextNode(` via ${names.join(' + ')}`));
+  }
+
+  function renderTaskRules() {
+    if (!qs('taskRulesCard')) return;
+    qs('taskRulesPriority').value = settings.taskColoring?.rulesPriority || 'aboveLists';
+
+    const list = qs('taskRulesList');
+    const rules = currentTaskRules();
+    list.innerHTML = '';
+    if (rules.length === 0) {
+      const empty = document.createElement('div');
+      empty.style.cssText = 'font-size: 11px; color: #80868b;';
+      empty.textContent = 'No task rules yet.';
+      list.appendChild(empty);
+    }
+
+    rules.forEach((rule, index) => {
+      const row = document.createElement('div');
+      row.style.cssText = 'display: flex; align-items: center; gap: 6px;';
+
+      const info = document.createElement('div');
+      info.style.cssText = 'flex: 1; min-width: 0; font-size: 11px; color: #202124; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+      info.textContent = `${index + 1}. ${describeTaskRule(rule)}`;
+      info.title = info.textContent;
+
+      const stop = document.createElement('label');
+      stop.style.cssText = 'display: flex; gap: 2px; align-items: center; font-size: 10px; color: #5f6368;';
+      stop.title = 'Stop evaluating later rules when this one matches';
+      const stopBox = document.createElement('input');
+      stopBox.type = 'checkbox';
+      stopBox.checked = rule.stop !== false;
+      stopBox.onchange = () => saveTaskRules(() => window.cc3Storage.updateTaskRule(rule.id, { stop: stopBox.checked }));
+      stop.appendChild(stopBox);
+      stop.appendChild(document.createTextNode('Stop'));
+
+      const button = (label, title, onClick, disabled = false) => {
+        const btn = document.createElement('button');
+        btn.className = 'lab-btn secondary small';
+        btn.textContent = label;
+        btn.title = title;
+        btn.disabled = disabled;
+        btn.onclick = onClick;
+        return btn;
+      };
+      const upBtn = button('↑', 'Move up', () => saveTaskRules(() => window.cc3Storage.moveTaskRule(rule.id, -1)), index === 0);
+      const downBtn = button('↓', 'Move down', () => saveTaskRules(() => window.cc3Storage.moveTaskRule(rule.id, 1)), index === rules.length - 1);
+      const deleteBtn = button('🗑️', 'Remove rule', async () => {
+        if (await saveTaskRules(() => window.cc3Storage.removeTaskRule(rule.id))) {
+          showUndoToast(`Removed task rule ${describeTaskRule(rule)}`);
+        }
+      });
+      deleteBtn.className = 'lab-btn danger small';
+
+      row.appendChild(taskRuleChip(rule.pattern, rule.bgColor, rule.textColor));
+      row.appendChild(info);
+      row.appendChild(stop);
+      row.appendChild(upBtn);
+      row.appendChild(downBtn);
+      row.appendChild(deleteBtn);
+      list.appendChild(row);
+    });
+
+    renderTaskRuleTest();
+  }
+
+  async function saveTaskRules(save) {
+    try {
+      settings = await save();
+      renderTaskRules();
+      return true;
+    } catch (error) {
+      reportSaveError(error);
+      return false;
+    }
+  }
+
+  function setupTaskRules() {
+    if (!qs('taskRulesCard')) return;
+
+    qs('taskRulesPriority').onchange = (e) => saveTaskRules(() => window.cc3Storage.setTaskRulesPriority(e.target.value));
+    ['taskRuleMatch', 'taskRulePattern', 'taskRuleBgColor', 'taskRuleTextColor', 'taskRuleUseBg', 'taskRuleUseText',
+      'taskRuleCaseSensitive', 'taskRuleStop', 'taskRuleTestTitle'].forEach((id) => {
+      qs(id).addEventListener('input', renderTaskRuleTest);
+      qs(id).addEventListener('change', renderTaskRuleTest);
+    });
+
+    qs('addTaskRuleBtn').onclick = async () => {
+      const entry = readTaskRuleForm();
+      try {
+        settings = await window.cc3Storage.addTaskRule(entry);
+        qs('taskRulePattern').value = '';
+        renderTaskRules();
+        showUndoToast(`Added task rule ${describeTaskRule(entry)}`);
+      } catch (error) {
+        reportSaveError(error, qs('taskRulePattern'));
+      }
+    };
+
+    renderTaskRules();
+  }
+
+  // ========================================
+  // TASK HASHTAG COLORS
+  // ========================================
+
+  const TAG_DEFAULT_COLOR = '#4285f4';
+
+  // Configured tags first (in the order they were added), then synced tags without a style
+  async function listTaskTags() {
+    const styles = settings.taskColoring?.tags || {};
+    const index = await window.cc3Storage.getTaskTagIndex();
+    const counts = Object.fromEntries(index.map(({ tag, count }) => [tag, count]));
+    const tags = [...Object.keys(styles), ...index.map(({ tag }) => tag).filter((tag) => !styles[tag])];
+    return tags.map((tag) => ({ tag, count: counts[tag] || 0, style: styles[tag] || null }));
+  }
+
+  function createTaskTagRow({ tag, count, style }) {
+    const row = document.createElement('div');
+    row.style.cssText = 'display: flex; align-items: center; gap: 6px; font-size: 11px; color: #5f6368;';
+
+    const name = document.createElement('div');
+    name.style.cssText = 'flex: 1; min-width: 0; color: #202124; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+    name.textContent = `${style?.icon ? `${style.icon} ` : ''}#${tag}`;
+    name.title = count ? `${count} synced task${count === 1 ? '' : 's'}` : 'Not in any synced task yet';
+    const countEl = document.createElement('span');
+    countEl.style.cssText = 'color: #80868b; margin-left: 4px;';
+    countEl.textContent = count ? `(${count})` : '';
+    name.appendChild(countEl);
+
+    const colorPicker = (current, title) => {
+      const use = document.createElement('input');
+      use.type = 'checkbox';
+      use.checked = !!current;
+      use.title = title;
+      const color = document.createElement('input');
+      color.type = 'color';
+      color.value = current || TAG_DEFAULT_COLOR;
+      color.disabled = !use.checked;
+      color.title = title;
+      color.style.cssText = 'width: 26px; height: 20px; padding: 0; border: 1px solid #dadce0; border-radius: 4px;';
+      return { use, color, value: () => (use.checked ? color.value : '') };
+    };
+    const bg = colorPicker(style?.bgColor, 'Background');
+    const text = colorPicker(style?.textColor, 'Text color');
+
+    const icon = document.createElement('input');
+    icon.type = 'text';
+    icon.maxLength = 8;
+    icon.placeholder = '🏷️';
+    icon.title = 'Optional icon shown before the task title';
+    icon.value = style?.icon || '';
+    icon.style.cssText = 'width: 34px; padding: 2px 4px; font-size: 12px; border: 1px solid #dadce0; border-radius: 4px; text-align: center;';
+
+    // Nothing left to show for the tag: drop its style instead of saving an empty one
+    const save = () => {
+      const next = { bgColor: bg.value(), textColor: text.value(), icon: icon.value.trim() };
+      if (!next.bgColor && !next.textColor && !next.icon) {
+        return saveTaskTags(() => window.cc3Storage.removeTaskTagStyle(tag));
+      }
+      return saveTaskTags(() => window.cc3Storage.setTaskTagStyle(tag, next), icon);
+    };
+    [bg.use, bg.color, text.use, text.color, icon].forEach((input) => (input.onchange = save));
+
+    row.appendChild(name);
+    row.appendChild(bg.use);
+    row.appendChild(bg.color);
+    row.appendChild(text.use);
+    row.appendChild(text.color);
+    row.appendChild(icon);
+
+    if (style) {
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'lab-btn danger small';
+      removeBtn.textContent = '🗑️';
+      removeBtn.title = 'Remove tag color';
+      removeBtn.onclick = async () => {
+        if (await saveTaskTags(() => window.cc3Storage.removeTaskTagStyle(tag))) {
+          showUndoToast(`Removed color for #${tag}`);
+        }
+      };
+      row.appendChild(removeBtn);
+    }
+    return row;
+  }
+
+  async function renderTaskTags() {
+    if (!qs('taskTagsCard')) return;
+    qs('taskTagsPriority').value = settings.taskColoring?.tagsPriority || 'aboveLists';
+
+    const tags = await listTaskTags();
+    const list = qs('taskTagsList');
+    list.innerHTML = '';
+    if (tags.length === 0) {
+      const empty = document.createElement('div');
+      empty.style.cssText = 'font-size: 11px; color: #80868b;';
+      empty.textContent = 'No hashtags found in synced task notes yet.';
+      list.appendChild(empty);
+    }
+    tags.forEach((entry) => list.appendChild(createTaskTagRow(entry)));
+  }
+
+  async function saveTaskTags(save, input = null) {
+    try {
+      settings = await save();
+      await renderTaskTags();
+      return true;
+    } catch (error) {
+      reportSaveError(error, input);
+      return false;
+    }
+  }
+
+  function setupTaskTags() {
+    if (!qs('taskTagsCard')) return;
+
+    qs('taskTagsPriority').onchange = (e) => saveTaskTags(() => window.cc3Storage.setTaskTagsPriority(e.target.value));
+    qs('addTaskTagBtn').onclick = async () => {
+      const input = qs('taskTagNew');
+      const tag = window.cc3TaskTags.normalizeTag(input.value);
+      if (!tag) {
+        setFieldError(input, [{ message: 'Tags use letters, numbers, _ and -, without spaces' }]);
+        return;
+      }
+      setFieldError(input, []);
+      const existing = settings.taskColoring?.tags?.[tag];
+      if (await saveTaskTags(() => window.cc3Storage.setTaskTagStyle(tag, existing || { bgColor: TAG_DEFAULT_COLOR }), input)) {
+        input.value = '';
+      }
+    };
+
+    renderTaskTags();
+  }
+
+  // ========================================
+  // TASK DUE-DATE COLORS
+  // ========================================
+
+  const URGENCY_STATE_LABELS = { overdue: 'Overdue', today: 'Due today', soon: 'Due soon', none: 'No due date' };
+  const URGENCY_UNSET_COLOR = '#9aa0a6';
+
+  function currentTaskUrgency() {
+    const defaults = window.cc3Storage.defaultSettings.taskListColoring.urgency;
+    const stored = settings.taskListColoring?.urgency || {};
+    return { ...defaults, ...stored, colors: { ...defaults.colors, ...stored.colors }, lists: stored.lists || {} };
+  }
+
+  // Enable toggle, style, "soon" window and one color per due state; every change is
+  // passed to save as a partial
+  function buildUrgencyControls(config, save) {
+    const wrap = document.createElement('div');
+    wrap.style.cssText = 'display: flex; flex-direction: column; gap: 6px; font-size: 11px; color: #5f6368;';
+
+    const enabledLabel = document.createElement('label');
+    enabledLabel.style.cssText = 'display: flex; gap: 6px; align-items: center; color: #202124; font-size: 12px;';
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = !!config.enabled;
+    enabled.onchange = () => save({ enabled: enabled.checked });
+    enabledLabel.appendChild(enabled);
+    enabledLabel.appendChild(document.createTextNode('Color tasks by due date'));
+    wrap.appendChild(enabledLabel);
+
+    const optionsRow = document.createElement('div');
+    optionsRow.style.cssText = 'display: flex; gap: 8px; align-items: center; flex-wrap: wrap;';
+    const style = document.createElement('select');
+    style.style.cssText = 'padding: 3px 6px; font-size: 11px; border: 1px solid #dadce0; border-radius: 4px; background: white;';
+    [['outline', 'Outline chip'], ['fill', 'Fill chip']].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      style.appendChild(option);
+    });
+    style.value = config.style;
+    style.onchange = () => save({ style: style.value });
+
+    const soonDays = document.createElement('input');
+    soonDays.type = 'number';
+    soonDays.min = '1';
+    soonDays.max = '60';
+    soonDays.value = String(config.soonDays);
+    soonDays.style.cssText = 'width: 44px; padding: 3px 4px; font-size: 11px; border: 1px solid #dadce0; border-radius: 4px;';
+    soonDays.onchange = () => save({ soonDays: parseInt(soonDays.value, 10) });
+    optionsRow.appendChild(style);
+    optionsRow.appendChild(document.createTextNode('Due soon = within'));
+    optionsRow.appendChild(soonDays);
+    optionsRow.appendChild(document.createTextNode('days'));
+    wrap.appendChild(optionsRow);
+
+    const colorsRow = document.createElement('div');
+    colorsRow.style.cssText = 'display: grid; grid-template-columns: 1fr 1fr; gap: 4px 10px;';
+    Object.entries(URGENCY_STATE_LABELS).forEach(([state, label]) => {
+      const row = document.createElement('label');
+      row.style.cssText = 'display: flex; gap: 4px; align-items: center;';
+      row.title = `Leave unticked to leave ${label.toLowerCase()} tasks alone`;
+      const use = document.createElement('input');
+      use.type = 'checkbox';
+      use.checked = !!config.colors[state];
+      const color = document.createElement('input');
+      color.type = 'color';
+      color.value = config.colors[state] || URGENCY_UNSET_COLOR;
+      color.disabled = !use.checked;
+      color.style.cssText = 'width: 26px; height: 20px; padding: 0; border: 1px solid #dadce0; border-radius: 4px;';
+      use.onchange = () => save({ colors: { [state]: use.checked ? color.value : '' } });
+      color.onchange = () => save({ colors: { [state]: color.value } });
+      row.appendChild(use);
+      row.appendChild(color);
+      row.appendChild(document.createTextNode(label));
+      colorsRow.appendChild(row);
+    });
+    wrap.appendChild(colorsRow);
+
+    return wrap;
+  }
+
+  async function saveTaskUrgency(save) {
+    try {
+      settings = await save();
+      renderTaskUrgency();
+      return true;
+    } catch (error) {
+      reportSaveError(error);
+      return false;
+    }
+  }
+
+  function renderTaskUrgency() {
+    const editor = qs('taskUrgencyEditor');
+    if (!editor) return;
+    editor.innerHTML = '';
+    editor.appendChild(
+      buildUrgencyControls(currentTaskUrgency(), (partial) =>
+        saveTaskUrgency(() => window.cc3Storage.setTaskUrgency(partial)),
+      ),
+    );
+  }
+
+  // Per-list override inside a task list card; without one the list follows the defaults above
+  function createTaskUrgencySection(list) {
+    const section = document.createElement('div');
+    section.className = 'task-list-card-section';
+
+    const render = () => {
+      const urgency = currentTaskUrgency();
+      const overrides = urgency.lists[list.id];
+      section.innerHTML = '';
+
+      const header = document.createElement('div');
+      header.className = 'pending-tasks-header';
+      header.innerHTML = `
+        <h4><svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="vertical-align: -2px; margin-right: 6px;"><circle cx="12" cy="12" r="10"/><path d="M12 6v6l4 2"/></svg>Due Dates</h4>
+      `;
+      const subtitle = document.createElement('p');
+      subtitle.className = 'pending-tasks-subtitle';
+      subtitle.textContent = overrides
+        ? `Custom due-date colors for '${list.title}'.`
+        : `'${list.title}' uses the Due-Date Colors defaults.`;
+      header.appendChild(subtitle);
+      section.appendChild(header);
+
+      const customLabel = document.createElement('label');
+      customLabel.style.cssText = 'display: flex; gap: 6px; align-items: center; font-size: 11px; color: #5f6368; margin: 6px 0;';
+      const custom = document.createElement('input');
+      custom.type = 'checkbox';
+      custom.checked = !!overrides;
+      custom.onchange = async () => {
+        await saveTaskUrgency(() =>
+          custom.checked
+            ? window.cc3Storage.setListUrgency(list.id, { enabled: urgency.enabled })
+            : window.cc3Storage.clearListUrgency(list.id),
+        );
+        render();
+      };
+      customLabel.appendChild(custom);
+      customLabel.appendChild(document.createTextNode('Use different thresholds and colors for this list'));
+      section.appendChild(customLabel);
+
+      if (overrides) {
+        const resolved = { ...urgency, ...overrides, colors: { ...urgency.colors, ...overrides.colors } };
+        section.appendChild(
+          buildUrgencyControls(resolved, async (partial) => {
+            await saveTaskUrgency(() => window.cc3Storage.setListUrgency(list.id, partial));
+            render();
+          }),
+        );
+      }
+    };
+
+    render();
+    return section;
+  }
+
+  function setupDayClickHandlers() {
+    // Set up click handlers for day color items
+    document.querySelectorAll('.day-color-item').forEach((dayItem, index) => {
+      const dayIndex = parseInt(dayItem.dataset.day);
+      const details = qs(`details${dayIndex}`);
+      const preview = qs(`preview${dayIndex}`);
+
+      // Click handler for the entire day item
+      dayItem.onclick = (e) => {
+        // Don't expand/collapse if clicking inside the day-details dropdown
+        if (e.target.closest('.day-details')) {
+          return;
+        }
+
+        // Don't expand if clicking on color input or other controls
+        if (
+          e.target.tagName === 'INPUT' ||
+          e.target.tagName === 'BUTTON' ||
+          e.target.classList.contains('color-swatch')
+        ) {
+          return;
+        }
+
+        // Close all other expanded items (including time block and task pickers)
+        document
+          .querySelectorAll(
+            '.day-color-item, .task-color-item, .time-block-color-details, .time-block-global-color-details',
+          )
+          .forEach((item) => {
+            if (item !== dayItem) {
+              item.classList.remove('expanded');
+              const otherDetails = item.querySelector(
+                '.day-details, .task-color-details, .time-block-color-details, .time-block-global-color-details',
+              );
+              if (otherDetails) {
+                otherDetails.classList.remove('expanded');
+                otherDetails.style.zIndex = '';
+              }
+            }
+          });
+
+        // Toggle current item
+        dayItem.classList.toggle('expanded');
+        if (details) {
+          details.classList.toggle('expanded');
+          if (details.classList.contains('expanded')) {
+            details.style.zIndex = '999999';
+            positionDayDetailsInView(dayItem, details);
+          } else {
+            details.style.zIndex = '';
+            resetDayDetailsPosition(details);
+          }
+        }
+      };
+
+      // Also add click handler specifically for the preview square
+      if (preview) {
+        preview.onclick = (e) => {
+          e.stopPropagation();
+
+          // Close all other expanded items (including time block and task pickers)
+          document
+            .querySelectorAll(
+              '.day-color-item, .task-color-item, .time-block-color-details, .time-block-global-color-details',
+            )
+            .forEach((item) => {
+              if (item !== dayItem) {
+                item.classList.remove('expanded');
+                const otherDetails = item.querySelector(
+                  '.day-details, .task-color-details, .time-block-color-details, .time-block-global-color-details',
+                );
+                if (otherDetails) {
                   otherDetails.classList.remove('expanded');
                   otherDetails.style.zIndex = '';
                 }
@@ -7681,11 +9371,452 @@ Would you like to refresh all Google Calendar tabs?`;
     });
   }
 
+  // ========================================
+  // PROFILES
+  // ========================================
+
+  // Profile saves fail once sync storage is full; say so next to the profile controls
+  function showProfileError(error) {
+    const errorEl = qs('profileError');
+    if (!errorEl) return;
+    const message = error?.message || String(error);
+    errorEl.textContent = /QUOTA_BYTES|MAX_ITEMS/.test(message)
+      ? `Not enough sync storage to save this profile (${message}). Delete a profile or free up space under Backup & Restore.`
+      : message;
+    errorEl.style.display = 'block';
+  }
+
+  async function renderProfilesList() {
+    const list = qs('profilesList');
+    if (!list) return;
+
+    const state = await window.cc3Storage.getProfiles();
+    const profiles = Object.values(state.profiles).sort((a, b) => a.name.localeCompare(b.name));
+    list.innerHTML = '';
+
+    if (profiles.length === 0) {
+      const empty = document.createElement('div');
+      empty.style.cssText = 'font-size: 12px; color: #80868b; text-align: center; padding: 6px 0;';
+      empty.textContent = 'No profiles yet';
+      list.appendChild(empty);
+      return;
+    }
+
+    profiles.forEach((profile) => {
+      const isActive = profile.id === state.activeProfileId;
+
+      const row = document.createElement('div');
+      row.style.cssText = `display: flex; align-items: center; gap: 6px; padding: 6px 10px; border-radius: 6px; border: 1px solid ${
+        isActive ? '#1a73e8' : '#e8eaed'
+      }; background: ${isActive ? '#e8f0fe' : '#fff'};`;
+
+      const name = document.createElement('span');
+      name.style.cssText = 'flex: 1; font-size: 13px; color: #202124; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+      name.textContent = isActive ? `${profile.name} (active)` : profile.name;
+      name.title = `Saved ${new Date(profile.updatedAt).toLocaleString()}`;
+
+      const applyBtn = document.createElement('button');
+      applyBtn.className = 'lab-btn secondary small';
+      applyBtn.textContent = 'Apply';
+      applyBtn.onclick = async () => {
+        try {
+          settings = await window.cc3Storage.applyProfile(profile.id);
+          showUndoToast(`Switched to "${profile.name}"`);
+        } catch (error) {
+          console.error('❌ Failed to apply profile:', error);
+          showToast('Failed to apply profile', 'error');
+        }
+        await renderProfilesList();
+      };
+
+      const updateBtn = document.createElement('button');
+      updateBtn.className = 'lab-btn secondary small';
+      updateBtn.textContent = 'Update';
+      updateBtn.title = 'Overwrite this profile with the current setup';
+      updateBtn.onclick = async () => {
+        qs('profileError').style.display = 'none';
+        try {
+          await window.cc3Storage.saveProfile(profile.name, profile.id);
+          showToast(`Updated "${profile.name}"`);
+        } catch (error) {
+          console.error('❌ Failed to update profile:', error);
+          showProfileError(error);
+        }
+        await renderProfilesList();
+      };
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'lab-btn danger small';
+      deleteBtn.textContent = '🗑️';
+      deleteBtn.title = 'Delete profile';
+      deleteBtn.onclick = async () => {
+        if (!confirm(`Delete profile "${profile.name}"? Your current colors are not changed.`)) return;
+        await window.cc3Storage.deleteProfile(profile.id);
+        await renderProfilesList();
+      };
+
+      row.appendChild(name);
+      row.appendChild(applyBtn);
+      row.appendChild(updateBtn);
+      row.appendChild(deleteBtn);
+      list.appendChild(row);
+    });
+  }
+
+  function setupProfiles() {
+    const saveBtn = qs('saveProfileBtn');
+    const nameInput = qs('newProfileName');
+    const errorEl = qs('profileError');
+    if (!saveBtn || !nameInput) return;
+
+    saveBtn.onclick = async () => {
+      errorEl.style.display = 'none';
+      try {
+        const state = await window.cc3Storage.getProfiles();
+        const name = nameInput.value.trim();
+        // Saving under an existing name overwrites that profile instead of duplicating it
+        const existing = Object.values(state.profiles).find((p) => p.name.toLowerCase() === name.toLowerCase());
+        await window.cc3Storage.saveProfile(name, existing?.id || null);
+        nameInput.value = '';
+        showToast(`Saved profile "${name}"`);
+        await renderProfilesList();
+      } catch (error) {
+        showProfileError(error);
+      }
+    };
+
+    nameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') saveBtn.click();
+    });
+
+    renderProfilesList();
+  }
+
+  // ========================================
+  // BACKUP & RESTORE
+  // ========================================
+
+  // Sync storage quota meter (100 KB total, 8 KB per item)
+  async function updateSyncQuotaDisplay() {
+    const text = qs('syncQuotaText');
+    const bar = qs('syncQuotaBar');
+    const detail = qs('syncQuotaDetail');
+    if (!text || !bar) return;
+
+    try {
+      const usage = await window.cc3Storage.getSyncQuotaUsage();
+      const percent = Math.min(100, usage.percentUsed);
+      text.textContent = `${(usage.bytes / 1024).toFixed(1)} KB of ${Math.round(usage.maxBytes / 1024)} KB (${percent.toFixed(0)}%)`;
+      bar.style.width = `${percent}%`;
+      const worst = Math.max(percent, usage.largestItem?.percentUsed || 0);
+      bar.style.background = worst > 90 ? '#d93025' : worst > 70 ? '#f9ab00' : '#1a73e8';
+
+      if (detail && usage.largestItem) {
+        detail.textContent = `${usage.items} of ${usage.maxItems} items · largest "${usage.largestItem.key}" ${(
+          usage.largestItem.bytes / 1024
+        ).toFixed(1)} KB of ${Math.round(usage.largestItem.maxBytes / 1024)} KB`;
+      }
+    } catch (error) {
+      console.error('❌ Failed to read sync quota:', error);
+      text.textContent = 'Unavailable';
+    }
+  }
+
+  // ========================================
+  // DATE RETENTION / ARCHIVE
+  // ========================================
+
+  async function renderDateArchive() {
+    const list = qs('dateArchiveList');
+    if (!list) return;
+
+    const archive = await window.cc3Storage.getDateArchive();
+    const months = new Map();
+    const monthEntry = (dateKey) => {
+      const month = dateKey.slice(0, 7);
+      if (!months.has(month)) months.set(month, { colors: [], blockDates: 0 });
+      return months.get(month);
+    };
+    Object.entries(archive.dateColors).forEach(([dateKey, entry]) => {
+      const normalized = window.cc3Storage.normalizeDateEntry(entry);
+      if (normalized) monthEntry(dateKey).colors.push(normalized.color);
+    });
+    Object.keys(archive.dateSpecificSchedule).forEach((dateKey) => monthEntry(dateKey).blockDates++);
+
+    list.innerHTML = '';
+    if (months.size === 0) {
+      const empty = document.createElement('div');
+      empty.style.cssText = 'font-size: 11px; color: #80868b;';
+      empty.textContent = 'No archived dates.';
+      list.appendChild(empty);
+      return;
+    }
+
+    [...months.keys()]
+      .sort()
+      .reverse()
+      .forEach((month) => {
+        const { colors, blockDates } = months.get(month);
+        const monthLabel = new Date(`${month}-01T12:00:00`).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+        const row = document.createElement('div');
+        row.style.cssText =
+          'display: flex; align-items: center; gap: 6px; padding: 6px 10px; border-radius: 6px; border: 1px solid #e8eaed; background: #fff;';
+
+        const info = document.createElement('div');
+        info.style.cssText = 'flex: 1; min-width: 0;';
+        const name = document.createElement('div');
+        name.style.cssText = 'font-size: 12px; color: #202124;';
+        name.textContent = monthLabel;
+        const detail = document.createElement('div');
+        detail.style.cssText = 'display: flex; align-items: center; gap: 3px; font-size: 11px; color: #80868b;';
+        const parts = [];
+        if (colors.length) parts.push(`${colors.length} day color${colors.length !== 1 ? 's' : ''}`);
+        if (blockDates) parts.push(`${blockDates} date${blockDates !== 1 ? 's' : ''} with blocks`);
+        detail.textContent = parts.join(' · ');
+        colors.slice(0, 8).forEach((color) => {
+          const swatch = document.createElement('span');
+          swatch.style.cssText = `width: 10px; height: 10px; border-radius: 2px; border: 1px solid #dadce0; background: ${color};`;
+          detail.appendChild(swatch);
+        });
+        info.appendChild(name);
+        info.appendChild(detail);
+
+        const restoreBtn = document.createElement('button');
+        restoreBtn.className = 'lab-btn secondary small';
+        restoreBtn.textContent = 'Restore';
+        restoreBtn.title = 'Move this month back into synced settings';
+        restoreBtn.onclick = async () => {
+          restoreBtn.disabled = true;
+          try {
+            settings = await window.cc3Storage.restoreArchivedMonth(month);
+            updateDateSpecificSchedule();
+            updateSyncQuotaDisplay();
+            showToast(`Restored ${monthLabel}`);
+          } catch (error) {
+            restoreBtn.disabled = false;
+            reportSaveError(error);
+          }
+        };
+
+        row.appendChild(info);
+        row.appendChild(restoreBtn);
+        list.appendChild(row);
+      });
+  }
+
+  function setupDateRetention() {
+    const select = qs('retentionMonths');
+    if (!select) return;
+
+    select.value = String(settings.retention?.keepMonths || 0);
+    select.onchange = async () => {
+      try {
+        settings = await window.cc3Storage.setRetentionMonths(Number(select.value));
+        const { archived } = await window.cc3Storage.archiveStaleDates({ force: true });
+        if (archived) {
+          settings = await window.cc3Storage.getSettings();
+          updateDateSpecificSchedule();
+          showToast(`Archived ${archived} past date${archived !== 1 ? 's' : ''}`);
+        }
+        updateSyncQuotaDisplay();
+      } catch (error) {
+        reportSaveError(error, select);
+      }
+    };
+
+    // Calendar tabs archive on load, so refresh when they do
+    window.cc3Storage.onDateArchiveChanged(() => renderDateArchive());
+    renderDateArchive();
+  }
+
+  function setupBackupRestore() {
+    const exportBtn = qs('exportBackupBtn');
+    const importBtn = qs('importBackupBtn');
+    const fileInput = qs('importBackupFile');
+    const errorsBox = qs('backupImportErrors');
+    const preview = qs('backupImportPreview');
+    const sectionsBox = qs('backupImportSections');
+    const applyBtn = qs('applyBackupImportBtn');
+    const cancelBtn = qs('cancelBackupImportBtn');
+    if (!exportBtn || !importBtn || !fileInput) return;
+
+    let pendingBackup = null;
+
+    updateSyncQuotaDisplay();
+
+    const showErrors = (errors) => {
+      errorsBox.innerHTML = '';
+      if (!errors || errors.length === 0) {
+        errorsBox.style.display = 'none';
+        return;
+      }
+      errors.forEach((message) => {
+        const line = document.createElement('div');
+        line.textContent = `⚠️ ${message}`;
+        errorsBox.appendChild(line);
+      });
+      errorsBox.style.display = 'block';
+    };
+
+    const resetPreview = () => {
+      pendingBackup = null;
+      preview.style.display = 'none';
+      sectionsBox.innerHTML = '';
+      fileInput.value = '';
+    };
+
+    exportBtn.onclick = async () => {
+      try {
+        const backup = await window.cc3Backup.createBackup();
+        const blob = new Blob([window.cc3Backup.serializeBackup(backup)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = window.cc3Backup.backupFileName();
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        showToast('Backup exported');
+      } catch (error) {
+        console.error('❌ Backup export failed:', error);
+        showErrors([`Export failed: ${error.message}`]);
+      }
+    };
+
+    importBtn.onclick = () => fileInput.click();
+
+    fileInput.onchange = async (event) => {
+      const file = event.target.files?.[0];
+      if (!file) return;
+
+      showErrors([]);
+      const text = await file.text();
+      const result = window.cc3Backup.parseBackup(text);
+      if (!result.ok) {
+        resetPreview();
+        showErrors(result.errors);
+        return;
+      }
+
+      pendingBackup = result.backup;
+      const diff = await window.cc3Backup.diffBackup(pendingBackup);
+
+      const exportedAt = pendingBackup.exportedAt ? new Date(pendingBackup.exportedAt).toLocaleString() : 'unknown date';
+      qs('backupImportMeta').textContent = `${file.name} — exported ${exportedAt}`;
+
+      sectionsBox.innerHTML = '';
+      diff.forEach((section) => {
+        const hasChanges = section.added > 0 || section.changed > 0;
+
+        const row = document.createElement('div');
+        row.style.cssText =
+          'display: flex; justify-content: space-between; align-items: flex-start; gap: 8px; padding: 8px 10px; border: 1px solid #e8eaed; border-radius: 6px;';
+
+        const info = document.createElement('div');
+        info.style.cssText = 'font-size: 12px; color: #3c4043; min-width: 0;';
+        const title = document.createElement('div');
+        title.style.fontWeight = '600';
+        title.textContent = section.label;
+        const summary = document.createElement('div');
+        summary.style.color = '#5f6368';
+        summary.textContent =
+          hasChanges || section.removed > 0
+            ? `${section.added} new, ${section.changed} changed, ${section.removed} only on this device`
+            : 'No differences';
+        summary.title = section.samples.join('\n');
+        info.appendChild(title);
+        info.appendChild(summary);
+
+        // Invalid sections can't be imported; list what the validators rejected
+        const invalid = section.errors.length > 0;
+        if (invalid) {
+          row.style.borderColor = '#f28b82';
+          section.errors.slice(0, 5).forEach((error) => {
+            const line = document.createElement('div');
+            line.style.cssText = 'color: #c5221f; word-break: break-word;';
+            line.textContent = `⚠️ ${error.field}: ${error.message}`;
+            info.appendChild(line);
+          });
+          if (section.errors.length > 5) {
+            const more = document.createElement('div');
+            more.style.color = '#c5221f';
+            more.textContent = `…and ${section.errors.length - 5} more`;
+            info.appendChild(more);
+          }
+        }
+
+        const select = document.createElement('select');
+        select.dataset.section = section.id;
+        select.style.cssText = 'font-size: 12px; padding: 2px 4px; flex-shrink: 0;';
+        [
+          ['merge', 'Merge'],
+          ['replace', 'Replace'],
+          ['skip', 'Skip'],
+        ].forEach(([value, label]) => {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = label;
+          select.appendChild(option);
+        });
+        select.value = hasChanges && !invalid ? 'merge' : 'skip';
+        select.disabled = invalid;
+
+        row.appendChild(info);
+        row.appendChild(select);
+        sectionsBox.appendChild(row);
+      });
+
+      preview.style.display = 'block';
+    };
+
+    cancelBtn.onclick = () => {
+      resetPreview();
+      showErrors([]);
+    };
+
+    applyBtn.onclick = async () => {
+      if (!pendingBackup) return;
+
+      const modes = {};
+      sectionsBox.querySelectorAll('select[data-section]').forEach((select) => {
+        modes[select.dataset.section] = select.value;
+      });
+
+      applyBtn.disabled = true;
+      const result = await window.cc3Backup.applyBackup(pendingBackup, modes);
+      applyBtn.disabled = false;
+
+      if (!result.success) {
+        const details = (result.errors || []).map((error) => `${error.field}: ${error.message}`);
+        showErrors(details.length > 0 ? details : [`Import failed: ${result.error}`]);
+        return;
+      }
+
+      resetPreview();
+      if (result.applied.length === 0) {
+        showToast('Nothing to import');
+        return;
+      }
+
+      settings = await window.cc3Storage.getSettings();
+      await loadCustomColors();
+      updateColorLab();
+      await renderProfilesList();
+      qs('retentionMonths').value = String(settings.retention?.keepMonths || 0);
+
+      showToast(`Imported ${result.applied.length} section${result.applied.length !== 1 ? 's' : ''}`);
+    };
+  }
+
   async function init() {
     // Check auth and subscription first
     await checkAuthAndSubscription();
 
     await loadSettings();
+    await adoptDetectedWeekStart();
+    await checkMigrationStatus();
     await loadCustomColors();
     updateToggle();
     updateTaskFeaturesToggle();
@@ -7701,23 +9832,39 @@ Would you like to refresh all Google Calendar tabs?`;
     setupEventListeners();
     setupColorLabEventListeners();
     setupDayClickHandlers();
+    setupWeekdayFillControls(); // Stripes/dots/crosshatch/gradient per weekday
+    setupWeekBanding(); // Odd/even or N-week bands and week numbers
+    setupDarkTheme(); // Dark palette and opacity profile
+    setupDateLabelEditor(); // Per-date labels and emoji
+    setupDateRangeEditor(); // Drag-to-select date range coloring
+    setupDateRuleEditor(); // Recurring date rules with preview
+    setupHolidaySettings(); // Bundled public-holiday packs
+    setupTodayHighlight(); // Past-day dimming and today accent
     setupTaskClickHandlers(); // Add task color picker handlers
+    setupTaskRules(); // Keyword and regex task color rules
+    setupTaskTags(); // Hashtag colors from task notes
+    renderTaskUrgency(); // Due-date colors (per-list overrides live in the task list cards)
     setupTimeBlockClickHandlers(); // Add time block color picker handlers
     setupTabNavigation(); // Setup tab switching
+    setupProfiles(); // Named color/time block profiles
+    setupBackupRestore(); // Export/import of all ColorKit data
+    setupDateRetention(); // Archive of past date colors/blocks
     // Setup color picker toggle after all other event listeners
     setupColorPickerToggle();
 
     // Listen for storage changes
     // Store listener reference for cleanup on popup close
-    storageChangeListener = (changes, area) => {
-      if (area === 'sync' && changes.settings) {
-        const oldSettings = changes.settings.oldValue || {};
-        const newSettings = changes.settings.newValue || {};
-        settings = newSettings;
+    storageChangeListener = async (changes, area) => {
+      if (area === 'sync' && window.cc3Storage.isSettingsChange(changes)) {
+        const oldSettings = changes.settings?.oldValue || {};
+        const newSettings = changes.settings?.newValue || {};
+        // Dated maps live in separate shard items, so re-read the assembled settings
+        settings = await window.cc3Storage.getSettings();
 
         // Check if ONLY completedStyling values changed (colors/opacities)
         // If so, we should NOT reload the entire task list (it destroys sliders while dragging)
         const onlyCompletedStylingChanged = (() => {
+          if (!changes.settings) return true; // Only dated shards changed
           if (!oldSettings.taskListColoring || !newSettings.taskListColoring) return false;
 
           // Check if completedStyling is the only thing that changed
@@ -7746,6 +9893,28 @@ Would you like to refresh all Google Calendar tabs?`;
         initializeEnhancedOpacityControls();
         updateInlineColorsGrid();
         updateTimeBlockingSettings();
+        renderWeekdayFillControls();
+        renderWeekBanding();
+        renderDarkTheme();
+        renderTaskRules();
+        renderTaskTags();
+        renderTaskUrgency();
+        renderDateLabelsList();
+        renderDateRanges();
+        renderDateRulesList();
+        renderHolidaySettings();
+        renderTodayHighlight();
+      }
+      if (area === 'sync') {
+        updateSyncQuotaDisplay();
+      }
+      if (area === 'local' && changes[window.cc3Storage.DETECTED_WEEK_START_KEY]) {
+        await adoptDetectedWeekStart();
+        renderWeekStartStatus();
+      }
+      // A Tasks sync found new hashtags
+      if (area === 'local' && changes['cf.taskTags']) {
+        renderTaskTags();
       }
     };
 